@@ -0,0 +1,91 @@
+/**
+ * Band Automation
+ *
+ * Scheduled band changes on the AudioContext timeline. An event moves some of
+ * a band's numeric parameters to new values starting at `time`, either at
+ * once ('step') or over `duration` seconds with a linear or exponential ramp,
+ * matching the AudioParam automation the live graph runs. The helpers here
+ * evaluate a timeline so state and response previews can be computed for any
+ * time.
+ */
+
+export const AUTOMATION_RAMPS = Object.freeze(['step', 'linear', 'exponential']);
+
+export const AUTOMATABLE_BAND_PARAMS = Object.freeze(['frequency', 'gain', 'Q']);
+
+/**
+ * Validate and normalize a scheduled band change.
+ * @param {number} index - Band index
+ * @param {Object} changes - New `frequency`, `gain` and/or `Q`
+ * @param {number} time - Context time in seconds at which the change starts
+ * @param {Object} options - `{ ramp, duration }`; ramp defaults to 'linear'
+ * when a duration is given and to 'step' otherwise
+ * @returns {Object} `{ index, changes, time, ramp, duration }`
+ */
+export function createBandEvent(index, changes, time, options = {}) {
+  if (!changes || typeof changes !== 'object' || Object.keys(changes).length === 0) {
+    throw new TypeError('A scheduled band change needs at least one parameter');
+  }
+  Object.entries(changes).forEach(([param, value]) => {
+    if (!AUTOMATABLE_BAND_PARAMS.includes(param)) {
+      throw new TypeError(`Band parameter "${param}" cannot be scheduled; use ${AUTOMATABLE_BAND_PARAMS.join(', ')}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new TypeError(`Scheduled ${param} must be a finite number`);
+    }
+  });
+  if (!Number.isFinite(time) || time < 0) {
+    throw new RangeError(`Invalid automation time: ${time}`);
+  }
+
+  const { duration = 0 } = options;
+  if (!Number.isFinite(duration) || duration < 0) {
+    throw new RangeError(`Invalid automation duration: ${duration}`);
+  }
+  const ramp = options.ramp ?? (duration > 0 ? 'linear' : 'step');
+  if (!AUTOMATION_RAMPS.includes(ramp)) {
+    throw new Error(`Unknown automation ramp: ${ramp}`);
+  }
+
+  return { index, changes: { ...changes }, time, ramp, duration: ramp === 'step' ? 0 : duration };
+}
+
+export function eventEndTime(event) {
+  return event.time + event.duration;
+}
+
+// Same curves as AudioParam ramps; exponential falls back to linear across zero
+export function interpolateValue(from, to, progress, ramp = 'linear') {
+  if (progress <= 0) return from;
+  if (progress >= 1 || ramp === 'step') return to;
+  if (ramp === 'exponential' && from > 0 && to > 0) {
+    return from * Math.pow(to / from, progress);
+  }
+  return from + (to - from) * progress;
+}
+
+function applyEvent(band, event, time) {
+  if (time < event.time) {
+    return band;
+  }
+  const progress = event.duration > 0 ? (time - event.time) / event.duration : 1;
+  const next = { ...band };
+  Object.entries(event.changes).forEach(([param, value]) => {
+    next[param] = interpolateValue(band[param], value, progress, event.ramp);
+  });
+  return next;
+}
+
+/**
+ * Bands as they are at `time`, given pending `events` in chronological order
+ * per band. Use `Infinity` for the values once everything has run.
+ */
+export function bandsAtTime(bands = [], events = [], time = Infinity) {
+  return events.reduce((current, event) => {
+    const band = current[event.index];
+    if (!band) return current;
+    const next = [...current];
+    next[event.index] = applyEvent(band, event, time);
+    return next;
+  }, bands);
+}
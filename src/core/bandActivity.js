@@ -0,0 +1,77 @@
+/**
+ * Band Enable and Solo
+ *
+ * `enabled: false` takes a band out of the signal without losing its
+ * settings. `solo: true` auditions bands in isolation: while any enabled band
+ * is soloed, every other band is silenced and the soloed ones are heard
+ * through a monitor filter that passes only the region they act on. Solo is
+ * meant for one band at a time; several soloed bands have their monitors
+ * cascaded.
+ */
+
+// Q of the pass filters that stand in for soloed shelves
+const MONITOR_SHELF_Q = Math.SQRT1_2;
+
+export function isBandEnabled(band) {
+  return Boolean(band) && band.enabled !== false;
+}
+
+export function hasSoloedBand(bands = []) {
+  return bands.some((band) => isBandEnabled(band) && band.solo === true);
+}
+
+/**
+ * Bands that shape the EQ curve: the enabled ones, narrowed to the soloed
+ * ones while any are soloed. Used by the response math for plotting.
+ */
+export function getActiveBands(bands = []) {
+  const solo = hasSoloedBand(bands);
+  return bands.filter((band) => isBandEnabled(band) && (!solo || band.solo === true));
+}
+
+// Transparent stand-in that keeps the band's frequency and Q so nodes can ramp to it
+function silentBand(band) {
+  return { frequency: band.frequency, Q: band.Q, type: 'peaking', gain: 0 };
+}
+
+// What a soloed band is heard through
+function monitorBand(band) {
+  const { frequency, Q } = band;
+  switch (band.type || 'peaking') {
+    case 'lowpass':
+    case 'highpass': {
+      const { dynamic, solo, enabled, ...passBand } = band;
+      return passBand;
+    }
+    case 'lowshelf':
+      return { frequency, Q: MONITOR_SHELF_Q, type: 'lowpass', gain: 0 };
+    case 'highshelf':
+      return { frequency, Q: MONITOR_SHELF_Q, type: 'highpass', gain: 0 };
+    default:
+      return { frequency, Q, type: 'bandpass', gain: 0 };
+  }
+}
+
+/**
+ * Map bands, one for one, to what the signal path should run: disabled and
+ * non-soloed bands become transparent, soloed bands become their monitor.
+ * The result carries no `enabled`/`solo` flags, so mapping it again is a
+ * no-op.
+ */
+export function resolveAudibleBands(bands = []) {
+  const solo = hasSoloedBand(bands);
+  return bands.map((band) => {
+    if (!band) return band;
+    if (!isBandEnabled(band) || (solo && band.solo !== true)) {
+      return silentBand(band);
+    }
+    if (solo) {
+      return monitorBand(band);
+    }
+    if ('enabled' in band || 'solo' in band) {
+      const { enabled, solo: bandSolo, ...rest } = band;
+      return rest;
+    }
+    return band;
+  });
+}
@@ -0,0 +1,443 @@
+/**
+ * Biquad Coefficient Design
+ *
+ * Normalized RBJ Audio EQ Cookbook coefficients for PEQ bands. Shared by the
+ * frequency response math, the offline renderer and coefficient exporters.
+ */
+
+export const DEFAULT_SAMPLE_RATE = 48000;
+const GAIN_EPSILON = 1e-3;
+const MIN_Q = 1e-6;
+const MIN_SLOPE = 1e-6;
+
+// Every type the Web Audio BiquadFilterNode supports
+export const FILTER_TYPES = Object.freeze([
+  'peaking',
+  'lowshelf',
+  'highshelf',
+  'lowpass',
+  'highpass',
+  'bandpass',
+  'notch',
+  'allpass'
+]);
+
+// Types whose effect depends on `gain`; the others ignore it
+export const GAIN_FILTER_TYPES = Object.freeze(['peaking', 'lowshelf', 'highshelf']);
+
+export const CROSSOVER_ALIGNMENTS = Object.freeze(['butterworth', 'linkwitz-riley']);
+
+// Supported orders per alignment (slope = 6 dB/oct per order). Butterworth is
+// limited to even orders because a biquad cannot host a lone first-order pole.
+export const CROSSOVER_ORDERS = Object.freeze({
+  butterworth: Object.freeze([2, 4, 6, 8]),
+  'linkwitz-riley': Object.freeze([2, 4, 6, 8])
+});
+
+// 'rbj' is the bilinear-transform Audio EQ Cookbook design that matches
+// BiquadFilterNode; 'matched' follows the analog prototype up to Nyquist
+export const DESIGN_MODES = Object.freeze(['rbj', 'matched']);
+export const DEFAULT_DESIGN = 'rbj';
+
+export const IDENTITY_BIQUAD = Object.freeze({ b0: 1, b1: 0, b2: 0, a1: 0, a2: 0 });
+
+function normalizeCoefficients(b0, b1, b2, a0, a1, a2) {
+  if (!Number.isFinite(a0) || Math.abs(a0) < Number.EPSILON) {
+    return null;
+  }
+  const invA0 = 1 / a0;
+  return {
+    b0: b0 * invA0,
+    b1: b1 * invA0,
+    b2: b2 * invA0,
+    a1: a1 * invA0,
+    a2: a2 * invA0
+  };
+}
+
+export function isIdentityBiquad(coefficients) {
+  return Boolean(coefficients)
+    && coefficients.b0 === 1
+    && coefficients.b1 === 0
+    && coefficients.b2 === 0
+    && coefficients.a1 === 0
+    && coefficients.a2 === 0;
+}
+
+// Analog prototype of each type in s normalized to the center frequency, as
+// [s^2, s, 1] coefficients of numerator and denominator (RBJ cookbook forms)
+function analogPrototype(type, A, Q) {
+  const sqrtA = Math.sqrt(A);
+  switch (type) {
+    case 'peaking':
+      return { num: [1, A / Q, 1], den: [1, 1 / (A * Q), 1] };
+    case 'lowshelf':
+      return { num: [A, (A * sqrtA) / Q, A * A], den: [A, sqrtA / Q, 1] };
+    case 'highshelf':
+      return { num: [A * A, (A * sqrtA) / Q, A], den: [1, sqrtA / Q, A] };
+    case 'lowpass':
+      return { num: [0, 0, 1], den: [1, 1 / Q, 1] };
+    case 'highpass':
+      return { num: [1, 0, 0], den: [1, 1 / Q, 1] };
+    case 'bandpass':
+      return { num: [0, 1 / Q, 0], den: [1, 1 / Q, 1] };
+    case 'notch':
+      return { num: [1, 0, 1], den: [1, 1 / Q, 1] };
+    case 'allpass':
+      return { num: [1, -1 / Q, 1], den: [1, 1 / Q, 1] };
+    default:
+      return null;
+  }
+}
+
+function analogMagnitudeSquared(polynomial, omega) {
+  const [c2, c1, c0] = polynomial;
+  const real = c0 - c2 * omega * omega;
+  const imag = c1 * omega;
+  return real * real + imag * imag;
+}
+
+/**
+ * Magnitude-matched second-order design after Vicanek, "Matched Second Order
+ * Digital Filters" (2016). Poles come from the impulse-invariant mapping of
+ * the analog poles; zeros are chosen so the digital magnitude equals the
+ * analog one at DC, at Nyquist and at the center frequency. This avoids the
+ * cramping the bilinear transform causes near Nyquist.
+ */
+function designMatched(type, w0, A, Q) {
+  const prototype = analogPrototype(type, A, Q);
+  if (!prototype) {
+    return null;
+  }
+
+  const [d2, d1, d0] = prototype.den;
+  const poleFreq = w0 * Math.sqrt(d0 / d2);
+  const zeta = d1 / (2 * Math.sqrt(d0 * d2));
+  const decay = Math.exp(-zeta * poleFreq);
+  const a1 = zeta <= 1
+    ? -2 * decay * Math.cos(poleFreq * Math.sqrt(1 - zeta * zeta))
+    : -2 * decay * Math.cosh(poleFreq * Math.sqrt(zeta * zeta - 1));
+  const a2 = decay * decay;
+
+  if (type === 'allpass') {
+    return { b0: a2, b1: a1, b2: 1, a1, a2 };
+  }
+
+  const targetSquared = (w) => {
+    const omega = w / w0;
+    const den = analogMagnitudeSquared(prototype.den, omega);
+    return den > 0 ? analogMagnitudeSquared(prototype.num, omega) / den : 0;
+  };
+
+  // |A(w)|^2 = A0 phi0 + A1 phi1 + A2 phi2 with phi1 = sin^2(w/2), phi0 = 1 - phi1, phi2 = 4 phi0 phi1
+  const A0 = (1 + a1 + a2) ** 2;
+  const A1 = (1 - a1 + a2) ** 2;
+  const A2 = -4 * a2;
+
+  const phi1 = Math.sin(w0 / 2) ** 2;
+  const phi0 = 1 - phi1;
+  const phi2 = 4 * phi0 * phi1;
+  if (phi2 < 1e-9) {
+    return null;
+  }
+
+  const B0 = targetSquared(0) * A0;
+  const B1 = targetSquared(Math.PI) * A1;
+
+  // Keep the exact zeros the analog filter has: a double zero at DC for the
+  // highpass and a unit-circle pair at the center for the notch
+  if (type === 'highpass') {
+    const b0 = Math.sqrt(B1) / 4;
+    return { b0, b1: -2 * b0, b2: b0, a1, a2 };
+  }
+  if (type === 'notch') {
+    const gain = Math.sqrt(B0) / (2 - 2 * Math.cos(w0));
+    return { b0: gain, b1: -2 * Math.cos(w0) * gain, b2: gain, a1, a2 };
+  }
+
+  const denomAtCenter = A0 * phi0 + A1 * phi1 + A2 * phi2;
+  const B2 = (targetSquared(w0) * denomAtCenter - B0 * phi0 - B1 * phi1) / phi2;
+
+  const rootB0 = Math.sqrt(B0);
+  const rootB1 = Math.sqrt(B1);
+  const W = (rootB0 + rootB1) / 2;
+  const b0 = (W + Math.sqrt(Math.max(0, W * W + B2))) / 2;
+  const b1 = (rootB0 - rootB1) / 2;
+  const b2 = b0 !== 0 ? -B2 / (4 * b0) : 0;
+
+  const coefficients = { b0, b1, b2, a1, a2 };
+  return Object.values(coefficients).every(Number.isFinite) ? coefficients : null;
+}
+
+/**
+ * Compute normalized biquad coefficients for a single EQ band. Crossover
+ * settings are ignored here; use computeBandSections for those bands.
+ * @param {Object} band - EQ band configuration (`frequency`, `gain`, `Q`, `type`)
+ * @param {number} sampleRate - Sample rate in Hz (default: band.sampleRate or 48000)
+ * @param {string} design - 'rbj' (default) or 'matched', see DESIGN_MODES
+ * @returns {Object|null} `{ b0, b1, b2, a1, a2 }` with a0 normalized to 1. Bands
+ * without audible effect return the identity section; invalid bands and
+ * unsupported types return null.
+ */
+export function computeBiquadCoefficients(band, sampleRate = band?.sampleRate ?? DEFAULT_SAMPLE_RATE, design = DEFAULT_DESIGN) {
+  if (!band) {
+    return null;
+  }
+
+  const centerFreq = band.frequency;
+  if (!Number.isFinite(centerFreq) || centerFreq <= 0) {
+    return null;
+  }
+
+  const type = band.type || 'peaking';
+  const gain = Number.isFinite(band.gain) ? band.gain : 0;
+  const qValue = Math.max(Number.isFinite(band.Q) ? band.Q : 1, MIN_Q);
+  const slope = Math.max(band.S ?? band.s ?? qValue, MIN_SLOPE);
+
+  if (!Number.isFinite(sampleRate) || sampleRate <= 0) {
+    return null;
+  }
+
+  if (Math.abs(gain) < GAIN_EPSILON && GAIN_FILTER_TYPES.includes(type)) {
+    return { ...IDENTITY_BIQUAD };
+  }
+
+  const w0 = (2 * Math.PI * centerFreq) / sampleRate;
+  const cosw0 = Math.cos(w0);
+  const sinw0 = Math.sin(w0);
+
+  if (design === 'matched' && w0 < Math.PI) {
+    // Shelves take their slope parameter through the equivalent Q
+    const A = Math.pow(10, gain / 40);
+    const shelfTerm = (A + 1 / A) * (1 / slope - 1) + 2;
+    const isShelf = type === 'lowshelf' || type === 'highshelf';
+    const matchedQ = isShelf ? 1 / Math.sqrt(Math.max(shelfTerm, MIN_Q)) : qValue;
+    const matched = designMatched(type, w0, GAIN_FILTER_TYPES.includes(type) ? A : 1, matchedQ);
+    if (matched) {
+      return matched;
+    }
+  }
+
+  switch (type) {
+    case 'peaking': {
+      const A = Math.pow(10, gain / 40);
+      const alpha = sinw0 / (2 * qValue);
+      const b0 = 1 + alpha * A;
+      const b1 = -2 * cosw0;
+      const b2 = 1 - alpha * A;
+      const a0 = 1 + alpha / A;
+      const a1 = -2 * cosw0;
+      const a2 = 1 - alpha / A;
+      return normalizeCoefficients(b0, b1, b2, a0, a1, a2);
+    }
+
+    case 'lowshelf': {
+      const A = Math.pow(10, gain / 40);
+      const alphaTerm = Math.max(0, (A + 1 / A) * (1 / slope - 1) + 2);
+      const alpha = (sinw0 / 2) * Math.sqrt(alphaTerm);
+      const beta = 2 * Math.sqrt(A) * alpha;
+      const b0 = A * ((A + 1) - (A - 1) * cosw0 + beta);
+      const b1 = 2 * A * ((A - 1) - (A + 1) * cosw0);
+      const b2 = A * ((A + 1) - (A - 1) * cosw0 - beta);
+      const a0 = (A + 1) + (A - 1) * cosw0 + beta;
+      const a1 = -2 * ((A - 1) + (A + 1) * cosw0);
+      const a2 = (A + 1) + (A - 1) * cosw0 - beta;
+      return normalizeCoefficients(b0, b1, b2, a0, a1, a2);
+    }
+
+    case 'highshelf': {
+      const A = Math.pow(10, gain / 40);
+      const alphaTerm = Math.max(0, (A + 1 / A) * (1 / slope - 1) + 2);
+      const alpha = (sinw0 / 2) * Math.sqrt(alphaTerm);
+      const beta = 2 * Math.sqrt(A) * alpha;
+      const b0 = A * ((A + 1) + (A - 1) * cosw0 + beta);
+      const b1 = -2 * A * ((A - 1) + (A + 1) * cosw0);
+      const b2 = A * ((A + 1) + (A - 1) * cosw0 - beta);
+      const a0 = (A + 1) - (A - 1) * cosw0 + beta;
+      const a1 = 2 * ((A - 1) - (A + 1) * cosw0);
+      const a2 = (A + 1) - (A - 1) * cosw0 - beta;
+      return normalizeCoefficients(b0, b1, b2, a0, a1, a2);
+    }
+
+    case 'lowpass': {
+      const alpha = sinw0 / (2 * qValue);
+      const b0 = (1 - cosw0) / 2;
+      const b1 = 1 - cosw0;
+      const b2 = (1 - cosw0) / 2;
+      const a0 = 1 + alpha;
+      const a1 = -2 * cosw0;
+      const a2 = 1 - alpha;
+      return normalizeCoefficients(b0, b1, b2, a0, a1, a2);
+    }
+
+    case 'highpass': {
+      const alpha = sinw0 / (2 * qValue);
+      const b0 = (1 + cosw0) / 2;
+      const b1 = -(1 + cosw0);
+      const b2 = (1 + cosw0) / 2;
+      const a0 = 1 + alpha;
+      const a1 = -2 * cosw0;
+      const a2 = 1 - alpha;
+      return normalizeCoefficients(b0, b1, b2, a0, a1, a2);
+    }
+
+    case 'bandpass': {
+      // Constant 0 dB peak gain, matching BiquadFilterNode
+      const alpha = sinw0 / (2 * qValue);
+      const b0 = alpha;
+      const b1 = 0;
+      const b2 = -alpha;
+      const a0 = 1 + alpha;
+      const a1 = -2 * cosw0;
+      const a2 = 1 - alpha;
+      return normalizeCoefficients(b0, b1, b2, a0, a1, a2);
+    }
+
+    case 'notch': {
+      const alpha = sinw0 / (2 * qValue);
+      const b0 = 1;
+      const b1 = -2 * cosw0;
+      const b2 = 1;
+      const a0 = 1 + alpha;
+      const a1 = -2 * cosw0;
+      const a2 = 1 - alpha;
+      return normalizeCoefficients(b0, b1, b2, a0, a1, a2);
+    }
+
+    case 'allpass': {
+      const alpha = sinw0 / (2 * qValue);
+      const b0 = 1 - alpha;
+      const b1 = -2 * cosw0;
+      const b2 = 1 + alpha;
+      const a0 = 1 + alpha;
+      const a1 = -2 * cosw0;
+      const a2 = 1 - alpha;
+      return normalizeCoefficients(b0, b1, b2, a0, a1, a2);
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a band is a higher-order crossover, i.e. a lowpass/highpass with an
+ * `alignment` that expands into several biquad sections
+ */
+export function isCrossoverBand(band) {
+  return Boolean(band)
+    && (band.type === 'lowpass' || band.type === 'highpass')
+    && CROSSOVER_ALIGNMENTS.includes(band.alignment);
+}
+
+/**
+ * Resolve the filter order of a crossover band from `order`, or from `slope`
+ * in dB/octave when no order is given
+ */
+export function getCrossoverOrder(band) {
+  if (Number.isFinite(band?.order)) {
+    return band.order;
+  }
+  if (Number.isFinite(band?.slope)) {
+    return Math.round(band.slope / 6);
+  }
+  return 2;
+}
+
+// Q of each complex pole pair of an Nth-order Butterworth prototype, in
+// ascending order. Odd orders also have a real pole that is not listed here.
+function butterworthPairQs(order) {
+  const qs = [];
+  for (let k = 1; k <= Math.floor(order / 2); k++) {
+    const angle = ((2 * k - 1 + (order % 2)) * Math.PI) / (2 * order);
+    qs.push(1 / (2 * Math.cos(angle)));
+  }
+  return qs;
+}
+
+function crossoverSectionQs(alignment, order) {
+  if (alignment === 'butterworth') {
+    return butterworthPairQs(order);
+  }
+
+  // Linkwitz-Riley is a Butterworth filter of half the order applied twice.
+  // When that half order is odd, its two first-order poles combine into one
+  // critically damped (Q = 0.5) section.
+  const half = order / 2;
+  const pairs = butterworthPairQs(half);
+  const qs = [...pairs, ...pairs];
+  if (half % 2 === 1) {
+    qs.unshift(0.5);
+  }
+  return qs;
+}
+
+/**
+ * Expand a band into the second-order sections that realize it. Ordinary
+ * bands return themselves; crossover bands return one lowpass/highpass band
+ * per biquad section with the alignment's Q values.
+ * @param {Object} band - EQ band configuration
+ * @returns {Array} Section bands, each representable by a single biquad
+ */
+export function expandBandSections(band) {
+  if (!band) {
+    return [];
+  }
+  if (!isCrossoverBand(band)) {
+    return [band];
+  }
+
+  const order = getCrossoverOrder(band);
+  if (!CROSSOVER_ORDERS[band.alignment].includes(order)) {
+    return [];
+  }
+
+  return crossoverSectionQs(band.alignment, order).map((Q) => ({
+    frequency: band.frequency,
+    type: band.type,
+    gain: 0,
+    Q
+  }));
+}
+
+/**
+ * Compute the coefficients of every biquad section a band expands into
+ * @param {Object} band - EQ band configuration
+ * @param {number} sampleRate - Sample rate in Hz (default: band.sampleRate or 48000)
+ * @param {string} design - 'rbj' (default) or 'matched'
+ * @returns {Array} Coefficient sets in processing order; empty for invalid
+ * and disabled (`enabled: false`) bands
+ */
+export function computeBandSections(band, sampleRate = band?.sampleRate ?? DEFAULT_SAMPLE_RATE, design = DEFAULT_DESIGN) {
+  if (band?.enabled === false) {
+    return [];
+  }
+  return expandBandSections(band)
+    .map((section) => computeBiquadCoefficients(section, sampleRate, design))
+    .filter(Boolean);
+}
+
+/**
+ * Compute the biquad cascade for a whole preset
+ * @param {Object|Array} preset - Preset/processor state with `bands` and `preamp`, or a bare bands array
+ * @param {number} sampleRate - Sample rate in Hz (default: 48000)
+ * @param {string} design - 'rbj' or 'matched' (default: preset.design, then 'rbj')
+ * @returns {Object} `{ gain, sections }` where `gain` is the linear preamp and
+ * `sections` holds the coefficient sets in chain order: one per ordinary band
+ * and several per crossover band. Disabled bands and bands with unsupported
+ * types are left out; `solo` flags are ignored.
+ */
+export function computeCascadeCoefficients(preset, sampleRate = DEFAULT_SAMPLE_RATE, design = preset?.design ?? DEFAULT_DESIGN) {
+  const bands = Array.isArray(preset) ? preset : preset?.bands;
+  if (!Array.isArray(bands)) {
+    throw new Error('computeCascadeCoefficients requires a preset with a bands array');
+  }
+
+  const preampDb = Array.isArray(preset) ? 0 : preset.preamp;
+  const sections = bands.flatMap((band) => computeBandSections(band, sampleRate, design));
+
+  return {
+    gain: Math.pow(10, (Number.isFinite(preampDb) ? preampDb : 0) / 20),
+    sections
+  };
+}
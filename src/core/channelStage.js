@@ -0,0 +1,127 @@
+/**
+ * Channel Stages
+ *
+ * Per-channel processing that follows the shared PEQ chain. 'left-right' runs
+ * an independent chain on each side, for example to correct a headphone's
+ * channel imbalance. 'mid-side' encodes to mid = (L + R) / 2 and
+ * side = (L - R) / 2, runs a chain on each and decodes back to left/right.
+ * 'stereo' needs no stage: the shared chain treats both channels alike.
+ */
+
+import { createPeqChain, syncPeqChain, updatePeqFilters, updatePreamp, cleanupPeqChain } from './peqGraph.js';
+
+export const CHANNEL_MODES = Object.freeze(['stereo', 'left-right', 'mid-side']);
+
+export const DEFAULT_CHANNEL_MODE = 'stereo';
+
+// Channel names each mode carries bands for
+export const CHANNEL_LAYOUTS = Object.freeze({
+  stereo: Object.freeze([]),
+  'left-right': Object.freeze(['left', 'right']),
+  'mid-side': Object.freeze(['mid', 'side'])
+});
+
+/**
+ * Build the stage for `mode`. Returns null for 'stereo'.
+ * @param {AudioContext} audioContext - Context to create the nodes in
+ * @param {string} mode - One of CHANNEL_MODES
+ * @param {Object} channels - `{ [name]: { bands, preamp } }` for the mode's CHANNEL_LAYOUTS names
+ * @param {string} design - Biquad design for the channel chains
+ * @returns {Object|null} `{ mode, inputNode, outputNode, chains, nodes }`
+ */
+export function createChannelStage(audioContext, mode, channels = {}, design = undefined) {
+  const names = CHANNEL_LAYOUTS[mode];
+  if (!names) {
+    throw new Error(`Unknown channel mode: ${mode}`);
+  }
+  if (names.length === 0) {
+    return null;
+  }
+
+  const inputNode = audioContext.createGain();
+  const outputNode = audioContext.createGain();
+  const splitter = audioContext.createChannelSplitter(2);
+  // Up-mix mono sources to both sides instead of leaving the right one silent
+  splitter.channelInterpretation = 'speakers';
+  const merger = audioContext.createChannelMerger(2);
+  const matrix = [];
+
+  const matrixGain = (value) => {
+    const node = audioContext.createGain();
+    node.gain.value = value;
+    matrix.push(node);
+    return node;
+  };
+
+  const chains = {};
+  names.forEach((name) => {
+    const { bands = [], preamp = 0 } = channels[name] ?? {};
+    const chain = createPeqChain(audioContext, bands, design);
+    updatePeqFilters(chain.bandNodes, bands);
+    updatePreamp(chain.preampNode, preamp);
+    chains[name] = chain;
+  });
+
+  inputNode.connect(splitter);
+  merger.connect(outputNode);
+
+  if (mode === 'left-right') {
+    splitter.connect(chains.left.inputNode, 0);
+    splitter.connect(chains.right.inputNode, 1);
+    chains.left.outputNode.connect(merger, 0, 0);
+    chains.right.outputNode.connect(merger, 0, 1);
+  } else {
+    // Encode: mid = (L + R) / 2, side = (L - R) / 2
+    const leftHalf = matrixGain(0.5);
+    const rightHalf = matrixGain(0.5);
+    const rightHalfInverted = matrixGain(-0.5);
+    splitter.connect(leftHalf, 0);
+    splitter.connect(rightHalf, 1);
+    splitter.connect(rightHalfInverted, 1);
+    leftHalf.connect(chains.mid.inputNode);
+    rightHalf.connect(chains.mid.inputNode);
+    leftHalf.connect(chains.side.inputNode);
+    rightHalfInverted.connect(chains.side.inputNode);
+
+    // Decode: left = mid + side, right = mid - side
+    const sideInverted = matrixGain(-1);
+    chains.mid.outputNode.connect(merger, 0, 0);
+    chains.mid.outputNode.connect(merger, 0, 1);
+    chains.side.outputNode.connect(merger, 0, 0);
+    chains.side.outputNode.connect(sideInverted);
+    sideInverted.connect(merger, 0, 1);
+  }
+
+  return {
+    mode,
+    inputNode,
+    outputNode,
+    chains,
+    nodes: [inputNode, splitter, ...matrix, merger, outputNode]
+  };
+}
+
+/**
+ * Apply channel bands and preamps to an existing stage, reusing its nodes
+ * the same way syncPeqChain does for the shared chain.
+ */
+export function syncChannelStage(audioContext, stage, channels = {}, smoothing = null, design = undefined) {
+  if (!stage) return;
+  Object.entries(stage.chains).forEach(([name, chain]) => {
+    const { bands = [], preamp = 0 } = channels[name] ?? {};
+    syncPeqChain(audioContext, chain, bands, smoothing, design);
+    updatePreamp(chain.preampNode, preamp, smoothing);
+  });
+}
+
+export function cleanupChannelStage(stage) {
+  if (!stage) return;
+  Object.values(stage.chains).forEach(cleanupPeqChain);
+  stage.nodes.forEach((node) => {
+    try {
+      node.disconnect();
+    } catch (err) {
+      console.warn('Failed to disconnect channel stage node', err);
+    }
+  });
+}
@@ -0,0 +1,169 @@
+/**
+ * Dynamic EQ
+ *
+ * A dynamic band is a gain band (peaking or shelf) with a `dynamic` block.
+ * Its gain leaves the static `gain` as the level in its detection band rises
+ * above `threshold`, moving by up to `maxGain` dB: negative values cut loud
+ * content (de-essing), positive values boost it. The detector and gain
+ * computer below are shared by the offline renderer and the AudioWorklet
+ * that drives the live graph, so both respond identically.
+ */
+
+import { computeBiquadCoefficients, DEFAULT_DESIGN, GAIN_FILTER_TYPES, IDENTITY_BIQUAD } from './biquad.js';
+
+export const DEFAULT_DYNAMIC_SETTINGS = Object.freeze({
+  threshold: -24, // dBFS
+  ratio: 4,
+  attack: 0.005, // seconds
+  release: 0.08, // seconds
+  maxGain: -6 // dB at full engagement
+});
+
+const MIN_LEVEL = 1e-12;
+
+export function isDynamicBand(band) {
+  return Boolean(band?.dynamic) && GAIN_FILTER_TYPES.includes(band.type || 'peaking');
+}
+
+/**
+ * The design a band is rendered with under the chain's `design`. The live
+ * graph drives a dynamic band through a BiquadFilterNode's `gain` param, so
+ * dynamic bands are always RBJ; the offline renderer and the response math
+ * follow suit.
+ */
+export function resolveBandDesign(band, design = DEFAULT_DESIGN) {
+  return isDynamicBand(band) ? DEFAULT_DESIGN : design;
+}
+
+/**
+ * Merge a band's `dynamic` block with the defaults. The detection band
+ * defaults to the band's own frequency and Q; `dynamic.frequency` and
+ * `dynamic.Q` move it, e.g. to key a shelf from a narrower region.
+ * @throws {RangeError} When a setting is out of range
+ */
+export function resolveDynamicSettings(band) {
+  const settings = { ...DEFAULT_DYNAMIC_SETTINGS, ...band?.dynamic };
+  const frequency = settings.frequency ?? band?.frequency;
+  const Q = settings.Q ?? band?.Q ?? 1;
+
+  if (!Number.isFinite(settings.threshold)) {
+    throw new RangeError(`Invalid dynamic threshold: ${settings.threshold}`);
+  }
+  if (typeof settings.ratio !== 'number' || Number.isNaN(settings.ratio) || settings.ratio < 1) {
+    throw new RangeError(`Invalid dynamic ratio: ${settings.ratio}`);
+  }
+  if (!Number.isFinite(settings.attack) || settings.attack < 0) {
+    throw new RangeError(`Invalid dynamic attack: ${settings.attack}`);
+  }
+  if (!Number.isFinite(settings.release) || settings.release < 0) {
+    throw new RangeError(`Invalid dynamic release: ${settings.release}`);
+  }
+  if (!Number.isFinite(settings.maxGain) || Math.abs(settings.maxGain) > 24) {
+    throw new RangeError(`Invalid dynamic maxGain: ${settings.maxGain}`);
+  }
+  if (!Number.isFinite(frequency) || frequency <= 0) {
+    throw new RangeError(`Invalid dynamic detection frequency: ${frequency}`);
+  }
+  if (!Number.isFinite(Q) || Q <= 0) {
+    throw new RangeError(`Invalid dynamic detection Q: ${Q}`);
+  }
+
+  return {
+    threshold: settings.threshold,
+    ratio: settings.ratio,
+    attack: settings.attack,
+    release: settings.release,
+    maxGain: settings.maxGain,
+    frequency,
+    Q
+  };
+}
+
+/**
+ * Static gain curve: dB of gain change for a detector level in dBFS. Kept
+ * free of outside references because the worklet embeds its source.
+ */
+export function computeDynamicGain(levelDb, threshold, ratio, maxGain) {
+  const over = levelDb - threshold;
+  if (!(over > 0) || maxGain === 0) {
+    return 0;
+  }
+  const amount = Math.min(over * (1 - 1 / ratio), Math.abs(maxGain));
+  return maxGain < 0 ? -amount : amount;
+}
+
+// One-pole smoothing coefficient for a time constant in seconds
+export function envelopeCoefficient(time, sampleRate) {
+  return time > 0 ? Math.exp(-1 / (time * sampleRate)) : 0;
+}
+
+/**
+ * Band as it sounds with `gainOffset` dB of dynamic gain applied. With no
+ * offset given the band is fully engaged (`gain + maxGain`).
+ */
+export function applyDynamicGain(band, gainOffset = resolveDynamicSettings(band).maxGain) {
+  if (!isDynamicBand(band)) {
+    return band;
+  }
+  return { ...band, gain: (Number.isFinite(band.gain) ? band.gain : 0) + gainOffset };
+}
+
+// Normalized bandpass coefficients that isolate the level a band reacts to
+export function computeDetectionCoefficients(band, sampleRate) {
+  const { frequency, Q } = resolveDynamicSettings(band);
+  return computeBiquadCoefficients({ type: 'bandpass', frequency, Q, gain: 0 }, sampleRate) ?? { ...IDENTITY_BIQUAD };
+}
+
+/**
+ * Level detector for one dynamic band: detection bandpass per channel, then
+ * a peak envelope with separate attack and release linked across channels.
+ */
+export class DynamicBandDetector {
+  constructor(band, sampleRate) {
+    this.sampleRate = sampleRate;
+    this.states = [];
+    this.envelope = 0;
+    this.configure(band);
+  }
+
+  // Pick up new settings without dropping the detector's state
+  configure(band) {
+    this.settings = resolveDynamicSettings(band);
+    this.coefficients = computeDetectionCoefficients(band, this.sampleRate);
+    this.attackCoeff = envelopeCoefficient(this.settings.attack, this.sampleRate);
+    this.releaseCoeff = envelopeCoefficient(this.settings.release, this.sampleRate);
+  }
+
+  reset() {
+    this.states = [];
+    this.envelope = 0;
+  }
+
+  // Detection-filtered absolute level of one channel's sample
+  detect(sample, channel) {
+    if (!this.states[channel]) {
+      this.states[channel] = new Float64Array(2);
+    }
+    const state = this.states[channel];
+    const { b0, b1, b2, a1, a2 } = this.coefficients;
+    const output = b0 * sample + state[0];
+    state[0] = b1 * sample - a1 * output + state[1];
+    state[1] = b2 * sample - a2 * output;
+    return Math.abs(output);
+  }
+
+  // Advance the envelope by one frame whose peak detected level is `level`
+  follow(level) {
+    const coeff = level > this.envelope ? this.attackCoeff : this.releaseCoeff;
+    this.envelope = coeff * this.envelope + (1 - coeff) * level;
+  }
+
+  get levelDb() {
+    return 20 * Math.log10(Math.max(this.envelope, MIN_LEVEL));
+  }
+
+  get gainDb() {
+    const { threshold, ratio, maxGain } = this.settings;
+    return computeDynamicGain(this.levelDb, threshold, ratio, maxGain);
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Dynamic EQ AudioWorklet
+ *
+ * The worklet listens to the chain input and, for each dynamic band, writes
+ * the current gain change in dB to one mono output. That output is connected
+ * to the band's BiquadFilterNode `gain` AudioParam, where it adds to the
+ * static gain, so the band moves at audio rate without main-thread round
+ * trips. Meter readings are posted back over the port at `meterInterval`.
+ *
+ * The processor source is built from the shared functions in dynamics.js;
+ * worklets.js loads it.
+ */
+
+import { computeDynamicGain, envelopeCoefficient } from './dynamics.js';
+
+export const DYNAMICS_PROCESSOR_NAME = 'saku-peq-dynamics';
+
+// Seconds between meter messages from the audio thread
+export const DEFAULT_METER_INTERVAL = 1 / 30;
+
+export const DYNAMICS_PROCESSOR_SOURCE = `
+const computeDynamicGain = ${computeDynamicGain};
+const envelopeCoefficient = ${envelopeCoefficient};
+
+class DynamicsProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { bands = [], meterInterval = ${DEFAULT_METER_INTERVAL} } = options.processorOptions || {};
+    this.bands = [];
+    this.meterFrames = Math.max(128, Math.round(meterInterval * sampleRate));
+    this.framesSinceMeter = 0;
+    this.configure(bands);
+    this.port.onmessage = (event) => this.configure(event.data.bands || []);
+  }
+
+  // Detector state carries over by position so setting tweaks do not reset it
+  configure(bands) {
+    const previous = this.bands;
+    this.bands = bands.map((band, index) => ({
+      ...band,
+      attackCoeff: envelopeCoefficient(band.attack, sampleRate),
+      releaseCoeff: envelopeCoefficient(band.release, sampleRate),
+      states: previous[index] ? previous[index].states : [],
+      envelope: previous[index] ? previous[index].envelope : 0,
+      gainDb: previous[index] ? previous[index].gainDb : 0
+    }));
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0] || [];
+
+    this.bands.forEach((band, bandIndex) => {
+      const output = outputs[bandIndex] && outputs[bandIndex][0];
+      if (!output) return;
+      const { b0, b1, b2, a1, a2 } = band.coefficients;
+
+      for (let frame = 0; frame < output.length; frame++) {
+        let level = 0;
+        for (let channel = 0; channel < input.length; channel++) {
+          const state = band.states[channel] || (band.states[channel] = new Float64Array(2));
+          const sample = input[channel][frame];
+          const filtered = b0 * sample + state[0];
+          state[0] = b1 * sample - a1 * filtered + state[1];
+          state[1] = b2 * sample - a2 * filtered;
+          level = Math.max(level, Math.abs(filtered));
+        }
+
+        const coeff = level > band.envelope ? band.attackCoeff : band.releaseCoeff;
+        band.envelope = coeff * band.envelope + (1 - coeff) * level;
+        const levelDb = 20 * Math.log10(Math.max(band.envelope, 1e-12));
+        band.gainDb = computeDynamicGain(levelDb, band.threshold, band.ratio, band.maxGain);
+        output[frame] = band.gainDb;
+      }
+    });
+
+    this.framesSinceMeter += 128;
+    if (this.framesSinceMeter >= this.meterFrames) {
+      this.framesSinceMeter = 0;
+      this.port.postMessage({ time: currentTime, gains: this.bands.map((band) => band.gainDb) });
+    }
+    return true;
+  }
+}
+
+registerProcessor('${DYNAMICS_PROCESSOR_NAME}', DynamicsProcessor);
+`;
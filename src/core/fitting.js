@@ -0,0 +1,641 @@
+/**
+ * PEQ Fitting
+ *
+ * Fits parametric bands that bring a measured response to a target curve.
+ * Bands are added one at a time where the remaining error is largest, each
+ * tried as every allowed type and tuned on its own, then all bands are tuned
+ * together by Levenberg–Marquardt over log frequency, log Q and gain. The
+ * model is calculateBandResponse, and nothing is random, so the same inputs
+ * always give the same preset. The same tuning reduces a preset to fewer
+ * bands while staying close to its original response.
+ */
+
+import {
+  calculateBandResponse,
+  calculateBandResponseCurve,
+  generateFrequencies,
+  getResponseAtFrequencies
+} from './frequencyResponse.js';
+import { FrequencyCurve, calculateCorrectedResponse, compareToTarget } from './frequencyCurve.js';
+import { DEFAULT_SAMPLE_RATE, DEFAULT_DESIGN, GAIN_FILTER_TYPES } from './biquad.js';
+import { normalizePreset } from '../presets/presetManager.js';
+import { isBandEnabled } from './bandActivity.js';
+
+export const DEFAULT_FIT_OPTIONS = Object.freeze({
+  bandCount: 10,
+  types: Object.freeze(['peaking', 'lowshelf', 'highshelf']),
+  // Range that is fitted and that band frequencies stay in
+  minFreq: 20,
+  maxFreq: 16000,
+  minQ: 0.18,
+  maxQ: 6,
+  // Shelf Q is the slope: above 1 the shelf overshoots, far below it the shelf barely turns
+  minShelfQ: 0.4,
+  maxShelfQ: 1,
+  minGain: -12,
+  maxGain: 12,
+  // Soft limit on the combined boost in dB: the correction is capped here and
+  // boosts beyond it are penalized, so the fit may overshoot it slightly
+  maxBoost: 6,
+  numPoints: 128,
+  // How the target level is matched to the measurement, see compareToTarget
+  align: 'mean',
+  sampleRate: DEFAULT_SAMPLE_RATE,
+  design: DEFAULT_DESIGN,
+  // Iterations per refinement, and the RMS improvement in dB below which no band is added
+  maxIterations: 200,
+  tolerance: 0.01,
+  name: 'Fitted PEQ'
+});
+
+// Weight of response above maxBoost relative to the fit error
+const BOOST_PENALTY = 10;
+// Finite-difference steps for log2 frequency, log2 Q and gain
+const DERIVATIVE_STEPS = Object.freeze([1e-4, 1e-4, 1e-3]);
+// Relative loss improvement below which refinement stops
+const CONVERGENCE = 1e-6;
+
+function resolveFitOptions(options) {
+  const resolved = { ...DEFAULT_FIT_OPTIONS, ...options };
+  const { bandCount, types, minFreq, maxFreq, minQ, maxQ, minShelfQ, maxShelfQ, minGain, maxGain, maxBoost } = resolved;
+  if (!Number.isInteger(bandCount) || bandCount < 1) {
+    throw new RangeError(`Invalid band count: ${bandCount}`);
+  }
+  if (!Array.isArray(types) || types.length === 0 || types.some((type) => !GAIN_FILTER_TYPES.includes(type))) {
+    throw new RangeError(`Fit types must be a non-empty list of ${GAIN_FILTER_TYPES.join(', ')}`);
+  }
+  if (!(minFreq >= 20) || !(maxFreq > minFreq) || maxFreq > 20000) {
+    throw new RangeError(`Invalid fit frequency range: ${minFreq}–${maxFreq} Hz`);
+  }
+  [[minQ, maxQ], [minShelfQ, maxShelfQ]].forEach(([min, max]) => {
+    if (!(min > 0) || !(max >= min) || max > 10) {
+      throw new RangeError(`Invalid fit Q range: ${min}–${max}`);
+    }
+  });
+  if (!(minGain >= -24) || !(maxGain <= 24) || !(maxGain >= minGain)) {
+    throw new RangeError(`Invalid fit gain range: ${minGain}–${maxGain} dB`);
+  }
+  if (!Number.isFinite(maxBoost) || maxBoost < 0) {
+    throw new RangeError(`Invalid maximum boost: ${maxBoost}`);
+  }
+  return resolved;
+}
+
+function toCurve(curve) {
+  return curve instanceof FrequencyCurve ? curve : FrequencyCurve.fromResponse(curve);
+}
+
+// Correction the bands should apply: target minus measurement, aligned and capped at maxBoost
+function correctionCurve(measurement, target, frequencies, options) {
+  const { errorDb } = compareToTarget(target, measurement, {
+    numPoints: frequencies.length,
+    minFreq: options.minFreq,
+    maxFreq: options.maxFreq,
+    align: options.align
+  });
+  return Float64Array.from(errorDb, (db) => Math.min(db, options.maxBoost));
+}
+
+class FitState {
+  constructor(frequencies, correction, options) {
+    this.frequencies = frequencies;
+    this.correction = correction;
+    this.options = options;
+    this.bands = [];
+    this.responses = [];
+    this.total = new Float64Array(frequencies.length);
+  }
+
+  response(band) {
+    const { sampleRate, design } = this.options;
+    return calculateBandResponseCurve(this.frequencies, band, { sampleRate, design });
+  }
+
+  // Under 'mean' alignment the overall level is free, as the preamp sets it
+  levelOffset(total) {
+    if (this.options.align !== 'mean') {
+      return 0;
+    }
+    let sum = 0;
+    for (let i = 0; i < total.length; i++) {
+      sum += this.correction[i] - total[i];
+    }
+    return sum / total.length;
+  }
+
+  // Mean squared error, plus a penalty for boosting beyond maxBoost
+  loss(total = this.total) {
+    const { maxBoost } = this.options;
+    const offset = this.levelOffset(total);
+    let sum = 0;
+    for (let i = 0; i < total.length; i++) {
+      const error = total[i] + offset - this.correction[i];
+      const excess = Math.max(0, total[i] - maxBoost);
+      sum += error * error + BOOST_PENALTY * excess * excess;
+    }
+    return sum / total.length;
+  }
+
+  rmsDb() {
+    const offset = this.levelOffset(this.total);
+    let sum = 0;
+    for (let i = 0; i < this.total.length; i++) {
+      sum += (this.total[i] + offset - this.correction[i]) ** 2;
+    }
+    return Math.sqrt(sum / this.total.length);
+  }
+
+  clampBand(band) {
+    const { minFreq, maxFreq, minGain, maxGain } = this.options;
+    const shelf = band.type === 'lowshelf' || band.type === 'highshelf';
+    const minQ = shelf ? this.options.minShelfQ : this.options.minQ;
+    const maxQ = shelf ? this.options.maxShelfQ : this.options.maxQ;
+    return {
+      ...band,
+      frequency: Math.min(maxFreq, Math.max(minFreq, band.frequency)),
+      Q: Math.min(maxQ, Math.max(minQ, band.Q)),
+      gain: Math.min(maxGain, Math.max(minGain, band.gain))
+    };
+  }
+
+  setBand(index, band, response = this.response(band)) {
+    const previous = this.responses[index];
+    for (let i = 0; i < this.total.length; i++) {
+      this.total[i] += response[i] - (previous ? previous[i] : 0);
+    }
+    this.bands[index] = band;
+    this.responses[index] = response;
+  }
+
+  removeBand(index) {
+    const previous = this.responses[index];
+    for (let i = 0; i < this.total.length; i++) {
+      this.total[i] -= previous[i];
+    }
+    this.bands.splice(index, 1);
+    this.responses.splice(index, 1);
+  }
+
+  clone() {
+    const copy = new FitState(this.frequencies, this.correction, this.options);
+    copy.bands = [...this.bands];
+    copy.responses = [...this.responses];
+    copy.total = Float64Array.from(this.total);
+    return copy;
+  }
+
+  // Combined response with the bands at `indices` replaced
+  totalWith(indices, bands) {
+    const total = Float64Array.from(this.total);
+    const responses = bands.map((band) => this.response(band));
+    indices.forEach((index, position) => {
+      for (let i = 0; i < total.length; i++) {
+        total[i] += responses[position][i] - this.responses[index][i];
+      }
+    });
+    return { total, responses };
+  }
+
+  // Residuals of the fit and of the boost penalty, whose squares sum to loss × points
+  residuals(total) {
+    const { maxBoost } = this.options;
+    const offset = this.levelOffset(total);
+    const weight = Math.sqrt(BOOST_PENALTY);
+    const residuals = new Float64Array(total.length * 2);
+    for (let i = 0; i < total.length; i++) {
+      residuals[i] = total[i] + offset - this.correction[i];
+      residuals[total.length + i] = weight * Math.max(0, total[i] - maxBoost);
+    }
+    return residuals;
+  }
+
+  // Finite-difference Jacobian of the residuals over the parameters of `indices`
+  jacobian(indices) {
+    const points = this.total.length;
+    const weight = Math.sqrt(BOOST_PENALTY);
+    const columns = [];
+    indices.forEach((index) => {
+      const parameters = toParameters(this.bands[index]);
+      parameters.forEach((_, param) => {
+        const shifted = [...parameters];
+        shifted[param] += DERIVATIVE_STEPS[param];
+        const response = this.response(fromParameters(shifted, this.bands[index]));
+        const derivative = Float64Array.from(response, (value, i) => (value - this.responses[index][i]) / DERIVATIVE_STEPS[param]);
+        const mean = this.options.align === 'mean' ? derivative.reduce((sum, value) => sum + value, 0) / points : 0;
+        const column = new Float64Array(points * 2);
+        for (let i = 0; i < points; i++) {
+          column[i] = derivative[i] - mean;
+          column[points + i] = this.total[i] > this.options.maxBoost ? weight * derivative[i] : 0;
+        }
+        columns.push(column);
+      });
+    });
+    return columns;
+  }
+}
+
+// Bands are tuned in octaves of frequency, powers of two of Q, and dB of gain
+function toParameters(band) {
+  return [Math.log2(band.frequency), Math.log2(band.Q), band.gain];
+}
+
+function fromParameters([logFrequency, logQ, gain], band) {
+  return { ...band, frequency: Math.pow(2, logFrequency), Q: Math.pow(2, logQ), gain };
+}
+
+function dot(left, right) {
+  let sum = 0;
+  for (let i = 0; i < left.length; i++) {
+    sum += left[i] * right[i];
+  }
+  return sum;
+}
+
+// Gaussian elimination with partial pivoting; null when the system is singular
+function solveLinear(matrix, vector) {
+  const size = vector.length;
+  const rows = matrix.map((row, index) => [...row, vector[index]]);
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-15) return null;
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    for (let row = column + 1; row < size; row++) {
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k <= size; k++) rows[row][k] -= factor * rows[column][k];
+    }
+  }
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = rows[row][size];
+    for (let k = row + 1; k < size; k++) sum -= rows[row][k] * solution[k];
+    solution[row] = sum / rows[row][row];
+  }
+  return solution;
+}
+
+/**
+ * Levenberg-Marquardt over the given bands, with parameters clamped to their
+ * bounds after each step.
+ * @returns {number} Iterations made
+ */
+function refineBands(state, indices, maxIterations, onIteration = () => {}) {
+  let loss = state.loss();
+  let damping = 1e-3;
+  let iterations = 0;
+
+  while (iterations < maxIterations) {
+    iterations++;
+    const residuals = state.residuals(state.total);
+    const columns = state.jacobian(indices);
+    const normal = columns.map(() => new Array(columns.length));
+    columns.forEach((left, i) => {
+      for (let j = 0; j <= i; j++) {
+        normal[i][j] = dot(left, columns[j]);
+        normal[j][i] = normal[i][j];
+      }
+    });
+    const gradient = columns.map((column) => -dot(column, residuals));
+    const current = indices.flatMap((index) => toParameters(state.bands[index]));
+
+    let accepted = false;
+    let converged = false;
+    while (!accepted && damping < 1e10) {
+      const damped = normal.map((row, i) => row.map((value, j) => (i === j ? value + damping * Math.max(value, 1e-9) : value)));
+      const step = solveLinear(damped, gradient);
+      if (step) {
+        const bands = indices.map((index, position) => state.clampBand(fromParameters(
+          current.slice(position * 3, position * 3 + 3).map((value, param) => value + step[position * 3 + param]),
+          state.bands[index]
+        )));
+        const { total, responses } = state.totalWith(indices, bands);
+        const candidateLoss = state.loss(total);
+        if (candidateLoss < loss) {
+          indices.forEach((index, position) => state.setBand(index, bands[position], responses[position]));
+          converged = loss - candidateLoss <= CONVERGENCE * loss;
+          loss = candidateLoss;
+          damping = Math.max(damping / 3, 1e-9);
+          accepted = true;
+          continue;
+        }
+      }
+      damping *= 4;
+    }
+    onIteration(iterations);
+    if (!accepted || converged) break;
+  }
+  return iterations;
+}
+
+// Q of a peak whose residual stays above half its height over `octaves`
+function widthToQ(octaves) {
+  const bandwidth = Math.max(octaves, 0.1);
+  return Math.sqrt(Math.pow(2, bandwidth)) / (Math.pow(2, bandwidth) - 1);
+}
+
+function initialBand(state, type) {
+  const { frequencies, correction, total } = state;
+  const offset = state.levelOffset(total);
+  const residual = Float64Array.from(correction, (value, i) => value - total[i] - offset);
+  let peak = 0;
+  for (let i = 1; i < residual.length; i++) {
+    if (Math.abs(residual[i]) > Math.abs(residual[peak])) peak = i;
+  }
+
+  const half = residual[peak] / 2;
+  let low = peak;
+  let high = peak;
+  while (low > 0 && residual[low - 1] * Math.sign(half) > Math.abs(half)) low--;
+  while (high < residual.length - 1 && residual[high + 1] * Math.sign(half) > Math.abs(half)) high++;
+  const octaves = Math.log2(frequencies[high] / frequencies[low]);
+
+  // A shelf is at half its gain at its corner, so it starts at the edge of the region
+  const edges = { lowshelf: frequencies[high], highshelf: frequencies[low] };
+  return state.clampBand({
+    frequency: edges[type] ?? frequencies[peak],
+    gain: residual[peak],
+    Q: type === 'peaking' ? widthToQ(octaves) : Math.SQRT1_2,
+    type
+  });
+}
+
+function roundBand(band) {
+  return {
+    frequency: Math.round(band.frequency),
+    gain: Math.round(band.gain * 10) / 10,
+    Q: Math.round(band.Q * 100) / 100,
+    type: band.type
+  };
+}
+
+/**
+ * Fit bands that correct a measurement towards a target.
+ * @param {FrequencyCurve|Object} measurement - Measured response, a curve or `{ frequencies, magnitudeDb }`
+ * @param {FrequencyCurve|Object} target - Target response
+ * @param {Object} options - See DEFAULT_FIT_OPTIONS
+ * @param {number} options.bandCount - Most bands to use; fewer are used when more would not help
+ * @param {Array<string>} options.types - Allowed band types, any of GAIN_FILTER_TYPES
+ * @param {Function} options.onProgress - Called with `{ stage, bands, iteration, rmsDb }` as bands
+ * are added ('add') and tuned together ('refine'); throw from it to stop the fit
+ * @returns {Object} `{ preset, rmsDb, maxDb, initialRmsDb, iterations }`. The preset's
+ * preamp comes from analyzeHeadroom; the errors compare measurement plus
+ * EQ with the target over the fitted range.
+ */
+export function fitPeqToTarget(measurement, target, options = {}) {
+  const { onProgress, ...fitOptions } = options;
+  const resolved = resolveFitOptions(fitOptions);
+  const report = typeof onProgress === 'function' ? onProgress : () => {};
+  const measurementCurve = toCurve(measurement);
+  const targetCurve = toCurve(target);
+
+  const frequencies = Float64Array.from(generateFrequencies(resolved.numPoints, resolved.minFreq, resolved.maxFreq));
+  const state = new FitState(frequencies, correctionCurve(measurementCurve, targetCurve, frequencies, resolved), resolved);
+  let iterations = 0;
+
+  while (state.bands.length < resolved.bandCount) {
+    const index = state.bands.length;
+    const before = state.rmsDb();
+    let best = null;
+
+    resolved.types.forEach((type) => {
+      state.setBand(index, initialBand(state, type));
+      iterations += refineBands(state, [index], resolved.maxIterations);
+      const loss = state.loss();
+      if (!best || loss < best.loss) {
+        best = { loss, band: state.bands[index], response: state.responses[index] };
+      }
+      state.removeBand(index);
+    });
+
+    state.setBand(index, best.band, best.response);
+    if (before - state.rmsDb() < resolved.tolerance) {
+      state.removeBand(index);
+      break;
+    }
+    iterations += refineBands(state, state.bands.map((_, band) => band), resolved.maxIterations);
+    report({ stage: 'add', bands: state.bands.length, iteration: iterations, rmsDb: state.rmsDb() });
+  }
+
+  const all = state.bands.map((_, index) => index);
+  iterations += refineBands(state, all, resolved.maxIterations, (pass) => {
+    report({ stage: 'refine', bands: state.bands.length, iteration: iterations + pass, rmsDb: state.rmsDb() });
+  });
+
+  const bands = state.bands.map(roundBand).sort((left, right) => left.frequency - right.frequency);
+  const preset = bands.length > 0
+    ? normalizePreset({ name: resolved.name, bands, design: resolved.design }, { autoPreamp: { sampleRate: resolved.sampleRate }, minBands: 0 })
+    : { name: resolved.name, preamp: 0, bands: [], design: resolved.design };
+
+  const grid = { numPoints: resolved.numPoints, minFreq: resolved.minFreq, maxFreq: resolved.maxFreq };
+  const initialRmsDb = compareToTarget(measurementCurve, targetCurve, { ...grid, align: resolved.align }).rmsDb;
+  const corrected = calculateCorrectedResponse(measurementCurve, bands, { ...grid, sampleRate: resolved.sampleRate, design: resolved.design });
+  const { rmsDb, maxDb } = compareToTarget(
+    { frequencies: corrected.frequencies, magnitudeDb: corrected.resultDb },
+    targetCurve,
+    { ...grid, align: resolved.align }
+  );
+
+  return { preset, rmsDb, maxDb, initialRmsDb, iterations };
+}
+
+export const DEFAULT_REDUCTION_OPTIONS = Object.freeze({
+  numPoints: 128,
+  minFreq: 20,
+  maxFreq: 20000,
+  sampleRate: DEFAULT_SAMPLE_RATE,
+  design: DEFAULT_DESIGN,
+  maxIterations: 50
+});
+
+// Retuned bands may take any value a preset band can hold, except for shelf
+// slopes so gentle the shelf barely turns
+const REDUCTION_BOUNDS = Object.freeze({
+  minQ: 0.1, maxQ: 10, minShelfQ: 0.4, maxShelfQ: 10, minGain: -24, maxGain: 24, maxBoost: Infinity, align: 'none'
+});
+// Iterations spent tuning a merged band while comparing candidates, and the
+// bands around each drop or merge while the reduction runs
+const MERGE_ITERATIONS = 10;
+// Tunable bands nearest a drop or merge that are retuned straight away
+const NEIGHBOUR_BANDS = 4;
+
+// Plain gain bands are retuned; pass, notch, allpass and dynamic bands stay as they are
+function isTunable(band) {
+  return GAIN_FILTER_TYPES.includes(band.type) && band.dynamic === undefined;
+}
+
+function tunableIndices(state) {
+  return state.bands.flatMap((band, index) => (isTunable(band) ? [index] : []));
+}
+
+// The tunable bands closest in frequency to a change at `frequency`
+function neighbourIndices(state, frequency) {
+  const distance = (index) => Math.abs(Math.log2(state.bands[index].frequency / frequency));
+  return tunableIndices(state)
+    .sort((left, right) => distance(left) - distance(right))
+    .slice(0, NEIGHBOUR_BANDS);
+}
+
+// One band where two neighbours were: at their gain-weighted centre, with their combined gain there
+function mergeBands(first, second, state) {
+  const firstWeight = Math.abs(first.gain);
+  const secondWeight = Math.abs(second.gain);
+  const weights = firstWeight + secondWeight;
+  const logFrequency = weights > 0
+    ? (firstWeight * Math.log2(first.frequency) + secondWeight * Math.log2(second.frequency)) / weights
+    : (Math.log2(first.frequency) + Math.log2(second.frequency)) / 2;
+  const frequency = Math.pow(2, logFrequency);
+  const { sampleRate, design } = state.options;
+  const gain = calculateBandResponse(frequency, first, { sampleRate, design })
+    + calculateBandResponse(frequency, second, { sampleRate, design });
+  const spread = Math.abs(Math.log2(first.frequency / second.frequency));
+  return state.clampBand({ ...first, frequency, gain, Q: Math.sqrt(first.Q * second.Q) / (1 + spread) });
+}
+
+// Every way of removing one band: dropping any band, or merging neighbouring tunable bands of one type
+function reductionCandidates(state) {
+  const candidates = state.bands.map((band, index) => {
+    const next = state.clone();
+    next.removeBand(index);
+    return { state: next, merged: false, frequency: band.frequency };
+  });
+
+  const tunable = tunableIndices(state).sort((left, right) => state.bands[left].frequency - state.bands[right].frequency);
+  tunable.slice(1).forEach((second, position) => {
+    const first = tunable[position];
+    if (state.bands[first].type !== state.bands[second].type) return;
+    const next = state.clone();
+    const band = mergeBands(state.bands[first], state.bands[second], state);
+    next.setBand(first, band);
+    next.removeBand(second);
+    refineBands(next, [second < first ? first - 1 : first], MERGE_ITERATIONS);
+    candidates.push({ state: next, merged: true, frequency: band.frequency });
+  });
+  return candidates;
+}
+
+/**
+ * Reduce bands to a smaller count while keeping the combined response close
+ * to the original. Disabled bands go first; then, one band at a time, the
+ * drop or merge of neighbouring bands that changes the response least is
+ * made and the gain bands around it are retuned. All remaining gain bands are
+ * tuned together once at the end rather than after every step.
+ * @param {Array} bands - Bands to reduce
+ * @param {number} bandCount - Most bands to keep
+ * @param {Object} options - See DEFAULT_REDUCTION_OPTIONS
+ * @returns {Object} `{ bands, dropped, merged, maxDeviationDb, rmsDeviationDb }`,
+ * the deviations measured against the original response over the grid
+ */
+export function reduceBands(bands, bandCount, options = {}) {
+  if (!Array.isArray(bands)) {
+    throw new TypeError('reduceBands requires a bands array');
+  }
+  if (!Number.isInteger(bandCount) || bandCount < 1) {
+    throw new RangeError(`Invalid band count: ${bandCount}`);
+  }
+  const resolved = { ...DEFAULT_REDUCTION_OPTIONS, ...options, ...REDUCTION_BOUNDS };
+  const enabled = bands.filter(isBandEnabled);
+  let dropped = bands.length - enabled.length;
+  let merged = 0;
+  if (bands.length <= bandCount) {
+    return { bands: bands.map((band) => ({ ...band })), dropped: 0, merged: 0, maxDeviationDb: 0, rmsDeviationDb: 0 };
+  }
+
+  const frequencies = Float64Array.from(generateFrequencies(resolved.numPoints, resolved.minFreq, resolved.maxFreq));
+  let state = new FitState(frequencies, new Float64Array(frequencies.length), resolved);
+  enabled.forEach((band, index) => state.setBand(index, band));
+  state.correction = Float64Array.from(state.total);
+
+  while (state.bands.length > bandCount) {
+    const best = reductionCandidates(state)
+      .reduce((winner, candidate) => (candidate.state.loss() < winner.state.loss() ? candidate : winner));
+    state = best.state;
+    if (best.merged) {
+      merged++;
+    } else {
+      dropped++;
+    }
+    refineBands(state, neighbourIndices(state, best.frequency), MERGE_ITERATIONS);
+  }
+  if (state.bands.length < enabled.length) {
+    refineBands(state, tunableIndices(state), resolved.maxIterations);
+  }
+
+  // Bands the reduction retuned are rounded like fitted bands
+  const reduced = state.bands.map((band) => (enabled.includes(band) ? { ...band } : { ...band, ...roundBand(band) }));
+  const deviation = getResponseAtFrequencies(reduced, frequencies, resolved)
+    .map((db, index) => Math.abs(db - state.correction[index]));
+  return {
+    bands: reduced,
+    dropped,
+    merged,
+    maxDeviationDb: Math.max(...deviation),
+    rmsDeviationDb: Math.sqrt(deviation.reduce((sum, value) => sum + value * value, 0) / deviation.length)
+  };
+}
+
+// Gain steps for the free sliders: the square system itself while every
+// slider is free, its least-squares normal equations once some are pinned
+function sliderStep(unitResponses, error, free) {
+  if (free.length === unitResponses.length) {
+    return solveLinear(unitResponses, error);
+  }
+  const columns = free.map((slider) => unitResponses.map((row) => row[slider]));
+  const dot = (left, right) => left.reduce((sum, value, index) => sum + value * right[index], 0);
+  return solveLinear(columns.map((column) => columns.map((other) => dot(column, other))), columns.map((column) => dot(column, error)));
+}
+
+/**
+ * Gains for peaking bands at fixed frequencies, such as the sliders of a
+ * graphic EQ, whose combined response matches `bands` at those frequencies.
+ * Each step solves for the gain change with the sliders' unit-gain responses,
+ * so bands that already are such sliders come back with their own gains.
+ * A slider that reaches `minGain` or `maxGain` stays there, and the others
+ * are fitted around it.
+ * @param {Array} bands - Bands to match; disabled bands are ignored and solo is not applied
+ * @param {Array<number>} frequencies - Slider frequencies in Hz
+ * @param {Object} options - `Q` of every slider (default: 1), `minGain` and
+ * `maxGain` in dB (default: unbounded), `sampleRate`, `design`, `maxIterations` (default: 20)
+ * @returns {Object} `{ bands, maxDeviationDb }`, the deviation measured at the slider frequencies
+ */
+export function fitFixedBands(bands, frequencies, options = {}) {
+  if (!Array.isArray(bands) || !Array.isArray(frequencies)) {
+    throw new TypeError('fitFixedBands requires bands and frequency arrays');
+  }
+  const {
+    Q = 1,
+    minGain = -Infinity,
+    maxGain = Infinity,
+    sampleRate = DEFAULT_SAMPLE_RATE,
+    design = DEFAULT_DESIGN,
+    maxIterations = 20
+  } = options;
+  if (!(minGain <= 0) || !(maxGain >= 0)) {
+    throw new RangeError(`Invalid slider gain range: ${minGain}–${maxGain} dB`);
+  }
+  const responseOptions = { sampleRate, design };
+  const sliders = frequencies.map((frequency) => ({ frequency, gain: 0, Q, type: 'peaking' }));
+  const unitResponses = frequencies.map((frequency) => (
+    sliders.map((slider) => calculateBandResponse(frequency, { ...slider, gain: 1 }, responseOptions))
+  ));
+  const source = bands.filter(isBandEnabled).map((band) => ({ ...band, solo: false }));
+  const target = getResponseAtFrequencies(source, frequencies, responseOptions);
+  const pinned = new Set();
+
+  let error = target;
+  const maxError = () => Math.max(0, ...error.map(Math.abs));
+  for (let iteration = 0; iteration < maxIterations && maxError() > CONVERGENCE; iteration++) {
+    const free = sliders.map((_, index) => index).filter((index) => !pinned.has(index));
+    const step = free.length > 0 ? sliderStep(unitResponses, error, free) : null;
+    if (!step) break;
+    free.forEach((index, position) => {
+      const gain = sliders[index].gain + step[position];
+      sliders[index].gain = Math.min(maxGain, Math.max(minGain, gain));
+      if (sliders[index].gain !== gain) pinned.add(index);
+    });
+    const response = getResponseAtFrequencies(sliders, frequencies, responseOptions);
+    error = target.map((db, index) => db - response[index]);
+  }
+  return { bands: sliders, maxDeviationDb: maxError() };
+}
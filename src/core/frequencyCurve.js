@@ -0,0 +1,197 @@
+/**
+ * Frequency Curves
+ *
+ * Measured or target frequency responses, as opposed to the responses the
+ * library computes from bands. A curve is a list of (frequency, dB) points
+ * evaluated by interpolating linearly in dB over log frequency and holding
+ * the end values outside the measured range, so it can be read on the same
+ * grid as calculateFrequencyResponse to overlay measurement, EQ and result,
+ * or to compare a result with a target.
+ */
+
+import { generateFrequencies, calculateFrequencyResponse, calculateProcessorResponse } from './frequencyResponse.js';
+
+export const DEFAULT_CURVE_GRID = Object.freeze({ numPoints: 512, minFreq: 20, maxFreq: 20000 });
+
+// 'mean' removes the average difference, a frequency in Hz aligns the curves there
+export const CURVE_ALIGNMENTS = Object.freeze(['mean', 'none']);
+
+export class FrequencyCurve {
+  /**
+   * @param {ArrayLike<number>} frequencies - Hz, positive
+   * @param {ArrayLike<number>} magnitudeDb - dB at each frequency
+   * @param {Object} options - `name` for display
+   */
+  constructor(frequencies, magnitudeDb, { name = '' } = {}) {
+    if (!frequencies || !magnitudeDb || frequencies.length !== magnitudeDb.length) {
+      throw new Error('FrequencyCurve needs frequency and magnitude arrays of the same length');
+    }
+    const points = Array.from(frequencies, (frequency, index) => [Number(frequency), Number(magnitudeDb[index])])
+      .filter(([frequency, db]) => Number.isFinite(frequency) && frequency > 0 && Number.isFinite(db))
+      .sort((left, right) => left[0] - right[0])
+      // Repeated frequencies keep their last value
+      .filter((point, index, sorted) => index === sorted.length - 1 || sorted[index + 1][0] !== point[0]);
+    if (points.length < 2) {
+      throw new Error('FrequencyCurve needs at least two points with a positive frequency');
+    }
+
+    this.name = name;
+    this.frequencies = points.map(([frequency]) => frequency);
+    this.magnitudeDb = points.map(([, db]) => db);
+    this.logFrequencies = this.frequencies.map(Math.log);
+  }
+
+  /**
+   * Build a curve from a `{ frequencies, magnitudeDb }` response.
+   */
+  static fromResponse(response, options = {}) {
+    return new FrequencyCurve(response.frequencies, response.magnitudeDb, options);
+  }
+
+  get minFrequency() {
+    return this.frequencies[0];
+  }
+
+  get maxFrequency() {
+    return this.frequencies[this.frequencies.length - 1];
+  }
+
+  /**
+   * @param {number} frequency - Hz
+   * @returns {number} dB, interpolated over log frequency
+   */
+  valueAt(frequency) {
+    const { frequencies, magnitudeDb, logFrequencies } = this;
+    if (!(frequency > frequencies[0])) {
+      return magnitudeDb[0];
+    }
+    const last = frequencies.length - 1;
+    if (frequency >= frequencies[last]) {
+      return magnitudeDb[last];
+    }
+
+    let low = 0;
+    let high = last;
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (frequencies[middle] <= frequency) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    const position = (Math.log(frequency) - logFrequencies[low]) / (logFrequencies[high] - logFrequencies[low]);
+    return magnitudeDb[low] + (magnitudeDb[high] - magnitudeDb[low]) * position;
+  }
+
+  /**
+   * @param {ArrayLike<number>} frequencies - Hz
+   * @returns {Array<number>} dB at each frequency
+   */
+  evaluate(frequencies) {
+    return Array.from(frequencies, (frequency) => this.valueAt(frequency));
+  }
+
+  /**
+   * The curve on the generateFrequencies grid.
+   * @param {Object} options - `numPoints`, `minFreq`, `maxFreq`, see DEFAULT_CURVE_GRID
+   * @returns {Object} `{ frequencies, magnitudeDb }` like calculateFrequencyResponse
+   */
+  toResponse(options = {}) {
+    const frequencies = curveGrid(options);
+    return { frequencies, magnitudeDb: this.evaluate(frequencies) };
+  }
+
+  /**
+   * Shift the curve so it reads 0 dB at `frequency`.
+   * @returns {FrequencyCurve}
+   */
+  normalize(frequency = 1000) {
+    return this.offset(-this.valueAt(frequency));
+  }
+
+  /**
+   * @param {number} db - Gain to add everywhere
+   * @returns {FrequencyCurve}
+   */
+  offset(db) {
+    return new FrequencyCurve(this.frequencies, this.magnitudeDb.map((value) => value + db), { name: this.name });
+  }
+}
+
+function curveGrid(options) {
+  const { numPoints, minFreq, maxFreq } = { ...DEFAULT_CURVE_GRID, ...options };
+  return Array.from(generateFrequencies(numPoints, minFreq, maxFreq));
+}
+
+function toCurve(curve) {
+  return curve instanceof FrequencyCurve ? curve : FrequencyCurve.fromResponse(curve);
+}
+
+/**
+ * What a measured device sounds like through an EQ: the measurement, the EQ
+ * response and their sum on one grid.
+ * @param {FrequencyCurve|Object} measurement - Curve or `{ frequencies, magnitudeDb }`
+ * @param {Array|Object} eq - Bands, or a preset or PEQProcessor state whose
+ * `preamp` is added to the EQ response
+ * @param {Object} options - Grid options plus those of calculateFrequencyResponse
+ * (`sampleRate`, `design`, `channel` for a state)
+ * @returns {Object} `{ frequencies, measurementDb, eqDb, resultDb }`
+ */
+export function calculateCorrectedResponse(measurement, eq, options = {}) {
+  const curve = toCurve(measurement);
+  const gridOptions = { ...DEFAULT_CURVE_GRID, ...options };
+  const response = Array.isArray(eq)
+    ? calculateFrequencyResponse(eq, gridOptions)
+    : calculateProcessorResponse(eq, gridOptions);
+  const preamp = Array.isArray(eq) ? 0 : (eq.preamp ?? 0);
+
+  const { frequencies } = response;
+  const measurementDb = curve.evaluate(frequencies);
+  const eqDb = response.magnitudeDb.map((db) => db + preamp);
+  return {
+    frequencies,
+    measurementDb,
+    eqDb,
+    resultDb: measurementDb.map((db, index) => db + eqDb[index])
+  };
+}
+
+/**
+ * Deviation of a response from a target curve.
+ * @param {FrequencyCurve|Object} curve - Curve or `{ frequencies, magnitudeDb }`,
+ * e.g. `{ frequencies, magnitudeDb: resultDb }` from calculateCorrectedResponse
+ * @param {FrequencyCurve|Object} target - Target curve
+ * @param {Object} options - Grid options and `align`: 'mean' (default) to
+ * ignore an overall level difference, a frequency in Hz to match the levels
+ * there, or 'none'
+ * @returns {Object} `{ frequencies, errorDb, offsetDb, rmsDb, maxDb }` where
+ * `errorDb` is curve minus target after `offsetDb` was added to the curve
+ */
+export function compareToTarget(curve, target, options = {}) {
+  const { align = 'mean', ...gridOptions } = options;
+  if (!CURVE_ALIGNMENTS.includes(align) && !(Number.isFinite(align) && align > 0)) {
+    throw new RangeError(`Unknown curve alignment: ${align}`);
+  }
+
+  const frequencies = curveGrid(gridOptions);
+  const source = toCurve(curve);
+  const targetCurve = toCurve(target);
+  const difference = frequencies.map((frequency) => source.valueAt(frequency) - targetCurve.valueAt(frequency));
+
+  let offsetDb = 0;
+  if (align === 'mean') {
+    offsetDb = -difference.reduce((total, value) => total + value, 0) / difference.length;
+  } else if (align !== 'none') {
+    offsetDb = targetCurve.valueAt(align) - source.valueAt(align);
+  }
+
+  const errorDb = difference.map((value) => value + offsetDb);
+  return {
+    frequencies,
+    errorDb,
+    offsetDb,
+    rmsDb: Math.sqrt(errorDb.reduce((total, value) => total + value * value, 0) / errorDb.length),
+    maxDb: errorDb.reduce((max, value) => Math.max(max, Math.abs(value)), 0)
+  };
+}
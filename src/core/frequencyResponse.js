@@ -5,31 +5,15 @@
  * independent of Web Audio API nodes. Useful for visualization and analysis.
  */
 
-/**
- * Generate logarithmic frequency points from 20Hz to 20kHz
- * @param {number} numPoints - Number of frequency points to generate
- * @returns {Float32Array} Array of frequencies in Hz
- */
-export const DEFAULT_SAMPLE_RATE = 48000;
+import { computeBandSections, isIdentityBiquad, DEFAULT_SAMPLE_RATE, DEFAULT_DESIGN } from './biquad.js';
+import { getActiveBands } from './bandActivity.js';
+import { morphBands } from './morph.js';
+import { applyDynamicGain, resolveBandDesign } from './dynamics.js';
+
+export { DEFAULT_SAMPLE_RATE };
+
 export const MIN_GAIN_DB = -48;
 export const MAX_GAIN_DB = 48;
-const GAIN_EPSILON = 1e-3;
-const MIN_Q = 1e-6;
-const MIN_SLOPE = 1e-6;
-
-function normalizeCoefficients(b0, b1, b2, a0, a1, a2) {
-  if (!Number.isFinite(a0) || Math.abs(a0) < Number.EPSILON) {
-    return null;
-  }
-  const invA0 = 1 / a0;
-  return {
-    b0: b0 * invA0,
-    b1: b1 * invA0,
-    b2: b2 * invA0,
-    a1: a1 * invA0,
-    a2: a2 * invA0
-  };
-}
 
 function biquadMagnitudeDb(coefficients, w) {
   if (!coefficients) {
@@ -62,28 +46,125 @@ function biquadMagnitudeDb(coefficients, w) {
   return 20 * Math.log10(magnitude);
 }
 
-function clampDb(value) {
-  if (!Number.isFinite(value)) {
+// Delay (in samples) contributed by c0 + c1 z^-1 + c2 z^-2 at angular frequency w
+function polynomialGroupDelay(c0, c1, c2, w) {
+  const cosw = Math.cos(w);
+  const sinw = Math.sin(w);
+  const cos2w = Math.cos(2 * w);
+  const sin2w = Math.sin(2 * w);
+
+  const real = c0 + c1 * cosw + c2 * cos2w;
+  const imag = -(c1 * sinw + c2 * sin2w);
+  const weightedReal = c1 * cosw + 2 * c2 * cos2w;
+  const weightedImag = -(c1 * sinw + 2 * c2 * sin2w);
+  const magSquared = real * real + imag * imag;
+
+  if (!Number.isFinite(magSquared) || magSquared === 0) {
     return 0;
   }
-  return Math.max(MIN_GAIN_DB, Math.min(MAX_GAIN_DB, value));
+  return (weightedReal * real + weightedImag * imag) / magSquared;
+}
+
+function biquadPhase(coefficients, w) {
+  const { b0, b1, b2, a1, a2 } = coefficients;
+  const numPhase = Math.atan2(-(b1 * Math.sin(w) + b2 * Math.sin(2 * w)), b0 + b1 * Math.cos(w) + b2 * Math.cos(2 * w));
+  const denPhase = Math.atan2(-(a1 * Math.sin(w) + a2 * Math.sin(2 * w)), 1 + a1 * Math.cos(w) + a2 * Math.cos(2 * w));
+  return numPhase - denPhase;
+}
+
+function biquadGroupDelay(coefficients, w) {
+  const { b0, b1, b2, a1, a2 } = coefficients;
+  return polynomialGroupDelay(b0, b1, b2, w) - polynomialGroupDelay(1, a1, a2, w);
+}
+
+function wrapPhase(radians) {
+  return Math.atan2(Math.sin(radians), Math.cos(radians));
+}
+
+function unwrapPhase(phases) {
+  const unwrapped = new Array(phases.length);
+  let offset = 0;
+  for (let i = 0; i < phases.length; i++) {
+    if (i > 0) {
+      const delta = phases[i] - phases[i - 1];
+      if (delta > Math.PI) {
+        offset -= 2 * Math.PI;
+      } else if (delta < -Math.PI) {
+        offset += 2 * Math.PI;
+      }
+    }
+    unwrapped[i] = phases[i] + offset;
+  }
+  return unwrapped;
+}
+
+function toDegrees(radians) {
+  return (radians * 180) / Math.PI;
 }
 
-export function generateFrequencies(numPoints = 512) {
+function buildFrequencyGrid(numPoints, minFreq, maxFreq) {
   const frequencies = new Float32Array(numPoints);
-  const minFreq = 20;
-  const maxFreq = 20000;
   const logMin = Math.log10(minFreq);
   const logMax = Math.log10(maxFreq);
-  
+
   for (let i = 0; i < numPoints; i++) {
-    const logFreq = logMin + (i / (numPoints - 1)) * (logMax - logMin);
+    const logFreq = numPoints > 1 ? logMin + (i / (numPoints - 1)) * (logMax - logMin) : logMin;
     frequencies[i] = Math.pow(10, logFreq);
   }
-  
+
   return frequencies;
 }
 
+// Dynamic bands plot at their static gain unless the fully engaged curve is asked for
+function effectiveBand(band, dynamics) {
+  return dynamics === 'engaged' ? applyDynamicGain(band) : band;
+}
+
+// Bands blended towards `morph.target` (bands or a preset) for a morph preview
+function previewBands(bands, morph) {
+  if (!morph) {
+    return bands;
+  }
+  const { target, amount, ...morphOptions } = morph;
+  return morphBands(bands, Array.isArray(target) ? target : target.bands, amount, morphOptions);
+}
+
+// A band's non-identity biquad sections and the sample rate they run at, or
+// null when the sample rate is unusable
+function resolveSections(band, options) {
+  const sampleRate = options.sampleRate ?? band?.sampleRate ?? DEFAULT_SAMPLE_RATE;
+  if (!Number.isFinite(sampleRate) || sampleRate <= 0) {
+    return null;
+  }
+  const design = resolveBandDesign(band, options.design ?? DEFAULT_DESIGN);
+  const sections = computeBandSections(effectiveBand(band, options.dynamics), sampleRate, design)
+    .filter((section) => !isIdentityBiquad(section));
+  return { sections, sampleRate };
+}
+
+// Angular frequency for `frequency`, kept just below Nyquist
+function angularFrequency(frequency, sampleRate) {
+  return (2 * Math.PI * Math.min(frequency, (sampleRate / 2) * 0.999999)) / sampleRate;
+}
+
+function clampDb(value) {
+  if (!Number.isFinite(value)) {
+    return 0;
+  }
+  return Math.max(MIN_GAIN_DB, Math.min(MAX_GAIN_DB, value));
+}
+
+/**
+ * Generate logarithmic frequency points, 20Hz to 20kHz by default
+ * @param {number} numPoints - Number of frequency points to generate
+ * @param {number} minFreq - Lowest frequency in Hz (default: 20)
+ * @param {number} maxFreq - Highest frequency in Hz (default: 20000)
+ * @returns {Float32Array} Array of frequencies in Hz
+ */
+export function generateFrequencies(numPoints = 512, minFreq = 20, maxFreq = 20000) {
+  return buildFrequencyGrid(numPoints, minFreq, maxFreq);
+}
+
 /**
  * Calculate frequency response for a single EQ band
  * @param {number} frequency - Frequency to calculate response for (Hz)
@@ -91,123 +172,136 @@ export function generateFrequencies(numPoints = 512) {
  * @param {number} band.frequency - Center frequency (Hz)
  * @param {number} band.gain - Gain in dB
  * @param {number} band.Q - Q factor
- * @param {string} band.type - Filter type ('peaking', 'lowshelf', 'highshelf', 'lowpass', 'highpass')
+ * @param {string} band.type - Filter type, one of FILTER_TYPES ('peaking', 'lowshelf', 'highshelf', 'lowpass', 'highpass', 'bandpass', 'notch', 'allpass')
+ * @param {string} band.alignment - Optional crossover alignment for lowpass/highpass ('butterworth', 'linkwitz-riley')
+ * @param {number} band.order - Crossover order (2, 4, 6, 8); `band.slope` in dB/oct also works
+ * @param {Object} band.dynamic - Optional dynamic EQ settings, see resolveDynamicSettings
+ * @param {Object} options - `sampleRate`, `design` ('rbj' or 'matched') and `dynamics` ('static' or 'engaged')
  * @returns {number} Response in dB
  */
 export function calculateBandResponse(frequency, band, options = {}) {
-  if (!band) {
-    return 0;
-  }
-
-  const centerFreq = band.frequency;
-  if (!Number.isFinite(centerFreq) || centerFreq <= 0) {
-    return 0;
-  }
-
   if (!Number.isFinite(frequency) || frequency <= 0) {
     return 0;
   }
+  return calculateBandResponseCurve([frequency], band, options)[0];
+}
 
-  const type = band.type || 'peaking';
-  const gain = Number.isFinite(band.gain) ? band.gain : 0;
-  const qValue = Math.max(Number.isFinite(band.Q) ? band.Q : 1, MIN_Q);
-  const slope = Math.max(band.S ?? band.s ?? qValue, MIN_SLOPE);
-
-  if (Math.abs(gain) < GAIN_EPSILON && (type === 'peaking' || type === 'lowshelf' || type === 'highshelf')) {
-    return 0;
-  }
-
-  const sampleRate = options.sampleRate ?? band.sampleRate ?? DEFAULT_SAMPLE_RATE;
-  if (!Number.isFinite(sampleRate) || sampleRate <= 0) {
-    return 0;
+/**
+ * One band's response in dB over many frequencies, computing its biquad
+ * sections once. Values equal calculateBandResponse at each frequency.
+ * @param {ArrayLike<number>} frequencies - Frequencies to evaluate (Hz)
+ * @param {Object} band - EQ band configuration
+ * @param {Object} options - Same as calculateBandResponse
+ * @returns {Float64Array} Response in dB per frequency
+ */
+export function calculateBandResponseCurve(frequencies, band, options = {}) {
+  const response = new Float64Array(frequencies.length);
+  const resolved = resolveSections(band, options);
+  if (!resolved || resolved.sections.length === 0) {
+    return response;
   }
 
-  const nyquist = sampleRate / 2;
-  const targetFreq = Math.min(Math.max(frequency, 0), nyquist * 0.999999);
-  const w0 = (2 * Math.PI * centerFreq) / sampleRate;
-  const cosw0 = Math.cos(w0);
-  const sinw0 = Math.sin(w0);
-
-  let coefficients = null;
-
-  switch (type) {
-    case 'peaking': {
-      const A = Math.pow(10, gain / 40);
-      const alpha = sinw0 / (2 * qValue);
-      const b0 = 1 + alpha * A;
-      const b1 = -2 * cosw0;
-      const b2 = 1 - alpha * A;
-      const a0 = 1 + alpha / A;
-      const a1 = -2 * cosw0;
-      const a2 = 1 - alpha / A;
-      coefficients = normalizeCoefficients(b0, b1, b2, a0, a1, a2);
-      break;
+  const { sections, sampleRate } = resolved;
+  for (let i = 0; i < frequencies.length; i++) {
+    const frequency = frequencies[i];
+    if (!Number.isFinite(frequency) || frequency <= 0) continue;
+    const w = angularFrequency(frequency, sampleRate);
+    for (let s = 0; s < sections.length; s++) {
+      response[i] += biquadMagnitudeDb(sections[s], w);
     }
+  }
+  return response;
+}
 
-    case 'lowshelf': {
-      const A = Math.pow(10, gain / 40);
-      const alphaTerm = Math.max(0, (A + 1 / A) * (1 / slope - 1) + 2);
-      const alpha = (sinw0 / 2) * Math.sqrt(alphaTerm);
-      const beta = 2 * Math.sqrt(A) * alpha;
-      const b0 = A * ((A + 1) - (A - 1) * cosw0 + beta);
-      const b1 = 2 * A * ((A - 1) - (A + 1) * cosw0);
-      const b2 = A * ((A + 1) - (A - 1) * cosw0 - beta);
-      const a0 = (A + 1) + (A - 1) * cosw0 + beta;
-      const a1 = -2 * ((A - 1) + (A + 1) * cosw0);
-      const a2 = (A + 1) + (A - 1) * cosw0 - beta;
-      coefficients = normalizeCoefficients(b0, b1, b2, a0, a1, a2);
-      break;
+// Summed response of the active bands over `frequencies`, each band designed once
+function sumBandResponses(activeBands, frequencies, options) {
+  const total = new Float64Array(frequencies.length);
+  activeBands.forEach((band) => {
+    const curve = calculateBandResponseCurve(frequencies, band, options);
+    for (let i = 0; i < total.length; i++) {
+      if (Number.isFinite(curve[i])) {
+        total[i] += curve[i];
+      }
     }
+  });
+  return Array.from(total, clampDb);
+}
 
-    case 'highshelf': {
-      const A = Math.pow(10, gain / 40);
-      const alphaTerm = Math.max(0, (A + 1 / A) * (1 / slope - 1) + 2);
-      const alpha = (sinw0 / 2) * Math.sqrt(alphaTerm);
-      const beta = 2 * Math.sqrt(A) * alpha;
-      const b0 = A * ((A + 1) + (A - 1) * cosw0 + beta);
-      const b1 = -2 * A * ((A - 1) + (A + 1) * cosw0);
-      const b2 = A * ((A + 1) + (A - 1) * cosw0 - beta);
-      const a0 = (A + 1) - (A - 1) * cosw0 + beta;
-      const a1 = 2 * ((A - 1) - (A + 1) * cosw0);
-      const a2 = (A + 1) - (A - 1) * cosw0 - beta;
-      coefficients = normalizeCoefficients(b0, b1, b2, a0, a1, a2);
-      break;
-    }
+/**
+ * Calculate phase and group delay for a single EQ band
+ * @param {number} frequency - Frequency to evaluate (Hz)
+ * @param {Object} band - EQ band configuration (same as calculateBandResponse)
+ * @param {Object} options - Calculation options
+ * @param {number} options.sampleRate - Sample rate in Hz (default: band.sampleRate or 48000)
+ * @returns {Object} `{ phase, groupDelay }` with phase in radians (-pi..pi) and group delay in seconds
+ */
+export function calculateBandPhase(frequency, band, options = {}) {
+  if (!Number.isFinite(frequency) || frequency <= 0) {
+    return { phase: 0, groupDelay: 0 };
+  }
+  const { phases, groupDelays } = bandPhaseCurve([frequency], band, options);
+  return { phase: phases[0], groupDelay: groupDelays[0] };
+}
 
-    case 'lowpass': {
-      const alpha = sinw0 / (2 * qValue);
-      const b0 = (1 - cosw0) / 2;
-      const b1 = 1 - cosw0;
-      const b2 = (1 - cosw0) / 2;
-      const a0 = 1 + alpha;
-      const a1 = -2 * cosw0;
-      const a2 = 1 - alpha;
-      coefficients = normalizeCoefficients(b0, b1, b2, a0, a1, a2);
-      break;
-    }
+// One band's wrapped phase (radians) and group delay (seconds) over
+// `frequencies`, computing its biquad sections once
+function bandPhaseCurve(frequencies, band, options) {
+  const phases = new Float64Array(frequencies.length);
+  const groupDelays = new Float64Array(frequencies.length);
+  const resolved = resolveSections(band, options);
+  if (!resolved || resolved.sections.length === 0) {
+    return { phases, groupDelays };
+  }
 
-    case 'highpass': {
-      const alpha = sinw0 / (2 * qValue);
-      const b0 = (1 + cosw0) / 2;
-      const b1 = -(1 + cosw0);
-      const b2 = (1 + cosw0) / 2;
-      const a0 = 1 + alpha;
-      const a1 = -2 * cosw0;
-      const a2 = 1 - alpha;
-      coefficients = normalizeCoefficients(b0, b1, b2, a0, a1, a2);
-      break;
+  const { sections, sampleRate } = resolved;
+  for (let i = 0; i < frequencies.length; i++) {
+    const frequency = frequencies[i];
+    if (!Number.isFinite(frequency) || frequency <= 0) continue;
+    const w = angularFrequency(frequency, sampleRate);
+    let phase = 0;
+    let delay = 0;
+    for (let s = 0; s < sections.length; s++) {
+      phase += biquadPhase(sections[s], w);
+      delay += biquadGroupDelay(sections[s], w);
     }
-
-    default:
-      return 0;
+    phase = wrapPhase(phase);
+    delay /= sampleRate;
+    phases[i] = Number.isFinite(phase) ? phase : 0;
+    groupDelays[i] = Number.isFinite(delay) ? delay : 0;
   }
+  return { phases, groupDelays };
+}
 
-  if (!coefficients) {
-    return 0;
-  }
+/**
+ * Calculate phase response and group delay for multiple EQ bands
+ * @param {Array} bands - Array of EQ band configurations
+ * @param {Object} options - Calculation options (same as calculateFrequencyResponse)
+ * @returns {Object} Object with frequencies, phaseDegrees (wrapped to -180..180),
+ * unwrappedPhaseDegrees and groupDelayMs arrays
+ */
+export function calculatePhaseResponse(bands, options = {}) {
+  const { numPoints = 512, minFreq = 20, maxFreq = 20000, sampleRate = DEFAULT_SAMPLE_RATE, design = DEFAULT_DESIGN, dynamics } = options;
+  const frequencies = buildFrequencyGrid(numPoints, minFreq, maxFreq);
+
+  const activeBands = getActiveBands(previewBands(bands, options.morph));
+  const totalPhase = new Float64Array(numPoints);
+  const totalDelay = new Float64Array(numPoints);
+
+  activeBands.forEach((band) => {
+    const { phases, groupDelays } = bandPhaseCurve(frequencies, band, { sampleRate, design, dynamics });
+    for (let i = 0; i < numPoints; i++) {
+      totalPhase[i] += phases[i];
+      totalDelay[i] += groupDelays[i];
+    }
+  });
 
-  const w = (2 * Math.PI * targetFreq) / sampleRate;
-  return biquadMagnitudeDb(coefficients, w);
+  const phases = Array.from(totalPhase, wrapPhase);
+  return {
+    frequencies: Array.from(frequencies),
+    phaseDegrees: phases.map(toDegrees),
+    unwrappedPhaseDegrees: unwrapPhase(phases).map(toDegrees),
+    groupDelayMs: Array.from(totalDelay, (delay) => delay * 1000)
+  };
 }
 
 /**
@@ -217,52 +311,45 @@ export function calculateBandResponse(frequency, band, options = {}) {
  * @param {number} options.numPoints - Number of frequency points (default: 512)
  * @param {number} options.minFreq - Minimum frequency in Hz (default: 20)
  * @param {number} options.maxFreq - Maximum frequency in Hz (default: 20000)
- * @returns {Object} Object with frequencies array and magnitudeDb array
+ * @param {string} options.design - Biquad design, 'rbj' (default) or 'matched'
+ * @param {string} options.dynamics - Plot dynamic bands at rest ('static', default) or fully engaged ('engaged')
+ * @param {Object} options.morph - Preview a blend with morphBands: `{ target, amount }`, where
+ * `target` is a bands array or preset and `amount` runs from 0 (`bands`) to 1 (`target`)
+ * @returns {Object} Object with frequencies array and magnitudeDb array. Disabled
+ * bands are left out; while bands are soloed only those are plotted, with
+ * their own curves rather than the monitor filters they are heard through.
  */
 export function calculateFrequencyResponse(bands, options = {}) {
-  const { numPoints = 512, minFreq = 20, maxFreq = 20000, sampleRate = DEFAULT_SAMPLE_RATE } = options;
-  
-  // Generate frequency points
-  const frequencies = new Float32Array(numPoints);
-  const logMin = Math.log10(minFreq);
-  const logMax = Math.log10(maxFreq);
-  
-  for (let i = 0; i < numPoints; i++) {
-    const logFreq = logMin + (i / (numPoints - 1)) * (logMax - logMin);
-    frequencies[i] = Math.pow(10, logFreq);
-  }
-  
-  // Calculate response at each frequency point
-  const magnitudeDb = new Array(numPoints).fill(0);
-  
-  for (let i = 0; i < numPoints; i++) {
-    const freq = frequencies[i];
-    let totalGain = 0;
+  const { numPoints = 512, minFreq = 20, maxFreq = 20000, sampleRate = DEFAULT_SAMPLE_RATE, design = DEFAULT_DESIGN, dynamics } = options;
+  const frequencies = buildFrequencyGrid(numPoints, minFreq, maxFreq);
+  const activeBands = getActiveBands(previewBands(bands, options.morph));
 
-    bands.forEach((band) => {
-      if (!band) {
-        return;
-      }
-
-      const bandResponse = calculateBandResponse(freq, band, { sampleRate });
-      if (Number.isFinite(bandResponse)) {
-        totalGain += bandResponse;
-      }
-    });
-
-    magnitudeDb[i] = clampDb(totalGain);
-  }
-  
   return {
     frequencies: Array.from(frequencies),
-    magnitudeDb
+    magnitudeDb: sumBandResponses(activeBands, frequencies, { sampleRate, design, dynamics })
   };
 }
 
+// Shared bands, then one channel's own bands when a channel is asked for,
+// then the loudness compensation shelves
+function processorBands(peqState, channel) {
+  const loudnessBands = peqState.loudness?.bands ?? [];
+  if (channel === undefined || channel === null) {
+    return [...peqState.bands, ...loudnessBands];
+  }
+  const channelState = peqState.channels?.[channel];
+  if (!channelState) {
+    throw new Error(`PEQ state has no "${channel}" channel`);
+  }
+  return [...peqState.bands, ...channelState.bands, ...loudnessBands];
+}
+
 /**
- * Calculate frequency response from PEQProcessor state
+ * Calculate frequency response from PEQProcessor state, loudness
+ * compensation included when the state has it
  * @param {Object} peqState - State object from PEQProcessor.getState()
  * @param {Object} options - Calculation options (same as calculateFrequencyResponse)
+ * @param {string} options.channel - Include one channel's bands ('left', 'right', 'mid' or 'side')
  * @returns {Object} Object with frequencies array and magnitudeDb array
  */
 export function calculateProcessorResponse(peqState, options = {}) {
@@ -270,7 +357,23 @@ export function calculateProcessorResponse(peqState, options = {}) {
     throw new Error('calculateProcessorResponse requires a valid PEQ state with bands');
   }
   
-  return calculateFrequencyResponse(peqState.bands, options);
+  const { channel, ...calculationOptions } = options;
+  return calculateFrequencyResponse(processorBands(peqState, channel), { design: peqState.design, ...calculationOptions });
+}
+
+/**
+ * Calculate phase response and group delay from PEQProcessor state
+ * @param {Object} peqState - State object from PEQProcessor.getState()
+ * @param {Object} options - Calculation options (same as calculateProcessorResponse)
+ * @returns {Object} Same shape as calculatePhaseResponse
+ */
+export function calculateProcessorPhaseResponse(peqState, options = {}) {
+  if (!peqState || !peqState.bands) {
+    throw new Error('calculateProcessorPhaseResponse requires a valid PEQ state with bands');
+  }
+
+  const { channel, ...calculationOptions } = options;
+  return calculatePhaseResponse(processorBands(peqState, channel), { design: peqState.design, ...calculationOptions });
 }
 
 /**
@@ -281,20 +384,7 @@ export function calculateProcessorResponse(peqState, options = {}) {
  */
 export function getResponseAtFrequencies(bands, targetFrequencies, options = {}) {
   const sampleRate = options.sampleRate ?? DEFAULT_SAMPLE_RATE;
-  return targetFrequencies.map(freq => {
-    let totalGain = 0;
-    
-    bands.forEach(band => {
-      if (!band) {
-        return;
-      }
-      
-      const bandResponse = calculateBandResponse(freq, band, { sampleRate });
-      if (Number.isFinite(bandResponse)) {
-        totalGain += bandResponse;
-      }
-    });
-    
-    return clampDb(totalGain);
-  });
-}
\ No newline at end of file
+  const design = options.design ?? DEFAULT_DESIGN;
+  const { dynamics } = options;
+  return sumBandResponses(getActiveBands(bands), targetFrequencies, { sampleRate, design, dynamics });
+}
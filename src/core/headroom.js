@@ -0,0 +1,115 @@
+/**
+ * Headroom Analysis
+ *
+ * Finds the true peak boost of a band cascade by evaluating the combined
+ * response, so overlapping boosts and shelf/peak sums are accounted for when
+ * recommending a preamp.
+ */
+
+import { calculateFrequencyResponse, getResponseAtFrequencies, DEFAULT_SAMPLE_RATE } from './frequencyResponse.js';
+import { applyDynamicGain, isDynamicBand, resolveDynamicSettings } from './dynamics.js';
+import { isBandEnabled } from './bandActivity.js';
+
+export const DEFAULT_HEADROOM_OPTIONS = Object.freeze({
+  numPoints: 2048,
+  minFreq: 20,
+  maxFreq: 20000,
+  sampleRate: DEFAULT_SAMPLE_RATE,
+  safetyMargin: 0
+});
+
+const REFINE_ITERATIONS = 24;
+
+// Ternary search in log frequency between the grid neighbours of the peak
+function refinePeak(bands, lowFreq, highFreq, sampleRate, design) {
+  let low = Math.log10(lowFreq);
+  let high = Math.log10(highFreq);
+  const gainAt = (logFreq) => getResponseAtFrequencies(bands, [Math.pow(10, logFreq)], { sampleRate, design })[0];
+
+  for (let i = 0; i < REFINE_ITERATIONS; i++) {
+    const left = low + (high - low) / 3;
+    const right = high - (high - low) / 3;
+    if (gainAt(left) < gainAt(right)) {
+      low = left;
+    } else {
+      high = right;
+    }
+  }
+
+  const logFreq = (low + high) / 2;
+  return { frequency: Math.pow(10, logFreq), gainDb: gainAt(logFreq) };
+}
+
+// Dynamic bands that boost when engaged are analyzed at full boost. Solo is
+// dropped so auditioning a band never moves the recommended preamp.
+function worstCaseBands(bands) {
+  return bands.filter(isBandEnabled).map(({ solo, ...band }) => (
+    isDynamicBand(band) && resolveDynamicSettings(band).maxGain > 0 ? applyDynamicGain(band) : band
+  ));
+}
+
+/**
+ * Analyze the headroom a band cascade needs
+ * @param {Object|Array} preset - Preset/processor state with `bands` (and optionally `preamp`), or a bare bands array
+ * @param {Object} options - Analysis options
+ * @param {number} options.numPoints - Grid density (default: 2048)
+ * @param {number} options.minFreq - Minimum frequency in Hz (default: 20)
+ * @param {number} options.maxFreq - Maximum frequency in Hz (default: 20000)
+ * @param {number} options.sampleRate - Sample rate in Hz (default: 48000)
+ * @param {number} options.safetyMargin - Extra attenuation in dB added to the recommendation, also
+ * when nothing boosts (default: 0)
+ * @param {string} options.design - Biquad design (default: preset.design, then 'rbj')
+ * @returns {Object} `{ peakGainDb, peakFrequency, recommendedPreamp, outputPeakDb, clipping }`.
+ * `outputPeakDb` and `clipping` include the preset's current preamp when one is given.
+ * Dynamic bands that boost are counted at full engagement; disabled bands are
+ * left out and solo flags are ignored.
+ */
+export function analyzeHeadroom(preset, options = {}) {
+  const presetBands = Array.isArray(preset) ? preset : preset?.bands;
+  if (!Array.isArray(presetBands)) {
+    throw new Error('analyzeHeadroom requires a preset with a bands array');
+  }
+  const bands = worstCaseBands(presetBands);
+
+  const { numPoints, minFreq, maxFreq, sampleRate, safetyMargin } = { ...DEFAULT_HEADROOM_OPTIONS, ...options };
+  const design = options.design ?? (Array.isArray(preset) ? undefined : preset.design);
+  const { frequencies, magnitudeDb } = calculateFrequencyResponse(bands, { numPoints, minFreq, maxFreq, sampleRate, design });
+
+  let peakIndex = 0;
+  for (let i = 1; i < magnitudeDb.length; i++) {
+    if (magnitudeDb[i] > magnitudeDb[peakIndex]) {
+      peakIndex = i;
+    }
+  }
+
+  let peakFrequency = frequencies[peakIndex];
+  let peakGainDb = magnitudeDb[peakIndex];
+
+  const lowFreq = frequencies[Math.max(0, peakIndex - 1)];
+  const highFreq = frequencies[Math.min(frequencies.length - 1, peakIndex + 1)];
+  if (highFreq > lowFreq) {
+    const refined = refinePeak(bands, lowFreq, highFreq, sampleRate, design);
+    if (refined.gainDb > peakGainDb) {
+      peakFrequency = refined.frequency;
+      peakGainDb = refined.gainDb;
+    }
+  }
+
+  const margin = Math.max(0, safetyMargin || 0);
+  // The margin applies whatever the peak, so the recommendation moves smoothly
+  // as a boost crosses 0 dB. Round the attenuation up to the next 0.1 dB so the
+  // suggestion never falls short.
+  const attenuation = Math.ceil((Math.max(0, peakGainDb) + margin) * 10 - 1e-9) / 10;
+  const recommendedPreamp = attenuation > 0 ? -attenuation : 0;
+
+  const preamp = !Array.isArray(preset) && Number.isFinite(preset.preamp) ? preset.preamp : 0;
+  const outputPeakDb = peakGainDb + preamp;
+
+  return {
+    peakGainDb,
+    peakFrequency,
+    recommendedPreamp,
+    outputPeakDb,
+    clipping: outputPeakDb > 0
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Edit History
+ *
+ * Undo/redo stacks of state snapshots. Each step stores the state from
+ * before an edit. Edits sharing a merge key within `mergeWindow` seconds of
+ * each other (a slider drag, for example) collapse into one step, so undo
+ * returns to where the drag started.
+ */
+
+export const DEFAULT_HISTORY_OPTIONS = Object.freeze({
+  depth: 100,
+  mergeWindow: 0.5
+});
+
+export function resolveHistoryOptions(options = {}) {
+  const resolved = { ...DEFAULT_HISTORY_OPTIONS, ...options };
+  if (!Number.isInteger(resolved.depth) || resolved.depth < 1) {
+    throw new RangeError(`Invalid history depth: ${resolved.depth}`);
+  }
+  if (!Number.isFinite(resolved.mergeWindow) || resolved.mergeWindow < 0) {
+    throw new RangeError(`Invalid history merge window: ${resolved.mergeWindow}`);
+  }
+  return resolved;
+}
+
+function wallClockSeconds() {
+  return Date.now() / 1000;
+}
+
+export class EditHistory {
+  /**
+   * @param {Object} options - `{ depth, mergeWindow }`, see DEFAULT_HISTORY_OPTIONS
+   * @param {Function} now - Clock in seconds, replaceable for tests
+   */
+  constructor(options = {}, now = wallClockSeconds) {
+    this.options = resolveHistoryOptions(options);
+    this.now = now;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastEdit = null;
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Record an edit.
+   * @param {Object} snapshot - State from before the edit
+   * @param {string|null} mergeKey - Edits with the same key merge while they keep coming
+   * @returns {boolean} Whether a new step was added
+   */
+  record(snapshot, mergeKey = null) {
+    const time = this.now();
+    const merges = mergeKey !== null
+      && this.lastEdit?.mergeKey === mergeKey
+      && time - this.lastEdit.time <= this.options.mergeWindow;
+
+    this.lastEdit = { mergeKey, time };
+    this.redoStack = [];
+    if (merges) {
+      return false;
+    }
+
+    this.undoStack.push(snapshot);
+    this._trim();
+    return true;
+  }
+
+  /**
+   * Step back. `current` becomes the redo step.
+   * @returns {Object|null} Snapshot to restore, or null when there is nothing to undo
+   */
+  undo(current) {
+    if (!this.canUndo) return null;
+    this.lastEdit = null;
+    this.redoStack.push(current);
+    return this.undoStack.pop();
+  }
+
+  /**
+   * Step forward again after an undo. `current` becomes the undo step.
+   * @returns {Object|null} Snapshot to restore, or null when there is nothing to redo
+   */
+  redo(current) {
+    if (!this.canRedo) return null;
+    this.lastEdit = null;
+    this.undoStack.push(current);
+    return this.redoStack.pop();
+  }
+
+  setDepth(depth) {
+    this.options = resolveHistoryOptions({ ...this.options, depth });
+    this._trim();
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastEdit = null;
+  }
+
+  _trim() {
+    const excess = this.undoStack.length - this.options.depth;
+    if (excess > 0) {
+      this.undoStack.splice(0, excess);
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Level Matching
+ *
+ * Estimates how much louder or quieter an EQ state makes typical programme
+ * material, so curves can be compared at equal playback level. The estimate
+ * is the power average of the response over a log-spaced grid, which treats
+ * the input as pink noise, K-weighted the way LUFS loudness is measured.
+ */
+
+import { calculateBandResponse, calculateProcessorResponse, DEFAULT_SAMPLE_RATE } from './frequencyResponse.js';
+
+export const DEFAULT_LEVEL_MATCH_OPTIONS = Object.freeze({
+  numPoints: 128,
+  minFreq: 20,
+  maxFreq: 20000,
+  sampleRate: DEFAULT_SAMPLE_RATE
+});
+
+// ITU-R BS.1770 K-weighting: a high-frequency shelf and a low-cut, expressed as bands
+const K_WEIGHTING = Object.freeze([
+  Object.freeze({ frequency: 1681.97, gain: 4, Q: Math.SQRT1_2, type: 'highshelf' }),
+  Object.freeze({ frequency: 38.14, gain: 0, Q: 0.5, type: 'highpass' })
+]);
+
+function kWeightingPower(frequency, sampleRate) {
+  const weightDb = K_WEIGHTING.reduce((total, band) => total + calculateBandResponse(frequency, band, { sampleRate }), 0);
+  return Math.pow(10, weightDb / 10);
+}
+
+/**
+ * Weighted average gain of a processor state, preamp included. Channel modes
+ * average the power of each channel's response; mid and side are treated as
+ * independent channels.
+ * @param {Object} peqState - State from PEQProcessor.getState() or a preset
+ * @param {Object} options - Grid options, see DEFAULT_LEVEL_MATCH_OPTIONS
+ * @returns {number} Average gain in dB
+ */
+export function computeWeightedGain(peqState, options = {}) {
+  if (!peqState || !Array.isArray(peqState.bands)) {
+    throw new Error('computeWeightedGain requires a state with a bands array');
+  }
+
+  const { numPoints, minFreq, maxFreq, sampleRate } = { ...DEFAULT_LEVEL_MATCH_OPTIONS, ...options };
+  const channels = Object.entries(peqState.channels ?? {});
+  const responses = channels.length === 0
+    ? [{ preamp: 0, response: calculateProcessorResponse(peqState, { numPoints, minFreq, maxFreq, sampleRate }) }]
+    : channels.map(([channel, { preamp = 0 }]) => ({
+      preamp,
+      response: calculateProcessorResponse(peqState, { channel, numPoints, minFreq, maxFreq, sampleRate })
+    }));
+
+  let weightedPower = 0;
+  let totalWeight = 0;
+  responses.forEach(({ preamp, response }) => {
+    response.frequencies.forEach((frequency, index) => {
+      const weight = kWeightingPower(frequency, sampleRate);
+      weightedPower += weight * Math.pow(10, (response.magnitudeDb[index] + preamp) / 10);
+      totalWeight += weight;
+    });
+  });
+
+  const preampDb = Number.isFinite(peqState.preamp) ? peqState.preamp : 0;
+  return 10 * Math.log10(weightedPower / totalWeight) + preampDb;
+}
+
+/**
+ * Gain offsets that bring every state down to the level of the quietest one.
+ * Offsets are never positive, so matching cannot push a curve into clipping.
+ * @param {Object} states - `{ [name]: state }`
+ * @param {Object} options - Passed to computeWeightedGain
+ * @returns {Object} `{ [name]: offsetDb }`
+ */
+export function computeLevelOffsets(states = {}, options = {}) {
+  const gains = Object.entries(states).map(([name, state]) => [name, computeWeightedGain(state, options)]);
+  if (gains.length === 0) {
+    return {};
+  }
+  const quietest = Math.min(...gains.map(([, gainDb]) => gainDb));
+  return Object.fromEntries(gains.map(([name, gainDb]) => [name, quietest - gainDb]));
+}
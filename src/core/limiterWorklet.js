@@ -0,0 +1,164 @@
+/**
+ * Output Safety Limiter AudioWorklet
+ *
+ * A linked-channel look-ahead peak limiter for the end of the processor. The
+ * signal is delayed by `lookahead` seconds while the gain moves ahead of any
+ * peak, and a final clamp keeps every sample at or below `ceiling`. Samples
+ * that arrive above 0 dBFS are counted as clips, since that is what the
+ * output would have done without the limiter. With `enabled: false` the stage
+ * passes audio through untouched (and without delay) but still counts clips.
+ *
+ * Readings are posted over the port at most every `meterInterval` seconds,
+ * and only when something clipped or was limited. worklets.js loads the source.
+ */
+
+import { DEFAULT_METER_INTERVAL } from './dynamicsWorklet.js';
+
+export const LIMITER_PROCESSOR_NAME = 'saku-peq-limiter';
+
+export const DEFAULT_LIMITER_SETTINGS = Object.freeze({
+  enabled: true,
+  ceiling: -1, // dBFS
+  lookahead: 0.005, // seconds
+  release: 0.05 // seconds
+});
+
+/**
+ * Merge limiter settings with the defaults.
+ * @throws {RangeError} When a setting is out of range
+ */
+export function resolveLimiterSettings(settings = {}) {
+  const resolved = { ...DEFAULT_LIMITER_SETTINGS, ...settings };
+  if (!Number.isFinite(resolved.ceiling) || resolved.ceiling > 0) {
+    throw new RangeError(`Invalid limiter ceiling: ${resolved.ceiling}`);
+  }
+  if (!Number.isFinite(resolved.lookahead) || resolved.lookahead < 0 || resolved.lookahead > 0.05) {
+    throw new RangeError(`Invalid limiter lookahead: ${resolved.lookahead}`);
+  }
+  if (!Number.isFinite(resolved.release) || resolved.release < 0) {
+    throw new RangeError(`Invalid limiter release: ${resolved.release}`);
+  }
+  return {
+    enabled: resolved.enabled !== false,
+    ceiling: resolved.ceiling,
+    lookahead: resolved.lookahead,
+    release: resolved.release
+  };
+}
+
+export const LIMITER_PROCESSOR_SOURCE = `
+class LimiterProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { settings = {}, meterInterval = ${DEFAULT_METER_INTERVAL} } = options.processorOptions || {};
+    this.meterFrames = Math.max(128, Math.round(meterInterval * sampleRate));
+    this.framesSinceMeter = 0;
+    this.gain = 1;
+    this.resetMeter();
+    this.configure(settings);
+    this.port.onmessage = (event) => this.configure(event.data.settings || {});
+  }
+
+  configure(settings) {
+    this.enabled = settings.enabled !== false;
+    this.ceiling = Math.pow(10, (settings.ceiling ?? -1) / 20);
+    const delay = Math.max(1, Math.round((settings.lookahead ?? 0.005) * sampleRate));
+    if (delay !== this.delay) {
+      this.delay = delay;
+      this.buffers = [];
+      this.peaks = new Float32Array(delay + 1);
+      this.position = 0;
+      this.windowPeak = 0;
+      this.hold = 0;
+    }
+    // Attack settles within the look-ahead; release is a plain time constant
+    this.attackCoeff = Math.exp(-3 / delay);
+    const release = settings.release ?? 0.05;
+    this.releaseCoeff = release > 0 ? Math.exp(-1 / (release * sampleRate)) : 0;
+  }
+
+  resetMeter() {
+    this.clipped = 0;
+    this.inputPeak = 0;
+    this.minGain = 1;
+  }
+
+  // Largest frame peak among the samples still inside the look-ahead window
+  advanceWindow(peak) {
+    const { peaks, delay } = this;
+    peaks[this.position] = peak;
+    if (peak >= this.windowPeak) {
+      this.windowPeak = peak;
+      this.hold = delay;
+    } else if (--this.hold <= 0) {
+      let max = 0;
+      let age = 0;
+      for (let i = 0; i <= delay; i++) {
+        const index = (this.position - i + delay + 1) % (delay + 1);
+        if (peaks[index] > max) {
+          max = peaks[index];
+          age = i;
+        }
+      }
+      this.windowPeak = max;
+      this.hold = delay - age;
+    }
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0] || [];
+    const output = outputs[0] || [];
+    const frames = output[0] ? output[0].length : 128;
+    const { delay, ceiling } = this;
+
+    for (let frame = 0; frame < frames; frame++) {
+      let peak = 0;
+      for (let channel = 0; channel < input.length; channel++) {
+        const sample = Math.abs(input[channel][frame]);
+        if (sample > 1) this.clipped++;
+        if (sample > peak) peak = sample;
+      }
+      if (peak > this.inputPeak) this.inputPeak = peak;
+
+      if (!this.enabled) {
+        for (let channel = 0; channel < output.length; channel++) {
+          output[channel][frame] = input[channel] ? input[channel][frame] : 0;
+        }
+        continue;
+      }
+
+      this.advanceWindow(peak);
+      const target = this.windowPeak > ceiling ? ceiling / this.windowPeak : 1;
+      const coeff = target < this.gain ? this.attackCoeff : this.releaseCoeff;
+      this.gain = coeff * this.gain + (1 - coeff) * target;
+      if (this.gain < this.minGain) this.minGain = this.gain;
+
+      const readIndex = (this.position + 1) % (delay + 1);
+      for (let channel = 0; channel < output.length; channel++) {
+        const buffer = this.buffers[channel] || (this.buffers[channel] = new Float32Array(delay + 1));
+        buffer[this.position] = input[channel] ? input[channel][frame] : 0;
+        const delayed = buffer[readIndex] * this.gain;
+        output[channel][frame] = Math.max(-ceiling, Math.min(ceiling, delayed));
+      }
+      this.position = readIndex;
+    }
+
+    this.framesSinceMeter += frames;
+    if (this.framesSinceMeter >= this.meterFrames) {
+      this.framesSinceMeter = 0;
+      if (this.clipped > 0 || this.minGain < 0.9999) {
+        this.port.postMessage({
+          time: currentTime,
+          clipped: this.clipped,
+          peak: this.inputPeak,
+          gainReductionDb: -20 * Math.log10(this.minGain)
+        });
+      }
+      this.resetMeter();
+    }
+    return true;
+  }
+}
+
+registerProcessor('${LIMITER_PROCESSOR_NAME}', LimiterProcessor);
+`;
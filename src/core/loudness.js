@@ -0,0 +1,126 @@
+/**
+ * Loudness Compensation
+ *
+ * Bass and treble shelves that make up for the ear losing sensitivity at the
+ * frequency extremes when music plays quieter than it was mixed. The target
+ * is the difference between the ISO 226:2003 equal-loudness contours at the
+ * listening level and at a reference level, both normalized at 1 kHz; the
+ * shelf gains are its least-squares fit over the standard's frequencies.
+ */
+
+import { calculateBandResponse } from './frequencyResponse.js';
+
+export const DEFAULT_LOUDNESS_OPTIONS = Object.freeze({
+  // Level the material is assumed to be mixed and mastered at, in phon
+  referenceLevel: 80,
+  bassFrequency: 150,
+  trebleFrequency: 8000,
+  // Largest boost or cut either shelf may apply, in dB
+  maxGain: 15
+});
+
+// The formula in ISO 226:2003 holds between 20 and 90 phon
+export const LOUDNESS_LEVEL_RANGE = Object.freeze({ min: 20, max: 90 });
+
+export const ISO_226_FREQUENCIES = Object.freeze([
+  20, 25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630,
+  800, 1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500
+]);
+
+// Table 1 of ISO 226:2003: loudness perception exponent, magnitude of the
+// linear transfer function normalized at 1 kHz, and hearing threshold
+const ISO_226_ALPHA = [
+  0.532, 0.506, 0.480, 0.455, 0.432, 0.409, 0.387, 0.367, 0.349, 0.330, 0.315, 0.301, 0.288, 0.276, 0.267, 0.259,
+  0.253, 0.250, 0.246, 0.244, 0.243, 0.243, 0.243, 0.242, 0.242, 0.245, 0.254, 0.271, 0.301
+];
+const ISO_226_TRANSFER = [
+  -31.6, -27.2, -23.0, -19.1, -15.9, -13.0, -10.3, -8.1, -6.2, -4.5, -3.1, -2.0, -1.1, -0.4, 0.0, 0.3,
+  0.5, 0.0, -2.7, -4.1, -1.0, 1.7, 2.5, 1.2, -2.1, -7.1, -11.2, -10.7, -3.1
+];
+const ISO_226_THRESHOLD = [
+  78.5, 68.7, 59.5, 51.1, 44.0, 37.5, 31.5, 26.5, 22.1, 17.9, 14.4, 11.4, 8.6, 6.2, 4.4, 3.0,
+  2.2, 2.4, 3.5, 1.7, -1.3, -4.2, -6.0, -5.4, -1.5, 6.0, 12.6, 13.9, 12.3
+];
+const REFERENCE_INDEX = ISO_226_FREQUENCIES.indexOf(1000);
+
+function validateLevel(phon, name) {
+  if (!Number.isFinite(phon) || phon < LOUDNESS_LEVEL_RANGE.min || phon > LOUDNESS_LEVEL_RANGE.max) {
+    throw new RangeError(`${name} must be between ${LOUDNESS_LEVEL_RANGE.min} and ${LOUDNESS_LEVEL_RANGE.max} phon, got ${phon}`);
+  }
+}
+
+function contourSpl(phon, index) {
+  const alpha = ISO_226_ALPHA[index];
+  const transfer = ISO_226_TRANSFER[index];
+  const threshold = ISO_226_THRESHOLD[index];
+  const af = 4.47e-3 * (Math.pow(10, 0.025 * phon) - 1.15)
+    + Math.pow(0.4 * Math.pow(10, (threshold + transfer) / 10 - 9), alpha);
+  return (10 / alpha) * Math.log10(af) - transfer + 94;
+}
+
+/**
+ * Equal-loudness contour from ISO 226:2003.
+ * @param {number} phon - Loudness level, 20–90
+ * @returns {Array<number>} Sound pressure level in dB SPL at each of ISO_226_FREQUENCIES
+ */
+export function equalLoudnessContour(phon) {
+  validateLevel(phon, 'Loudness level');
+  return ISO_226_FREQUENCIES.map((_, index) => contourSpl(phon, index));
+}
+
+/**
+ * Boost that makes `listeningLevel` sound balanced like `referenceLevel`,
+ * 0 dB at 1 kHz.
+ * @returns {Array<number>} Gain in dB at each of ISO_226_FREQUENCIES
+ */
+export function loudnessCompensationCurve(listeningLevel, referenceLevel = DEFAULT_LOUDNESS_OPTIONS.referenceLevel) {
+  validateLevel(referenceLevel, 'Reference level');
+  const listening = equalLoudnessContour(listeningLevel);
+  const reference = equalLoudnessContour(referenceLevel);
+  return listening.map((spl, index) => (
+    (spl - listening[REFERENCE_INDEX]) - (reference[index] - reference[REFERENCE_INDEX])
+  ));
+}
+
+function shelfBand(type, frequency, gain) {
+  return { frequency, gain, Q: Math.SQRT1_2, type };
+}
+
+/**
+ * The bass and treble shelves for a listening level. `null` gives flat
+ * shelves, so a chain built from them can be switched on later without
+ * changing its layout.
+ * @param {number|null} listeningLevel - Playback loudness in phon, 20–90
+ * @param {Object} options - See DEFAULT_LOUDNESS_OPTIONS
+ * @returns {Array} `[lowshelf, highshelf]` bands
+ */
+export function computeLoudnessBands(listeningLevel, options = {}) {
+  const { referenceLevel, bassFrequency, trebleFrequency, maxGain } = { ...DEFAULT_LOUDNESS_OPTIONS, ...options };
+  [bassFrequency, trebleFrequency, maxGain].forEach((value) => {
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new RangeError(`Invalid loudness compensation option: ${value}`);
+    }
+  });
+  if (listeningLevel === null || listeningLevel === undefined) {
+    return [shelfBand('lowshelf', bassFrequency, 0), shelfBand('highshelf', trebleFrequency, 0)];
+  }
+
+  const target = loudnessCompensationCurve(listeningLevel, referenceLevel);
+  // Shelf responses in dB scale almost exactly with gain, so a 1 dB shelf is the basis
+  const bass = ISO_226_FREQUENCIES.map((frequency) => calculateBandResponse(frequency, shelfBand('lowshelf', bassFrequency, 1)));
+  const treble = ISO_226_FREQUENCIES.map((frequency) => calculateBandResponse(frequency, shelfBand('highshelf', trebleFrequency, 1)));
+  const dot = (left, right) => left.reduce((total, value, index) => total + value * right[index], 0);
+
+  const bb = dot(bass, bass);
+  const bt = dot(bass, treble);
+  const tt = dot(treble, treble);
+  const bx = dot(bass, target);
+  const tx = dot(treble, target);
+  const determinant = bb * tt - bt * bt;
+  const clamp = (gain) => Math.min(maxGain, Math.max(-maxGain, gain));
+
+  return [
+    shelfBand('lowshelf', bassFrequency, clamp((bx * tt - bt * tx) / determinant)),
+    shelfBand('highshelf', trebleFrequency, clamp((bb * tx - bt * bx) / determinant))
+  ];
+}
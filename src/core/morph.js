@@ -0,0 +1,164 @@
+/**
+ * Preset Morphing
+ *
+ * Blends two band lists with a single 0–1 amount. Bands are paired by type
+ * and frequency; frequency is interpolated on a log scale, gain linearly and
+ * Q geometrically. A band without a partner morphs against a silent copy of
+ * itself: gain bands fade to 0 dB, lowpass and highpass bands slide to the
+ * edge of the audible range, and other gain-less bands switch halfway.
+ */
+
+import { GAIN_FILTER_TYPES, getCrossoverOrder, isCrossoverBand } from './biquad.js';
+import { isBandEnabled } from './bandActivity.js';
+
+export const DEFAULT_MORPH_OPTIONS = Object.freeze({
+  // Bands further apart than this fade out and in instead of sweeping across
+  maxOctaves: 2
+});
+
+// Where pass filters stop affecting the audible range
+const PASS_BAND_EDGES = Object.freeze({ lowpass: 20000, highpass: 20 });
+
+function clampAmount(amount) {
+  if (!Number.isFinite(amount)) {
+    throw new RangeError(`Invalid morph amount: ${amount}`);
+  }
+  return Math.min(1, Math.max(0, amount));
+}
+
+function isGainBand(band) {
+  return GAIN_FILTER_TYPES.includes(band.type);
+}
+
+// Bands pair only when they would be built from the same kind of sections
+function pairingKey(band) {
+  return isCrossoverBand(band) ? `${band.type}:${band.alignment}:${getCrossoverOrder(band)}` : band.type;
+}
+
+function octavesApart(a, b) {
+  return Math.abs(Math.log2(a.frequency / b.frequency));
+}
+
+/**
+ * Pair bands of `from` and `to`, closest frequencies first.
+ * @returns {Array} `[fromBand, toBand]` pairs in `from` order followed by
+ * `to`-only bands; either side is null for unmatched bands
+ */
+export function matchBands(from = [], to = [], options = {}) {
+  const { maxOctaves } = { ...DEFAULT_MORPH_OPTIONS, ...options };
+  const candidates = [];
+  from.forEach((fromBand, fromIndex) => {
+    to.forEach((toBand, toIndex) => {
+      const distance = octavesApart(fromBand, toBand);
+      if (pairingKey(fromBand) === pairingKey(toBand) && distance <= maxOctaves) {
+        candidates.push({ fromIndex, toIndex, distance });
+      }
+    });
+  });
+  candidates.sort((left, right) => left.distance - right.distance);
+
+  const partners = new Map();
+  const pairedTo = new Set();
+  candidates.forEach(({ fromIndex, toIndex }) => {
+    if (partners.has(fromIndex) || pairedTo.has(toIndex)) return;
+    partners.set(fromIndex, toIndex);
+    pairedTo.add(toIndex);
+  });
+
+  return [
+    ...from.map((fromBand, fromIndex) => [fromBand, partners.has(fromIndex) ? to[partners.get(fromIndex)] : null]),
+    ...to.filter((_, toIndex) => !pairedTo.has(toIndex)).map((toBand) => [null, toBand])
+  ];
+}
+
+// What a disabled or missing band is morphed from or towards
+function silentPartner(band) {
+  if (isGainBand(band)) {
+    return { ...band, gain: 0 };
+  }
+  const edge = PASS_BAND_EDGES[band.type];
+  return edge === undefined ? { ...band, enabled: false } : { ...band, frequency: edge, enabled: false };
+}
+
+function morphPair(fromBand, toBand, amount) {
+  const from = fromBand && isBandEnabled(fromBand) ? fromBand : silentPartner(fromBand ?? toBand);
+  const to = toBand && isBandEnabled(toBand) ? toBand : silentPartner(toBand ?? fromBand);
+  const nearest = amount < 0.5 ? (fromBand ?? toBand) : (toBand ?? fromBand);
+  const { enabled, ...rest } = nearest;
+
+  const band = {
+    ...rest,
+    frequency: Math.exp(Math.log(from.frequency) + (Math.log(to.frequency) - Math.log(from.frequency)) * amount),
+    Q: Math.exp(Math.log(from.Q) + (Math.log(to.Q) - Math.log(from.Q)) * amount)
+  };
+  // Silent gain bands are simply flat; other bands switch off at the silent end
+  if (isGainBand(band)) {
+    band.gain = from.gain + (to.gain - from.gain) * amount;
+    return band;
+  }
+  const fromOn = isBandEnabled(from);
+  const toOn = isBandEnabled(to);
+  const on = PASS_BAND_EDGES[band.type] !== undefined
+    ? (amount > 0 || fromOn) && (amount < 1 || toOn)
+    : (amount < 0.5 ? fromOn : toOn);
+  if (!on) {
+    band.enabled = false;
+  }
+  return band;
+}
+
+/**
+ * Blend two band lists. The result has one band per pair from matchBands,
+ * so its length does not change with `amount`.
+ * @param {Array} from - Bands at amount 0
+ * @param {Array} to - Bands at amount 1
+ * @param {number} amount - 0–1, clamped
+ * @param {Object} options - See DEFAULT_MORPH_OPTIONS
+ * @returns {Array} Blended bands
+ */
+export function morphBands(from, to, amount, options = {}) {
+  const t = clampAmount(amount);
+  return matchBands(from, to, options).map(([fromBand, toBand]) => morphPair(fromBand, toBand, t));
+}
+
+/**
+ * Blend two presets or processor states: bands as in morphBands, preamp
+ * linearly. Per-channel bands are blended when both use the same channel
+ * mode; otherwise, like the name and design, they come from whichever preset
+ * `amount` is nearer to.
+ * @param {Object} a - Preset at amount 0
+ * @param {Object} b - Preset at amount 1
+ * @param {number} t - 0–1, clamped
+ * @param {Object} options - See DEFAULT_MORPH_OPTIONS
+ * @returns {Object} Blended preset
+ */
+export function morphPresets(a, b, t, options = {}) {
+  if (!Array.isArray(a?.bands) || !Array.isArray(b?.bands)) {
+    throw new Error('morphPresets requires two presets with bands arrays');
+  }
+  const amount = clampAmount(t);
+  const nearest = amount < 0.5 ? a : b;
+  const preampA = Number.isFinite(a.preamp) ? a.preamp : 0;
+  const preampB = Number.isFinite(b.preamp) ? b.preamp : 0;
+
+  const morphed = {
+    ...nearest,
+    preamp: preampA + (preampB - preampA) * amount,
+    bands: morphBands(a.bands, b.bands, amount, options)
+  };
+
+  if (a.channels && b.channels && (a.channelMode ?? 'stereo') === (b.channelMode ?? 'stereo')) {
+    morphed.channels = Object.fromEntries(Object.keys(a.channels).map((name) => {
+      const fromChannel = a.channels[name];
+      const toChannel = b.channels[name] ?? { preamp: 0, bands: [] };
+      const fromPreamp = fromChannel.preamp ?? 0;
+      const toPreamp = toChannel.preamp ?? 0;
+      return [name, {
+        preamp: fromPreamp + (toPreamp - fromPreamp) * amount,
+        bands: morphBands(fromChannel.bands ?? [], toChannel.bands ?? [], amount, options)
+      }];
+    }));
+  }
+
+  return morphed;
+}
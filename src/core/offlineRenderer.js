@@ -0,0 +1,327 @@
+/**
+ * Offline Rendering
+ *
+ * Applies a preset to raw sample buffers in pure JavaScript, using the same
+ * RBJ coefficients as the frequency response math (see biquad.js). Filter
+ * state is kept between calls so long inputs can be processed block by block.
+ * Dynamic bands are recalculated every CONTROL_BLOCK frames from the same
+ * detector the live worklet uses (see dynamics.js). Presets with a
+ * 'left-right' or 'mid-side' channel mode run their channel bands after the
+ * shared ones, matching the live channel stage (see channelStage.js).
+ */
+
+import {
+  computeBandSections,
+  computeBiquadCoefficients,
+  isIdentityBiquad,
+  DEFAULT_SAMPLE_RATE,
+  IDENTITY_BIQUAD
+} from './biquad.js';
+import { isDynamicBand, applyDynamicGain, resolveBandDesign, DynamicBandDetector } from './dynamics.js';
+import { CHANNEL_LAYOUTS } from './channelStage.js';
+import { resolveAudibleBands } from './bandActivity.js';
+
+// Frames between dynamic band coefficient updates
+const CONTROL_BLOCK = 32;
+
+function isPlanar(input) {
+  return Array.isArray(input);
+}
+
+// Move each section's filter memory to where the same band section sits now
+function carryState(state, previousKeys, keys) {
+  const positions = new Map(previousKeys.map((key, section) => [key, section]));
+  const next = new Float64Array(keys.length * 2);
+  keys.forEach((key, section) => {
+    const previous = positions.get(key);
+    if (previous !== undefined) {
+      next.set(state.subarray(previous * 2, previous * 2 + 2), section * 2);
+    }
+  });
+  return next;
+}
+
+export class OfflinePEQRenderer {
+  /**
+   * @param {Object} preset - Preset or processor state with `bands` and `preamp`
+   * @param {Object} options - Renderer options
+   * @param {number} options.sampleRate - Sample rate in Hz (default: 48000)
+   * @param {number} options.channels - Channel count for interleaved input (default: 2)
+   * @param {string} options.design - Biquad design (default: preset.design, then 'rbj')
+   */
+  constructor(preset, options = {}) {
+    const { sampleRate = DEFAULT_SAMPLE_RATE, channels = 2, design } = options;
+    if (!Number.isFinite(sampleRate) || sampleRate <= 0) {
+      throw new RangeError(`Invalid sample rate: ${sampleRate}`);
+    }
+    if (!Number.isInteger(channels) || channels < 1) {
+      throw new RangeError(`Invalid channel count: ${channels}`);
+    }
+
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.design = design;
+    this.sections = [];
+    this.sectionKeys = [];
+    this.states = [];
+    this.dynamics = [];
+    this.channelMode = 'stereo';
+    this.channelRenderers = null;
+    this.preampGain = 1;
+    this.setPreset(preset);
+  }
+
+  /**
+   * Swap the preset. Each band section keeps its filter memory across the
+   * swap, so parameter changes between blocks do not restart the filters even
+   * when other bands go flat or gain sections.
+   */
+  setPreset(preset) {
+    if (!preset || !Array.isArray(preset.bands)) {
+      throw new Error('OfflinePEQRenderer requires a preset with a bands array');
+    }
+
+    const design = this.design ?? preset.design;
+    const sections = [];
+    const keys = [];
+    const dynamics = [];
+
+    // Disabled and soloed bands sound the way they do in the live graph
+    resolveAudibleBands(preset.bands).forEach((band, index) => {
+      if (isDynamicBand(band)) {
+        // Dynamic bands keep their slot even when flat, since their gain moves
+        const previous = this.dynamics?.[dynamics.length];
+        const detector = previous?.detector ?? new DynamicBandDetector(band, this.sampleRate);
+        detector.configure(band);
+        // Always RBJ, like the BiquadFilterNode that carries it in the live graph
+        const bandDesign = resolveBandDesign(band, design);
+        dynamics.push({ index, band, design: bandDesign, sectionIndex: sections.length, detector });
+        sections.push(computeBiquadCoefficients(band, this.sampleRate, bandDesign) ?? IDENTITY_BIQUAD);
+        keys.push(`band:${index}:0`);
+        return;
+      }
+      computeBandSections(band, this.sampleRate, design).forEach((section, sectionIndex) => {
+        if (isIdentityBiquad(section)) return;
+        sections.push(section);
+        keys.push(`band:${index}:${sectionIndex}`);
+      });
+    });
+    // Loudness shelves act on both channels alike, so they can run here ahead of the channel stage
+    (preset.loudness?.bands ?? []).forEach((band, index) => {
+      computeBandSections(band, this.sampleRate, design).forEach((section, sectionIndex) => {
+        if (isIdentityBiquad(section)) return;
+        sections.push(section);
+        keys.push(`loudness:${index}:${sectionIndex}`);
+      });
+    });
+
+    this.states = this.states.map((state) => carryState(state, this.sectionKeys, keys));
+    this.sections = sections;
+    this.sectionKeys = keys;
+    this.dynamics = dynamics;
+    const preampDb = Number.isFinite(preset.preamp) ? preset.preamp : 0;
+    this.preampGain = Math.pow(10, preampDb / 20);
+    this._setChannelStage(preset, design);
+  }
+
+  // One mono renderer per channel chain, kept across presets of the same mode
+  _setChannelStage(preset, design) {
+    const mode = preset.channelMode ?? 'stereo';
+    const names = CHANNEL_LAYOUTS[mode];
+    if (!names) {
+      throw new Error(`Unknown channel mode: ${mode}`);
+    }
+    if (names.length > 0 && this.channels !== 2) {
+      throw new RangeError(`Channel mode ${mode} needs 2 channels, got ${this.channels}`);
+    }
+
+    const previous = mode === this.channelMode ? this.channelRenderers : null;
+    this.channelMode = mode;
+    this.channelRenderers = names.length === 0 ? null : Object.fromEntries(names.map((name) => {
+      const channelPreset = { preamp: 0, bands: [], ...preset.channels?.[name] };
+      const renderer = previous?.[name];
+      if (renderer) {
+        renderer.setPreset(channelPreset);
+        return [name, renderer];
+      }
+      return [name, new OfflinePEQRenderer(channelPreset, { sampleRate: this.sampleRate, channels: 1, design })];
+    }));
+  }
+
+  reset() {
+    this.states = [];
+    this.dynamics.forEach(({ detector }) => detector.reset());
+    Object.values(this.channelRenderers ?? {}).forEach((renderer) => renderer.reset());
+  }
+
+  /**
+   * Current gain change of each dynamic band, for metering.
+   * @returns {Array} `{ index, gainDb }` per dynamic band, `index` being its band index
+   */
+  getDynamicGains() {
+    return this.dynamics.map(({ index, detector }) => ({ index, gainDb: detector.gainDb }));
+  }
+
+  _channelState(channel) {
+    if (!this.states[channel]) {
+      // Two transposed direct form II memory cells per section
+      this.states[channel] = new Float64Array(this.sections.length * 2);
+    }
+    return this.states[channel];
+  }
+
+  _processChannel(source, target, channel, offset, stride, startFrame, endFrame) {
+    const state = this._channelState(channel);
+    const { sections, preampGain } = this;
+
+    for (let frame = startFrame; frame < endFrame; frame++) {
+      const index = offset + frame * stride;
+      let sample = source[index] * preampGain;
+
+      for (let s = 0; s < sections.length; s++) {
+        const { b0, b1, b2, a1, a2 } = sections[s];
+        const z = s * 2;
+        const output = b0 * sample + state[z];
+        state[z] = b1 * sample - a1 * output + state[z + 1];
+        state[z + 1] = b2 * sample - a2 * output;
+        sample = output;
+      }
+
+      target[index] = sample;
+    }
+  }
+
+  // Feed the detectors one control block and retune the dynamic sections
+  _updateDynamics(channels, startFrame, endFrame) {
+    const { preampGain } = this;
+
+    this.dynamics.forEach((entry) => {
+      const { detector } = entry;
+      for (let frame = startFrame; frame < endFrame; frame++) {
+        let level = 0;
+        channels.forEach(({ source, offset, stride }, channel) => {
+          level = Math.max(level, detector.detect(source[offset + frame * stride] * preampGain, channel));
+        });
+        detector.follow(level);
+      }
+
+      const band = applyDynamicGain(entry.band, detector.gainDb);
+      this.sections[entry.sectionIndex] = computeBiquadCoefficients(band, this.sampleRate, entry.design) ?? IDENTITY_BIQUAD;
+    });
+  }
+
+  _processBlocks(channels, frames) {
+    if (this.dynamics.length === 0) {
+      channels.forEach(({ source, target, offset, stride, length }, channel) => {
+        this._processChannel(source, target, channel, offset, stride, 0, length ?? frames);
+      });
+      return;
+    }
+
+    for (let start = 0; start < frames; start += CONTROL_BLOCK) {
+      const end = Math.min(start + CONTROL_BLOCK, frames);
+      this._updateDynamics(channels, start, end);
+      channels.forEach(({ source, target, offset, stride }, channel) => {
+        this._processChannel(source, target, channel, offset, stride, start, end);
+      });
+    }
+  }
+
+  // Run the per-channel chains over a stereo pair in place
+  _processChannelStage(left, right) {
+    const renderers = this.channelRenderers;
+    if (this.channelMode === 'left-right') {
+      left.set(renderers.left.process([left])[0]);
+      right.set(renderers.right.process([right])[0]);
+      return;
+    }
+
+    const mid = new Float32Array(left.length);
+    const side = new Float32Array(left.length);
+    for (let i = 0; i < left.length; i++) {
+      mid[i] = (left[i] + right[i]) / 2;
+      side[i] = (left[i] - right[i]) / 2;
+    }
+    const [midOut] = renderers.mid.process([mid]);
+    const [sideOut] = renderers.side.process([side]);
+    for (let i = 0; i < left.length; i++) {
+      left[i] = midOut[i] + sideOut[i];
+      right[i] = midOut[i] - sideOut[i];
+    }
+  }
+
+  /**
+   * Process one block of samples.
+   * @param {Float32Array|Float32Array[]} input - Interleaved samples, or one array per channel
+   * @returns {Float32Array|Float32Array[]} Processed samples in the same layout as the input
+   */
+  process(input) {
+    if (this.channelRenderers && isPlanar(input) && input.length !== 2) {
+      throw new RangeError(`Channel mode ${this.channelMode} needs 2 channels, got ${input.length}`);
+    }
+
+    if (isPlanar(input)) {
+      const frames = input[0]?.length ?? 0;
+      const linked = this.dynamics.length > 0 || this.channelRenderers;
+      if (linked && input.some((channelData) => channelData.length !== frames)) {
+        throw new RangeError('Planar input channels must have equal lengths with dynamic bands or a channel mode');
+      }
+      const channels = input.map((channelData) => ({
+        source: channelData,
+        target: new Float32Array(channelData.length),
+        offset: 0,
+        stride: 1,
+        length: channelData.length
+      }));
+      this._processBlocks(channels, frames);
+      if (this.channelRenderers) {
+        this._processChannelStage(channels[0].target, channels[1].target);
+      }
+      return channels.map(({ target }) => target);
+    }
+
+    if (!ArrayBuffer.isView(input)) {
+      throw new TypeError('process expects a Float32Array or an array of Float32Arrays');
+    }
+    if (input.length % this.channels !== 0) {
+      throw new RangeError(`Interleaved input length ${input.length} is not a multiple of ${this.channels} channels`);
+    }
+
+    const frames = input.length / this.channels;
+    const output = new Float32Array(input.length);
+    const channels = Array.from({ length: this.channels }, (_, channel) => ({
+      source: input,
+      target: output,
+      offset: channel,
+      stride: this.channels
+    }));
+    this._processBlocks(channels, frames);
+    if (this.channelRenderers) {
+      const left = new Float32Array(frames);
+      const right = new Float32Array(frames);
+      for (let frame = 0; frame < frames; frame++) {
+        left[frame] = output[frame * 2];
+        right[frame] = output[frame * 2 + 1];
+      }
+      this._processChannelStage(left, right);
+      for (let frame = 0; frame < frames; frame++) {
+        output[frame * 2] = left[frame];
+        output[frame * 2 + 1] = right[frame];
+      }
+    }
+    return output;
+  }
+}
+
+/**
+ * Render a preset onto a complete buffer in one call
+ * @param {Object} preset - Preset or processor state with `bands` and `preamp`
+ * @param {Float32Array|Float32Array[]} input - Interleaved samples, or one array per channel
+ * @param {Object} options - Same as the OfflinePEQRenderer constructor
+ * @returns {Float32Array|Float32Array[]} Processed samples in the same layout as the input
+ */
+export function renderPreset(preset, input, options = {}) {
+  const channels = options.channels ?? (isPlanar(input) ? input.length : 2);
+  const renderer = new OfflinePEQRenderer(preset, { ...options, channels });
+  return renderer.process(input);
+}
@@ -1,6 +1,18 @@
+import {
+  expandBandSections,
+  computeBiquadCoefficients,
+  DEFAULT_DESIGN,
+  IDENTITY_BIQUAD,
+} from "./biquad.js";
+import { resolveBandDesign } from "./dynamics.js";
+import { resolveAudibleBands } from "./bandActivity.js";
+
 const DEFAULT_PEAKING_Q = 1.0;
 const DEFAULT_SHELF_Q = Math.SQRT1_2; // ~0.707 for Butterworth-style shelves
 
+// BiquadFilterNode reads Q for these types as the resonance peak in dB
+const DECIBEL_Q_TYPES = new Set(["lowpass", "highpass"]);
+
 export const BAND_LAYOUT = [
   { freq: 60, type: "lowshelf" },
   { freq: 150, type: "peaking" },
@@ -14,16 +26,150 @@ export const BAND_LAYOUT = [
   { freq: 16000, type: "highshelf" },
 ];
 
-function createFilterNode(audioContext, band) {
+// Inclusive limits on the number of bands a chain or preset may hold
+export const DEFAULT_BAND_LIMITS = Object.freeze({ min: 1, max: 32 });
+
+export const SMOOTHING_MODES = ["none", "timeConstant", "linear", "exponential"];
+
+// `time` is the time constant (timeConstant mode) or ramp duration (linear and
+// exponential modes) in seconds
+export const DEFAULT_SMOOTHING = Object.freeze({ mode: "timeConstant", time: 0.015 });
+
+export function resolveSmoothing(smoothing) {
+  if (smoothing === undefined || smoothing === null || smoothing === true) {
+    return { ...DEFAULT_SMOOTHING };
+  }
+  if (smoothing === false || smoothing === "none") {
+    return { mode: "none", time: 0 };
+  }
+  if (typeof smoothing === "string") {
+    smoothing = { mode: smoothing };
+  }
+  const mode = smoothing.mode ?? DEFAULT_SMOOTHING.mode;
+  if (!SMOOTHING_MODES.includes(mode)) {
+    throw new Error(`Unknown smoothing mode: ${mode}`);
+  }
+  const time = smoothing.time ?? DEFAULT_SMOOTHING.time;
+  if (typeof time !== "number" || !Number.isFinite(time) || time < 0) {
+    throw new Error(`Invalid smoothing time: ${time}`);
+  }
+  return { mode, time };
+}
+
+/**
+ * Move an AudioParam to `value`, either immediately or through automation
+ * when a smoothing mode is given. Exponential ramps cannot cross or reach
+ * zero, so they fall back to a linear ramp for those targets.
+ */
+export function setAudioParam(param, value, smoothing = null, currentTime = undefined) {
+  if (!param || typeof value !== "number" || !Number.isFinite(value)) return;
+
+  const mode = smoothing?.mode ?? "none";
+  const time = smoothing?.time ?? 0;
+
+  if (!Number.isFinite(currentTime)) {
+    param.value = value;
+    return;
+  }
+
+  param.cancelScheduledValues(currentTime);
+
+  if (mode === "none" || time <= 0) {
+    param.setValueAtTime(value, currentTime);
+    return;
+  }
+
+  const startValue = param.value;
+  param.setValueAtTime(startValue, currentTime);
+
+  switch (mode) {
+    case "timeConstant":
+      param.setTargetAtTime(value, currentTime, time);
+      break;
+    case "exponential":
+      if (startValue > 0 && value > 0) {
+        param.exponentialRampToValueAtTime(value, currentTime + time);
+      } else {
+        param.linearRampToValueAtTime(value, currentTime + time);
+      }
+      break;
+    case "linear":
+    default:
+      param.linearRampToValueAtTime(value, currentTime + time);
+  }
+}
+
+// Coefficients each IIR section node was built with. IIRFilterNode
+// coefficients are fixed at creation, so a changed section gets a fresh node.
+const iirCoefficients = new WeakMap();
+
+function matchedCoefficients(audioContext, band) {
+  return computeBiquadCoefficients(band, audioContext.sampleRate, "matched") ?? IDENTITY_BIQUAD;
+}
+
+function sameCoefficients(left, right) {
+  return ["b0", "b1", "b2", "a1", "a2"].every((key) => left[key] === right[key]);
+}
+
+function createIirNode(audioContext, band) {
+  const coefficients = matchedCoefficients(audioContext, band);
+  const { b0, b1, b2, a1, a2 } = coefficients;
+  const filter = audioContext.createIIRFilter([b0, b1, b2], [1, a1, a2]);
+  iirCoefficients.set(filter, coefficients);
+  return filter;
+}
+
+// The value a BiquadFilterNode's Q param needs to render `band`, whose Q is
+// always linear
+function nodeQ(band) {
+  const q = band.Q || (band.type === "peaking" ? DEFAULT_PEAKING_Q : DEFAULT_SHELF_Q);
+  return DECIBEL_Q_TYPES.has(band.type) ? 20 * Math.log10(q) : q;
+}
+
+function createFilterNode(audioContext, band, design = DEFAULT_DESIGN) {
+  // BiquadFilterNode implements the RBJ design; other designs need IIR nodes
+  if (design !== DEFAULT_DESIGN) {
+    return createIirNode(audioContext, band);
+  }
+
   const filter = audioContext.createBiquadFilter();
   filter.type = band.type;
   filter.frequency.value = band.frequency;
-  filter.Q.value = band.Q || (band.type === "peaking" ? DEFAULT_PEAKING_Q : DEFAULT_SHELF_Q);
+  filter.Q.value = nodeQ(band);
   filter.gain.value = band.gain || 0;
   return filter;
 }
 
-export function createPeqChain(audioContext, customBands = null) {
+// One biquad node per section; crossover bands expand into several
+function createBandNodes(audioContext, band, design = DEFAULT_DESIGN) {
+  const nodeDesign = resolveBandDesign(band, design);
+  return expandBandSections(band).map((section) => createFilterNode(audioContext, section, nodeDesign));
+}
+
+// Whether `nodes` can be updated in place to render `band` with `design`
+function canReuseBandNodes(audioContext, nodes, band, design) {
+  const sections = expandBandSections(band);
+  if (!nodes || nodes.length !== sections.length) {
+    return false;
+  }
+  const nodeDesign = resolveBandDesign(band, design);
+  return nodes.every((node, index) => {
+    const built = iirCoefficients.get(node);
+    if (nodeDesign === DEFAULT_DESIGN) {
+      return !built;
+    }
+    return Boolean(built) && sameCoefficients(built, matchedCoefficients(audioContext, sections[index]));
+  });
+}
+
+/**
+ * @param {AudioContext} audioContext - Context to create the nodes in
+ * @param {Array|null} customBands - Bands to build, or null for BAND_LAYOUT
+ * @param {string} design - Biquad design, see DESIGN_MODES. 'rbj' uses
+ * BiquadFilterNode; 'matched' uses IIRFilterNode sections, which are rebuilt
+ * on every change and therefore ignore parameter smoothing.
+ */
+export function createPeqChain(audioContext, customBands = null, design = DEFAULT_DESIGN) {
   if (!audioContext) {
     throw new Error("createPeqChain received an invalid AudioContext");
   }
@@ -39,49 +185,247 @@ export function createPeqChain(audioContext, customBands = null) {
     Q: type === "peaking" ? DEFAULT_PEAKING_Q : DEFAULT_SHELF_Q
   }));
 
-  const filters = bandsToUse.map((band) => createFilterNode(audioContext, band));
+  const bandNodes = resolveAudibleBands(bandsToUse).map((band) => createBandNodes(audioContext, band, design));
+  const filters = bandNodes.flat();
+
+  // A dedicated output node keeps the chain's outlet stable while bands are
+  // added, removed or reordered, so downstream connections never change.
+  const outputNode = audioContext.createGain();
+  outputNode.gain.value = 1;
 
   let previousNode = preampNode;
   filters.forEach((filter) => {
     previousNode.connect(filter);
     previousNode = filter;
   });
-
-  const inputNode = preampNode;
-  const outputNode = filters.length > 0 ? filters[filters.length - 1] : preampNode;
+  previousNode.connect(outputNode);
 
   return {
-    inputNode,
+    inputNode: preampNode,
     outputNode,
     preampNode,
     filters,
+    bandNodes,
+    design,
   };
 }
 
-export function updatePeqFilters(filters = [], bands = []) {
-  filters.forEach((filter, index) => {
-    const band = bands[index];
-    if (!band) return;
+function chainEdges(preampNode, filters, outputNode) {
+  const nodes = [preampNode, ...filters, outputNode];
+  const edges = [];
+  for (let i = 0; i < nodes.length - 1; i++) {
+    edges.push([nodes[i], nodes[i + 1]]);
+  }
+  return edges;
+}
+
+function hasEdge(edges, [from, to]) {
+  return edges.some(([edgeFrom, edgeTo]) => edgeFrom === from && edgeTo === to);
+}
+
+/**
+ * Rewire a chain after its band nodes changed. New connections are made
+ * before stale ones are dropped, all within the same task, so the audio
+ * thread never renders a quantum with a broken path. Reused filter nodes keep
+ * their internal state, which avoids the transient a full rebuild would cause.
+ */
+function rewireChain(chain, nextBandNodes) {
+  const { preampNode, outputNode } = chain;
+  const previousFilters = chain.filters;
+  const nextFilters = nextBandNodes.flat();
+  const previousEdges = chainEdges(preampNode, previousFilters, outputNode);
+  const nextEdges = chainEdges(preampNode, nextFilters, outputNode);
+
+  chain.bandNodes = nextBandNodes;
+  chain.filters = nextFilters;
 
-    if (typeof band.frequency === "number") {
-      filter.frequency.value = band.frequency;
+  nextEdges.forEach((edge) => {
+    if (!hasEdge(previousEdges, edge)) {
+      edge[0].connect(edge[1]);
     }
-    if (typeof band.gain === "number") {
-      filter.gain.value = band.gain;
+  });
+
+  previousEdges.forEach((edge) => {
+    if (!hasEdge(nextEdges, edge)) {
+      try {
+        edge[0].disconnect(edge[1]);
+      } catch (err) {
+        console.warn("Failed to disconnect stale chain edge", err);
+      }
     }
-    if (typeof band.Q === "number") {
-      filter.Q.value = band.Q;
+  });
+}
+
+function releaseFilterNode(filter) {
+  try {
+    // IIR nodes have no AudioParams to clear
+    filter.gain?.cancelScheduledValues(0);
+    filter.frequency?.cancelScheduledValues(0);
+    filter.Q?.cancelScheduledValues(0);
+    filter.disconnect();
+  } catch (err) {
+    console.warn("Failed to cleanup filter node", err);
+  }
+}
+
+export function insertPeqFilter(audioContext, chain, index, band) {
+  if (!chain) return null;
+  const { bandNodes } = chain;
+  const position = Math.max(0, Math.min(index ?? bandNodes.length, bandNodes.length));
+  const nodes = createBandNodes(audioContext, band, chain.design);
+
+  rewireChain(chain, [...bandNodes.slice(0, position), nodes, ...bandNodes.slice(position)]);
+  return nodes;
+}
+
+export function removePeqFilter(chain, index) {
+  if (!chain || index < 0 || index >= chain.bandNodes.length) return;
+  const removed = chain.bandNodes[index];
+
+  rewireChain(chain, chain.bandNodes.filter((_, bandIndex) => bandIndex !== index));
+  removed.forEach(releaseFilterNode);
+}
+
+export function reorderPeqFilters(chain, order = []) {
+  if (!chain) return;
+  const { bandNodes } = chain;
+  rewireChain(chain, order.map((bandIndex) => bandNodes[bandIndex]));
+}
+
+/**
+ * Match the chain's nodes to `bands` and apply their parameters. Nodes are
+ * reused by band index; a band only gets fresh nodes when its section count
+ * changes (for example a new crossover order), when `design` changes, or when
+ * its fixed IIR coefficients no longer match. Surplus nodes are released.
+ * Disabled and soloed bands are applied as described in bandActivity.js.
+ */
+export function syncPeqChain(audioContext, chain, requestedBands = [], smoothing = null, design = chain?.design) {
+  if (!chain) return;
+  const bands = resolveAudibleBands(requestedBands);
+  const nextDesign = design ?? DEFAULT_DESIGN;
+  const previousBandNodes = chain.bandNodes;
+  const released = previousBandNodes.slice(bands.length).flat();
+  let changed = previousBandNodes.length !== bands.length;
+
+  const nextBandNodes = bands.map((band, index) => {
+    const existing = previousBandNodes[index];
+    if (canReuseBandNodes(audioContext, existing, band, nextDesign)) {
+      return existing;
     }
-    if (band.type && band.type !== filter.type) {
-      filter.type = band.type;
+    changed = true;
+    if (existing) {
+      released.push(...existing);
     }
+    return createBandNodes(audioContext, band, nextDesign);
   });
+
+  chain.design = nextDesign;
+
+  if (changed) {
+    rewireChain(chain, nextBandNodes);
+    released.forEach(releaseFilterNode);
+  }
+
+  updatePeqFilters(chain.bandNodes, bands, smoothing);
 }
 
-export function updatePreamp(preampNode, gainDb = 0) {
+// Last value each filter parameter was set or scheduled to. Parameters that
+// already head for the requested value are left alone, which keeps their
+// scheduled automation (see scheduleBandNodes) running.
+const appliedValues = new WeakMap();
+
+function applyFilterParam(param, value, smoothing, currentTime) {
+  if (typeof value !== "number" || appliedValues.get(param) === value) return;
+  setAudioParam(param, value, smoothing, currentTime);
+  appliedValues.set(param, value);
+}
+
+function updateFilterNode(filter, band, smoothing) {
+  // IIR coefficients cannot change; syncPeqChain replaces those nodes instead
+  if (iirCoefficients.has(filter)) return;
+
+  const currentTime = filter.context?.currentTime;
+
+  applyFilterParam(filter.frequency, band.frequency, smoothing, currentTime);
+  applyFilterParam(filter.gain, band.gain, smoothing, currentTime);
+  if (band.type && band.type !== filter.type) {
+    filter.type = band.type;
+  }
+  if (typeof band.Q === "number") {
+    applyFilterParam(filter.Q, nodeQ({ ...band, type: filter.type }), smoothing, currentTime);
+  }
+}
+
+function scheduleFilterParam(param, from, to, event) {
+  if (from === to) return;
+  const { time, ramp, duration } = event;
+  if (ramp === "step" || duration <= 0) {
+    param.setValueAtTime(to, time);
+  } else {
+    param.setValueAtTime(from, time);
+    if (ramp === "exponential" && from > 0 && to > 0) {
+      param.exponentialRampToValueAtTime(to, time + duration);
+    } else {
+      param.linearRampToValueAtTime(to, time + duration);
+    }
+  }
+  appliedValues.set(param, to);
+}
+
+/**
+ * Schedule one band's move from `fromBand` to `toBand` on its section nodes
+ * (a chain's `bandNodes[index]`). `event` gives `{ time, ramp, duration }` as
+ * produced by createBandEvent. Both bands must expand into as many sections
+ * as there are nodes, and only BiquadFilterNode sections can be automated.
+ */
+export function scheduleBandNodes(nodes, fromBand, toBand, event) {
+  const fromSections = expandBandSections(fromBand);
+  const toSections = expandBandSections(toBand);
+  if (fromSections.length !== nodes.length || toSections.length !== nodes.length) {
+    throw new Error("Scheduled band changes cannot change a band's section count");
+  }
+  if (nodes.some((filter) => iirCoefficients.has(filter))) {
+    throw new Error("IIR filter sections cannot be automated; use the 'rbj' design");
+  }
+
+  nodes.forEach((filter, sectionIndex) => {
+    const from = fromSections[sectionIndex];
+    const to = toSections[sectionIndex];
+    ["frequency", "gain"].forEach((name) => {
+      scheduleFilterParam(filter[name], from[name], to[name], event);
+    });
+    scheduleFilterParam(filter.Q, nodeQ(from), nodeQ(to), event);
+  });
+}
+
+/**
+ * Apply band parameters to existing nodes. `filters` is either a flat list
+ * with one node per band or a chain's `bandNodes`, whose entries hold the
+ * section nodes of each band. Bands whose section count no longer matches
+ * their nodes are skipped; use syncPeqChain to restructure those. Disabled
+ * bands are set flat and a solo replaces the soloed band with its monitor.
+ */
+export function updatePeqFilters(filters = [], requestedBands = [], smoothing = null) {
+  const bands = resolveAudibleBands(requestedBands);
+  filters.forEach((entry, index) => {
+    const band = bands[index];
+    if (!band) return;
+
+    if (!Array.isArray(entry)) {
+      updateFilterNode(entry, band, smoothing);
+      return;
+    }
+
+    const sections = expandBandSections(band);
+    if (sections.length !== entry.length) return;
+    entry.forEach((filter, sectionIndex) => updateFilterNode(filter, sections[sectionIndex], smoothing));
+  });
+}
+
+export function updatePreamp(preampNode, gainDb = 0, smoothing = null) {
   if (!preampNode) return;
   const linearGain = Math.pow(10, gainDb / 20);
-  preampNode.gain.value = linearGain;
+  setAudioParam(preampNode.gain, linearGain, smoothing, preampNode.context?.currentTime);
 }
 
 export function cleanupPeqChain(nodes) {
@@ -91,16 +435,7 @@ export function cleanupPeqChain(nodes) {
 
   const { filters = [], preampNode, inputNode, outputNode } = nodes;
 
-  filters.forEach((filter) => {
-    try {
-      filter.gain.cancelScheduledValues(0);
-      filter.frequency.cancelScheduledValues(0);
-      filter.Q.cancelScheduledValues(0);
-      filter.disconnect();
-    } catch (err) {
-      console.warn("Failed to cleanup filter node", err);
-    }
-  });
+  filters.forEach(releaseFilterNode);
 
   [preampNode, inputNode, outputNode].forEach((node) => {
     if (!node) return;
@@ -0,0 +1,169 @@
+/**
+ * Spectrum Analysis
+ *
+ * Turns AnalyserNode FFT frames into points on the same log-frequency grid as
+ * generateFrequencies, so a measured spectrum can be drawn over a computed
+ * response. Points average the power of the FFT bins within a fractional-
+ * octave window around them; where the window holds no bin (low frequencies,
+ * or no smoothing) the neighbouring bins are interpolated. SpectrumAnalyzer
+ * adds averaging across frames and a peak-hold trace.
+ */
+
+import { generateFrequencies } from './frequencyResponse.js';
+
+// AnalyserNode settings for the processor's taps. Frames are averaged here,
+// so the node's own smoothing is off.
+export const DEFAULT_ANALYSER_OPTIONS = Object.freeze({
+  fftSize: 8192,
+  smoothingTimeConstant: 0,
+  minDecibels: -100,
+  maxDecibels: -10
+});
+
+export const DEFAULT_SPECTRUM_OPTIONS = Object.freeze({
+  numPoints: 512,
+  minFreq: 20,
+  maxFreq: 20000,
+  sampleRate: 48000,
+  // Window width in octaves (1/6 octave); 0 reads the nearest bins only
+  smoothing: 1 / 6,
+  // Share of the previous average kept per frame, like AnalyserNode.smoothingTimeConstant
+  averaging: 0.8,
+  // Seconds a peak is held before it falls, and how fast it then falls in dB/s
+  peakHold: 1,
+  peakDecay: 20
+});
+
+// Reported for bins that carry no energy at all
+export const SILENCE_DB = -200;
+
+export function resolveSpectrumOptions(options = {}) {
+  const resolved = { ...DEFAULT_SPECTRUM_OPTIONS, ...options };
+  const { numPoints, minFreq, maxFreq, sampleRate, smoothing, averaging, peakHold, peakDecay } = resolved;
+  if (!Number.isInteger(numPoints) || numPoints < 1) {
+    throw new RangeError(`Invalid spectrum point count: ${numPoints}`);
+  }
+  if (!(minFreq > 0) || !(maxFreq >= minFreq)) {
+    throw new RangeError(`Invalid spectrum frequency range: ${minFreq}–${maxFreq} Hz`);
+  }
+  if (!Number.isFinite(sampleRate) || sampleRate <= 0) {
+    throw new RangeError(`Invalid sample rate: ${sampleRate}`);
+  }
+  if (!Number.isFinite(smoothing) || smoothing < 0) {
+    throw new RangeError(`Invalid spectrum smoothing: ${smoothing}`);
+  }
+  if (!Number.isFinite(averaging) || averaging < 0 || averaging >= 1) {
+    throw new RangeError(`Invalid spectrum averaging: ${averaging}`);
+  }
+  if (!Number.isFinite(peakHold) || peakHold < 0 || !Number.isFinite(peakDecay) || peakDecay < 0) {
+    throw new RangeError(`Invalid peak hold settings: ${peakHold} s, ${peakDecay} dB/s`);
+  }
+  return resolved;
+}
+
+function toDb(power) {
+  return power > 0 ? Math.max(SILENCE_DB, 10 * Math.log10(power)) : SILENCE_DB;
+}
+
+// Power per grid point from one frame of dB values
+function binPowers(fftDb, frequencies, sampleRate, smoothing) {
+  const binCount = fftDb.length;
+  const binWidth = sampleRate / (2 * binCount);
+  const power = new Float64Array(binCount);
+  const cumulative = new Float64Array(binCount + 1);
+  for (let k = 0; k < binCount; k++) {
+    power[k] = Number.isFinite(fftDb[k]) ? Math.pow(10, fftDb[k] / 10) : 0;
+    cumulative[k + 1] = cumulative[k] + power[k];
+  }
+
+  const halfWidth = Math.pow(2, smoothing / 2);
+  return Float64Array.from(frequencies, (frequency) => {
+    const position = Math.min(frequency / binWidth, binCount - 1);
+    const first = Math.max(1, Math.ceil(frequency / halfWidth / binWidth));
+    const last = Math.min(binCount - 1, Math.floor((frequency * halfWidth) / binWidth));
+    if (smoothing > 0 && last >= first) {
+      return (cumulative[last + 1] - cumulative[first]) / (last - first + 1);
+    }
+    const below = Math.floor(position);
+    const above = Math.min(binCount - 1, below + 1);
+    return power[below] + (power[above] - power[below]) * (position - below);
+  });
+}
+
+/**
+ * Map one FFT frame onto the generateFrequencies grid.
+ * @param {Float32Array} fftDb - Frame from AnalyserNode.getFloatFrequencyData
+ * @param {Object} options - Grid, `sampleRate` and `smoothing`, see DEFAULT_SPECTRUM_OPTIONS
+ * @returns {Object} `{ frequencies, magnitudeDb }`
+ */
+export function binSpectrum(fftDb, options = {}) {
+  if (!fftDb || fftDb.length < 2) {
+    throw new Error('binSpectrum requires an FFT frame with at least two bins');
+  }
+  const { numPoints, minFreq, maxFreq, sampleRate, smoothing } = resolveSpectrumOptions(options);
+  const frequencies = generateFrequencies(numPoints, minFreq, maxFreq);
+  const powers = binPowers(fftDb, frequencies, sampleRate, smoothing);
+  return { frequencies, magnitudeDb: Float32Array.from(powers, toDb) };
+}
+
+function wallClockSeconds() {
+  return Date.now() / 1000;
+}
+
+export class SpectrumAnalyzer {
+  /**
+   * @param {Object} options - See DEFAULT_SPECTRUM_OPTIONS; pass the
+   * AudioContext's `sampleRate`
+   */
+  constructor(options = {}) {
+    this.options = resolveSpectrumOptions(options);
+    this.frequencies = generateFrequencies(this.options.numPoints, this.options.minFreq, this.options.maxFreq);
+    this.reset();
+  }
+
+  reset() {
+    this.average = null;
+    this.peakDb = null;
+    this.peakTimes = null;
+    this.lastTime = null;
+  }
+
+  /**
+   * Add a frame.
+   * @param {Float32Array} fftDb - Frame from AnalyserNode.getFloatFrequencyData
+   * @param {number} time - Time of the frame in seconds, e.g. the context's currentTime
+   * @returns {Object} `{ frequencies, magnitudeDb, peakDb }`, the averaged spectrum and its peak-hold trace
+   */
+  update(fftDb, time = wallClockSeconds()) {
+    if (!fftDb || fftDb.length < 2) {
+      throw new Error('SpectrumAnalyzer.update requires an FFT frame with at least two bins');
+    }
+    const { sampleRate, smoothing, averaging, peakHold, peakDecay } = this.options;
+    const powers = binPowers(fftDb, this.frequencies, sampleRate, smoothing);
+
+    if (!this.average) {
+      this.average = powers;
+      this.peakDb = Float32Array.from(powers, toDb);
+      this.peakTimes = new Float64Array(powers.length).fill(time);
+    } else {
+      for (let i = 0; i < powers.length; i++) {
+        this.average[i] = averaging * this.average[i] + (1 - averaging) * powers[i];
+      }
+    }
+
+    const elapsed = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+    const magnitudeDb = Float32Array.from(this.average, toDb);
+    for (let i = 0; i < magnitudeDb.length; i++) {
+      if (magnitudeDb[i] >= this.peakDb[i]) {
+        this.peakDb[i] = magnitudeDb[i];
+        this.peakTimes[i] = time;
+      } else if (time - this.peakTimes[i] > peakHold) {
+        const falling = Math.min(elapsed, time - this.peakTimes[i] - peakHold);
+        this.peakDb[i] = Math.max(magnitudeDb[i], this.peakDb[i] - peakDecay * falling);
+      }
+    }
+    this.lastTime = time;
+
+    return { frequencies: this.frequencies, magnitudeDb, peakDb: Float32Array.from(this.peakDb) };
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * AudioWorklet Registration
+ *
+ * The dynamic EQ and output limiter processors are shipped as source strings
+ * and added to a context from a single Blob URL, so they work from the bundle
+ * without serving separate worklet files.
+ */
+
+import { DYNAMICS_PROCESSOR_SOURCE } from './dynamicsWorklet.js';
+import { LIMITER_PROCESSOR_SOURCE } from './limiterWorklet.js';
+
+const MODULE_SOURCE = [DYNAMICS_PROCESSOR_SOURCE, LIMITER_PROCESSOR_SOURCE].join('\n');
+
+const registrations = new WeakMap();
+const readyContexts = new WeakSet();
+
+export function isPeqWorkletReady(audioContext) {
+  return Boolean(audioContext) && readyContexts.has(audioContext);
+}
+
+/**
+ * Load the library's worklet processors into a context. Safe to call
+ * repeatedly; the module is added once per context. PEQProcessor calls this
+ * on its own the first time a dynamic band or the limiter is needed, so
+ * awaiting it up front only avoids the short period in which those stages
+ * are inactive.
+ * @param {BaseAudioContext} audioContext - Context to register with
+ * @returns {Promise<void>}
+ */
+export function registerPeqWorklets(audioContext) {
+  if (!audioContext?.audioWorklet || typeof Blob === 'undefined' || typeof URL?.createObjectURL !== 'function') {
+    return Promise.reject(new Error('AudioWorklet is not available in this context'));
+  }
+  if (!registrations.has(audioContext)) {
+    // Each scope evaluates the shared helpers once, so both processors live in one module
+    const url = URL.createObjectURL(new Blob([MODULE_SOURCE], { type: 'application/javascript' }));
+    const registration = audioContext.audioWorklet.addModule(url)
+      .then(() => {
+        readyContexts.add(audioContext);
+      })
+      .finally(() => URL.revokeObjectURL(url));
+    registrations.set(audioContext, registration);
+  }
+  return registrations.get(audioContext);
+}
+
+/**
+ * @deprecated Since the limiter joined the dynamics processor in one module;
+ * use registerPeqWorklets, which this now calls.
+ */
+export function registerDynamicsWorklet(audioContext) {
+  return registerPeqWorklets(audioContext);
+}
@@ -0,0 +1,22 @@
+// Headless Web Audio stand-in for running the processor in Node
+export {
+  RENDER_QUANTUM_FRAMES,
+  HeadlessAudioBuffer,
+  HeadlessAudioContext,
+} from './headless/audioContext.js';
+
+export {
+  BIQUAD_TYPES,
+  HeadlessAudioNode,
+  HeadlessGainNode,
+  HeadlessBiquadFilterNode,
+  HeadlessIIRFilterNode,
+  HeadlessChannelSplitterNode,
+  HeadlessChannelMergerNode,
+  HeadlessAnalyserNode,
+  HeadlessConstantSourceNode,
+  HeadlessAudioBufferSourceNode,
+  HeadlessAudioDestinationNode,
+} from './headless/audioNodes.js';
+
+export { HeadlessAudioParam } from './headless/audioParam.js';
@@ -0,0 +1,179 @@
+/**
+ * Headless Audio Context
+ *
+ * A minimal stand-in for AudioContext and OfflineAudioContext in Node, enough
+ * to run PeqProcessor and the graph helpers without a browser: the nodes in
+ * audioNodes.js, AudioParam automation, and rendering to buffers. Time only
+ * advances while rendering, one 128-frame quantum at a time, so a test can
+ * schedule changes, render, and inspect both the audio and the params.
+ * There is no AudioWorklet, so the dynamics and limiter stages are skipped.
+ */
+
+import {
+  HeadlessAnalyserNode,
+  HeadlessAudioBufferSourceNode,
+  HeadlessAudioDestinationNode,
+  HeadlessBiquadFilterNode,
+  HeadlessChannelMergerNode,
+  HeadlessChannelSplitterNode,
+  HeadlessConstantSourceNode,
+  HeadlessGainNode,
+  HeadlessIIRFilterNode
+} from './audioNodes.js';
+
+export const RENDER_QUANTUM_FRAMES = 128;
+
+export class HeadlessAudioBuffer {
+  constructor({ numberOfChannels = 1, length, sampleRate }) {
+    if (!Number.isInteger(numberOfChannels) || numberOfChannels < 1) {
+      throw new RangeError(`Invalid channel count: ${numberOfChannels}`);
+    }
+    if (!Number.isInteger(length) || length < 1) {
+      throw new RangeError(`Invalid buffer length: ${length}`);
+    }
+    if (!Number.isFinite(sampleRate) || sampleRate <= 0) {
+      throw new RangeError(`Invalid sample rate: ${sampleRate}`);
+    }
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+  }
+
+  get duration() {
+    return this.length / this.sampleRate;
+  }
+
+  getChannelData(channel) {
+    if (!Number.isInteger(channel) || channel < 0 || channel >= this.numberOfChannels) {
+      throw new RangeError(`Channel ${channel} is out of range`);
+    }
+    return this.channels[channel];
+  }
+
+  copyFromChannel(destination, channel, bufferOffset = 0) {
+    const source = this.getChannelData(channel).subarray(bufferOffset);
+    destination.set(source.subarray(0, Math.min(destination.length, source.length)));
+  }
+
+  copyToChannel(source, channel, bufferOffset = 0) {
+    const target = this.getChannelData(channel);
+    target.set(source.subarray(0, Math.max(0, Math.min(source.length, target.length - bufferOffset))), bufferOffset);
+  }
+}
+
+export class HeadlessAudioContext {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate - Default 48000
+   * @param {number} options.numberOfChannels - Channels of the destination, default 2
+   * @param {number} options.length - Frames startRendering() produces, as in OfflineAudioContext
+   */
+  constructor({ sampleRate = 48000, numberOfChannels = 2, length = null } = {}) {
+    if (!Number.isFinite(sampleRate) || sampleRate <= 0) {
+      throw new RangeError(`Invalid sample rate: ${sampleRate}`);
+    }
+    this.sampleRate = sampleRate;
+    this.length = length;
+    this.state = 'running';
+    // Frames rendered so far; currentTime derives from it
+    this.frame = 0;
+    this._quantum = 0;
+    // Analysers capture audio whether or not anything downstream pulls them
+    this._analysers = new Set();
+    this.destination = new HeadlessAudioDestinationNode(this, numberOfChannels);
+  }
+
+  get currentTime() {
+    return this.frame / this.sampleRate;
+  }
+
+  createGain() {
+    return new HeadlessGainNode(this);
+  }
+
+  createBiquadFilter() {
+    return new HeadlessBiquadFilterNode(this);
+  }
+
+  createIIRFilter(feedforward, feedback) {
+    return new HeadlessIIRFilterNode(this, { feedforward, feedback });
+  }
+
+  createChannelSplitter(numberOfOutputs = 6) {
+    return new HeadlessChannelSplitterNode(this, numberOfOutputs);
+  }
+
+  createChannelMerger(numberOfInputs = 6) {
+    return new HeadlessChannelMergerNode(this, numberOfInputs);
+  }
+
+  createAnalyser() {
+    return new HeadlessAnalyserNode(this);
+  }
+
+  createBufferSource() {
+    return new HeadlessAudioBufferSourceNode(this);
+  }
+
+  createConstantSource() {
+    return new HeadlessConstantSourceNode(this);
+  }
+
+  createBuffer(numberOfChannels, length, sampleRate) {
+    return new HeadlessAudioBuffer({ numberOfChannels, length, sampleRate });
+  }
+
+  /**
+   * Advance the context and collect what reaches the destination.
+   * @param {number} frames - Frames to render
+   * @returns {HeadlessAudioBuffer}
+   */
+  render(frames) {
+    if (this.state === 'closed') {
+      throw new Error('Cannot render a closed HeadlessAudioContext');
+    }
+    if (!Number.isInteger(frames) || frames < 1) {
+      throw new RangeError(`Invalid frame count: ${frames}`);
+    }
+
+    const output = new HeadlessAudioBuffer({
+      numberOfChannels: this.destination.channelCount,
+      length: frames,
+      sampleRate: this.sampleRate
+    });
+    for (let offset = 0; offset < frames; offset += RENDER_QUANTUM_FRAMES) {
+      const blockFrames = Math.min(RENDER_QUANTUM_FRAMES, frames - offset);
+      this._quantum++;
+      const block = this.destination._pullInput(0, blockFrames);
+      block.forEach((channel, index) => output.channels[index].set(channel, offset));
+      this._analysers.forEach((analyser) => analyser._render(blockFrames));
+      this.frame += blockFrames;
+    }
+    return output;
+  }
+
+  /**
+   * Render `length` frames, like OfflineAudioContext.startRendering.
+   * @returns {Promise<HeadlessAudioBuffer>}
+   */
+  async startRendering() {
+    if (!Number.isInteger(this.length) || this.length < 1) {
+      throw new Error('startRendering() needs the context to be created with a length');
+    }
+    return this.render(this.length);
+  }
+
+  async suspend() {
+    this.state = 'suspended';
+  }
+
+  async resume() {
+    this.state = 'running';
+  }
+
+  async close() {
+    this.state = 'closed';
+    this._analysers.clear();
+  }
+}
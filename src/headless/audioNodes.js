@@ -0,0 +1,662 @@
+/**
+ * Headless Audio Nodes
+ *
+ * The node types the library builds graphs from, rendered block by block on
+ * the CPU: gain, biquad and IIR filters, channel splitters and mergers,
+ * analysers, buffer and constant sources, and the destination. Channel
+ * up- and down-mixing follows the Web Audio rules for mono and stereo; other
+ * channel counts mix discretely. BiquadFilterNode uses the spec's formulas,
+ * so lowpass and highpass Q is in dB and shelves ignore Q, as in browsers.
+ */
+
+import { HeadlessAudioParam } from './audioParam.js';
+import { computeBiquadCoefficients } from '../core/biquad.js';
+
+export const BIQUAD_TYPES = Object.freeze([
+  'lowpass', 'highpass', 'bandpass', 'lowshelf', 'highshelf', 'peaking', 'notch', 'allpass'
+]);
+
+const CHANNEL_COUNT_MODES = ['max', 'clamped-max', 'explicit'];
+const CHANNEL_INTERPRETATIONS = ['speakers', 'discrete'];
+const MAX_CHANNELS = 32;
+
+function domError(message, name) {
+  return new DOMException(message, name);
+}
+
+function silence(channels, frames) {
+  return Array.from({ length: channels }, () => new Float32Array(frames));
+}
+
+// Up- or down-mix one connection's channels into `target`, adding to it
+function mixInto(target, source, interpretation) {
+  const targetCount = target.length;
+  const sourceCount = source.length;
+  const add = (to, from, scale = 1) => {
+    for (let i = 0; i < to.length; i++) {
+      to[i] += from[i] * scale;
+    }
+  };
+
+  if (interpretation === 'speakers' && sourceCount === 1 && targetCount === 2) {
+    add(target[0], source[0]);
+    add(target[1], source[0]);
+    return;
+  }
+  if (interpretation === 'speakers' && sourceCount === 2 && targetCount === 1) {
+    add(target[0], source[0], 0.5);
+    add(target[0], source[1], 0.5);
+    return;
+  }
+  for (let channel = 0; channel < Math.min(sourceCount, targetCount); channel++) {
+    add(target[channel], source[channel]);
+  }
+}
+
+export class HeadlessAudioNode {
+  constructor(context, {
+    numberOfInputs = 1,
+    numberOfOutputs = 1,
+    channelCount = 2,
+    channelCountMode = 'max',
+    channelInterpretation = 'speakers'
+  } = {}) {
+    this.context = context;
+    this.numberOfInputs = numberOfInputs;
+    this.numberOfOutputs = numberOfOutputs;
+    this._channelCount = channelCount;
+    this._channelCountMode = channelCountMode;
+    this._channelInterpretation = channelInterpretation;
+    this.connections = [];
+    this.inputSources = Array.from({ length: numberOfInputs }, () => []);
+    this._renderedQuantum = -1;
+    this._outputs = null;
+    this._rendering = false;
+  }
+
+  get channelCount() {
+    return this._channelCount;
+  }
+
+  set channelCount(count) {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CHANNELS) {
+      throw domError(`Invalid channel count: ${count}`, 'NotSupportedError');
+    }
+    this._channelCount = count;
+  }
+
+  get channelCountMode() {
+    return this._channelCountMode;
+  }
+
+  set channelCountMode(mode) {
+    if (CHANNEL_COUNT_MODES.includes(mode)) {
+      this._channelCountMode = mode;
+    }
+  }
+
+  get channelInterpretation() {
+    return this._channelInterpretation;
+  }
+
+  set channelInterpretation(interpretation) {
+    if (CHANNEL_INTERPRETATIONS.includes(interpretation)) {
+      this._channelInterpretation = interpretation;
+    }
+  }
+
+  connect(destination, output = 0, input = 0) {
+    if (destination instanceof HeadlessAudioParam) {
+      throw new TypeError('Connecting nodes to AudioParams is not supported by the headless context');
+    }
+    if (!(destination instanceof HeadlessAudioNode) || destination.context !== this.context) {
+      throw domError('Destination must be a node of the same headless context', 'InvalidAccessError');
+    }
+    if (!Number.isInteger(output) || output < 0 || output >= this.numberOfOutputs) {
+      throw domError(`Output ${output} is out of range`, 'IndexSizeError');
+    }
+    if (!Number.isInteger(input) || input < 0 || input >= destination.numberOfInputs) {
+      throw domError(`Input ${input} is out of range`, 'IndexSizeError');
+    }
+
+    const exists = this.connections.some((connection) => (
+      connection.destination === destination && connection.output === output && connection.input === input
+    ));
+    if (!exists) {
+      this.connections.push({ destination, output, input });
+      destination.inputSources[input].push({ node: this, output });
+    }
+    return destination;
+  }
+
+  /**
+   * Same overloads as AudioNode.disconnect: everything, one output, one
+   * destination, or a destination through a given output and input.
+   */
+  disconnect(destinationOrOutput = undefined, output = undefined, input = undefined) {
+    let matches;
+    if (destinationOrOutput === undefined) {
+      matches = [...this.connections];
+    } else if (typeof destinationOrOutput === 'number') {
+      if (destinationOrOutput < 0 || destinationOrOutput >= this.numberOfOutputs) {
+        throw domError(`Output ${destinationOrOutput} is out of range`, 'IndexSizeError');
+      }
+      matches = this.connections.filter((connection) => connection.output === destinationOrOutput);
+    } else {
+      matches = this.connections.filter((connection) => (
+        connection.destination === destinationOrOutput
+        && (output === undefined || connection.output === output)
+        && (input === undefined || connection.input === input)
+      ));
+      if (matches.length === 0) {
+        throw domError('The node is not connected to the given destination', 'InvalidAccessError');
+      }
+    }
+
+    matches.forEach((connection) => {
+      this.connections.splice(this.connections.indexOf(connection), 1);
+      const sources = connection.destination.inputSources[connection.input];
+      const index = sources.findIndex((source) => source.node === this && source.output === connection.output);
+      if (index !== -1) {
+        sources.splice(index, 1);
+      }
+    });
+  }
+
+  // Channel count an input mixes to, given the counts of what feeds it
+  _computedChannels(sourceCounts) {
+    if (this._channelCountMode === 'explicit') {
+      return this._channelCount;
+    }
+    const max = Math.max(1, ...sourceCounts);
+    return this._channelCountMode === 'clamped-max' ? Math.min(max, this._channelCount) : max;
+  }
+
+  _pullInput(index, frames) {
+    const sources = this.inputSources[index].map(({ node, output }) => node._render(frames)[output]);
+    const channels = this._computedChannels(sources.map((source) => source.length));
+    const mixed = silence(channels, frames);
+    sources.forEach((source) => mixInto(mixed, source, this._channelInterpretation));
+    return mixed;
+  }
+
+  // Outputs for the current render quantum, computed once however often pulled
+  _render(frames) {
+    const quantum = this.context._quantum;
+    if (this._renderedQuantum === quantum) {
+      return this._outputs;
+    }
+    if (this._rendering) {
+      // Cycles need a DelayNode, which the headless context does not provide
+      return Array.from({ length: this.numberOfOutputs }, () => silence(1, frames));
+    }
+    this._rendering = true;
+    try {
+      const inputs = Array.from({ length: this.numberOfInputs }, (_, index) => this._pullInput(index, frames));
+      this._outputs = this._process(inputs, frames, this.context.currentTime);
+      this._renderedQuantum = quantum;
+      return this._outputs;
+    } finally {
+      this._rendering = false;
+    }
+  }
+
+  _process(inputs) {
+    return inputs.length > 0 ? [inputs[0]] : [];
+  }
+}
+
+function paramBlock(param, frames, time) {
+  return param._blockValues(time, frames, param.context.sampleRate);
+}
+
+export class HeadlessGainNode extends HeadlessAudioNode {
+  constructor(context) {
+    super(context);
+    this.gain = new HeadlessAudioParam(context, 1);
+  }
+
+  _process([input], frames, time) {
+    const gain = paramBlock(this.gain, frames, time);
+    return [input.map((channel) => {
+      const output = new Float32Array(frames);
+      for (let i = 0; i < frames; i++) {
+        output[i] = channel[i] * (typeof gain === 'number' ? gain : gain[i]);
+      }
+      return output;
+    })];
+  }
+}
+
+// Second-order sections keep one pair of state values per channel
+function runBiquad(input, state, coefficientsAt, frames) {
+  const output = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    const { b0, b1, b2, a1, a2 } = coefficientsAt(i);
+    const x = input[i];
+    const y = b0 * x + state[0];
+    state[0] = b1 * x - a1 * y + state[1];
+    state[1] = b2 * x - a2 * y;
+    output[i] = y;
+  }
+  return output;
+}
+
+export class HeadlessBiquadFilterNode extends HeadlessAudioNode {
+  constructor(context) {
+    super(context);
+    const nyquist = context.sampleRate / 2;
+    this._type = 'lowpass';
+    this.frequency = new HeadlessAudioParam(context, 350, 0, nyquist);
+    this.detune = new HeadlessAudioParam(context, 0);
+    this.Q = new HeadlessAudioParam(context, 1);
+    this.gain = new HeadlessAudioParam(context, 0);
+    this.states = [];
+  }
+
+  get type() {
+    return this._type;
+  }
+
+  set type(type) {
+    // Browsers ignore unknown enum values
+    if (BIQUAD_TYPES.includes(type)) {
+      this._type = type;
+    }
+  }
+
+  _coefficients(frequency, detune, Q, gain) {
+    const nyquist = this.context.sampleRate / 2;
+    const computed = Math.min(nyquist, Math.max(0, frequency * Math.pow(2, detune / 1200)));
+    const band = { type: this._type, frequency: computed, gain, Q };
+    if (this._type === 'lowpass' || this._type === 'highpass') {
+      band.Q = Math.pow(10, Q / 20);
+    }
+    if (this._type === 'lowshelf' || this._type === 'highshelf') {
+      band.S = 1;
+    }
+    return computeBiquadCoefficients(band, this.context.sampleRate, 'rbj')
+      ?? { b0: 1, b1: 0, b2: 0, a1: 0, a2: 0 };
+  }
+
+  /**
+   * Magnitude and phase at the given frequencies for the current parameter
+   * values, like BiquadFilterNode.getFrequencyResponse.
+   */
+  getFrequencyResponse(frequencyHz, magResponse, phaseResponse) {
+    const coefficients = this._coefficients(this.frequency.value, this.detune.value, this.Q.value, this.gain.value);
+    writeFrequencyResponse([coefficients.b0, coefficients.b1, coefficients.b2], [1, coefficients.a1, coefficients.a2],
+      this.context.sampleRate, frequencyHz, magResponse, phaseResponse);
+  }
+
+  _process([input], frames, time) {
+    const values = [this.frequency, this.detune, this.Q, this.gain].map((param) => paramBlock(param, frames, time));
+    const valueAt = (value, i) => (typeof value === 'number' ? value : value[i]);
+    const constant = values.every((value) => typeof value === 'number');
+    const fixed = constant ? this._coefficients(...values) : null;
+    const coefficientsAt = fixed
+      ? () => fixed
+      : (i) => this._coefficients(...values.map((value) => valueAt(value, i)));
+
+    return [input.map((channel, index) => {
+      this.states[index] = this.states[index] ?? new Float64Array(2);
+      return runBiquad(channel, this.states[index], coefficientsAt, frames);
+    })];
+  }
+}
+
+export class HeadlessIIRFilterNode extends HeadlessAudioNode {
+  constructor(context, { feedforward, feedback }) {
+    super(context);
+    const valid = (coefficients) => Array.isArray(coefficients) || ArrayBuffer.isView(coefficients);
+    if (!valid(feedforward) || !valid(feedback)
+      || feedforward.length < 1 || feedforward.length > 20 || feedback.length < 1 || feedback.length > 20) {
+      throw domError('IIR coefficient arrays must hold 1 to 20 values', 'NotSupportedError');
+    }
+    if (feedback[0] === 0) {
+      throw domError('The first feedback coefficient cannot be 0', 'InvalidStateError');
+    }
+    if (Array.from(feedforward).every((value) => value === 0)) {
+      throw domError('At least one feedforward coefficient must be non-zero', 'InvalidStateError');
+    }
+    const a0 = feedback[0];
+    this.feedforward = Float64Array.from(feedforward, (value) => value / a0);
+    this.feedback = Float64Array.from(feedback, (value) => value / a0);
+    this.histories = [];
+  }
+
+  getFrequencyResponse(frequencyHz, magResponse, phaseResponse) {
+    writeFrequencyResponse(this.feedforward, this.feedback, this.context.sampleRate, frequencyHz, magResponse, phaseResponse);
+  }
+
+  _process([input], frames) {
+    const { feedforward, feedback } = this;
+    return [input.map((channel, index) => {
+      const history = this.histories[index] ?? { x: new Float64Array(feedforward.length), y: new Float64Array(feedback.length) };
+      this.histories[index] = history;
+      const output = new Float32Array(frames);
+      for (let i = 0; i < frames; i++) {
+        history.x.copyWithin(1, 0);
+        history.x[0] = channel[i];
+        let y = 0;
+        for (let k = 0; k < feedforward.length; k++) y += feedforward[k] * history.x[k];
+        for (let k = 1; k < feedback.length; k++) y -= feedback[k] * history.y[k - 1];
+        history.y.copyWithin(1, 0);
+        history.y[0] = y;
+        output[i] = y;
+      }
+      return output;
+    })];
+  }
+}
+
+function writeFrequencyResponse(feedforward, feedback, sampleRate, frequencyHz, magResponse, phaseResponse) {
+  const evaluate = (coefficients, w) => {
+    let re = 0;
+    let im = 0;
+    for (let k = 0; k < coefficients.length; k++) {
+      re += coefficients[k] * Math.cos(k * w);
+      im -= coefficients[k] * Math.sin(k * w);
+    }
+    return { re, im };
+  };
+  for (let i = 0; i < frequencyHz.length; i++) {
+    const frequency = frequencyHz[i];
+    if (!(frequency >= 0 && frequency <= sampleRate / 2)) {
+      magResponse[i] = NaN;
+      phaseResponse[i] = NaN;
+      continue;
+    }
+    const w = (2 * Math.PI * frequency) / sampleRate;
+    const numerator = evaluate(feedforward, w);
+    const denominator = evaluate(feedback, w);
+    const scale = denominator.re * denominator.re + denominator.im * denominator.im;
+    const re = (numerator.re * denominator.re + numerator.im * denominator.im) / scale;
+    const im = (numerator.im * denominator.re - numerator.re * denominator.im) / scale;
+    magResponse[i] = Math.hypot(re, im);
+    phaseResponse[i] = Math.atan2(im, re);
+  }
+}
+
+export class HeadlessChannelSplitterNode extends HeadlessAudioNode {
+  constructor(context, numberOfOutputs = 6) {
+    if (!Number.isInteger(numberOfOutputs) || numberOfOutputs < 1 || numberOfOutputs > MAX_CHANNELS) {
+      throw domError(`Invalid splitter output count: ${numberOfOutputs}`, 'IndexSizeError');
+    }
+    super(context, {
+      numberOfOutputs,
+      channelCount: numberOfOutputs,
+      channelCountMode: 'explicit',
+      channelInterpretation: 'discrete'
+    });
+  }
+
+  _process([input]) {
+    return Array.from({ length: this.numberOfOutputs }, (_, index) => [input[index]]);
+  }
+}
+
+export class HeadlessChannelMergerNode extends HeadlessAudioNode {
+  constructor(context, numberOfInputs = 6) {
+    if (!Number.isInteger(numberOfInputs) || numberOfInputs < 1 || numberOfInputs > MAX_CHANNELS) {
+      throw domError(`Invalid merger input count: ${numberOfInputs}`, 'IndexSizeError');
+    }
+    super(context, { numberOfInputs, channelCount: 1, channelCountMode: 'explicit' });
+  }
+
+  _process(inputs) {
+    return [inputs.map(([channel]) => channel)];
+  }
+}
+
+// In-place radix-2 FFT
+function fft(re, im) {
+  const size = re.length;
+  for (let i = 1, j = 0; i < size; i++) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let length = 2; length <= size; length <<= 1) {
+    const angle = (-2 * Math.PI) / length;
+    for (let start = 0; start < size; start += length) {
+      for (let k = 0; k < length / 2; k++) {
+        const wr = Math.cos(angle * k);
+        const wi = Math.sin(angle * k);
+        const evenIndex = start + k;
+        const oddIndex = evenIndex + length / 2;
+        const oddRe = re[oddIndex] * wr - im[oddIndex] * wi;
+        const oddIm = re[oddIndex] * wi + im[oddIndex] * wr;
+        re[oddIndex] = re[evenIndex] - oddRe;
+        im[oddIndex] = im[evenIndex] - oddIm;
+        re[evenIndex] += oddRe;
+        im[evenIndex] += oddIm;
+      }
+    }
+  }
+}
+
+const MAX_FFT_SIZE = 32768;
+
+export class HeadlessAnalyserNode extends HeadlessAudioNode {
+  constructor(context) {
+    super(context, { channelCount: 2, channelCountMode: 'max' });
+    this._fftSize = 2048;
+    this.minDecibels = -100;
+    this.maxDecibels = -30;
+    this.smoothingTimeConstant = 0.8;
+    // Latest samples, down-mixed to mono, oldest first
+    this.samples = new Float32Array(MAX_FFT_SIZE);
+    this.smoothed = new Float64Array(this._fftSize / 2);
+    this._analysedQuantum = -1;
+    context._analysers.add(this);
+  }
+
+  get fftSize() {
+    return this._fftSize;
+  }
+
+  set fftSize(size) {
+    if (!Number.isInteger(size) || size < 32 || size > MAX_FFT_SIZE || (size & (size - 1)) !== 0) {
+      throw domError(`fftSize must be a power of two between 32 and ${MAX_FFT_SIZE}, got ${size}`, 'IndexSizeError');
+    }
+    if (size !== this._fftSize) {
+      this._fftSize = size;
+      this.smoothed = new Float64Array(size / 2);
+    }
+  }
+
+  get frequencyBinCount() {
+    return this._fftSize / 2;
+  }
+
+  _process([input], frames) {
+    this.samples.copyWithin(0, frames);
+    const offset = this.samples.length - frames;
+    for (let i = 0; i < frames; i++) {
+      let sum = 0;
+      input.forEach((channel) => {
+        sum += channel[i];
+      });
+      this.samples[offset + i] = sum / input.length;
+    }
+    return [input];
+  }
+
+  getFloatTimeDomainData(array) {
+    const count = Math.min(array.length, this._fftSize);
+    array.set(this.samples.subarray(this.samples.length - this._fftSize, this.samples.length - this._fftSize + count));
+  }
+
+  getByteTimeDomainData(array) {
+    const data = new Float32Array(Math.min(array.length, this._fftSize));
+    this.getFloatTimeDomainData(data);
+    data.forEach((value, index) => {
+      array[index] = Math.max(0, Math.min(255, Math.floor(128 * (1 + value))));
+    });
+  }
+
+  // Blackman-windowed FFT with the spec's smoothing over time, once per render quantum
+  _analyse() {
+    if (this._analysedQuantum === this.context._quantum) return;
+    this._analysedQuantum = this.context._quantum;
+    const size = this._fftSize;
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    const start = this.samples.length - size;
+    for (let n = 0; n < size; n++) {
+      const window = 0.42 - 0.5 * Math.cos((2 * Math.PI * n) / size) + 0.08 * Math.cos((4 * Math.PI * n) / size);
+      re[n] = this.samples[start + n] * window;
+    }
+    fft(re, im);
+    const tau = this.smoothingTimeConstant;
+    for (let k = 0; k < size / 2; k++) {
+      const magnitude = Math.hypot(re[k], im[k]) / size;
+      const previous = Number.isFinite(this.smoothed[k]) ? this.smoothed[k] : 0;
+      this.smoothed[k] = tau * previous + (1 - tau) * magnitude;
+    }
+  }
+
+  getFloatFrequencyData(array) {
+    this._analyse();
+    const count = Math.min(array.length, this.frequencyBinCount);
+    for (let k = 0; k < count; k++) {
+      array[k] = 20 * Math.log10(this.smoothed[k]);
+    }
+  }
+
+  getByteFrequencyData(array) {
+    this._analyse();
+    const range = this.maxDecibels - this.minDecibels;
+    const count = Math.min(array.length, this.frequencyBinCount);
+    for (let k = 0; k < count; k++) {
+      const db = 20 * Math.log10(this.smoothed[k]);
+      array[k] = Math.max(0, Math.min(255, Math.floor((255 / range) * (db - this.minDecibels))));
+    }
+  }
+}
+
+class HeadlessScheduledSourceNode extends HeadlessAudioNode {
+  constructor(context) {
+    super(context, { numberOfInputs: 0 });
+    this.startTime = null;
+    this.stopTime = Infinity;
+    this.onended = null;
+    this.ended = false;
+  }
+
+  start(when = 0) {
+    if (this.startTime !== null) {
+      throw domError('start() can only be called once', 'InvalidStateError');
+    }
+    if (!Number.isFinite(when) || when < 0) {
+      throw new RangeError(`Invalid start time: ${when}`);
+    }
+    this.startTime = when;
+  }
+
+  stop(when = 0) {
+    if (this.startTime === null) {
+      throw domError('stop() called before start()', 'InvalidStateError');
+    }
+    if (!Number.isFinite(when) || when < 0) {
+      throw new RangeError(`Invalid stop time: ${when}`);
+    }
+    this.stopTime = when;
+  }
+
+  // Whether each frame of the block plays
+  _playing(frames, time) {
+    const { sampleRate } = this.context;
+    return Array.from({ length: frames }, (_, i) => {
+      const frameTime = time + i / sampleRate;
+      return this.startTime !== null && frameTime >= this.startTime && frameTime < this.stopTime;
+    });
+  }
+
+  _end() {
+    if (this.ended) return;
+    this.ended = true;
+    if (typeof this.onended === 'function') {
+      this.onended({ type: 'ended', target: this });
+    }
+  }
+}
+
+export class HeadlessConstantSourceNode extends HeadlessScheduledSourceNode {
+  constructor(context) {
+    super(context);
+    this.offset = new HeadlessAudioParam(context, 1);
+  }
+
+  _process(_, frames, time) {
+    const offset = paramBlock(this.offset, frames, time);
+    const playing = this._playing(frames, time);
+    const output = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+      output[i] = playing[i] ? (typeof offset === 'number' ? offset : offset[i]) : 0;
+    }
+    if (time + frames / this.context.sampleRate >= this.stopTime) {
+      this._end();
+    }
+    return [[output]];
+  }
+}
+
+export class HeadlessAudioBufferSourceNode extends HeadlessScheduledSourceNode {
+  constructor(context) {
+    super(context);
+    this.buffer = null;
+    this.loop = false;
+    this.offset = 0;
+  }
+
+  start(when = 0, offset = 0) {
+    super.start(when);
+    this.offset = offset;
+  }
+
+  _process(_, frames, time) {
+    const { sampleRate } = this.context;
+    const channels = this.buffer ? this.buffer.numberOfChannels : 1;
+    const outputs = silence(channels, frames);
+    if (!this.buffer) {
+      return [outputs];
+    }
+    const playing = this._playing(frames, time);
+    const { length } = this.buffer;
+    let finished = time + frames / sampleRate >= this.stopTime;
+    for (let i = 0; i < frames; i++) {
+      if (!playing[i]) continue;
+      let position = Math.round((time + i / sampleRate - this.startTime + this.offset) * this.buffer.sampleRate);
+      if (this.loop) {
+        position %= length;
+      } else if (position >= length) {
+        finished = true;
+        continue;
+      }
+      for (let channel = 0; channel < channels; channel++) {
+        outputs[channel][i] = this.buffer.getChannelData(channel)[position];
+      }
+    }
+    if (finished) {
+      this._end();
+    }
+    return [outputs];
+  }
+}
+
+export class HeadlessAudioDestinationNode extends HeadlessAudioNode {
+  constructor(context, channelCount) {
+    super(context, { numberOfOutputs: 0, channelCount, channelCountMode: 'explicit' });
+    this.maxChannelCount = channelCount;
+  }
+
+  _process() {
+    return [];
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Headless AudioParam
+ *
+ * The automation timeline of an AudioParam: setValueAtTime, linear and
+ * exponential ramps, setTargetAtTime, setValueCurveAtTime and cancellation,
+ * evaluated with the Web Audio spec's formulas. A ramp that follows a
+ * setTargetAtTime event replaces it, which is what the spec does for targets
+ * that have not started yet. Connecting nodes to params is not supported.
+ */
+
+const RAMP_TYPES = new Set(['linear', 'exponential']);
+
+function requireFinite(value, name) {
+  if (!Number.isFinite(value)) {
+    throw new TypeError(`${name} must be a finite number, got ${value}`);
+  }
+}
+
+function requireTime(time) {
+  if (!Number.isFinite(time) || time < 0) {
+    throw new RangeError(`Automation time must be a non-negative number, got ${time}`);
+  }
+}
+
+export class HeadlessAudioParam {
+  /**
+   * @param {HeadlessAudioContext} context - Owning context, for currentTime
+   * @param {number} defaultValue - Value before any automation
+   * @param {number} minValue - Lower clamp of the computed value
+   * @param {number} maxValue - Upper clamp of the computed value
+   */
+  constructor(context, defaultValue, minValue = -3.4028234663852886e38, maxValue = 3.4028234663852886e38) {
+    this.context = context;
+    this.defaultValue = defaultValue;
+    this.minValue = minValue;
+    this.maxValue = maxValue;
+    this.events = [];
+    // Value at the start of the last rendered block, which `value` reports
+    this.currentValue = defaultValue;
+  }
+
+  get value() {
+    return this.currentValue;
+  }
+
+  set value(value) {
+    requireFinite(value, 'AudioParam value');
+    this.currentValue = this._clamp(value);
+    this.setValueAtTime(value, this.context.currentTime);
+  }
+
+  setValueAtTime(value, startTime) {
+    requireFinite(value, 'Value');
+    requireTime(startTime);
+    return this._insert({ type: 'set', value, time: startTime });
+  }
+
+  linearRampToValueAtTime(value, endTime) {
+    requireFinite(value, 'Value');
+    requireTime(endTime);
+    return this._insert({ type: 'linear', value, time: endTime });
+  }
+
+  exponentialRampToValueAtTime(value, endTime) {
+    requireFinite(value, 'Value');
+    requireTime(endTime);
+    if (value === 0) {
+      throw new RangeError('exponentialRampToValueAtTime cannot ramp to 0');
+    }
+    return this._insert({ type: 'exponential', value, time: endTime });
+  }
+
+  setTargetAtTime(target, startTime, timeConstant) {
+    requireFinite(target, 'Target');
+    requireTime(startTime);
+    if (!Number.isFinite(timeConstant) || timeConstant < 0) {
+      throw new RangeError(`Time constant must be a non-negative number, got ${timeConstant}`);
+    }
+    return this._insert({ type: 'target', value: target, time: startTime, timeConstant });
+  }
+
+  setValueCurveAtTime(values, startTime, duration) {
+    requireTime(startTime);
+    if (!values || values.length < 2) {
+      throw new RangeError('setValueCurveAtTime needs at least two values');
+    }
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw new RangeError(`Curve duration must be positive, got ${duration}`);
+    }
+    const curve = Float32Array.from(values);
+    this._insert({ type: 'curve', value: curve[curve.length - 1], time: startTime, duration, curve });
+    // The curve holds its last value afterwards
+    return this._insert({ type: 'set', value: curve[curve.length - 1], time: startTime + duration });
+  }
+
+  cancelScheduledValues(cancelTime) {
+    requireTime(cancelTime);
+    this.events = this.events.filter((event) => event.time < cancelTime);
+    return this;
+  }
+
+  cancelAndHoldAtTime(cancelTime) {
+    requireTime(cancelTime);
+    const held = this.valueAtTime(cancelTime);
+    this.events = this.events.filter((event) => event.time < cancelTime && !(event.type === 'curve' && event.time + event.duration > cancelTime));
+    return this._insert({ type: 'set', value: held, time: cancelTime });
+  }
+
+  /**
+   * Computed value at a context time.
+   * @param {number} time - Seconds
+   * @returns {number}
+   */
+  valueAtTime(time) {
+    let value = this.defaultValue;
+    let previousTime = 0;
+
+    for (let i = 0; i < this.events.length; i++) {
+      const event = this.events[i];
+      const next = this.events[i + 1];
+
+      if (event.time > time) {
+        if (RAMP_TYPES.has(event.type)) {
+          return this._clamp(rampValue(event, value, previousTime, time));
+        }
+        return this._clamp(value);
+      }
+
+      if (event.type === 'target') {
+        // Runs until the next event starts; a following ramp takes over from its start
+        if (next && RAMP_TYPES.has(next.type)) {
+          previousTime = event.time;
+          continue;
+        }
+        const end = next && next.time <= time ? next.time : time;
+        value = targetValue(event, value, end);
+        previousTime = end;
+        if (end === time) {
+          return this._clamp(value);
+        }
+        continue;
+      }
+
+      if (event.type === 'curve' && time < event.time + event.duration) {
+        return this._clamp(curveValue(event, time));
+      }
+
+      value = event.value;
+      previousTime = event.time;
+    }
+
+    return this._clamp(value);
+  }
+
+  /**
+   * Values for one render block, and the drop of events no longer needed.
+   * @returns {number|Float32Array} A single value when it is constant over the block
+   */
+  _blockValues(startTime, frames, sampleRate) {
+    this._prune(startTime);
+    this.currentValue = this.valueAtTime(startTime);
+    const last = this.events[this.events.length - 1];
+    if (!last || (last.time <= startTime && last.type !== 'target' && last.type !== 'curve')) {
+      return this.currentValue;
+    }
+    const values = new Float32Array(frames);
+    values[0] = this.currentValue;
+    for (let i = 1; i < frames; i++) {
+      values[i] = this.valueAtTime(startTime + i / sampleRate);
+    }
+    return values;
+  }
+
+  // Events before the latest set or ramp that has been reached no longer matter
+  _prune(time) {
+    let settled = 0;
+    this.events.forEach((event, index) => {
+      if (event.time <= time && (event.type === 'set' || RAMP_TYPES.has(event.type))) {
+        settled = index;
+      }
+    });
+    if (settled > 0) {
+      this.events.splice(0, settled);
+    }
+  }
+
+  _insert(event) {
+    // Events at the same time run in the order they were scheduled
+    const index = this.events.findIndex((existing) => existing.time > event.time);
+    if (index === -1) {
+      this.events.push(event);
+    } else {
+      this.events.splice(index, 0, event);
+    }
+    return this;
+  }
+
+  _clamp(value) {
+    return Math.min(this.maxValue, Math.max(this.minValue, value));
+  }
+}
+
+function rampValue(event, startValue, startTime, time) {
+  const span = event.time - startTime;
+  const progress = span > 0 ? (time - startTime) / span : 1;
+  if (event.type === 'exponential') {
+    // The spec holds the start value when the ramp would cross or start at zero
+    if (startValue === 0 || startValue * event.value < 0) {
+      return startValue;
+    }
+    return startValue * Math.pow(event.value / startValue, progress);
+  }
+  return startValue + (event.value - startValue) * progress;
+}
+
+function targetValue(event, startValue, time) {
+  if (event.timeConstant === 0) {
+    return event.value;
+  }
+  return event.value + (startValue - event.value) * Math.exp(-(time - event.time) / event.timeConstant);
+}
+
+function curveValue(event, time) {
+  const { curve, duration } = event;
+  const position = ((time - event.time) / duration) * (curve.length - 1);
+  const index = Math.floor(position);
+  if (index >= curve.length - 1) {
+    return curve[curve.length - 1];
+  }
+  return curve[index] + (curve[index + 1] - curve[index]) * (position - index);
+}
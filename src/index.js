@@ -3,24 +3,154 @@ export { PEQProcessor } from './peqProcessor.js';
 // Core graph helpers
 export {
   BAND_LAYOUT,
+  DEFAULT_BAND_LIMITS,
+  DEFAULT_SMOOTHING,
+  SMOOTHING_MODES,
+  resolveSmoothing,
+  setAudioParam,
   createPeqChain,
+  insertPeqFilter,
+  removePeqFilter,
+  reorderPeqFilters,
+  syncPeqChain,
+  scheduleBandNodes,
   updatePeqFilters,
   updatePreamp,
   cleanupPeqChain,
 } from './core/peqGraph.js';
 
+// Per-channel and mid/side stages
+export {
+  CHANNEL_MODES,
+  CHANNEL_LAYOUTS,
+  DEFAULT_CHANNEL_MODE,
+  createChannelStage,
+  syncChannelStage,
+  cleanupChannelStage,
+} from './core/channelStage.js';
+
+// Biquad coefficient design
+export {
+  DEFAULT_SAMPLE_RATE,
+  FILTER_TYPES,
+  GAIN_FILTER_TYPES,
+  DESIGN_MODES,
+  DEFAULT_DESIGN,
+  CROSSOVER_ALIGNMENTS,
+  CROSSOVER_ORDERS,
+  IDENTITY_BIQUAD,
+  computeBiquadCoefficients,
+  computeBandSections,
+  computeCascadeCoefficients,
+  expandBandSections,
+  getCrossoverOrder,
+  isCrossoverBand,
+  isIdentityBiquad,
+} from './core/biquad.js';
+
+// Band enable and solo
+export {
+  isBandEnabled,
+  hasSoloedBand,
+  getActiveBands,
+  resolveAudibleBands,
+} from './core/bandActivity.js';
+
 // Frequency response calculation utilities
 export {
   generateFrequencies,
   calculateBandResponse,
+  calculateBandResponseCurve,
   calculateFrequencyResponse,
   calculateProcessorResponse,
+  calculateBandPhase,
+  calculatePhaseResponse,
+  calculateProcessorPhaseResponse,
   getResponseAtFrequencies,
 } from './core/frequencyResponse.js';
 
+// Measured and target curves
+export {
+  CURVE_ALIGNMENTS,
+  DEFAULT_CURVE_GRID,
+  FrequencyCurve,
+  calculateCorrectedResponse,
+  compareToTarget,
+} from './core/frequencyCurve.js';
+
+// Fitting bands to a target curve, and reducing band counts
+export { DEFAULT_FIT_OPTIONS, DEFAULT_REDUCTION_OPTIONS, fitFixedBands, fitPeqToTarget, reduceBands } from './core/fitting.js';
+
+// Spectrum analyzer helpers for the processor's analysis taps
+export {
+  DEFAULT_ANALYSER_OPTIONS,
+  DEFAULT_SPECTRUM_OPTIONS,
+  SILENCE_DB,
+  SpectrumAnalyzer,
+  binSpectrum,
+  resolveSpectrumOptions,
+} from './core/spectrum.js';
+
+// Headroom analysis
+export { analyzeHeadroom, DEFAULT_HEADROOM_OPTIONS } from './core/headroom.js';
+
+// Preset morphing
+export { DEFAULT_MORPH_OPTIONS, matchBands, morphBands, morphPresets } from './core/morph.js';
+
+// Loudness-matched comparison of EQ states
+export { DEFAULT_LEVEL_MATCH_OPTIONS, computeWeightedGain, computeLevelOffsets } from './core/levelMatch.js';
+
+// Loudness compensation from ISO 226 equal-loudness contours
+export {
+  DEFAULT_LOUDNESS_OPTIONS,
+  LOUDNESS_LEVEL_RANGE,
+  ISO_226_FREQUENCIES,
+  equalLoudnessContour,
+  loudnessCompensationCurve,
+  computeLoudnessBands,
+} from './core/loudness.js';
+
+// Scheduled band automation
+export {
+  AUTOMATION_RAMPS,
+  AUTOMATABLE_BAND_PARAMS,
+  createBandEvent,
+  interpolateValue,
+  bandsAtTime,
+} from './core/automation.js';
+
+// Undo/redo stacks used by PEQProcessor
+export { DEFAULT_HISTORY_OPTIONS, EditHistory } from './core/history.js';
+
+// Dynamic EQ
+export {
+  DEFAULT_DYNAMIC_SETTINGS,
+  DynamicBandDetector,
+  applyDynamicGain,
+  computeDynamicGain,
+  isDynamicBand,
+  resolveBandDesign,
+  resolveDynamicSettings,
+} from './core/dynamics.js';
+export { DYNAMICS_PROCESSOR_NAME } from './core/dynamicsWorklet.js';
+
+// Output safety limiter
+export {
+  DEFAULT_LIMITER_SETTINGS,
+  LIMITER_PROCESSOR_NAME,
+  resolveLimiterSettings,
+} from './core/limiterWorklet.js';
+
+// AudioWorklet registration for the dynamic EQ and limiter stages
+export { registerPeqWorklets, registerDynamicsWorklet, isPeqWorkletReady } from './core/worklets.js';
+
+// Pure-JavaScript offline rendering
+export { OfflinePEQRenderer, renderPreset } from './core/offlineRenderer.js';
+
 // Preset utilities
 export * from './presets/presetManager.js';
 
 // Import/export helpers
 export * from './io/presetIO.js';
 export * from './io/formatDefinitions.js';
+export * from './io/measurementIO.js';
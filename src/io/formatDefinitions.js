@@ -13,6 +13,13 @@ export const EXPORT_FORMATS = {
     mimeType: 'text/plain',
     description: 'AutoEq text format for headphone corrections'
   },
+  EQUALIZER_APO: {
+    id: 'equalizer-apo',
+    name: 'Equalizer APO config.txt',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    description: 'Equalizer APO configuration with per-channel filters'
+  },
   AUTOEQ_JSON: {
     id: 'autoeq',
     name: 'AutoEq JSON',
@@ -33,6 +40,13 @@ export const EXPORT_FORMATS = {
     extension: 'json',
     mimeType: 'application/json',
     description: 'Qudelix 5K DAC/Amp preset format'
+  },
+  BIQUAD: {
+    id: 'biquad',
+    name: 'Biquad Coefficients',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    description: 'Raw biquad coefficients in miniDSP advanced biquad syntax'
   }
 };
 
@@ -40,6 +54,12 @@ export const POWERAMP_FREQUENCIES = [
   60, 170, 310, 600, 1000, 3000, 6000, 12000, 14000, 16000
 ];
 
+// Gain range of PowerAmp's equalizer sliders in dB
+export const POWERAMP_GAIN_RANGE = {
+  min: -15,
+  max: 15
+};
+
 export const QUDELIX_FREQUENCY_RANGE = {
   min: 20,
   max: 20000,
@@ -52,20 +72,63 @@ export const FILTER_TYPE_MAPPINGS = {
     lowshelf: 'peaking',
     highshelf: 'peaking',
     lowpass: 'peaking',
-    highpass: 'peaking'
+    highpass: 'peaking',
+    bandpass: 'peaking',
+    notch: 'peaking',
+    allpass: 'peaking'
   },
   sakuToQudelix: {
     peaking: 'bell',
     lowshelf: 'low_shelf',
     highshelf: 'high_shelf',
     lowpass: 'low_pass',
-    highpass: 'high_pass'
+    highpass: 'high_pass',
+    bandpass: 'band_pass',
+    notch: 'notch',
+    allpass: 'all_pass'
   },
   qudelixToSaku: {
     bell: 'peaking',
     low_shelf: 'lowshelf',
     high_shelf: 'highshelf',
     low_pass: 'lowpass',
-    high_pass: 'highpass'
+    high_pass: 'highpass',
+    band_pass: 'bandpass',
+    notch: 'notch',
+    all_pass: 'allpass'
+  },
+  // Equalizer APO filter codes, which AutoEq text is a subset of
+  sakuToAutoEq: {
+    peaking: 'PK',
+    lowshelf: 'LSC',
+    highshelf: 'HSC',
+    lowpass: 'LPQ',
+    highpass: 'HPQ',
+    bandpass: 'BP',
+    notch: 'NO',
+    allpass: 'AP'
+  },
+  autoEqToSaku: {
+    PK: 'peaking',
+    PEQ: 'peaking',
+    PEAKING: 'peaking',
+    LS: 'lowshelf',
+    LSC: 'lowshelf',
+    LOWSHELF: 'lowshelf',
+    HS: 'highshelf',
+    HSC: 'highshelf',
+    HIGHSHELF: 'highshelf',
+    LP: 'lowpass',
+    LPQ: 'lowpass',
+    LOWPASS: 'lowpass',
+    HP: 'highpass',
+    HPQ: 'highpass',
+    HIGHPASS: 'highpass',
+    BP: 'bandpass',
+    BANDPASS: 'bandpass',
+    NO: 'notch',
+    NOTCH: 'notch',
+    AP: 'allpass',
+    ALLPASS: 'allpass'
   }
 };
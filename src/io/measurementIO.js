@@ -0,0 +1,126 @@
+import { FrequencyCurve } from '../core/frequencyCurve.js';
+
+// Comment prefixes: REW writes '*', other tools '#' or '//'
+const COMMENT_PATTERN = /^(\*|#|\/\/)/;
+
+// Column names that hold the magnitude, in order of preference
+const MAGNITUDE_COLUMNS = ['raw', 'spl', 'magnitude', 'db', 'gain', 'target', 'response', 'smoothed'];
+
+function isComment(line) {
+  return COMMENT_PATTERN.test(line);
+}
+
+// Semicolon-separated files usually come from locales with a decimal comma
+function splitFields(line) {
+  if (line.includes(';')) {
+    return line.split(';').map((field) => field.trim().replace(',', '.'));
+  }
+  if (line.includes('\t')) {
+    return line.split('\t').map((field) => field.trim());
+  }
+  if (line.includes(',')) {
+    return line.split(',').map((field) => field.trim());
+  }
+  return line.split(/\s+/);
+}
+
+function toNumber(field) {
+  return field === '' || field === undefined ? NaN : Number(field);
+}
+
+/**
+ * Detect the layout of a frequency-response text file
+ * @param {string} text - File contents
+ * @returns {string} - 'autoeq' for AutoEQ and squig.link CSV, 'rew' for REW
+ * text exports, 'text' for any other frequency/dB columns
+ */
+export function detectMeasurementFormat(text) {
+  const lines = String(text).split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines.some((line) => line.startsWith('*') && /freq|rew|room eq wizard/i.test(line))) {
+    return 'rew';
+  }
+  const header = lines.find((line) => !isComment(line));
+  if (header && /^frequency\s*,/i.test(header)) {
+    return 'autoeq';
+  }
+  return 'text';
+}
+
+/**
+ * Parse a frequency-response measurement or target curve.
+ *
+ * Accepts AutoEQ/squig.link CSV (`frequency,raw,...`), REW text exports and
+ * plain frequency/dB columns separated by commas, semicolons, tabs or spaces.
+ * Comment lines and a header row are skipped; rows without a number in both
+ * columns are ignored.
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {string} options.name - Curve name (default: filename without extension)
+ * @param {string} options.filename - Source file name
+ * @param {string|number} options.column - Magnitude column, by header name or
+ * index. Defaults to `raw`, `spl` or similar when there is a header, else the
+ * second column.
+ * @returns {FrequencyCurve}
+ */
+export function parseFrequencyCurve(text, options = {}) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Frequency response data must be a string');
+  }
+  const { filename = '', column } = options;
+  const name = options.name ?? filename.replace(/\.[^.]+$/, '');
+
+  let header = null;
+  const frequencies = [];
+  const magnitudes = [];
+  let frequencyIndex = 0;
+  let magnitudeIndex = typeof column === 'number' ? column : 1;
+
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  for (const line of lines) {
+    if (isComment(line)) continue;
+    const fields = splitFields(line);
+
+    if (header === null && frequencies.length === 0 && !Number.isFinite(toNumber(fields[0]))) {
+      header = fields.map((field) => field.toLowerCase().replace(/\s*\(.*\)$/, ''));
+      frequencyIndex = Math.max(0, header.findIndex((field) => field.startsWith('freq')));
+      if (typeof column === 'string') {
+        magnitudeIndex = header.indexOf(column.toLowerCase());
+        if (magnitudeIndex === -1) {
+          throw new Error(`Column "${column}" not found in ${header.join(', ')}`);
+        }
+      } else if (column === undefined) {
+        const preferred = MAGNITUDE_COLUMNS.map((candidate) => header.indexOf(candidate)).find((index) => index !== -1);
+        magnitudeIndex = preferred ?? (frequencyIndex === 0 ? 1 : 0);
+      }
+      continue;
+    }
+
+    const frequency = toNumber(fields[frequencyIndex]);
+    const magnitude = toNumber(fields[magnitudeIndex]);
+    if (Number.isFinite(frequency) && Number.isFinite(magnitude)) {
+      frequencies.push(frequency);
+      magnitudes.push(magnitude);
+    }
+  }
+
+  if (typeof column === 'string' && header === null) {
+    throw new Error(`Column "${column}" requested but the data has no header row`);
+  }
+  if (frequencies.length < 2) {
+    throw new Error('No frequency response data found.');
+  }
+  return new FrequencyCurve(frequencies, magnitudes, { name });
+}
+
+/**
+ * Write a curve as two-column CSV with a `frequency,raw` header, which
+ * AutoEQ and squig.link read back.
+ * @param {FrequencyCurve|Object} curve - Curve or `{ frequencies, magnitudeDb }`
+ * @returns {string}
+ */
+export function exportFrequencyCurve(curve) {
+  const rows = Array.from(curve.frequencies, (frequency, index) => (
+    `${Number(frequency.toFixed(2))},${Number(curve.magnitudeDb[index].toFixed(2))}`
+  ));
+  return ['frequency,raw', ...rows].join('\n');
+}
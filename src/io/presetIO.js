@@ -1,11 +1,15 @@
-import { BAND_LAYOUT } from '../core/peqGraph.js';
+import { BAND_LAYOUT, DEFAULT_BAND_LIMITS } from '../core/peqGraph.js';
+import { computeCascadeCoefficients, expandBandSections, GAIN_FILTER_TYPES, DEFAULT_SAMPLE_RATE } from '../core/biquad.js';
 import { normalizePreset, validatePreset } from '../presets/presetManager.js';
-import { POWERAMP_FREQUENCIES, FILTER_TYPE_MAPPINGS } from './formatDefinitions.js';
+import { isBandEnabled } from '../core/bandActivity.js';
+import { fitFixedBands, fitPeqToTarget, reduceBands } from '../core/fitting.js';
+import { FrequencyCurve } from '../core/frequencyCurve.js';
+import { POWERAMP_FREQUENCIES, POWERAMP_GAIN_RANGE, QUDELIX_FREQUENCY_RANGE, FILTER_TYPE_MAPPINGS } from './formatDefinitions.js';
 
 /**
  * Detect the format of a preset JSON object
  * @param {Object} json - Parsed JSON object
- * @returns {string} - Format type: 'native', 'autoeq', 'poweramp', or throws error
+ * @returns {string} - Format type: 'native', 'autoeq', 'qudelix', 'poweramp', or throws error
  */
 export function detectPresetFormat(json) {
   if (!json || typeof json !== 'object') {
@@ -16,6 +20,10 @@ export function detectPresetFormat(json) {
     return 'autoeq';
   }
 
+  if (Array.isArray(json.filters) && (json.preGain !== undefined || json.filters[0]?.freq !== undefined)) {
+    return 'qudelix';
+  }
+
   if (json.name && Array.isArray(json.bands) && json.bands[0]?.frequency !== undefined) {
     return 'native';
   }
@@ -28,76 +36,82 @@ export function detectPresetFormat(json) {
     return 'generic';
   }
 
-  throw new Error('Unknown preset format. Supported formats: Native, AutoEq, PowerAmp');
+  throw new Error('Unknown preset format. Supported formats: Native, AutoEq, PowerAmp, Qudelix');
+}
+
+function autoEqTypeToNative(autoEqType) {
+  if (!autoEqType) return 'peaking';
+  return FILTER_TYPE_MAPPINGS.autoEqToSaku[autoEqType.toUpperCase()] ?? 'peaking';
+}
+
+function nativeTypeToAutoEq(nativeType) {
+  return FILTER_TYPE_MAPPINGS.sakuToAutoEq[nativeType?.toLowerCase()] ?? 'PK';
 }
 
-export function convertAutoEqToNative(autoEqPreset) {
+// Gain-less types (pass, notch, allpass) always shape the signal
+function isAudibleBand(band) {
+  return !GAIN_FILTER_TYPES.includes(band.type?.toLowerCase() ?? 'peaking') || Math.abs(band.gain) > 0.01;
+}
+
+// Biquad sections of every band, each carrying its band's enabled state.
+// Solo only affects monitoring, so exporters ignore it.
+function exportSections(bands) {
+  return bands.flatMap((band) => {
+    const enabled = isBandEnabled(band);
+    return expandBandSections(band).map((section) => ({ ...section, enabled }));
+  });
+}
+
+/**
+ * Convert an AutoEq preset to the native format
+ * @param {Object} autoEqPreset - `{ name, preamp, filters }`
+ * @param {Object} options - `maxBands` (default: 10). Larger filter sets are
+ * reduced with reduceBands, and `conversion.maxDeviationDb` reports how far
+ * the result strays from the full set's response. Smaller sets are not padded.
+ * @returns {Object} Native preset
+ */
+export function convertAutoEqToNative(autoEqPreset, options = {}) {
   if (!autoEqPreset.filters || !Array.isArray(autoEqPreset.filters)) {
     throw new Error('AutoEq preset must have a filters array');
   }
+  const { maxBands = BAND_LAYOUT.length } = options;
 
-  const selectedFilters = autoEqPreset.filters.slice(0, 10);
-
-  const nativeBands = selectedFilters.map(filter => {
-    let nativeType = 'peaking';
-    if (filter.type) {
-      const autoEqType = filter.type.toUpperCase();
-      switch (autoEqType) {
-        case 'PK':
-        case 'PEAKING':
-          nativeType = 'peaking';
-          break;
-        case 'LSC':
-        case 'LOWSHELF':
-          nativeType = 'lowshelf';
-          break;
-        case 'HSC':
-        case 'HIGHSHELF':
-          nativeType = 'highshelf';
-          break;
-        case 'NOTCH':
-          nativeType = 'notch';
-          break;
-        default:
-          nativeType = 'peaking';
-      }
-    }
-
-    return {
+  const allBands = autoEqPreset.filters.map(filter => {
+    const nativeType = autoEqTypeToNative(filter.type);
+    const band = {
       frequency: filter.fc,
       type: nativeType,
-      gain: filter.gain,
+      gain: Number.isFinite(filter.gain) ? filter.gain : 0,
       Q: filter.Q || (nativeType === 'peaking' ? 1.0 : 0.707)
     };
+    if (filter.enabled === false) {
+      band.enabled = false;
+    }
+    return band;
   });
 
-  while (nativeBands.length < 10) {
-    const usedFreqs = new Set(nativeBands.map(b => b.frequency));
-    const unusedLayoutBand = BAND_LAYOUT.find(layoutBand => !usedFreqs.has(layoutBand.freq));
-    if (unusedLayoutBand) {
-      nativeBands.push({
-        frequency: unusedLayoutBand.freq,
-        type: unusedLayoutBand.type,
-        gain: 0,
-        Q: unusedLayoutBand.type === 'peaking' ? 1.0 : 0.707
-      });
-    } else {
-      nativeBands.push({
-        frequency: 1000 + nativeBands.length * 100,
-        type: 'peaking',
-        gain: 0,
-        Q: 1.0
-      });
-    }
-  }
+  const reduction = reduceBands(allBands, maxBands);
+  const nativeBands = reduction.bands;
+  const filterCount = autoEqPreset.filters.length;
+  const usedCount = nativeBands.length;
+  const description = usedCount < filterCount
+    ? `AutoEq preset - ${filterCount} filters reduced to ${usedCount} (max deviation ${reduction.maxDeviationDb.toFixed(2)} dB)`
+    : `AutoEq preset - ${filterCount} filters, ${usedCount} used`;
 
   return {
     name: autoEqPreset.name || 'Imported AutoEq Preset',
-    description: `AutoEq preset - ${autoEqPreset.filters.length} filters, ${selectedFilters.length} used`,
+    description,
     version: '1.0',
     preamp: autoEqPreset.preamp !== undefined ? autoEqPreset.preamp : 0,
     bands: nativeBands,
-    source: 'autoeq'
+    source: 'autoeq',
+    conversion: {
+      filters: filterCount,
+      bands: usedCount,
+      dropped: reduction.dropped,
+      merged: reduction.merged,
+      maxDeviationDb: reduction.maxDeviationDb
+    }
   };
 }
 
@@ -106,33 +120,16 @@ export function convertNativeToAutoEq(nativePreset) {
     throw new Error('Native preset must have a bands array');
   }
 
-  const autoEqFilters = nativePreset.bands
-    .filter(band => Math.abs(band.gain) > 0.01)
-    .map(band => {
-      let autoEqType = 'PK';
-      switch (band.type?.toLowerCase()) {
-        case 'peaking':
-          autoEqType = 'PK';
-          break;
-        case 'lowshelf':
-          autoEqType = 'LSC';
-          break;
-        case 'highshelf':
-          autoEqType = 'HSC';
-          break;
-        case 'notch':
-          autoEqType = 'NOTCH';
-          break;
-        default:
-          autoEqType = 'PK';
-      }
-      return {
-        type: autoEqType,
-        fc: band.frequency,
-        Q: band.Q,
-        gain: band.gain
-      };
-    });
+  // Crossover bands are written as their individual biquad sections; the
+  // JSON format has no on/off field, so disabled bands are left out
+  const autoEqFilters = exportSections(nativePreset.bands)
+    .filter((band) => band.enabled && isAudibleBand(band))
+    .map(band => ({
+      type: nativeTypeToAutoEq(band.type),
+      fc: band.frequency,
+      Q: band.Q,
+      gain: band.gain
+    }));
 
   return {
     name: nativePreset.name,
@@ -146,34 +143,56 @@ export function convertNativeToAutoEqText(nativePreset) {
     throw new Error('Native preset must have a bands array');
   }
 
-  const preamp = nativePreset.preamp || 0;
-  const activeFilters = nativePreset.bands.filter(band => Math.abs(band.gain) > 0.01);
-  const lines = [`Preamp: ${preamp >= 0 ? '+' : ''}${preamp.toFixed(1)} dB`];
-
-  activeFilters.forEach((band, index) => {
-    let autoEqType = 'PK';
-    switch (band.type?.toLowerCase()) {
-      case 'peaking':
-        autoEqType = 'PK';
-        break;
-      case 'lowshelf':
-        autoEqType = 'LSC';
-        break;
-      case 'highshelf':
-        autoEqType = 'HSC';
-        break;
-      case 'notch':
-        autoEqType = 'NOTCH';
-        break;
-      default:
-        autoEqType = 'PK';
-    }
+  // Disabled bands are kept as OFF lines so they survive a round trip
+  const activeFilters = exportSections(nativePreset.bands).filter(isAudibleBand);
+  const lines = [formatPreampLine(nativePreset.preamp || 0)];
+  activeFilters.forEach((band, index) => lines.push(formatFilterLine(band, index + 1)));
+
+  return lines.join('\n');
+}
 
-    const filterNum = index + 1;
-    const fc = Math.round(band.frequency);
+function formatPreampLine(preamp) {
+  return `Preamp: ${preamp >= 0 ? '+' : ''}${preamp.toFixed(1)} dB`;
+}
+
+function formatFilterLine(band, filterNum) {
+  const autoEqType = nativeTypeToAutoEq(band.type);
+  const state = band.enabled ? 'ON' : 'OFF';
+  const fc = Math.round(band.frequency);
+  const q = band.Q.toFixed(2);
+
+  if (GAIN_FILTER_TYPES.includes(band.type?.toLowerCase() ?? 'peaking')) {
     const gain = band.gain >= 0 ? `+${band.gain.toFixed(1)}` : band.gain.toFixed(1);
-    const q = band.Q.toFixed(2);
-    lines.push(`Filter ${filterNum}: ON ${autoEqType} Fc ${fc} Hz Gain ${gain} dB Q ${q}`);
+    return `Filter ${filterNum}: ${state} ${autoEqType} Fc ${fc} Hz Gain ${gain} dB Q ${q}`;
+  }
+  return `Filter ${filterNum}: ${state} ${autoEqType} Fc ${fc} Hz Q ${q}`;
+}
+
+/**
+ * Write the preset as raw biquad coefficients in miniDSP's advanced biquad
+ * syntax. miniDSP expects the feedback terms negated, so `a1`/`a2` are written
+ * with flipped signs. The preamp is not part of the cascade and has to be set
+ * separately on the target device. Disabled bands are left out.
+ */
+export function convertNativeToBiquadText(nativePreset, options = {}) {
+  if (!nativePreset.bands || !Array.isArray(nativePreset.bands)) {
+    throw new Error('Native preset must have a bands array');
+  }
+
+  const { sampleRate = DEFAULT_SAMPLE_RATE, precision = 15, design } = options;
+  const { sections } = computeCascadeCoefficients(nativePreset, sampleRate, design ?? nativePreset.design);
+  const format = (value) => (Object.is(value, -0) ? 0 : value).toFixed(precision);
+
+  const lines = [];
+  sections.forEach((section, index) => {
+    lines.push(
+      `biquad${index + 1},`,
+      `b0=${format(section.b0)},`,
+      `b1=${format(section.b1)},`,
+      `b2=${format(section.b2)},`,
+      `a1=${format(-section.a1)},`,
+      `a2=${format(-section.a2)}${index === sections.length - 1 ? '' : ','}`
+    );
   });
 
   return lines.join('\n');
@@ -185,6 +204,11 @@ export function convertPowerAmpToNative(powerAmpPreset) {
   }
 
   const bands = powerAmpPreset.EQSettings.bands.map((band, index) => {
+    // Bands that carry their frequency, as XML presets do, are PowerAmp's
+    // peaking bands (see FILTER_TYPE_MAPPINGS.sakuToPowerAmp)
+    if (Number.isFinite(band.frequency)) {
+      return { frequency: band.frequency, type: 'peaking', gain: band.gain || 0, Q: band.Q || 1.0 };
+    }
     const layoutBand = BAND_LAYOUT[index];
     return {
       frequency: layoutBand?.freq || 1000,
@@ -204,17 +228,176 @@ export function convertPowerAmpToNative(powerAmpPreset) {
   };
 }
 
-export function convertToNative(preset) {
+/**
+ * Read a PowerAmp XML preset into the `{ name, EQSettings: { preamp, bands } }`
+ * object convertPowerAmpToNative takes. Bands without a `frequency`
+ * attribute take the POWERAMP_FREQUENCIES slider at their position.
+ * @param {string} text - XML document with a `PowerAmpPreset` root
+ * @returns {Object} PowerAmp preset
+ */
+export function parsePowerAmpXml(text) {
+  const root = text.match(/<PowerAmpPreset\b([^>]*)>/);
+  const settings = text.match(/<EQSettings\b([^>]*)>/);
+  if (!root || !settings) {
+    throw new Error('PowerAmp XML must have a PowerAmpPreset root with EQSettings');
+  }
+  const number = (value) => (value === undefined ? undefined : parseFloat(value));
+  const bands = [...text.matchAll(/<band\b([^>]*)>/g)].map(([, attributes], index) => {
+    const band = xmlAttributes(attributes);
+    return {
+      frequency: number(band.frequency) ?? POWERAMP_FREQUENCIES[index],
+      gain: number(band.gain) ?? 0,
+      Q: number(band.Q),
+      type: band.type
+    };
+  });
+
+  return {
+    name: xmlAttributes(root[1]).name,
+    EQSettings: { preamp: number(xmlAttributes(settings[1]).preamp) ?? 0, bands }
+  };
+}
+
+/**
+ * Write the preset as PowerAmp XML. PowerAmp has peaking sliders at
+ * POWERAMP_FREQUENCIES, so their gains are solved with fitFixedBands to
+ * match the preset's response at those frequencies within
+ * POWERAMP_GAIN_RANGE; in between the curve is approximate. Per-channel
+ * bands are not written.
+ * @param {Object} nativePreset - Native preset
+ * @param {Object} options - `sampleRate`, `design` for the response match
+ * @returns {string} XML document
+ */
+export function convertNativeToPowerAmpXml(nativePreset, options = {}) {
+  if (!nativePreset.bands || !Array.isArray(nativePreset.bands)) {
+    throw new Error('Native preset must have a bands array');
+  }
+  const { bands } = fitFixedBands(nativePreset.bands, POWERAMP_FREQUENCIES, {
+    minGain: POWERAMP_GAIN_RANGE.min,
+    maxGain: POWERAMP_GAIN_RANGE.max,
+    sampleRate: options.sampleRate,
+    design: options.design ?? nativePreset.design
+  });
+  const preamp = nativePreset.preamp || 0;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<PowerAmpPreset name="${escapeXml(nativePreset.name || 'PEQ Preset')}">`,
+    `  <EQSettings preamp="${preamp.toFixed(1)}">`,
+    ...bands.map((band) => (
+      `    <band frequency="${band.frequency}" gain="${(Math.round(band.gain * 10) / 10 || 0).toFixed(1)}" Q="${band.Q.toFixed(2)}" type="${FILTER_TYPE_MAPPINGS.sakuToPowerAmp[band.type]}"/>`
+    )),
+    '  </EQSettings>',
+    '</PowerAmpPreset>'
+  ].join('\n');
+}
+
+function xmlAttributes(source) {
+  const attributes = {};
+  for (const [, name, , value] of source.matchAll(/([\w:-]+)\s*=\s*(["'])(.*?)\2/g)) {
+    attributes[name] = value
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+  return attributes;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a Qudelix 5K preset to the native format
+ * @param {Object} qudelixPreset - `{ name, preGain, filters }` with filters
+ * `{ enabled, type, freq, gain, q }` and Qudelix type names. Unknown types
+ * throw rather than being guessed.
+ * @returns {Object} Native preset
+ */
+export function convertQudelixToNative(qudelixPreset) {
+  if (!Array.isArray(qudelixPreset.filters)) {
+    throw new Error('Qudelix preset must have a filters array');
+  }
+  const bands = qudelixPreset.filters.map((filter) => {
+    const type = FILTER_TYPE_MAPPINGS.qudelixToSaku[filter.type];
+    if (!type) {
+      throw new Error(`Qudelix filter type ${filter.type} is not supported`);
+    }
+    const band = {
+      frequency: filter.freq,
+      type,
+      gain: GAIN_FILTER_TYPES.includes(type) && Number.isFinite(filter.gain) ? filter.gain : 0,
+      Q: filter.q || (type === 'peaking' ? 1.0 : 0.707)
+    };
+    if (filter.enabled === false) {
+      band.enabled = false;
+    }
+    return band;
+  });
+
+  return {
+    name: qudelixPreset.name || 'Qudelix Preset',
+    description: 'Imported from Qudelix 5K',
+    version: '1.0',
+    preamp: qudelixPreset.preGain ?? 0,
+    bands,
+    source: 'qudelix'
+  };
+}
+
+/**
+ * Convert a preset to Qudelix 5K JSON. Crossover bands become their biquad
+ * sections, frequencies are kept within QUDELIX_FREQUENCY_RANGE, and sets
+ * larger than the device's bands are reduced with reduceBands. Disabled bands
+ * are written with `enabled: false` while the set fits; a larger set drops
+ * them first. Per-channel bands are not written.
+ * @param {Object} nativePreset - Native preset
+ * @param {Object} options - `maxBands` (default: QUDELIX_FREQUENCY_RANGE.preferredBands)
+ * @returns {Object} `{ name, preGain, filters }`
+ */
+export function convertNativeToQudelix(nativePreset, options = {}) {
+  if (!nativePreset.bands || !Array.isArray(nativePreset.bands)) {
+    throw new Error('Native preset must have a bands array');
+  }
+  const { maxBands = QUDELIX_FREQUENCY_RANGE.preferredBands } = options;
+  const { min, max } = QUDELIX_FREQUENCY_RANGE;
+  const sections = exportSections(nativePreset.bands).filter(isAudibleBand);
+
+  const filters = reduceBands(sections, maxBands).bands.map((band) => ({
+    enabled: band.enabled !== false,
+    type: FILTER_TYPE_MAPPINGS.sakuToQudelix[band.type] ?? 'bell',
+    freq: Math.min(max, Math.max(min, Math.round(band.frequency))),
+    gain: GAIN_FILTER_TYPES.includes(band.type) ? Math.round(band.gain * 10) / 10 : 0,
+    q: Math.round(band.Q * 100) / 100
+  }));
+
+  return {
+    name: nativePreset.name || 'PEQ Preset',
+    preGain: Math.round((nativePreset.preamp || 0) * 10) / 10,
+    filters
+  };
+}
+
+export function convertToNative(preset, options = {}) {
   const format = detectPresetFormat(preset);
 
   let nativePreset;
   switch (format) {
     case 'autoeq':
-      nativePreset = convertAutoEqToNative(preset);
+      nativePreset = convertAutoEqToNative(preset, options);
       break;
     case 'poweramp':
       nativePreset = convertPowerAmpToNative(preset);
       break;
+    case 'qudelix':
+      nativePreset = convertQudelixToNative(preset);
+      break;
     case 'native':
       nativePreset = preset;
       break;
@@ -235,27 +418,35 @@ export function convertToNative(preset) {
   return normalizePreset(nativePreset);
 }
 
+const AUTOEQ_PREAMP_PATTERN = /Preamp:\s*([+-]?\d+\.?\d*)\s*dB/i;
+// Gain is optional so pass, notch and allpass filters parse too
+const AUTOEQ_FILTER_PATTERN = /Filter\s+\d+:\s*(ON|OFF)\s+(\w+)\s+Fc\s+(\d+\.?\d*)\s*Hz(?:\s+Gain\s*([+-]?\d+\.?\d*)\s*dB)?\s+Q\s+(\d+\.?\d*)/i;
+
 export function parseAutoEqText(text) {
   const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
   let preamp = 0;
   const filters = [];
 
   for (const line of lines) {
-    const preampMatch = line.match(/Preamp:\s*([+-]?\d+\.?\d*)\s*dB/i);
+    const preampMatch = line.match(AUTOEQ_PREAMP_PATTERN);
     if (preampMatch) {
       preamp = parseFloat(preampMatch[1]);
       continue;
     }
 
-    const filterMatch = line.match(/Filter\s+\d+:\s*ON\s+(\w+)\s+Fc\s+(\d+\.?\d*)\s*Hz\s+Gain\s*([+-]?\d+\.?\d*)\s*dB\s+Q\s+(\d+\.?\d*)/i);
+    const filterMatch = line.match(AUTOEQ_FILTER_PATTERN);
     if (filterMatch) {
-      const [, type, fc, gain, Q] = filterMatch;
-      filters.push({
+      const [, state, type, fc, gain, Q] = filterMatch;
+      const filter = {
         type: type.toUpperCase(),
         fc: parseFloat(fc),
-        gain: parseFloat(gain),
+        gain: gain !== undefined ? parseFloat(gain) : 0,
         Q: parseFloat(Q)
-      });
+      };
+      if (state.toUpperCase() === 'OFF') {
+        filter.enabled = false;
+      }
+      filters.push(filter);
       continue;
     }
   }
@@ -267,8 +458,363 @@ export function parseAutoEqText(text) {
   return { name: 'AutoEq Preset', preamp, filters };
 }
 
-export function importPresetFromText(text, filename = '') {
-  if (text.includes('Preamp:') && text.includes('Filter') && text.includes('Hz')) {
+// Equalizer APO commands; a text file is read as a config only if it uses one
+const APO_COMMANDS = new Set([
+  'preamp', 'filter', 'channel', 'device', 'include', 'graphiceq', 'delay', 'copy', 'stage',
+  'eval', 'if', 'elseif', 'else', 'endif', 'convolution', 'loudnesscorrection'
+]);
+
+// Equalizer APO channel names, or 1-based channel numbers, that native presets can hold
+const APO_CHANNELS = { L: 'left', 1: 'left', R: 'right', 2: 'right' };
+
+// Q for filters written without Q or BW: Butterworth passes, the narrowest
+// notch validateBand accepts, and a 12 dB/oct shelf (shelf Q is the slope)
+const APO_DEFAULT_Q = {
+  peaking: 1,
+  lowshelf: 1,
+  highshelf: 1,
+  lowpass: Math.SQRT1_2,
+  highpass: Math.SQRT1_2,
+  bandpass: Math.SQRT1_2,
+  notch: 10,
+  allpass: Math.SQRT1_2
+};
+
+const APO_NUMBER = '([+-]?\\d*\\.?\\d+)';
+const APO_PARAMETERS = {
+  fc: new RegExp(`\\bFc\\s+${APO_NUMBER}`, 'i'),
+  gain: new RegExp(`\\bGain\\s+${APO_NUMBER}`, 'i'),
+  Q: new RegExp(`\\bQ\\s+${APO_NUMBER}`, 'i'),
+  bandwidth: new RegExp(`\\bBW\\s+Oct\\s+${APO_NUMBER}`, 'i')
+};
+
+function createApoChain() {
+  return { preamp: 0, filters: [], graphicEq: [] };
+}
+
+// Q of a filter spanning `octaves` between its -3 dB points
+function bandwidthToQ(octaves) {
+  const ratio = 2 ** octaves;
+  return Math.sqrt(ratio) / (ratio - 1);
+}
+
+// One `Filter:` body, e.g. `ON LSC 6 dB Fc 100 Hz Gain 4 dB` or `ON PK Fc 1000 Hz Gain -3 dB BW Oct 1`.
+// Returns the filter, or `{ reason }` when it cannot be imported.
+function parseApoFilter(body) {
+  const match = body.match(/^(ON|OFF)\s+([A-Za-z]+)(?:\s+(\d*\.?\d+)\s*dB)?\b(.*)$/i);
+  if (!match) {
+    return { reason: 'Unrecognized filter' };
+  }
+  const [, state, code, slope, parameters] = match;
+  const type = FILTER_TYPE_MAPPINGS.autoEqToSaku[code.toUpperCase()];
+  if (!type) {
+    return { reason: `Filter type ${code} is not supported` };
+  }
+  const value = (name) => {
+    const found = parameters.match(APO_PARAMETERS[name]);
+    return found ? parseFloat(found[1]) : undefined;
+  };
+
+  const fc = value('fc');
+  if (!(fc > 0)) {
+    return { reason: 'Filter has no Fc' };
+  }
+  const isShelf = type === 'lowshelf' || type === 'highshelf';
+  if (slope !== undefined && !isShelf) {
+    return { reason: `Filter type ${code} does not take a slope` };
+  }
+  const bandwidth = value('bandwidth');
+  let Q = value('Q');
+  if (Q === undefined && bandwidth > 0) {
+    Q = bandwidthToQ(bandwidth);
+  } else if (Q === undefined && slope !== undefined) {
+    Q = parseFloat(slope) / 12;
+  }
+
+  return {
+    type,
+    fc,
+    gain: GAIN_FILTER_TYPES.includes(type) ? (value('gain') ?? 0) : 0,
+    Q: Q > 0 ? Q : APO_DEFAULT_Q[type],
+    enabled: state.toUpperCase() === 'ON'
+  };
+}
+
+// `GraphicEQ: 20 -2.5; 40 0; ...` as frequency and gain lists
+function parseApoGraphicEq(body) {
+  const points = body.split(';')
+    .map((point) => point.trim().split(/\s+/).map(Number))
+    .filter(([frequency, gain]) => frequency > 0 && Number.isFinite(gain));
+  return points.length < 2
+    ? null
+    : { frequencies: points.map(([frequency]) => frequency), gains: points.map(([, gain]) => gain) };
+}
+
+/**
+ * Parse an Equalizer APO configuration (config.txt), of which AutoEq's
+ * ParametricEQ.txt is a subset.
+ *
+ * Reads `Preamp:`, `Filter:` lines with any APO filter code and `Q`,
+ * `BW Oct` or a shelf slope in dB, `Channel:` selections of L and R, and
+ * `GraphicEQ:` curves. Lines that cannot be represented, such as
+ * `Include:`, `Delay:`, `Copy:`, conditions or filters for other channels,
+ * are listed in `unsupported` instead of being dropped silently.
+ * @param {string} text - Config file contents
+ * @returns {Object} `{ name, preamp, filters, graphicEq, channels, unsupported }`
+ * where `channels.left` and `channels.right` hold their own `preamp`,
+ * `filters` and `graphicEq`, filters are `{ type, fc, gain, Q, enabled }`
+ * with native types, and unsupported entries are `{ line, text, reason }`
+ */
+export function parseEqualizerApoConfig(text) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Equalizer APO config must be a string');
+  }
+  const shared = createApoChain();
+  const channels = { left: createApoChain(), right: createApoChain() };
+  const unsupported = [];
+  let targets = [shared];
+  let selection = 'all';
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+    const report = (reason) => unsupported.push({ line: index + 1, text: line, reason });
+
+    const directive = line.match(/^([A-Za-z]+)\s*\d*\s*:\s*(.*)$/);
+    if (!directive) {
+      report('Unrecognized line');
+      return;
+    }
+    const [, name, body] = directive;
+    const keyword = name.toLowerCase();
+
+    if (keyword === 'channel') {
+      const names = body.split(/\s+/).filter(Boolean).map((channel) => channel.toUpperCase());
+      selection = names.join(' ');
+      if (names.includes('ALL')) {
+        targets = [shared];
+        return;
+      }
+      const selected = new Set(names.map((channel) => APO_CHANNELS[channel]).filter(Boolean));
+      targets = selected.size === 2 ? [shared] : [...selected].map((channel) => channels[channel]);
+      const others = names.filter((channel) => !APO_CHANNELS[channel]);
+      if (others.length > 0) {
+        report(`Channel ${others.join(' ')} is not supported; only L and R are imported`);
+      }
+      return;
+    }
+    if (keyword === 'device') {
+      if (body.trim().toLowerCase() !== 'all') {
+        report('Device selection is not applied; the following lines are imported for every device');
+      }
+      return;
+    }
+    if (!['preamp', 'filter', 'graphiceq'].includes(keyword)) {
+      report(`${name} is not supported`);
+      return;
+    }
+    if (targets.length === 0) {
+      report(`Not imported for channel ${selection}`);
+      return;
+    }
+
+    if (keyword === 'preamp') {
+      const preamp = body.match(/^([+-]?\d*\.?\d+)\s*dB$/i);
+      if (!preamp) {
+        report('Unrecognized preamp');
+        return;
+      }
+      // Every Preamp line adds a gain stage
+      targets.forEach((chain) => { chain.preamp += parseFloat(preamp[1]); });
+    } else if (keyword === 'filter') {
+      const filter = parseApoFilter(body);
+      if (filter.reason) {
+        report(filter.reason);
+        return;
+      }
+      targets.forEach((chain) => chain.filters.push({ ...filter }));
+    } else {
+      const curve = parseApoGraphicEq(body);
+      if (!curve) {
+        report('GraphicEQ needs at least two frequency/gain points');
+        return;
+      }
+      targets.forEach((chain) => chain.graphicEq.push({ line: index + 1, ...curve }));
+    }
+  });
+
+  const chains = [shared, channels.left, channels.right];
+  if (chains.every((chain) => chain.filters.length === 0 && chain.graphicEq.length === 0)) {
+    throw new Error('No valid filters found in Equalizer APO config.');
+  }
+  return { name: 'Equalizer APO Preset', ...shared, channels, unsupported };
+}
+
+// Refinement iterations per GraphicEQ fit. Imports run synchronously, and
+// beyond this the fit gains little on a curve that is already smooth.
+const GRAPHIC_EQ_ITERATIONS = 30;
+
+// Bands approximating a GraphicEQ curve, fitted against a flat response
+function fitGraphicEq(curve, bandCount) {
+  const target = new FrequencyCurve(curve.frequencies, curve.gains);
+  const flat = new FrequencyCurve([20, 20000], [0, 0]);
+  const { preset, maxDb } = fitPeqToTarget(flat, target, {
+    bandCount,
+    align: 'none',
+    maxFreq: 20000,
+    minGain: -24,
+    maxGain: 24,
+    maxBoost: Math.max(0, ...curve.gains) + 1,
+    maxIterations: GRAPHIC_EQ_ITERATIONS
+  });
+  return { bands: preset.bands, maxDb };
+}
+
+/**
+ * Convert a parsed Equalizer APO config to the native format. Filters for
+ * every channel, or for both L and R, become the shared bands; filters for
+ * only L or only R become the channels of a 'left-right' preset.
+ * GraphicEQ curves are approximated with fitPeqToTarget.
+ * @param {Object} config - From parseEqualizerApoConfig
+ * @param {Object} options - `maxBands` per chain (default: DEFAULT_BAND_LIMITS.max),
+ * larger sets are reduced with reduceBands; `graphicEqBands` per GraphicEQ
+ * curve (default: 10)
+ * @returns {Object} Native preset. Besides the reduction figures,
+ * `conversion.approximated` lists GraphicEQ curves as `{ line, bands, maxDeviationDb }`
+ * and `conversion.unsupported` the config lines that were not imported.
+ */
+export function convertEqualizerApoToNative(config, options = {}) {
+  if (!Array.isArray(config?.filters)) {
+    throw new Error('Equalizer APO config must have a filters array');
+  }
+  const { maxBands = DEFAULT_BAND_LIMITS.max, graphicEqBands = 10 } = options;
+  const conversion = { filters: 0, bands: 0, dropped: 0, merged: 0, maxDeviationDb: 0, approximated: [] };
+
+  const toBands = ({ filters = [], graphicEq = [] }) => {
+    const bands = filters.map((filter) => {
+      const band = { frequency: filter.fc, type: filter.type, gain: filter.gain, Q: filter.Q };
+      if (filter.enabled === false) {
+        band.enabled = false;
+      }
+      return band;
+    });
+    graphicEq.forEach((curve) => {
+      const fit = fitGraphicEq(curve, graphicEqBands);
+      bands.push(...fit.bands);
+      conversion.approximated.push({ line: curve.line, bands: fit.bands.length, maxDeviationDb: fit.maxDb });
+    });
+
+    const reduction = reduceBands(bands, maxBands);
+    conversion.filters += bands.length;
+    conversion.bands += reduction.bands.length;
+    conversion.dropped += reduction.dropped;
+    conversion.merged += reduction.merged;
+    conversion.maxDeviationDb = Math.max(conversion.maxDeviationDb, reduction.maxDeviationDb);
+    return reduction.bands;
+  };
+
+  const preset = {
+    name: config.name || 'Imported Equalizer APO Preset',
+    version: '1.0',
+    preamp: config.preamp ?? 0,
+    bands: toBands(config)
+  };
+  const { left, right } = config.channels ?? {};
+  const hasChannels = [left, right].some((chain) => (
+    chain && (chain.preamp !== 0 || chain.filters.length > 0 || chain.graphicEq.length > 0)
+  ));
+  if (hasChannels) {
+    preset.channelMode = 'left-right';
+    preset.channels = {
+      left: { preamp: left?.preamp ?? 0, bands: toBands(left ?? {}) },
+      right: { preamp: right?.preamp ?? 0, bands: toBands(right ?? {}) }
+    };
+  }
+
+  const unsupported = config.unsupported ?? [];
+  const { filters, bands } = conversion;
+  let description = bands < filters
+    ? `Equalizer APO config - ${filters} filters reduced to ${bands} (max deviation ${conversion.maxDeviationDb.toFixed(2)} dB)`
+    : `Equalizer APO config - ${filters} filters`;
+  if (unsupported.length > 0) {
+    description += `, ${unsupported.length} ${unsupported.length === 1 ? 'line' : 'lines'} not imported`;
+  }
+
+  return {
+    ...preset,
+    description,
+    source: 'equalizer-apo',
+    conversion: { ...conversion, unsupported: unsupported.map((entry) => ({ ...entry })) }
+  };
+}
+
+/**
+ * Write the preset as an Equalizer APO config. The shared bands come first;
+ * a 'left-right' preset's channel preamps and bands follow under
+ * `Channel: L` and `Channel: R`. APO cannot select mid and side, so
+ * 'mid-side' presets are rejected. Disabled bands are written as OFF lines.
+ */
+export function convertNativeToEqualizerApo(nativePreset) {
+  if (!nativePreset.bands || !Array.isArray(nativePreset.bands)) {
+    throw new Error('Native preset must have a bands array');
+  }
+  const channelMode = nativePreset.channelMode ?? 'stereo';
+  if (channelMode !== 'stereo' && channelMode !== 'left-right') {
+    throw new Error(`Equalizer APO export does not support the ${channelMode} channel mode`);
+  }
+
+  const lines = [];
+  if (nativePreset.name) {
+    lines.push(`# ${nativePreset.name}`);
+  }
+  lines.push(formatPreampLine(nativePreset.preamp || 0));
+  let filterNum = 0;
+  const writeBands = (bands) => {
+    exportSections(bands).filter(isAudibleBand).forEach((band) => lines.push(formatFilterLine(band, ++filterNum)));
+  };
+  writeBands(nativePreset.bands);
+
+  if (channelMode === 'left-right' && nativePreset.channels) {
+    [['L', 'left'], ['R', 'right']].forEach(([code, name]) => {
+      const { preamp = 0, bands = [] } = nativePreset.channels[name] ?? {};
+      lines.push(`Channel: ${code}`);
+      if (preamp !== 0) {
+        lines.push(formatPreampLine(preamp));
+      }
+      writeBands(bands);
+    });
+    lines.push('Channel: all');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Detect the format of a text preset
+ * @param {string} text - File contents
+ * @returns {string} - 'autoeq-text' for plain AutoEq ParametricEQ.txt,
+ * 'equalizer-apo' for other text with an Equalizer APO command such as
+ * `Channel:` or `GraphicEQ:`, 'poweramp' for PowerAmp XML, 'json' otherwise
+ */
+export function detectTextFormat(text) {
+  if (/^\s*(<\?xml[^>]*>\s*)?<PowerAmpPreset\b/.test(text)) {
+    return 'poweramp';
+  }
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+  const isAutoEqLine = (line) => AUTOEQ_PREAMP_PATTERN.test(line) || AUTOEQ_FILTER_PATTERN.test(line);
+  if (text.includes('Preamp:') && text.includes('Filter') && text.includes('Hz') && lines.every(isAutoEqLine)) {
+    return 'autoeq-text';
+  }
+  const isApoCommand = (line) => APO_COMMANDS.has(line.match(/^([A-Za-z]+)\s*\d*\s*:/)?.[1].toLowerCase());
+  if (lines.some(isApoCommand)) {
+    return 'equalizer-apo';
+  }
+  return 'json';
+}
+
+export function importPresetFromText(text, filename = '', options = {}) {
+  const format = detectTextFormat(text);
+  if (format === 'autoeq-text') {
     const autoEqData = parseAutoEqText(text);
     if (filename) {
       const extractedName = filename
@@ -280,21 +826,42 @@ export function importPresetFromText(text, filename = '') {
         autoEqData.name = extractedName;
       }
     }
-    return convertAutoEqToNative(autoEqData);
+    return convertAutoEqToNative(autoEqData, options);
+  }
+  if (format === 'equalizer-apo') {
+    const config = parseEqualizerApoConfig(text);
+    const extractedName = filename.replace(/\.txt$/i, '').trim();
+    // APO's own file name says nothing about the preset
+    if (extractedName && extractedName.toLowerCase() !== 'config') {
+      config.name = extractedName;
+    }
+    return convertEqualizerApoToNative(config, options);
+  }
+  if (format === 'poweramp') {
+    return convertToNative(parsePowerAmpXml(text), options);
   }
 
   const parsed = JSON.parse(text);
-  return convertToNative(parsed);
+  return convertToNative(parsed, options);
 }
 
-export function exportPreset(preset, format = 'native') {
+export function exportPreset(preset, format = 'native', options = {}) {
   let exportData;
   switch (format) {
+    case 'biquad':
+      return convertNativeToBiquadText(preset, options);
     case 'autoeq':
       exportData = convertNativeToAutoEq(preset);
       return JSON.stringify(exportData, null, 2);
     case 'autoeq-text':
       return convertNativeToAutoEqText(preset);
+    case 'equalizer-apo':
+      return convertNativeToEqualizerApo(preset);
+    case 'poweramp':
+      return convertNativeToPowerAmpXml(preset, options);
+    case 'qudelix':
+      exportData = convertNativeToQudelix(preset, options);
+      return JSON.stringify(exportData, null, 2);
     case 'native':
     default:
       exportData = preset;
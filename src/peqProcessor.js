@@ -1,27 +1,110 @@
-import { createPeqChain, updatePeqFilters, updatePreamp, cleanupPeqChain } from './core/peqGraph.js';
-import { normalizePreset, clonePreset, DEFAULT_PRESET } from './presets/presetManager.js';
+import {
+  DEFAULT_BAND_LIMITS,
+  createPeqChain,
+  updatePeqFilters,
+  updatePreamp,
+  cleanupPeqChain,
+  insertPeqFilter,
+  removePeqFilter,
+  reorderPeqFilters,
+  syncPeqChain,
+  scheduleBandNodes,
+  resolveSmoothing,
+  setAudioParam
+} from './core/peqGraph.js';
+import {
+  normalizePreset,
+  normalizeChannels,
+  cloneChannels,
+  validateBand,
+  createFlatBand,
+  DEFAULT_PRESET
+} from './presets/presetManager.js';
+import { analyzeHeadroom } from './core/headroom.js';
+import { DESIGN_MODES, DEFAULT_DESIGN } from './core/biquad.js';
+import { isDynamicBand, resolveDynamicSettings, computeDetectionCoefficients } from './core/dynamics.js';
+import { DYNAMICS_PROCESSOR_NAME } from './core/dynamicsWorklet.js';
+import { LIMITER_PROCESSOR_NAME, resolveLimiterSettings } from './core/limiterWorklet.js';
+import { registerPeqWorklets, isPeqWorkletReady } from './core/worklets.js';
+import { hasSoloedBand, resolveAudibleBands } from './core/bandActivity.js';
+import { computeLevelOffsets } from './core/levelMatch.js';
+import { EditHistory } from './core/history.js';
+import { morphPresets } from './core/morph.js';
+import { createBandEvent, eventEndTime, bandsAtTime } from './core/automation.js';
+import { DEFAULT_LOUDNESS_OPTIONS, computeLoudnessBands } from './core/loudness.js';
+import { DEFAULT_ANALYSER_OPTIONS } from './core/spectrum.js';
+import {
+  CHANNEL_LAYOUTS,
+  DEFAULT_CHANNEL_MODE,
+  createChannelStage,
+  syncChannelStage,
+  cleanupChannelStage
+} from './core/channelStage.js';
 
 const DEFAULT_OPTIONS = {
   preset: null,
   bands: null,
   preamp: null,
   bypass: false,
+  minBands: DEFAULT_BAND_LIMITS.min,
+  maxBands: DEFAULT_BAND_LIMITS.max,
+  smoothing: undefined,
+  autoPreamp: false,
+  design: undefined,
+  limiter: false,
+  channelMode: undefined,
+  channels: undefined,
+  levelMatch: true,
+  history: true,
+  loudness: false,
+  analysers: false,
   description: 'PEQ Processor Initial State'
 };
 
 const EVENTS = {
   BAND_CHANGE: 'bandchange',
   PREAMP_CHANGE: 'preampchange',
+  AUTO_PREAMP_CHANGE: 'autopreampchange',
+  BAND_ADD: 'bandadd',
+  BAND_REMOVE: 'bandremove',
+  BAND_REORDER: 'bandreorder',
   PRESET_LOAD: 'presetload',
   BYPASS_CHANGE: 'bypasschange',
+  SMOOTHING_CHANGE: 'smoothingchange',
+  DESIGN_CHANGE: 'designchange',
+  GAIN_REDUCTION: 'gainreduction',
+  CLIP: 'clip',
+  LIMIT: 'limit',
+  LIMITER_CHANGE: 'limiterchange',
+  CHANNEL_MODE_CHANGE: 'channelmodechange',
+  CHANNEL_CHANGE: 'channelchange',
+  SLOT_CHANGE: 'slotchange',
+  LEVEL_OFFSET_CHANGE: 'leveloffsetchange',
+  HISTORY_CHANGE: 'historychange',
+  MORPH_CHANGE: 'morphchange',
+  LOUDNESS_CHANGE: 'loudnesschange',
+  ANALYSER_CHANGE: 'analyserchange',
   STATE_CHANGE: 'statechange'
 };
 
-function ensurePreset(options = {}) {
+// Slack between the end of a slot crossfade and releasing the outgoing path,
+// since timers and the audio clock drift apart
+const CROSSFADE_RELEASE_DELAY_MS = 100;
+
+function resolveBandLimits(options = {}) {
+  const min = Math.max(1, Math.floor(options.minBands ?? DEFAULT_OPTIONS.minBands));
+  const max = Math.floor(options.maxBands ?? DEFAULT_OPTIONS.maxBands);
+  if (!Number.isFinite(max) || max < min) {
+    throw new RangeError(`Invalid band limits: minBands ${min}, maxBands ${max}`);
+  }
+  return { minBands: min, maxBands: max };
+}
+
+function ensurePreset(options = {}, limits = resolveBandLimits(options)) {
   const merged = { ...DEFAULT_OPTIONS, ...options };
 
   if (merged.preset) {
-    return normalizePreset(merged.preset);
+    return normalizePreset(merged.preset, limits);
   }
 
   const basePreset = {
@@ -35,7 +118,65 @@ function ensurePreset(options = {}) {
   return normalizePreset({
     ...basePreset,
     bands: basePreset.bands.map((band) => ({ ...band }))
-  });
+  }, limits);
+}
+
+function resolveAutoPreamp(autoPreamp) {
+  if (!autoPreamp) return null;
+  return typeof autoPreamp === 'object' ? { ...autoPreamp } : {};
+}
+
+function sameAutoPreamp(left, right) {
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function resolveDesign(design = DEFAULT_DESIGN) {
+  if (!DESIGN_MODES.includes(design)) {
+    throw new Error(`Unknown biquad design: ${design}`);
+  }
+  return design;
+}
+
+function resolveLimiter(limiter) {
+  if (!limiter) return null;
+  return resolveLimiterSettings(typeof limiter === 'object' ? limiter : {});
+}
+
+function resolveHistory(history) {
+  if (!history) return null;
+  return new EditHistory(typeof history === 'object' ? history : {});
+}
+
+function resolveLoudnessOptions(loudness, current = DEFAULT_LOUDNESS_OPTIONS) {
+  // Skips the listening level and, when given a getState() result, its bands
+  const { listeningLevel, bands, ...options } = typeof loudness === 'object' && loudness ? loudness : {};
+  return { ...current, ...options };
+}
+
+// What getState() reports: null while compensation is off
+function loudnessState(listeningLevel, options) {
+  if (listeningLevel === null || listeningLevel === undefined) return null;
+  return {
+    listeningLevel,
+    referenceLevel: options.referenceLevel,
+    bands: computeLoudnessBands(listeningLevel, options)
+  };
+}
+
+function resolveAnalysers(analysers) {
+  if (!analysers) return null;
+  return { ...DEFAULT_ANALYSER_OPTIONS, ...(typeof analysers === 'object' ? analysers : {}) };
+}
+
+function configureAnalyser(node, settings) {
+  node.fftSize = settings.fftSize;
+  node.smoothingTimeConstant = settings.smoothingTimeConstant;
+  node.minDecibels = settings.minDecibels;
+  node.maxDecibels = settings.maxDecibels;
+}
+
+function affectsAllBands(changes) {
+  return 'enabled' in changes || 'solo' in changes;
 }
 
 function cloneBands(bands = []) {
@@ -50,34 +191,75 @@ export class PEQProcessor {
 
     this.context = audioContext;
     this.listeners = new Map();
+    this.bandLimits = resolveBandLimits(options);
+    this.smoothing = resolveSmoothing(options.smoothing);
+    this.autoPreamp = resolveAutoPreamp(options.autoPreamp);
+    this.dynamics = null;
+    this.limiterSettings = resolveLimiter(options.limiter);
+    this.limiterNode = null;
+    this.clipStats = { clippedSamples: 0, peakDb: -Infinity };
+    this.workletRegistration = null;
+    this.slots = new Map();
+    this.activeSlot = null;
+    this.levelMatch = options.levelMatch ?? DEFAULT_OPTIONS.levelMatch;
+    this.levelOffsets = {};
+    this.crossfades = new Set();
+    this.history = resolveHistory(options.history ?? DEFAULT_OPTIONS.history);
+    this.morph = null;
+    this.automation = [];
+    this.loudnessOptions = resolveLoudnessOptions(options.loudness);
+    this.analyserSettings = resolveAnalysers(options.analysers);
+    this.analysers = null;
+    this.destroyed = false;
 
-    const preset = ensurePreset(options);
+    const preset = ensurePreset(options, this.bandLimits);
+
+    // A preset's own design and channel setup win over the processor-wide options
+    const design = resolveDesign(preset.design ?? options.design);
+    const channelMode = preset.channelMode ?? options.channelMode ?? DEFAULT_CHANNEL_MODE;
+    const channels = normalizeChannels(channelMode, preset.channels ?? options.channels, {
+      maxBands: this.bandLimits.maxBands
+    });
 
-    this.chain = createPeqChain(this.context, preset.bands);
     this.state = {
       name: preset.name,
       description: preset.description,
       preamp: preset.preamp,
       bands: cloneBands(preset.bands),
-      bypass: Boolean(options.bypass)
+      bypass: Boolean(options.bypass),
+      design,
+      channelMode,
+      channels,
+      loudness: loudnessState(options.loudness ? options.loudness.listeningLevel : null, this.loudnessOptions)
     };
+    if (this.autoPreamp) {
+      this.state.preamp = this._recommendedPreamp();
+    }
 
-    // Routing: external input -> (wet path -> PEQ) + (dry path) -> output
+    // Routing: external input -> (wet path -> PEQ -> optional channel stage
+    // -> level match -> wet gain -> loudness shelves) + (dry path) -> mix
+    // -> (optional limiter) -> output
     this.inputNode = this.context.createGain();
     this.outputNode = this.context.createGain();
     this.dryGain = this.context.createGain();
     this.wetGain = this.context.createGain();
+    this.mixNode = this.context.createGain();
+    // Flat shelves stay in place while compensation is off, so switching it
+    // on is a parameter change rather than a rewire
+    this.loudnessChain = createPeqChain(this.context, this._loudnessBands(), design);
 
-    this.inputNode.connect(this.chain.inputNode);
-    this.chain.outputNode.connect(this.wetGain);
-    this.wetGain.connect(this.outputNode);
+    this._createWetPath();
+    this.wetGain.connect(this.loudnessChain.inputNode);
+    this.loudnessChain.outputNode.connect(this.mixNode);
 
     this.inputNode.connect(this.dryGain);
-    this.dryGain.connect(this.outputNode);
+    this.dryGain.connect(this.mixNode);
+    this.mixNode.connect(this.outputNode);
 
-    updatePeqFilters(this.chain.filters, this.state.bands);
-    updatePreamp(this.chain.preampNode, this.state.preamp);
-    this._applyBypass();
+    this._applyBypass(null);
+    this._syncDynamics();
+    this._syncLimiter();
+    this._syncAnalysers();
   }
 
   get events() {
@@ -90,6 +272,10 @@ export class PEQProcessor {
 
   disconnect(destination) {
     this.outputNode.disconnect(destination);
+    // A bare disconnect() drops the post-EQ analyser tap too
+    if (destination === undefined && this.analysers) {
+      this.outputNode.connect(this.analysers.post);
+    }
   }
 
   on(event, handler) {
@@ -121,6 +307,12 @@ export class PEQProcessor {
     });
   }
 
+  // Every edit ends here, so the active slot's level match follows it
+  _emitStateChange() {
+    this.emit(EVENTS.STATE_CHANGE, this.getState());
+    this._followActiveSlotLevel();
+  }
+
   updateBand(index, changes) {
     if (index < 0 || index >= this.state.bands.length) {
       throw new RangeError(`Band index ${index} is out of range`);
@@ -129,6 +321,9 @@ export class PEQProcessor {
       return;
     }
 
+    // Enable and solo changes reroute every band, so they end all automation
+    this._cancelAutomation(affectsAllBands(changes) ? undefined : index);
+    const before = this._historyState();
     const nextBands = cloneBands(this.state.bands);
     nextBands[index] = {
       ...nextBands[index],
@@ -136,9 +331,12 @@ export class PEQProcessor {
     };
 
     this.state.bands = nextBands;
-    updatePeqFilters(this.chain.filters, this.state.bands);
+    syncPeqChain(this.context, this.chain, this._scheduledBands(), this.smoothing);
+    this._syncDynamics();
     this.emit(EVENTS.BAND_CHANGE, { index, band: { ...this.state.bands[index] } });
-    this.emit(EVENTS.STATE_CHANGE, this.getState());
+    this._refreshAutoPreamp();
+    this._emitStateChange();
+    this._recordHistory(before, `band:${index}`);
   }
 
   updateBands(updates = []) {
@@ -146,12 +344,23 @@ export class PEQProcessor {
       throw new TypeError('updateBands expects an array of updates');
     }
 
+    const validUpdates = updates.filter((update) => (
+      update && typeof update === 'object'
+        && update.index !== undefined && update.index >= 0 && update.index < this.state.bands.length
+    ));
+    if (validUpdates.some(affectsAllBands)) {
+      this._cancelAutomation();
+    } else {
+      validUpdates.forEach(({ index }) => this._cancelAutomation(index));
+    }
+
+    const before = this._historyState();
     const nextBands = cloneBands(this.state.bands);
+    const indices = [];
 
-    updates.forEach((update) => {
-      if (!update || typeof update !== 'object') return;
+    validUpdates.forEach((update) => {
       const { index } = update;
-      if (index === undefined || index < 0 || index >= nextBands.length) return;
+      indices.push(index);
       nextBands[index] = {
         ...nextBands[index],
         ...update
@@ -159,98 +368,1170 @@ export class PEQProcessor {
     });
 
     this.state.bands = nextBands;
-    updatePeqFilters(this.chain.filters, this.state.bands);
+    syncPeqChain(this.context, this.chain, this._scheduledBands(), this.smoothing);
+    this._syncDynamics();
     this.emit(EVENTS.BAND_CHANGE, { bands: cloneBands(this.state.bands) });
-    this.emit(EVENTS.STATE_CHANGE, this.getState());
+    this._refreshAutoPreamp();
+    this._emitStateChange();
+    this._recordHistory(before, `bands:${indices.join(',')}`);
+  }
+
+  addBand(band = createFlatBand(), index = this.state.bands.length) {
+    if (this.state.bands.length >= this.bandLimits.maxBands) {
+      throw new RangeError(`Cannot add band: maximum of ${this.bandLimits.maxBands} bands reached`);
+    }
+    if (!Number.isInteger(index) || index < 0 || index > this.state.bands.length) {
+      throw new RangeError(`Band index ${index} is out of range`);
+    }
+    validateBand(band, index);
+    this._cancelAutomation();
+    const before = this._historyState();
+
+    const nextBand = { ...band };
+    this.state.bands = [
+      ...cloneBands(this.state.bands.slice(0, index)),
+      nextBand,
+      ...cloneBands(this.state.bands.slice(index))
+    ];
+    insertPeqFilter(this.context, this.chain, index, resolveAudibleBands(this.state.bands)[index]);
+    if (hasSoloedBand([nextBand])) {
+      // A soloed newcomer silences the others, which can change their sections too
+      syncPeqChain(this.context, this.chain, this.state.bands, this.smoothing);
+    }
+    this._syncDynamics();
+    this.emit(EVENTS.BAND_ADD, { index, band: { ...nextBand } });
+    this._refreshAutoPreamp();
+    this._emitStateChange();
+    this._recordHistory(before);
+    return index;
+  }
+
+  removeBand(index) {
+    if (index < 0 || index >= this.state.bands.length) {
+      throw new RangeError(`Band index ${index} is out of range`);
+    }
+    if (this.state.bands.length <= this.bandLimits.minBands) {
+      throw new RangeError(`Cannot remove band: minimum of ${this.bandLimits.minBands} bands required`);
+    }
+    this._cancelAutomation();
+    const before = this._historyState();
+
+    const removed = { ...this.state.bands[index] };
+    this.state.bands = cloneBands(this.state.bands.filter((_, bandIndex) => bandIndex !== index));
+    removePeqFilter(this.chain, index);
+    if (hasSoloedBand([removed])) {
+      // Without the soloed band the others may be heard again
+      syncPeqChain(this.context, this.chain, this.state.bands, this.smoothing);
+    }
+    this._syncDynamics();
+    this.emit(EVENTS.BAND_REMOVE, { index, band: removed });
+    this._refreshAutoPreamp();
+    this._emitStateChange();
+    this._recordHistory(before);
+  }
+
+  /**
+   * Reorder bands. `order` lists the current band indices in their new order,
+   * e.g. `[2, 0, 1]` moves the third band to the front.
+   */
+  reorderBands(order) {
+    const count = this.state.bands.length;
+    const isPermutation = Array.isArray(order)
+      && order.length === count
+      && new Set(order).size === count
+      && order.every((value) => Number.isInteger(value) && value >= 0 && value < count);
+    if (!isPermutation) {
+      throw new TypeError(`reorderBands expects a permutation of the ${count} band indices`);
+    }
+    this._cancelAutomation();
+    const before = this._historyState();
+
+    this.state.bands = order.map((bandIndex) => ({ ...this.state.bands[bandIndex] }));
+    reorderPeqFilters(this.chain, order);
+    this._syncDynamics();
+    this.emit(EVENTS.BAND_REORDER, { order: [...order], bands: cloneBands(this.state.bands) });
+    this._emitStateChange();
+    this._recordHistory(before);
+  }
+
+  /**
+   * Take a band out of the signal, or put it back, without losing its settings.
+   */
+  setBandEnabled(index, enabled) {
+    if (typeof enabled !== 'boolean') {
+      throw new TypeError('setBandEnabled expects a boolean');
+    }
+    this.updateBand(index, { enabled });
+  }
+
+  /**
+   * Audition a band on its own. While any band is soloed the others are
+   * silenced and the soloed band is heard through a monitor filter covering
+   * the region it acts on (see bandActivity.js). Auto preamp ignores solo.
+   */
+  setBandSolo(index, solo) {
+    if (typeof solo !== 'boolean') {
+      throw new TypeError('setBandSolo expects a boolean');
+    }
+    this.updateBand(index, { solo });
+  }
+
+  /**
+   * Schedule a change of a band's `frequency`, `gain` and/or `Q` at context
+   * time `time`. `options.ramp` is 'step', 'linear' or 'exponential' and
+   * `options.duration` the ramp length in seconds; with a duration the ramp
+   * defaults to linear. A band's events must follow each other without
+   * overlapping. getState() reports the new values once they are reached and
+   * getStateAt(time) previews any moment. Editing the band directly cancels
+   * its pending events, keeping the values reached so far; layout, preset and
+   * design changes cancel all of them.
+   */
+  scheduleBand(index, changes, time, options = {}) {
+    if (index < 0 || index >= this.state.bands.length) {
+      throw new RangeError(`Band index ${index} is out of range`);
+    }
+    this._settleAutomation();
+    const event = createBandEvent(index, changes, time, options);
+    if (event.time < this.context.currentTime) {
+      throw new RangeError(`Cannot schedule band ${index} at ${time}, which is before the current time`);
+    }
+    const previous = this.automation.filter((pending) => pending.index === index).at(-1);
+    if (previous && event.time < eventEndTime(previous)) {
+      throw new RangeError(`Band ${index} is already automated until ${eventEndTime(previous)}`);
+    }
+
+    const fromBands = this._scheduledBands();
+    const toBands = [...fromBands];
+    toBands[index] = { ...fromBands[index], ...event.changes };
+    validateBand(toBands[index], index);
+
+    scheduleBandNodes(
+      this.chain.bandNodes[index],
+      resolveAudibleBands(fromBands)[index],
+      resolveAudibleBands(toBands)[index],
+      event
+    );
+    this.automation = [...this.automation, event].sort((left, right) => left.time - right.time);
+  }
+
+  /**
+   * Cancel pending automation of one band, or of every band when `index` is
+   * omitted. Bands keep the values they have reached.
+   */
+  cancelScheduledBands(index = undefined) {
+    if (!this._cancelAutomation(index)) return;
+    syncPeqChain(this.context, this.chain, this._scheduledBands(), this.smoothing);
+    this.emit(EVENTS.BAND_CHANGE, { bands: cloneBands(this.state.bands) });
+    this._refreshAutoPreamp();
+    this._emitStateChange();
+  }
+
+  /**
+   * The state as it will be at context time `time` given the pending
+   * automation, e.g. for `calculateProcessorResponse(peq.getStateAt(t))`.
+   */
+  getStateAt(time) {
+    const state = this.getState();
+    state.bands = cloneBands(bandsAtTime(this.state.bands, this.automation, time));
+    return state;
+  }
+
+  // Bands once every pending event has run; what the filter nodes are heading for
+  _scheduledBands() {
+    return bandsAtTime(this.state.bands, this.automation);
+  }
+
+  // Fold finished events into the state
+  _settleAutomation() {
+    if (this.automation.length === 0) return;
+    const currentTime = this.context.currentTime;
+    const finished = this.automation.filter((event) => eventEndTime(event) <= currentTime);
+    if (finished.length === 0) return;
+    this.state.bands = bandsAtTime(this.state.bands, finished);
+    this.automation = this.automation.filter((event) => eventEndTime(event) > currentTime);
+  }
+
+  // Drop pending events, keeping the values reached; callers resync the chain
+  _cancelAutomation(index = undefined) {
+    this._settleAutomation();
+    const cancelled = this.automation.filter((event) => index === undefined || event.index === index);
+    if (cancelled.length === 0) return false;
+    this.state.bands = bandsAtTime(this.state.bands, cancelled, this.context.currentTime);
+    this.automation = this.automation.filter((event) => !cancelled.includes(event));
+    return true;
   }
 
+  /**
+   * Set the preamp manually. This turns auto preamp off, since the two would
+   * otherwise fight over the value on the next band edit.
+   */
   setPreamp(preampDb = 0) {
     if (typeof preampDb !== 'number') {
       throw new TypeError('setPreamp expects a numeric gain value');
     }
+    const before = this._historyState();
+    if (this.autoPreamp) {
+      this.autoPreamp = null;
+      this.emit(EVENTS.AUTO_PREAMP_CHANGE, { enabled: false });
+    }
     this.state.preamp = preampDb;
-    updatePreamp(this.chain.preampNode, preampDb);
+    updatePreamp(this.chain.preampNode, preampDb, this.smoothing);
     this.emit(EVENTS.PREAMP_CHANGE, preampDb);
-    this.emit(EVENTS.STATE_CHANGE, this.getState());
+    this._emitStateChange();
+    this._recordHistory(before, 'preamp');
+  }
+
+  /**
+   * Keep the preamp at the response-aware recommendation from analyzeHeadroom,
+   * following every band edit. Pass `false` to disable, `true` for defaults, or
+   * analyzeHeadroom options such as `{ safetyMargin: 1 }`.
+   */
+  setAutoPreamp(autoPreamp = true) {
+    this.autoPreamp = resolveAutoPreamp(autoPreamp);
+    this.emit(EVENTS.AUTO_PREAMP_CHANGE, { enabled: Boolean(this.autoPreamp), ...this.autoPreamp });
+    if (this._refreshAutoPreamp()) {
+      this._emitStateChange();
+    }
+  }
+
+  getHeadroom(options = {}) {
+    const state = this.getState();
+    return analyzeHeadroom({ ...state, bands: [...state.bands, ...(state.loudness?.bands ?? [])] }, {
+      sampleRate: this.context.sampleRate,
+      ...this.autoPreamp,
+      ...options
+    });
+  }
+
+  // Worst case over the channel chains, each heard after the shared bands.
+  // Mid/side components are analyzed separately, which ignores their sum.
+  _recommendedPreamp() {
+    const options = {
+      sampleRate: this.context.sampleRate,
+      design: this.state.design,
+      ...this.autoPreamp
+    };
+    const loudnessBands = this.state.loudness?.bands ?? [];
+    const channels = Object.values(this.state.channels ?? {});
+    if (channels.length === 0) {
+      return analyzeHeadroom([...this.state.bands, ...loudnessBands], options).recommendedPreamp;
+    }
+    return Math.min(...channels.map(({ bands, preamp }) => (
+      analyzeHeadroom([...this.state.bands, ...bands, ...loudnessBands], options).recommendedPreamp - Math.max(0, preamp)
+    )));
+  }
+
+  _refreshAutoPreamp() {
+    if (!this.autoPreamp) return false;
+    const preamp = this._recommendedPreamp();
+    if (preamp === this.state.preamp) return false;
+
+    this.state.preamp = preamp;
+    updatePreamp(this.chain.preampNode, preamp, this.smoothing);
+    this.emit(EVENTS.PREAMP_CHANGE, preamp);
+    return true;
   }
 
   setBypass(enabled) {
     this.state.bypass = Boolean(enabled);
     this._applyBypass();
     this.emit(EVENTS.BYPASS_CHANGE, this.state.bypass);
-    this.emit(EVENTS.STATE_CHANGE, this.getState());
+    this._emitStateChange();
+  }
+
+  /**
+   * Change how parameter edits are applied. Accepts `false`/`'none'` for
+   * immediate changes, a mode name, or `{ mode, time }`. Bands on the
+   * 'matched' design are not smoothed; see setDesign.
+   */
+  setSmoothing(smoothing) {
+    this.smoothing = resolveSmoothing(smoothing);
+    this.emit(EVENTS.SMOOTHING_CHANGE, { ...this.smoothing });
+  }
+
+  /**
+   * Switch the biquad design ('rbj' or 'matched', see DESIGN_MODES). All
+   * filter nodes are rebuilt. Matched sections run on IIRFilterNode, whose
+   * coefficients are fixed, so a band edit in that mode swaps in a new node
+   * at once. The new node starts with empty filter memory, which can click
+   * on program material, and the smoothing setting does not apply. Use 'rbj'
+   * while adjusting bands by ear.
+   */
+  setDesign(design) {
+    const nextDesign = resolveDesign(design);
+    if (nextDesign === this.state.design) return;
+    this._cancelAutomation();
+
+    this.state.design = nextDesign;
+    syncPeqChain(this.context, this.chain, this.state.bands, this.smoothing, nextDesign);
+    syncChannelStage(this.context, this.channelStage, this.state.channels ?? {}, this.smoothing, nextDesign);
+    syncPeqChain(this.context, this.loudnessChain, this._loudnessBands(), this.smoothing, nextDesign);
+    this._syncDynamics();
+    this.emit(EVENTS.DESIGN_CHANGE, nextDesign);
+    this._refreshAutoPreamp();
+    this._emitStateChange();
+  }
+
+  /**
+   * Switch between 'stereo' (one chain for both channels), 'left-right' and
+   * 'mid-side'. Per-channel chains run after the shared bands. `channels`
+   * gives `{ [name]: { bands, preamp } }` for the mode's channel names (see
+   * CHANNEL_LAYOUTS); channels left out keep their bands when the mode is
+   * unchanged and start flat otherwise.
+   */
+  setChannelMode(mode, channels = undefined) {
+    const keep = mode === this.state.channelMode ? this.state.channels : null;
+    const nextChannels = normalizeChannels(mode, { ...keep, ...channels }, { maxBands: this.bandLimits.maxBands });
+    const modeChanged = mode !== this.state.channelMode;
+
+    this._applyChannels(mode, nextChannels);
+    if (modeChanged) {
+      this.emit(EVENTS.CHANNEL_MODE_CHANGE, { mode, channels: cloneChannels(nextChannels) });
+    }
+    this._refreshAutoPreamp();
+    this._emitStateChange();
+  }
+
+  /**
+   * Replace one channel's bands and/or preamp, e.g. `updateChannel('left', { preamp: -0.5 })`.
+   */
+  updateChannel(name, changes = {}) {
+    this._assertChannel(name);
+    const current = this.state.channels[name];
+    const channel = {
+      bands: changes.bands ?? current.bands,
+      preamp: changes.preamp ?? current.preamp
+    };
+    const nextChannels = normalizeChannels(this.state.channelMode, { ...this.state.channels, [name]: channel }, {
+      maxBands: this.bandLimits.maxBands
+    });
+
+    this._applyChannels(this.state.channelMode, nextChannels);
+    this.emit(EVENTS.CHANNEL_CHANGE, { channel: name, ...cloneChannels(nextChannels)[name] });
+    this._refreshAutoPreamp();
+    this._emitStateChange();
+  }
+
+  updateChannelBand(name, index, changes) {
+    this._assertChannel(name);
+    const { bands } = this.state.channels[name];
+    if (index < 0 || index >= bands.length) {
+      throw new RangeError(`Band index ${index} is out of range for channel "${name}"`);
+    }
+    if (!changes || typeof changes !== 'object') {
+      return;
+    }
+    const nextBands = cloneBands(bands);
+    nextBands[index] = { ...nextBands[index], ...changes };
+    this.updateChannel(name, { bands: nextBands });
+  }
+
+  _assertChannel(name) {
+    if (!CHANNEL_LAYOUTS[this.state.channelMode].includes(name)) {
+      throw new RangeError(`Channel "${name}" does not exist in ${this.state.channelMode} mode`);
+    }
   }
 
-  _applyBypass() {
-    if (this.state.bypass) {
-      this.dryGain.gain.value = 1;
-      this.wetGain.gain.value = 0;
+  /**
+   * Update the channel stage in place, or swap it when the mode changes. A
+   * new stage is connected before the old one is removed so the wet path
+   * never drops out.
+   */
+  _applyChannels(mode, channels) {
+    const previousStage = this.channelStage;
+    this.state.channelMode = mode;
+    this.state.channels = channels;
+
+    if (previousStage?.mode === mode) {
+      syncChannelStage(this.context, previousStage, channels, this.smoothing, this.state.design);
+      return;
+    }
+    if (!previousStage && !channels) {
+      return;
+    }
+
+    const nextStage = createChannelStage(this.context, mode, channels ?? {}, this.state.design);
+    const previousOutlet = previousStage ? previousStage.inputNode : this.matchGain;
+    if (nextStage) {
+      this.chain.outputNode.connect(nextStage.inputNode);
+      nextStage.outputNode.connect(this.matchGain);
     } else {
-      this.dryGain.gain.value = 0;
-      this.wetGain.gain.value = 1;
+      this.chain.outputNode.connect(this.matchGain);
     }
+    try {
+      this.chain.outputNode.disconnect(previousOutlet);
+    } catch (error) {
+      console.warn('Failed to disconnect previous channel routing', error);
+    }
+    cleanupChannelStage(previousStage);
+    this.channelStage = nextStage;
+  }
+
+  _applyBypass(smoothing = this.smoothing) {
+    const currentTime = this.context.currentTime;
+    const dry = this.state.bypass ? 1 : 0;
+    // Crossfade dry and wet paths so toggling bypass does not click
+    setAudioParam(this.dryGain.gain, dry, smoothing, currentTime);
+    setAudioParam(this.wetGain.gain, 1 - dry, smoothing, currentTime);
   }
 
   loadPreset(preset) {
-    const normalized = normalizePreset(preset);
+    const normalized = normalizePreset(preset, this.bandLimits);
+    this._cancelAutomation();
+    const before = this._historyState();
+    const previousDesign = this.state.design;
     this.state = {
       ...this.state,
       name: normalized.name,
       description: normalized.description,
       preamp: normalized.preamp,
-      bands: cloneBands(normalized.bands)
+      bands: cloneBands(normalized.bands),
+      design: normalized.design ?? this.state.design
     };
-    updatePeqFilters(this.chain.filters, this.state.bands);
-    updatePreamp(this.chain.preampNode, this.state.preamp);
+    // Presets without channel data keep the current per-channel correction
+    const previousMode = this.state.channelMode;
+    if (normalized.channelMode !== undefined) {
+      this._applyChannels(normalized.channelMode, normalized.channels);
+    } else {
+      syncChannelStage(this.context, this.channelStage, this.state.channels ?? {}, this.smoothing, this.state.design);
+    }
+    if (this.autoPreamp) {
+      this.state.preamp = this._recommendedPreamp();
+    }
+    syncPeqChain(this.context, this.chain, this.state.bands, this.smoothing, this.state.design);
+    this._syncDynamics();
+    if (this.state.channelMode !== previousMode) {
+      this.emit(EVENTS.CHANNEL_MODE_CHANGE, { mode: this.state.channelMode, channels: cloneChannels(this.state.channels) });
+    }
+    if (this.state.design !== previousDesign) {
+      this.emit(EVENTS.DESIGN_CHANGE, this.state.design);
+    }
+    updatePreamp(this.chain.preampNode, this.state.preamp, this.smoothing);
     this.emit(EVENTS.PRESET_LOAD, this.getState());
-    this.emit(EVENTS.STATE_CHANGE, this.getState());
+    this._emitStateChange();
+    this._recordHistory(before);
   }
 
   getState() {
+    this._settleAutomation();
     return {
       name: this.state.name,
       description: this.state.description,
       preamp: this.state.preamp,
       bands: cloneBands(this.state.bands),
-      bypass: this.state.bypass
+      bypass: this.state.bypass,
+      design: this.state.design,
+      channelMode: this.state.channelMode,
+      channels: cloneChannels(this.state.channels),
+      loudness: this.state.loudness && { ...this.state.loudness, bands: cloneBands(this.state.loudness.bands) }
     };
   }
 
+  /**
+   * Apply a partial state. An explicit `preamp` is a manual setting, so like
+   * setPreamp it turns auto preamp off.
+   */
   setState(state) {
     if (!state || typeof state !== 'object') {
       throw new TypeError('setState expects a state object');
     }
+    const before = this._historyState();
+    if (typeof state.preamp === 'number' && this.autoPreamp) {
+      this.autoPreamp = null;
+      this.emit(EVENTS.AUTO_PREAMP_CHANGE, { enabled: false });
+    }
+    this._applyState(state);
+    this._followActiveSlotLevel();
+    this._recordHistory(before);
+  }
+
+  // Apply a state without touching auto preamp or the history. Slots, morph
+  // steps and undo go through here, so auto preamp keeps following them.
+  _applyState(state) {
+    this._cancelAutomation();
+    const design = state.design !== undefined ? resolveDesign(state.design) : this.state.design;
+    const channelMode = state.channelMode ?? this.state.channelMode;
+    const channelsChanged = state.channelMode !== undefined || state.channels !== undefined;
+    const channels = channelsChanged
+      ? normalizeChannels(channelMode, state.channels ?? (channelMode === this.state.channelMode ? this.state.channels : null), {
+        maxBands: this.bandLimits.maxBands
+      })
+      : this.state.channels;
     if (state.bands) {
+      const { minBands, maxBands } = this.bandLimits;
+      if (state.bands.length < minBands || state.bands.length > maxBands) {
+        throw new RangeError(`setState expects between ${minBands} and ${maxBands} bands, got ${state.bands.length}`);
+      }
       this.state.bands = cloneBands(state.bands);
-      updatePeqFilters(this.chain.filters, this.state.bands);
+    }
+    if (state.bands || design !== this.state.design) {
+      const designChanged = design !== this.state.design;
+      this.state.design = design;
+      syncPeqChain(this.context, this.chain, this.state.bands, this.smoothing, design);
+      if (designChanged && !channelsChanged) {
+        syncChannelStage(this.context, this.channelStage, this.state.channels ?? {}, this.smoothing, design);
+      }
+      if (designChanged) {
+        syncPeqChain(this.context, this.loudnessChain, this._loudnessBands(), this.smoothing, design);
+      }
+      this._syncDynamics();
+    }
+    if (channelsChanged) {
+      this._applyChannels(channelMode, channels);
     }
     if (typeof state.preamp === 'number') {
       this.state.preamp = state.preamp;
-      updatePreamp(this.chain.preampNode, this.state.preamp);
+      updatePreamp(this.chain.preampNode, this.state.preamp, this.smoothing);
     }
     if (typeof state.bypass === 'boolean') {
       this.state.bypass = state.bypass;
       this._applyBypass();
     }
+    if (state.loudness !== undefined) {
+      this._applyLoudness(state.loudness?.listeningLevel ?? null, state.loudness ?? {});
+    }
     if (state.name) {
       this.state.name = state.name;
     }
     if (state.description) {
       this.state.description = state.description;
     }
+    if (state.bands || state.design !== undefined || channelsChanged || state.loudness !== undefined) {
+      this._refreshAutoPreamp();
+    }
     this.emit(EVENTS.STATE_CHANGE, this.getState());
   }
 
+  get canUndo() {
+    return Boolean(this.history?.canUndo);
+  }
+
+  get canRedo() {
+    return Boolean(this.history?.canRedo);
+  }
+
+  /**
+   * Step back through band, band list, preamp, preset, state and slot
+   * edits. Consecutive edits of the same band or of the preamp within the
+   * merge window count as one step. A step also restores the active slot and
+   * the auto preamp setting. Bypass is not part of the history.
+   * @returns {boolean} Whether there was a step to undo
+   */
+  undo() {
+    return this._restoreHistory(this.history?.undo(this._historyState()));
+  }
+
+  redo() {
+    return this._restoreHistory(this.history?.redo(this._historyState()));
+  }
+
+  clearHistory() {
+    if (!this.history) return;
+    this.history.clear();
+    this._emitHistoryChange();
+  }
+
+  setHistoryDepth(depth) {
+    if (!this.history) {
+      throw new Error('History is disabled for this processor');
+    }
+    this.history.setDepth(depth);
+    this._emitHistoryChange();
+  }
+
+  _recordHistory(before, mergeKey = null) {
+    if (!this.history) return;
+    if (this.history.record(before, mergeKey)) {
+      this._emitHistoryChange();
+    }
+  }
+
+  // What an undo step restores: the slot state plus the active slot and the
+  // auto preamp setting, which later recalls and edits depend on
+  _historyState() {
+    return {
+      ...this._slotState(),
+      activeSlot: this.activeSlot,
+      autoPreamp: resolveAutoPreamp(this.autoPreamp)
+    };
+  }
+
+  _restoreHistory(snapshot) {
+    if (!snapshot) return false;
+    const { activeSlot, autoPreamp, ...state } = snapshot;
+    if (!sameAutoPreamp(autoPreamp, this.autoPreamp)) {
+      this.autoPreamp = resolveAutoPreamp(autoPreamp);
+      this.emit(EVENTS.AUTO_PREAMP_CHANGE, { enabled: Boolean(this.autoPreamp), ...this.autoPreamp });
+    }
+    const previousSlot = this.activeSlot;
+    // Slots are not part of the history, so one deleted since leaves no active slot
+    this.activeSlot = this.slots.has(activeSlot) ? activeSlot : null;
+    this._applyState(state);
+    if (this.activeSlot !== previousSlot) {
+      this._updateLevelOffsets();
+      setAudioParam(this.matchGain.gain, this._levelMatchGain(), this.smoothing, this.context.currentTime);
+      this.emit(EVENTS.SLOT_CHANGE, {
+        slot: this.activeSlot,
+        previousSlot,
+        crossfade: 0,
+        levelOffsetDb: this._levelOffset()
+      });
+    } else {
+      this._followActiveSlotLevel();
+    }
+    this._emitHistoryChange();
+    return true;
+  }
+
+  _emitHistoryChange() {
+    this.emit(EVENTS.HISTORY_CHANGE, {
+      canUndo: this.canUndo,
+      canRedo: this.canRedo,
+      undoSteps: this.history?.undoStack.length ?? 0,
+      redoSteps: this.history?.redoStack.length ?? 0
+    });
+  }
+
+  /**
+   * Prepare a morph from the current state to `target`, driven by setMorph.
+   * Pass null to stop morphing and keep the current blend. `options` are
+   * passed to morphPresets, e.g. `{ maxOctaves: 1 }`.
+   */
+  setMorphTarget(target, options = {}) {
+    if (target === null) {
+      this.morph = null;
+      this.emit(EVENTS.MORPH_CHANGE, { amount: null, target: null });
+      return;
+    }
+    const to = normalizePreset(target, this.bandLimits);
+    const from = this._slotState();
+    const bandCount = morphPresets(from, to, 0, options).bands.length;
+    if (bandCount > this.bandLimits.maxBands) {
+      throw new RangeError(`Cannot morph: the blend needs ${bandCount} bands, more than the maximum of ${this.bandLimits.maxBands}`);
+    }
+    this.morph = { from, to, options: { ...options }, amount: 0 };
+    this.emit(EVENTS.MORPH_CHANGE, { amount: 0, target: to.name });
+  }
+
+  /**
+   * Apply the blend at `amount` (0 = the state when setMorphTarget was called,
+   * 1 = the target). Changes follow the smoothing setting, so the amount can
+   * be driven continuously from a control or an animation loop. Morph steps
+   * are not recorded in the undo history, and edits made in between are
+   * replaced by the next step.
+   */
+  setMorph(amount) {
+    if (!this.morph) {
+      throw new Error('setMorph requires a target; call setMorphTarget first');
+    }
+    const { from, to, options } = this.morph;
+    const blended = morphPresets(from, to, amount, options);
+    this.morph.amount = Math.min(1, Math.max(0, amount));
+    this._applyState(blended);
+    this._followActiveSlotLevel();
+    this.emit(EVENTS.MORPH_CHANGE, { amount: this.morph.amount, target: to.name });
+  }
+
+  getMorph() {
+    return this.morph ? this.morph.amount : null;
+  }
+
+  /**
+   * Save the current state into a named slot ('A', 'B', ...) and make it the
+   * active slot. Bypass is not part of a slot.
+   */
+  storeSlot(name) {
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('storeSlot expects a slot name');
+    }
+    this.slots.set(name, this._slotState());
+    this.activeSlot = name;
+    this._updateLevelOffsets();
+    setAudioParam(this.matchGain.gain, this._levelMatchGain(), this.smoothing, this.context.currentTime);
+  }
+
+  /**
+   * Switch to a stored slot. Edits made since the last switch are written
+   * back to the slot being left first. With `crossfade` (seconds) the old
+   * and new curves run side by side while the old one fades out; otherwise
+   * the change follows the smoothing setting. When level matching is on,
+   * each slot plays at the level of the quietest one (see levelMatch.js).
+   */
+  recallSlot(name, options = {}) {
+    if (!this.slots.has(name)) {
+      throw new RangeError(`Slot "${name}" does not exist`);
+    }
+    const { crossfade = 0 } = options;
+    if (!Number.isFinite(crossfade) || crossfade < 0) {
+      throw new RangeError(`Invalid crossfade time: ${crossfade}`);
+    }
+
+    this._cancelAutomation();
+    const before = this._historyState();
+    const previousSlot = this.activeSlot;
+    if (previousSlot !== null && this.slots.has(previousSlot)) {
+      this.slots.set(previousSlot, this._slotState());
+    }
+    this.activeSlot = name;
+
+    const currentTime = this.context.currentTime;
+    if (crossfade > 0) {
+      // The worklet drives the outgoing chain's filters, so it goes before that chain is handed off
+      this._teardownDynamics();
+      const outgoing = this._detachWetPath();
+      outgoing.matchGain.gain.cancelScheduledValues(currentTime);
+      outgoing.matchGain.gain.setValueAtTime(outgoing.matchGain.gain.value, currentTime);
+      outgoing.matchGain.gain.linearRampToValueAtTime(0, currentTime + crossfade);
+      const fade = { ...outgoing, timer: null };
+      fade.timer = setTimeout(() => {
+        this.crossfades.delete(fade);
+        this._releaseWetPath(fade);
+      }, crossfade * 1000 + CROSSFADE_RELEASE_DELAY_MS);
+      this.crossfades.add(fade);
+
+      // The fresh path starts silent and takes over the slot's state below
+      this._createWetPath(0);
+      this._syncDynamics();
+    }
+
+    this._applyState(this._slotState(this.slots.get(name)));
+    this._updateLevelOffsets();
+    this._recordHistory(before);
+
+    const levelGain = this._levelMatchGain();
+    if (crossfade > 0) {
+      this.matchGain.gain.setValueAtTime(0, currentTime);
+      this.matchGain.gain.linearRampToValueAtTime(levelGain, currentTime + crossfade);
+    } else {
+      setAudioParam(this.matchGain.gain, levelGain, this.smoothing, currentTime);
+    }
+    this.emit(EVENTS.SLOT_CHANGE, {
+      slot: name,
+      previousSlot,
+      crossfade,
+      levelOffsetDb: this._levelOffset()
+    });
+  }
+
+  deleteSlot(name) {
+    if (!this.slots.delete(name)) return;
+    if (this.activeSlot === name) {
+      this.activeSlot = null;
+    }
+    this._updateLevelOffsets();
+    setAudioParam(this.matchGain.gain, this._levelMatchGain(), this.smoothing, this.context.currentTime);
+  }
+
+  getSlotNames() {
+    return [...this.slots.keys()];
+  }
+
+  getSlot(name) {
+    const slot = this.slots.get(name);
+    return slot ? this._slotState(slot) : null;
+  }
+
+  /**
+   * Offsets in dB applied to each slot when level matching is on; all 0 when
+   * it is off.
+   */
+  getLevelOffsets() {
+    return { ...this.levelOffsets };
+  }
+
+  setLevelMatch(enabled) {
+    this.levelMatch = Boolean(enabled);
+    this._updateLevelOffsets();
+    setAudioParam(this.matchGain.gain, this._levelMatchGain(), this.smoothing, this.context.currentTime);
+  }
+
+  _slotState(state = this.state) {
+    this._settleAutomation();
+    return {
+      name: state.name,
+      description: state.description,
+      preamp: state.preamp,
+      bands: cloneBands(state.bands),
+      design: state.design,
+      channelMode: state.channelMode,
+      channels: cloneChannels(state.channels)
+    };
+  }
+
+  _computeLevelOffsets() {
+    if (!this.levelMatch) {
+      return Object.fromEntries([...this.slots.keys()].map((name) => [name, 0]));
+    }
+    const states = Object.fromEntries(this.slots);
+    // The active slot plays the live state, which may have been edited since it was stored
+    if (this.slots.has(this.activeSlot)) {
+      states[this.activeSlot] = this._slotState();
+    }
+    return computeLevelOffsets(states, { sampleRate: this.context.sampleRate });
+  }
+
+  _updateLevelOffsets(offsets = this._computeLevelOffsets()) {
+    this.levelOffsets = offsets;
+    this.emit(EVENTS.LEVEL_OFFSET_CHANGE, {
+      enabled: this.levelMatch,
+      activeSlot: this.activeSlot,
+      offsets: { ...offsets }
+    });
+  }
+
+  // Keep the active slot level-matched while it is being edited
+  _followActiveSlotLevel() {
+    if (!this.levelMatch || !this.slots.has(this.activeSlot)) return;
+    const offsets = this._computeLevelOffsets();
+    if (Object.keys(offsets).every((name) => offsets[name] === this.levelOffsets[name])) return;
+    this._updateLevelOffsets(offsets);
+    setAudioParam(this.matchGain.gain, this._levelMatchGain(), this.smoothing, this.context.currentTime);
+  }
+
+  _levelOffset() {
+    return this.levelOffsets[this.activeSlot] ?? 0;
+  }
+
+  _levelMatchGain() {
+    return Math.pow(10, this._levelOffset() / 20);
+  }
+
+  /**
+   * Build the wet path from the current state: input -> chain -> optional
+   * channel stage -> level-match gain -> wetGain. Values are applied
+   * immediately; smoothing only affects later edits.
+   */
+  _createWetPath(levelGain = this._levelMatchGain()) {
+    const { bands, design, channelMode, channels, preamp } = this.state;
+    this.chain = createPeqChain(this.context, bands, design);
+    this.channelStage = createChannelStage(this.context, channelMode, channels ?? {}, design);
+    this.matchGain = this.context.createGain();
+    this.matchGain.gain.value = levelGain;
+
+    updatePeqFilters(this.chain.bandNodes, bands);
+    updatePreamp(this.chain.preampNode, preamp);
+
+    if (this.channelStage) {
+      this.chain.outputNode.connect(this.channelStage.inputNode);
+      this.channelStage.outputNode.connect(this.matchGain);
+    } else {
+      this.chain.outputNode.connect(this.matchGain);
+    }
+    this.matchGain.connect(this.wetGain);
+    this.inputNode.connect(this.chain.inputNode);
+  }
+
+  // Hand the wet path over to the caller, which keeps it running until released
+  _detachWetPath() {
+    const { chain, channelStage, matchGain } = this;
+    this.chain = null;
+    this.channelStage = null;
+    this.matchGain = null;
+    return { chain, channelStage, matchGain };
+  }
+
+  _releaseWetPath({ chain, channelStage, matchGain }) {
+    try {
+      this.inputNode.disconnect(chain.inputNode);
+      matchGain.disconnect();
+    } catch (error) {
+      console.warn('Failed to disconnect wet path', error);
+    }
+    cleanupChannelStage(channelStage);
+    cleanupPeqChain(chain);
+  }
+
+  /**
+   * Latest gain change of each dynamic band as reported by the worklet.
+   * @returns {Array} `{ index, gainDb }` per dynamic band
+   */
+  getGainReduction() {
+    if (!this.dynamics) return [];
+    return this.dynamics.indices.map((index, position) => ({ index, gainDb: this.dynamics.gains[position] ?? 0 }));
+  }
+
+  /**
+   * Register the worklet module on first use. Returns whether it is ready;
+   * when it is not, the worklet stages are synced again once it loads.
+   */
+  _ensureWorklets() {
+    if (isPeqWorkletReady(this.context)) return true;
+    if (!this.workletRegistration) {
+      this.workletRegistration = registerPeqWorklets(this.context)
+        .then(() => {
+          if (this.destroyed) return;
+          this._syncDynamics();
+          this._syncLimiter();
+        })
+        .catch((error) => {
+          console.warn('PEQ worklets unavailable; dynamic bands stay static and the limiter is inactive', error);
+        });
+    }
+    return false;
+  }
+
+  /**
+   * Keep the dynamics worklet in step with the dynamic bands. Until the
+   * worklet module is ready dynamic bands sit at their static gain. The node
+   * is rebuilt when the set of driven filters changes, otherwise new settings
+   * are posted so detector state carries over.
+   */
+  _syncDynamics() {
+    const entries = [];
+    // Disabled, silenced and monitored bands do not run their dynamics
+    resolveAudibleBands(this.state.bands).forEach((band, index) => {
+      if (isDynamicBand(band)) {
+        entries.push({ index, band, filter: this.chain.bandNodes[index][0] });
+      }
+    });
+
+    if (entries.length === 0) {
+      this._teardownDynamics();
+      return;
+    }
+
+    if (!this._ensureWorklets()) {
+      return;
+    }
+
+    const sampleRate = this.context.sampleRate;
+    const config = entries.map(({ band }) => {
+      const { threshold, ratio, attack, release, maxGain } = resolveDynamicSettings(band);
+      return { threshold, ratio, attack, release, maxGain, coefficients: computeDetectionCoefficients(band, sampleRate) };
+    });
+    const filters = entries.map(({ filter }) => filter);
+    const indices = entries.map(({ index }) => index);
+
+    const current = this.dynamics;
+    if (current && current.filters.length === filters.length && current.filters.every((filter, i) => filter === filters[i])) {
+      current.indices = indices;
+      current.node.port.postMessage({ bands: config });
+      return;
+    }
+
+    this._teardownDynamics();
+    try {
+      const node = new AudioWorkletNode(this.context, DYNAMICS_PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: filters.length,
+        outputChannelCount: filters.map(() => 1),
+        processorOptions: { bands: config }
+      });
+      const dynamics = { node, source: this.chain.preampNode, filters, indices, gains: [] };
+      node.port.onmessage = ({ data }) => this._handleDynamicsMeter(dynamics, data);
+      dynamics.source.connect(node);
+      filters.forEach((filter, output) => node.connect(filter.gain, output));
+      this.dynamics = dynamics;
+    } catch (error) {
+      console.warn('Failed to create dynamic EQ worklet node', error);
+    }
+  }
+
+  _handleDynamicsMeter(dynamics, data) {
+    if (dynamics !== this.dynamics || !Array.isArray(data?.gains)) return;
+    dynamics.gains = data.gains;
+    this.emit(EVENTS.GAIN_REDUCTION, { time: data.time, bands: this.getGainReduction() });
+  }
+
+  _teardownDynamics() {
+    if (!this.dynamics) return;
+    const { node, source } = this.dynamics;
+    this.dynamics = null;
+    try {
+      node.port.onmessage = null;
+      node.disconnect();
+      source.disconnect(node);
+    } catch (error) {
+      console.warn('Failed to disconnect dynamic EQ worklet', error);
+    }
+  }
+
+  /**
+   * Turn loudness compensation on for a playback level, or off with `null`.
+   * Bass and treble shelves derived from the ISO 226 equal-loudness contours
+   * run on top of the bands, so quiet playback keeps the balance heard at
+   * `referenceLevel`. `options` may change `referenceLevel`,
+   * `bassFrequency`, `trebleFrequency` and `maxGain` (see
+   * DEFAULT_LOUDNESS_OPTIONS); they stay in effect for later calls.
+   * @param {number|null} phon - Listening level, 20–90 phon
+   * @param {Object} options - Compensation options
+   */
+  setListeningLevel(phon, options = {}) {
+    this._applyLoudness(phon, options);
+    this.emit(EVENTS.LOUDNESS_CHANGE, this.getState().loudness);
+    this._refreshAutoPreamp();
+    this._emitStateChange();
+  }
+
+  _applyLoudness(listeningLevel, options) {
+    const nextOptions = resolveLoudnessOptions(options, this.loudnessOptions);
+    const nextLoudness = loudnessState(listeningLevel, nextOptions);
+    this.loudnessOptions = nextOptions;
+    this.state.loudness = nextLoudness;
+    syncPeqChain(this.context, this.loudnessChain, this._loudnessBands(), this.smoothing, this.state.design);
+  }
+
+  _loudnessBands() {
+    return this.state.loudness?.bands ?? computeLoudnessBands(null, this.loudnessOptions);
+  }
+
+  /**
+   * Add, configure or remove the analysis taps: AnalyserNodes on the input
+   * (`pre`) and on the output (`post`, after bypass, loudness compensation and
+   * the limiter). Pass `false` to remove them, `true` for
+   * DEFAULT_ANALYSER_OPTIONS, or `{ fftSize, smoothingTimeConstant,
+   * minDecibels, maxDecibels }`. Feed their frames to a SpectrumAnalyzer to
+   * get points on the response grid.
+   * @returns {Object|null} `{ pre, post }`
+   */
+  setAnalysers(analysers = true) {
+    this.analyserSettings = resolveAnalysers(analysers);
+    this._syncAnalysers();
+    this.emit(EVENTS.ANALYSER_CHANGE, this.getAnalysers());
+    return this.getAnalysers();
+  }
+
+  getAnalysers() {
+    return this.analysers ? { ...this.analysers } : null;
+  }
+
+  _syncAnalysers() {
+    if (!this.analyserSettings) {
+      this._teardownAnalysers();
+      return;
+    }
+    if (!this.analysers) {
+      const pre = this.context.createAnalyser();
+      const post = this.context.createAnalyser();
+      this.inputNode.connect(pre);
+      this.outputNode.connect(post);
+      this.analysers = { pre, post };
+    }
+    configureAnalyser(this.analysers.pre, this.analyserSettings);
+    configureAnalyser(this.analysers.post, this.analyserSettings);
+  }
+
+  _teardownAnalysers() {
+    if (!this.analysers) return;
+    const { pre, post } = this.analysers;
+    this.analysers = null;
+    try {
+      this.inputNode.disconnect(pre);
+      this.outputNode.disconnect(post);
+    } catch (error) {
+      console.warn('Failed to disconnect analyser taps', error);
+    }
+  }
+
+  /**
+   * Enable, configure or remove the output safety limiter. Pass `false` to
+   * remove the stage, `true` for defaults, or `{ ceiling, lookahead, release }`
+   * (dBFS and seconds). `{ enabled: false }` keeps clip detection without
+   * limiting.
+   */
+  setLimiter(limiter = true) {
+    this.limiterSettings = resolveLimiter(limiter);
+    this._syncLimiter();
+    this.emit(EVENTS.LIMITER_CHANGE, this.limiterSettings ? { ...this.limiterSettings } : null);
+  }
+
+  /**
+   * Clip statistics since construction or the last resetClipStats(). Samples
+   * count as clipped when they reach the output stage above 0 dBFS.
+   * @returns {Object} `{ clippedSamples, peakDb }`
+   */
+  getClipStats() {
+    return { ...this.clipStats };
+  }
+
+  resetClipStats() {
+    this.clipStats = { clippedSamples: 0, peakDb: -Infinity };
+  }
+
+  _syncLimiter() {
+    if (!this.limiterSettings) {
+      this._teardownLimiter();
+      return;
+    }
+    if (this.limiterNode) {
+      this.limiterNode.port.postMessage({ settings: this.limiterSettings });
+      return;
+    }
+    if (!this._ensureWorklets()) {
+      return;
+    }
+
+    try {
+      const node = new AudioWorkletNode(this.context, LIMITER_PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        processorOptions: { settings: this.limiterSettings }
+      });
+      node.port.onmessage = ({ data }) => this._handleLimiterMeter(node, data);
+      // Insert without a gap: the limited path exists before the direct one goes
+      this.mixNode.connect(node);
+      node.connect(this.outputNode);
+      this.mixNode.disconnect(this.outputNode);
+      this.limiterNode = node;
+    } catch (error) {
+      console.warn('Failed to create output limiter worklet node', error);
+    }
+  }
+
+  _handleLimiterMeter(node, data) {
+    if (node !== this.limiterNode || !data) return;
+    const peakDb = 20 * Math.log10(Math.max(data.peak, 1e-12));
+    this.clipStats.peakDb = Math.max(this.clipStats.peakDb, peakDb);
+
+    if (data.clipped > 0) {
+      this.clipStats.clippedSamples += data.clipped;
+      this.emit(EVENTS.CLIP, {
+        time: data.time,
+        peakDb,
+        clippedSamples: data.clipped,
+        totalClippedSamples: this.clipStats.clippedSamples
+      });
+    }
+    if (data.gainReductionDb > 0) {
+      this.emit(EVENTS.LIMIT, { time: data.time, peakDb, gainReductionDb: data.gainReductionDb });
+    }
+  }
+
+  _teardownLimiter() {
+    if (!this.limiterNode) return;
+    const node = this.limiterNode;
+    this.limiterNode = null;
+    try {
+      this.mixNode.connect(this.outputNode);
+      node.port.onmessage = null;
+      this.mixNode.disconnect(node);
+      node.disconnect();
+    } catch (error) {
+      console.warn('Failed to disconnect output limiter', error);
+    }
+  }
+
   destroy() {
+    this.destroyed = true;
+    this._teardownDynamics();
+    this._teardownLimiter();
+    this._teardownAnalysers();
+    this.crossfades.forEach(({ timer, ...path }) => {
+      clearTimeout(timer);
+      this._releaseWetPath(path);
+    });
+    this.crossfades.clear();
     try {
       this.disconnect();
     } catch (error) {
       console.warn('PEQProcessor disconnect failed during destroy', error);
     }
-    cleanupPeqChain(this.chain);
+    this._releaseWetPath(this._detachWetPath());
+    cleanupPeqChain(this.loudnessChain);
     this.inputNode.disconnect();
     this.dryGain.disconnect();
     this.wetGain.disconnect();
+    this.mixNode.disconnect();
     this.outputNode.disconnect();
     this.listeners.clear();
   }
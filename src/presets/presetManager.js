@@ -1,4 +1,15 @@
-import { BAND_LAYOUT } from '../core/peqGraph.js';
+import { BAND_LAYOUT, DEFAULT_BAND_LIMITS } from '../core/peqGraph.js';
+import { analyzeHeadroom } from '../core/headroom.js';
+import {
+  FILTER_TYPES,
+  GAIN_FILTER_TYPES,
+  DESIGN_MODES,
+  CROSSOVER_ALIGNMENTS,
+  CROSSOVER_ORDERS,
+  getCrossoverOrder
+} from '../core/biquad.js';
+import { resolveDynamicSettings, isDynamicBand } from '../core/dynamics.js';
+import { CHANNEL_LAYOUTS, DEFAULT_CHANNEL_MODE } from '../core/channelStage.js';
 
 const DEFAULT_PEAKING_Q = 1.0;
 const DEFAULT_SHELF_Q = Math.SQRT1_2;
@@ -60,12 +71,24 @@ export const BUNDLED_PRESETS = {
   }),
 };
 
+export function cloneChannels(channels) {
+  if (!channels) return null;
+  return Object.fromEntries(Object.entries(channels).map(([name, channel]) => [
+    name,
+    { preamp: channel.preamp ?? 0, bands: (channel.bands ?? []).map((band) => ({ ...band })) },
+  ]));
+}
+
 export function clonePreset(preset) {
   if (!preset) return null;
-  return {
+  const clone = {
     ...preset,
     bands: (preset.bands ?? []).map((band) => ({ ...band })),
   };
+  if (preset.channels) {
+    clone.channels = cloneChannels(preset.channels);
+  }
+  return clone;
 }
 
 export function calculateRecommendedPreamp(bands = []) {
@@ -79,7 +102,98 @@ export function calculateRecommendedPreamp(bands = []) {
   return maxGain > 0 ? -maxGain : 0;
 }
 
-export function validatePreset(preset) {
+export function validateBand(band, index = 0) {
+  if (!band || typeof band !== 'object') {
+    throw new Error(`Band ${index} must be an object`);
+  }
+  if (typeof band.frequency !== 'number' || band.frequency < 20 || band.frequency > 20000) {
+    throw new Error(`Band ${index} has an invalid frequency: ${band.frequency}`);
+  }
+  if (typeof band.gain !== 'number' || band.gain < -24 || band.gain > 24) {
+    throw new Error(`Band ${index} has an invalid gain: ${band.gain}`);
+  }
+  if (typeof band.Q !== 'number' || band.Q <= 0 || band.Q > 10) {
+    throw new Error(`Band ${index} has an invalid Q: ${band.Q}`);
+  }
+  if (!band.type || !FILTER_TYPES.includes(band.type)) {
+    throw new Error(`Band ${index} has an invalid type: ${band.type}`);
+  }
+  if (band.alignment !== undefined) {
+    if (!CROSSOVER_ALIGNMENTS.includes(band.alignment) || (band.type !== 'lowpass' && band.type !== 'highpass')) {
+      throw new Error(`Band ${index} has an invalid crossover alignment: ${band.alignment}`);
+    }
+    const order = getCrossoverOrder(band);
+    if (!CROSSOVER_ORDERS[band.alignment].includes(order)) {
+      throw new Error(`Band ${index} has an unsupported ${band.alignment} order: ${order}`);
+    }
+  }
+  if (band.dynamic !== undefined) {
+    if (!band.dynamic || typeof band.dynamic !== 'object' || !GAIN_FILTER_TYPES.includes(band.type)) {
+      throw new Error(`Band ${index} cannot be dynamic: only ${GAIN_FILTER_TYPES.join(', ')} bands take dynamic settings`);
+    }
+    try {
+      resolveDynamicSettings(band);
+    } catch (error) {
+      throw new Error(`Band ${index} has invalid dynamic settings: ${error.message}`);
+    }
+  }
+  ['enabled', 'solo'].forEach((flag) => {
+    if (band[flag] !== undefined && typeof band[flag] !== 'boolean') {
+      throw new Error(`Band ${index} has an invalid ${flag} flag: ${band[flag]}`);
+    }
+  });
+  return true;
+}
+
+/**
+ * Validate and complete per-channel bands for a channel mode. Channels the
+ * mode expects but `channels` lacks start flat; unknown names are rejected.
+ * @param {string} mode - One of CHANNEL_MODES
+ * @param {Object} channels - `{ [name]: { bands, preamp } }`
+ * @param {Object} options - `maxBands` per channel
+ * @returns {Object|null} Cloned channels, or null for 'stereo'
+ */
+export function normalizeChannels(mode = DEFAULT_CHANNEL_MODE, channels = null, options = {}) {
+  const { maxBands = DEFAULT_BAND_LIMITS.max } = options;
+  const names = CHANNEL_LAYOUTS[mode];
+  if (!names) {
+    throw new Error(`Invalid channel mode: ${mode}`);
+  }
+  if (channels !== null && channels !== undefined && typeof channels !== 'object') {
+    throw new Error('Channels must be an object keyed by channel name');
+  }
+
+  Object.keys(channels ?? {}).forEach((name) => {
+    if (!names.includes(name)) {
+      throw new Error(`Channel "${name}" does not exist in ${mode} mode`);
+    }
+  });
+  if (names.length === 0) {
+    return null;
+  }
+
+  return Object.fromEntries(names.map((name) => {
+    const { bands = [], preamp = 0 } = channels?.[name] ?? {};
+    if (!Array.isArray(bands) || bands.length > maxBands) {
+      throw new Error(`Channel "${name}" must have an array of at most ${maxBands} bands`);
+    }
+    if (typeof preamp !== 'number' || !Number.isFinite(preamp)) {
+      throw new Error(`Channel "${name}" has an invalid preamp: ${preamp}`);
+    }
+    bands.forEach((band, index) => {
+      validateBand(band, index);
+      // Only the shared chain feeds the dynamics worklet
+      if (isDynamicBand(band)) {
+        throw new Error(`Channel "${name}" band ${index} cannot be dynamic; use a shared band`);
+      }
+    });
+    return [name, { preamp, bands: bands.map((band) => ({ ...band })) }];
+  }));
+}
+
+export function validatePreset(preset, options = {}) {
+  const { maxBands = DEFAULT_BAND_LIMITS.max } = options;
+
   if (!preset || typeof preset !== 'object') {
     throw new Error('Preset must be an object');
   }
@@ -89,21 +203,18 @@ export function validatePreset(preset) {
   if (!Array.isArray(preset.bands) || preset.bands.length === 0) {
     throw new Error('Preset must include a bands array');
   }
+  if (preset.bands.length > maxBands) {
+    throw new Error(`Preset has ${preset.bands.length} bands, more than the maximum of ${maxBands}`);
+  }
+  if (preset.design !== undefined && !DESIGN_MODES.includes(preset.design)) {
+    throw new Error(`Preset has an invalid design: ${preset.design}`);
+  }
 
-  preset.bands.forEach((band, index) => {
-    if (typeof band.frequency !== 'number' || band.frequency < 20 || band.frequency > 20000) {
-      throw new Error(`Band ${index} has an invalid frequency: ${band.frequency}`);
-    }
-    if (typeof band.gain !== 'number' || band.gain < -24 || band.gain > 24) {
-      throw new Error(`Band ${index} has an invalid gain: ${band.gain}`);
-    }
-    if (typeof band.Q !== 'number' || band.Q <= 0 || band.Q > 10) {
-      throw new Error(`Band ${index} has an invalid Q: ${band.Q}`);
-    }
-    if (!band.type || !['peaking', 'lowshelf', 'highshelf', 'notch'].includes(band.type)) {
-      throw new Error(`Band ${index} has an invalid type: ${band.type}`);
-    }
-  });
+  preset.bands.forEach((band, index) => validateBand(band, index));
+
+  if (preset.channelMode !== undefined || preset.channels !== undefined) {
+    normalizeChannels(preset.channelMode ?? DEFAULT_CHANNEL_MODE, preset.channels, { maxBands });
+  }
 
   return true;
 }
@@ -116,34 +227,62 @@ export function listBundledPresets() {
   return Object.keys(BUNDLED_PRESETS);
 }
 
+export function createFlatBand(frequency = 1000, type = 'peaking') {
+  return {
+    frequency,
+    type,
+    gain: 0,
+    Q: type === 'peaking' ? DEFAULT_PEAKING_Q : DEFAULT_SHELF_Q,
+  };
+}
+
 export function ensureBandsCount(bands = [], target = BAND_LAYOUT.length) {
   if (bands.length >= target) {
     return bands.map((band) => ({ ...band }));
   }
-  const missing = BAND_LAYOUT.slice(bands.length).map(({ freq, type }) => ({
-    frequency: freq,
-    type,
-    gain: 0,
-    Q: type === 'peaking' ? DEFAULT_PEAKING_Q : DEFAULT_SHELF_Q,
-  }));
+  // Fill from the default layout first, then with flat 1 kHz peaking bands
+  const missing = [];
+  for (let index = bands.length; index < target; index++) {
+    const layoutBand = BAND_LAYOUT[index];
+    missing.push(layoutBand ? createFlatBand(layoutBand.freq, layoutBand.type) : createFlatBand());
+  }
   return [...bands.map((band) => ({ ...band })), ...missing];
 }
 
-export function normalizePreset(preset) {
-  validatePreset(preset);
-  const bands = ensureBandsCount(preset.bands);
-  
-  // Preserve explicit preamp values, including negative values and zero
-  // Only calculate recommended preamp if preamp is undefined or null
-  const preamp = (preset.preamp !== undefined && preset.preamp !== null) 
-    ? preset.preamp 
-    : calculateRecommendedPreamp(bands);
+/**
+ * Validate and clone a preset. Band counts are preserved; pass
+ * `options.minBands` to pad short presets with flat bands and
+ * `options.maxBands` to change the accepted upper limit.
+ * `options.autoPreamp` (true or analyzeHeadroom options) replaces the preamp
+ * with the response-aware recommendation.
+ */
+export function normalizePreset(preset, options = {}) {
+  const { minBands = DEFAULT_BAND_LIMITS.min, maxBands = DEFAULT_BAND_LIMITS.max, autoPreamp = false } = options;
+  validatePreset(preset, { maxBands });
+  const bands = ensureBandsCount(preset.bands, minBands);
+
+  let preamp;
+  if (autoPreamp) {
+    const headroomOptions = typeof autoPreamp === 'object' ? autoPreamp : {};
+    preamp = analyzeHeadroom(bands, { design: preset.design, ...headroomOptions }).recommendedPreamp;
+  } else {
+    // Preserve explicit preamp values, including negative values and zero
+    // Only calculate recommended preamp if preamp is undefined or null
+    preamp = (preset.preamp !== undefined && preset.preamp !== null)
+      ? preset.preamp
+      : calculateRecommendedPreamp(bands);
+  }
     
-  return {
+  const normalized = {
     ...preset,
     preamp,
     bands,
   };
+  if (preset.channelMode !== undefined || preset.channels !== undefined) {
+    normalized.channelMode = preset.channelMode ?? DEFAULT_CHANNEL_MODE;
+    normalized.channels = normalizeChannels(normalized.channelMode, preset.channels, { maxBands });
+  }
+  return normalized;
 }
 
 export const PRESET_VERSION = '1.0';
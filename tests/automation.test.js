@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { bandsAtTime, createBandEvent, interpolateValue } from '../src/core/automation.js';
+
+const bands = [
+  { frequency: 100, gain: 0, Q: 1, type: 'peaking' },
+  { frequency: 1000, gain: 0, Q: 1, type: 'peaking' }
+];
+
+describe('band automation', () => {
+  it('validates scheduled changes and picks a default ramp', () => {
+    expect(createBandEvent(0, { gain: 3 }, 1).ramp).toBe('step');
+    expect(createBandEvent(0, { gain: 3 }, 1, { duration: 2 })).toEqual({
+      index: 0, changes: { gain: 3 }, time: 1, ramp: 'linear', duration: 2
+    });
+    expect(() => createBandEvent(0, {}, 1)).toThrow(TypeError);
+    expect(() => createBandEvent(0, { type: 'lowpass' }, 1)).toThrow(TypeError);
+    expect(() => createBandEvent(0, { gain: 3 }, -1)).toThrow(RangeError);
+    expect(() => createBandEvent(0, { gain: 3 }, 1, { ramp: 'cubic' })).toThrow('Unknown automation ramp');
+  });
+
+  it('interpolates like AudioParam ramps', () => {
+    expect(interpolateValue(100, 400, 0.5, 'linear')).toBe(250);
+    expect(interpolateValue(100, 400, 0.5, 'exponential')).toBeCloseTo(200, 9);
+    expect(interpolateValue(-6, 6, 0.5, 'exponential')).toBe(0);
+    expect(interpolateValue(0, 6, 0.1, 'step')).toBe(6);
+  });
+
+  it('evaluates a timeline at any time', () => {
+    const events = [
+      createBandEvent(1, { gain: 6 }, 1, { duration: 2 }),
+      createBandEvent(1, { frequency: 4000 }, 4, { ramp: 'exponential', duration: 1 })
+    ];
+
+    expect(bandsAtTime(bands, events, 0)).toEqual(bands);
+    expect(bandsAtTime(bands, events, 2)[1].gain).toBe(3);
+    expect(bandsAtTime(bands, events, 4.5)[1]).toMatchObject({ gain: 6, frequency: 2000 });
+    expect(bandsAtTime(bands, events)[1]).toMatchObject({ gain: 6, frequency: 4000 });
+    expect(bandsAtTime(bands, events)[0]).toBe(bands[0]);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { resolveAudibleBands } from '../src/core/bandActivity.js';
+import { calculateFrequencyResponse } from '../src/core/frequencyResponse.js';
+import { analyzeHeadroom } from '../src/core/headroom.js';
+import { renderPreset } from '../src/core/offlineRenderer.js';
+import { convertNativeToAutoEqText, convertNativeToAutoEq, parseAutoEqText, convertAutoEqToNative } from '../src/io/presetIO.js';
+import { validateBand } from '../src/presets/presetManager.js';
+
+const SAMPLE_RATE = 48000;
+const LENGTH = SAMPLE_RATE / 4;
+
+const bass = { frequency: 100, gain: 6, Q: 1, type: 'peaking' };
+const presence = { frequency: 3000, gain: -4, Q: 2, type: 'peaking' };
+
+function responseAt(bands, frequency) {
+  return calculateFrequencyResponse(bands, { numPoints: 1, minFreq: frequency, maxFreq: frequency, sampleRate: SAMPLE_RATE }).magnitudeDb[0];
+}
+
+function sineLevelDb(preset, frequency) {
+  const input = new Float32Array(LENGTH).map((_, i) => 0.25 * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE));
+  const output = renderPreset(preset, input, { sampleRate: SAMPLE_RATE, channels: 1 });
+  let peak = 0;
+  for (let i = LENGTH / 2; i < LENGTH; i++) {
+    peak = Math.max(peak, Math.abs(output[i]));
+  }
+  return 20 * Math.log10(peak / 0.25);
+}
+
+describe('band enable and solo', () => {
+  it('leaves disabled bands out of the response', () => {
+    expect(responseAt([{ ...bass, enabled: false }, presence], 100)).toBeCloseTo(responseAt([presence], 100), 6);
+  });
+
+  it('plots only soloed bands, with their own curves', () => {
+    const bands = [{ ...bass, solo: true }, presence];
+    expect(responseAt(bands, 100)).toBeCloseTo(6, 1);
+    expect(responseAt(bands, 3000)).toBeCloseTo(responseAt([bass], 3000), 6);
+  });
+
+  it('renders a soloed band through its monitor and silences the rest', () => {
+    const preset = { preamp: 0, bands: [{ ...bass, solo: true }, presence] };
+
+    expect(sineLevelDb(preset, 100)).toBeCloseTo(0, 1);
+    expect(sineLevelDb(preset, 3000)).toBeLessThan(-20);
+    expect(resolveAudibleBands(preset.bands)[1]).toMatchObject({ type: 'peaking', gain: 0 });
+  });
+
+  it('keeps the recommended preamp while a band is soloed', () => {
+    const bands = [bass, { ...presence, gain: 3 }];
+    const soloed = [bass, { ...presence, gain: 3, solo: true }];
+
+    expect(analyzeHeadroom(soloed).recommendedPreamp).toBeCloseTo(analyzeHeadroom(bands).recommendedPreamp, 6);
+    expect(analyzeHeadroom([{ ...bass, enabled: false }]).recommendedPreamp).toBe(0);
+  });
+
+  it('writes disabled bands as OFF in AutoEq text and drops them from AutoEq JSON', () => {
+    const preset = { name: 'Test', preamp: -6, bands: [bass, { ...presence, enabled: false }] };
+    const text = convertNativeToAutoEqText(preset);
+
+    expect(text).toContain('Filter 2: OFF PK Fc 3000 Hz Gain -4.0 dB Q 2.00');
+    expect(convertNativeToAutoEq(preset).filters).toHaveLength(1);
+    const native = convertAutoEqToNative(parseAutoEqText(text));
+    expect(native.bands[0].enabled).toBeUndefined();
+    expect(native.bands[1]).toMatchObject({ frequency: 3000, gain: -4, enabled: false });
+  });
+
+  it('rejects non-boolean flags', () => {
+    expect(() => validateBand({ ...bass, solo: 'yes' })).toThrow(/solo/);
+  });
+});
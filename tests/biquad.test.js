@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeBiquadCoefficients,
+  computeCascadeCoefficients,
+  expandBandSections,
+  IDENTITY_BIQUAD,
+} from '../src/core/biquad.js';
+import { calculateBandResponse, calculateBandPhase } from '../src/core/frequencyResponse.js';
+import { exportPreset } from '../src/io/presetIO.js';
+import { getBundledPreset } from '../src/presets/presetManager.js';
+
+function magnitudeAt(coefficients, frequency, sampleRate) {
+  const w = (2 * Math.PI * frequency) / sampleRate;
+  const { b0, b1, b2, a1, a2 } = coefficients;
+  const numRe = b0 + b1 * Math.cos(w) + b2 * Math.cos(2 * w);
+  const numIm = -b1 * Math.sin(w) - b2 * Math.sin(2 * w);
+  const denRe = 1 + a1 * Math.cos(w) + a2 * Math.cos(2 * w);
+  const denIm = -a1 * Math.sin(w) - a2 * Math.sin(2 * w);
+  return Math.hypot(numRe, numIm) / Math.hypot(denRe, denIm);
+}
+
+describe('biquad coefficients', () => {
+  it('returns normalized coefficients for every supported type', () => {
+    ['peaking', 'lowshelf', 'highshelf', 'lowpass', 'highpass'].forEach((type) => {
+      const coefficients = computeBiquadCoefficients({ frequency: 1000, gain: 6, Q: 0.9, type }, 48000);
+      expect(Object.keys(coefficients).sort()).toEqual(['a1', 'a2', 'b0', 'b1', 'b2']);
+      Object.values(coefficients).forEach((value) => expect(Number.isFinite(value)).toBe(true));
+    });
+  });
+
+  it('returns the identity section for flat gain bands and null for unknown types', () => {
+    expect(computeBiquadCoefficients({ frequency: 1000, gain: 0, Q: 1, type: 'peaking' }, 48000)).toEqual(IDENTITY_BIQUAD);
+    expect(computeBiquadCoefficients({ frequency: 1000, gain: 3, Q: 1, type: 'mystery' }, 48000)).toBeNull();
+  });
+
+  it('matches the requested peaking gain at the center frequency', () => {
+    const coefficients = computeBiquadCoefficients({ frequency: 2000, gain: -4, Q: 2, type: 'peaking' }, 44100);
+    expect(20 * Math.log10(magnitudeAt(coefficients, 2000, 44100))).toBeCloseTo(-4, 6);
+  });
+
+  it('builds a cascade with the preamp as linear gain', () => {
+    const preset = getBundledPreset('BASS_BOOST');
+    const cascade = computeCascadeCoefficients(preset, 48000);
+    expect(cascade.sections).toHaveLength(preset.bands.length);
+    expect(cascade.gain).toBeCloseTo(Math.pow(10, -6 / 20), 10);
+  });
+
+  it('exports the cascade as miniDSP biquad text', () => {
+    const preset = getBundledPreset('BASS_BOOST');
+    const text = exportPreset(preset, 'biquad', { sampleRate: 48000 });
+    const { sections } = computeCascadeCoefficients(preset, 48000);
+    const lines = text.split('\n');
+
+    expect(lines.filter((line) => line.startsWith('biquad'))).toHaveLength(sections.length);
+    expect(lines[0]).toBe('biquad1,');
+    expect(parseFloat(lines[4].slice(3))).toBeCloseTo(-sections[0].a1, 12);
+    expect(lines[lines.length - 1].endsWith(',')).toBe(false);
+  });
+});
+
+describe('crossover bands', () => {
+  const sampleRate = 48000;
+
+  function complexResponse(band, frequency) {
+    const magnitude = Math.pow(10, calculateBandResponse(frequency, band, { sampleRate }) / 20);
+    const { phase } = calculateBandPhase(frequency, band, { sampleRate });
+    return { re: magnitude * Math.cos(phase), im: magnitude * Math.sin(phase) };
+  }
+
+  it('expands into the expected number of sections with alignment Q values', () => {
+    const bw8 = expandBandSections({ frequency: 80, type: 'highpass', gain: 0, Q: 0.7, alignment: 'butterworth', order: 8 });
+    expect(bw8).toHaveLength(4);
+    expect(bw8.map((section) => section.Q)).toEqual([
+      expect.closeTo(0.5098, 4),
+      expect.closeTo(0.6013, 4),
+      expect.closeTo(0.9000, 4),
+      expect.closeTo(2.5629, 4),
+    ]);
+
+    const lr6 = expandBandSections({ frequency: 80, type: 'lowpass', gain: 0, Q: 0.7, alignment: 'linkwitz-riley', slope: 36 });
+    expect(lr6.map((section) => section.Q)).toEqual([0.5, expect.closeTo(1, 10), expect.closeTo(1, 10)]);
+  });
+
+  it('matches -3 dB (Butterworth) and -6 dB (Linkwitz-Riley) at the cutoff', () => {
+    const bw = { frequency: 1000, type: 'lowpass', gain: 0, Q: 0.7, alignment: 'butterworth', order: 4 };
+    const lr = { frequency: 1000, type: 'lowpass', gain: 0, Q: 0.7, alignment: 'linkwitz-riley', order: 4 };
+    expect(calculateBandResponse(1000, bw, { sampleRate })).toBeCloseTo(-3.01, 1);
+    expect(calculateBandResponse(1000, lr, { sampleRate })).toBeCloseTo(-6.02, 1);
+  });
+
+  it('rolls off at roughly 6 dB per octave per order', () => {
+    const band = { frequency: 1000, type: 'highpass', gain: 0, Q: 0.7, alignment: 'butterworth', order: 8 };
+    const oneOctave = calculateBandResponse(250, band, { sampleRate });
+    const twoOctaves = calculateBandResponse(125, band, { sampleRate });
+    expect(oneOctave - twoOctaves).toBeCloseTo(48, 0);
+  });
+
+  it('sums Linkwitz-Riley lowpass and highpass to unity magnitude', () => {
+    [2, 4, 8].forEach((order) => {
+      const lowpass = { frequency: 2000, type: 'lowpass', gain: 0, Q: 0.7, alignment: 'linkwitz-riley', order };
+      const highpass = { ...lowpass, type: 'highpass' };
+      [200, 1000, 2000, 5000].forEach((frequency) => {
+        const lp = complexResponse(lowpass, frequency);
+        const hp = complexResponse(highpass, frequency);
+        // LR2 needs one branch inverted to sum flat
+        const sign = order === 2 ? -1 : 1;
+        expect(Math.hypot(lp.re + sign * hp.re, lp.im + sign * hp.im)).toBeCloseTo(1, 4);
+      });
+    });
+  });
+
+  it('flattens crossover sections into the preset cascade', () => {
+    const cascade = computeCascadeCoefficients({
+      preamp: 0,
+      bands: [
+        { frequency: 30, type: 'highpass', gain: 0, Q: 0.7, alignment: 'linkwitz-riley', order: 8 },
+        { frequency: 1000, type: 'peaking', gain: 2, Q: 1 },
+      ],
+    });
+    expect(cascade.sections).toHaveLength(5);
+  });
+});
+
+describe('matched design', () => {
+  const sampleRate = 48000;
+
+  // Analog peaking prototype magnitude in dB at `frequency`
+  function analogPeakingDb(frequency, { frequency: f0, gain, Q }) {
+    const A = Math.pow(10, gain / 40);
+    const w = frequency / f0;
+    const num = Math.hypot(1 - w * w, (A / Q) * w);
+    const den = Math.hypot(1 - w * w, w / (A * Q));
+    return 20 * Math.log10(num / den);
+  }
+
+  it('keeps RBJ as the default design', () => {
+    const band = { frequency: 16000, gain: 6, Q: 1, type: 'peaking' };
+    expect(computeBiquadCoefficients(band, sampleRate)).toEqual(computeBiquadCoefficients(band, sampleRate, 'rbj'));
+    expect(computeBiquadCoefficients(band, sampleRate, 'matched')).not.toEqual(computeBiquadCoefficients(band, sampleRate));
+  });
+
+  it('hits the target gain at the center frequency', () => {
+    const band = { frequency: 16000, gain: 6, Q: 1, type: 'peaking' };
+    const coefficients = computeBiquadCoefficients(band, sampleRate, 'matched');
+    expect(20 * Math.log10(magnitudeAt(coefficients, 16000, sampleRate))).toBeCloseTo(6, 6);
+  });
+
+  it('follows the analog prototype near Nyquist more closely than RBJ', () => {
+    const band = { frequency: 16000, gain: 6, Q: 1, type: 'peaking' };
+    const probe = 22000;
+    const analog = analogPeakingDb(probe, band);
+    const rbj = calculateBandResponse(probe, band, { sampleRate });
+    const matched = calculateBandResponse(probe, band, { sampleRate, design: 'matched' });
+    expect(Math.abs(matched - analog)).toBeLessThan(Math.abs(rbj - analog));
+    expect(Math.abs(matched - analog)).toBeLessThan(0.5);
+  });
+
+  it('uses the preset design for cascades unless overridden', () => {
+    const bands = [{ frequency: 12000, gain: 4, Q: 2, type: 'peaking' }];
+    const matched = computeCascadeCoefficients({ preamp: 0, bands, design: 'matched' }, sampleRate);
+    expect(matched.sections[0]).toEqual(computeBiquadCoefficients(bands[0], sampleRate, 'matched'));
+    const overridden = computeCascadeCoefficients({ preamp: 0, bands, design: 'matched' }, sampleRate, 'rbj');
+    expect(overridden.sections[0]).toEqual(computeBiquadCoefficients(bands[0], sampleRate));
+  });
+});
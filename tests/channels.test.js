@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { renderPreset } from '../src/core/offlineRenderer.js';
+import { calculateProcessorResponse } from '../src/core/frequencyResponse.js';
+import { normalizePreset, normalizeChannels } from '../src/presets/presetManager.js';
+
+const SAMPLE_RATE = 48000;
+const LENGTH = SAMPLE_RATE / 4;
+
+function sine(amplitude, frequency = 1000) {
+  return new Float32Array(LENGTH).map((_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE));
+}
+
+function levelDb(data, reference) {
+  let peak = 0;
+  for (let i = LENGTH / 2; i < LENGTH; i++) {
+    peak = Math.max(peak, Math.abs(data[i]));
+  }
+  return 20 * Math.log10(peak / reference);
+}
+
+const flatShared = [{ frequency: 1000, gain: 0, Q: 1, type: 'peaking' }];
+const boost = { frequency: 1000, gain: 6, Q: 1, type: 'peaking' };
+
+describe('channel modes', () => {
+  it('applies left and right bands independently', () => {
+    const preset = {
+      preamp: 0,
+      bands: flatShared,
+      channelMode: 'left-right',
+      channels: { left: { preamp: 0, bands: [boost] }, right: { preamp: -3, bands: [] } }
+    };
+    const [left, right] = renderPreset(preset, [sine(0.25), sine(0.25)], { sampleRate: SAMPLE_RATE });
+
+    expect(levelDb(left, 0.25)).toBeCloseTo(6, 1);
+    expect(levelDb(right, 0.25)).toBeCloseTo(-3, 1);
+  });
+
+  it('routes correlated content through mid and opposite-polarity content through side', () => {
+    const preset = {
+      preamp: 0,
+      bands: flatShared,
+      channelMode: 'mid-side',
+      channels: { mid: { preamp: 0, bands: [boost] }, side: { preamp: -6, bands: [] } }
+    };
+    const [midLeft, midRight] = renderPreset(preset, [sine(0.25), sine(0.25)], { sampleRate: SAMPLE_RATE });
+    const [sideLeft, sideRight] = renderPreset(preset, [sine(0.25), sine(-0.25)], { sampleRate: SAMPLE_RATE });
+
+    expect(levelDb(midLeft, 0.25)).toBeCloseTo(6, 1);
+    expect(levelDb(midRight, 0.25)).toBeCloseTo(6, 1);
+    expect(levelDb(sideLeft, 0.25)).toBeCloseTo(-6, 1);
+    expect(levelDb(sideRight, 0.25)).toBeCloseTo(-6, 1);
+  });
+
+  it('handles interleaved stereo the same way as planar input', () => {
+    const preset = {
+      preamp: 0,
+      bands: flatShared,
+      channelMode: 'left-right',
+      channels: { left: { bands: [boost] } }
+    };
+    const left = sine(0.25);
+    const interleaved = new Float32Array(LENGTH * 2);
+    left.forEach((sample, frame) => {
+      interleaved[frame * 2] = sample;
+      interleaved[frame * 2 + 1] = sample;
+    });
+    const output = renderPreset(preset, interleaved, { sampleRate: SAMPLE_RATE, channels: 2 });
+    const [planarLeft] = renderPreset(preset, [left, left], { sampleRate: SAMPLE_RATE });
+
+    expect(output[LENGTH]).toBeCloseTo(planarLeft[LENGTH / 2], 6);
+  });
+
+  it('normalizes preset channels and fills missing ones flat', () => {
+    const preset = normalizePreset({ name: 'Balance', preamp: 0, bands: flatShared, channelMode: 'left-right', channels: { left: { preamp: -1 } } });
+    expect(preset.channels).toEqual({ left: { preamp: -1, bands: [] }, right: { preamp: 0, bands: [] } });
+    expect(normalizeChannels('stereo', {})).toBeNull();
+    expect(() => normalizeChannels('mid-side', { left: { bands: [] } })).toThrow(/does not exist/);
+  });
+
+  it('plots a channel as shared bands followed by its own', () => {
+    const state = {
+      bands: [{ frequency: 1000, gain: 2, Q: 1, type: 'peaking' }],
+      channelMode: 'left-right',
+      channels: { left: { preamp: 0, bands: [boost] }, right: { preamp: 0, bands: [] } }
+    };
+    const options = { numPoints: 1, minFreq: 1000, maxFreq: 1000, sampleRate: SAMPLE_RATE };
+
+    expect(calculateProcessorResponse(state, options).magnitudeDb[0]).toBeCloseTo(2, 6);
+    expect(calculateProcessorResponse(state, { ...options, channel: 'left' }).magnitudeDb[0]).toBeCloseTo(8, 6);
+    expect(() => calculateProcessorResponse(state, { ...options, channel: 'mid' })).toThrow();
+  });
+});
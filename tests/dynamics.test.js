@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { computeDynamicGain, resolveDynamicSettings, applyDynamicGain } from '../src/core/dynamics.js';
+import { renderPreset, OfflinePEQRenderer } from '../src/core/offlineRenderer.js';
+import { calculateBandResponse, calculateFrequencyResponse } from '../src/core/frequencyResponse.js';
+import { validateBand } from '../src/presets/presetManager.js';
+import { registerDynamicsWorklet } from '../src/index.js';
+
+const SAMPLE_RATE = 48000;
+
+function sine(frequency, length, amplitude) {
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    data[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+  }
+  return data;
+}
+
+function peakAmplitude(data, from = 0) {
+  let peak = 0;
+  for (let i = from; i < data.length; i++) {
+    peak = Math.max(peak, Math.abs(data[i]));
+  }
+  return peak;
+}
+
+const deEsser = {
+  frequency: 7000,
+  gain: 0,
+  Q: 2,
+  type: 'peaking',
+  dynamic: { threshold: -30, ratio: 4, attack: 0.001, release: 0.05, maxGain: -8 }
+};
+
+describe('dynamic EQ', () => {
+  it('follows the ratio above threshold and stops at maxGain', () => {
+    expect(computeDynamicGain(-40, -30, 4, -8)).toBe(0);
+    expect(computeDynamicGain(-26, -30, 4, -8)).toBeCloseTo(-3, 10);
+    expect(computeDynamicGain(0, -30, 4, -8)).toBe(-8);
+    expect(computeDynamicGain(-26, -30, 4, 6)).toBeCloseTo(3, 10);
+  });
+
+  it('defaults the detection band to the band itself', () => {
+    const settings = resolveDynamicSettings({ frequency: 5000, Q: 3, gain: 0, type: 'peaking', dynamic: {} });
+    expect(settings).toMatchObject({ frequency: 5000, Q: 3, threshold: -24, ratio: 4 });
+    expect(() => resolveDynamicSettings({ ...deEsser, dynamic: { ratio: 0.5 } })).toThrow(RangeError);
+  });
+
+  it('cuts loud content in the detection band and leaves quiet content alone', () => {
+    const length = SAMPLE_RATE / 2;
+    const [loud] = renderPreset({ preamp: 0, bands: [deEsser] }, [sine(7000, length, 0.5)], { sampleRate: SAMPLE_RATE });
+    const [quiet] = renderPreset({ preamp: 0, bands: [deEsser] }, [sine(7000, length, 0.001)], { sampleRate: SAMPLE_RATE });
+
+    expect(20 * Math.log10(peakAmplitude(loud, length / 2) / 0.5)).toBeCloseTo(-8, 1);
+    expect(20 * Math.log10(peakAmplitude(quiet, length / 2) / 0.001)).toBeCloseTo(0, 1);
+  });
+
+  it('reports the gain change of each dynamic band', () => {
+    const renderer = new OfflinePEQRenderer({ preamp: 0, bands: [{ frequency: 100, gain: 3, Q: 1, type: 'peaking' }, deEsser] }, {
+      sampleRate: SAMPLE_RATE,
+      channels: 2
+    });
+    const interleaved = new Float32Array(SAMPLE_RATE / 4 * 2);
+    const tone = sine(7000, SAMPLE_RATE / 4, 0.5);
+    tone.forEach((sample, frame) => {
+      interleaved[frame * 2] = sample;
+    });
+    renderer.process(interleaved);
+
+    const [meter] = renderer.getDynamicGains();
+    expect(meter.index).toBe(1);
+    expect(meter.gainDb).toBeCloseTo(-8, 3);
+  });
+
+  it('plots static and fully engaged curves', () => {
+    const options = { numPoints: 1, minFreq: 7000, maxFreq: 7000, sampleRate: SAMPLE_RATE };
+    const staticCurve = calculateFrequencyResponse([deEsser], options);
+    const engagedCurve = calculateFrequencyResponse([deEsser], { ...options, dynamics: 'engaged' });
+
+    expect(staticCurve.magnitudeDb[0]).toBeCloseTo(0, 6);
+    expect(engagedCurve.magnitudeDb[0]).toBeCloseTo(-8, 6);
+    expect(applyDynamicGain(deEsser).gain).toBe(-8);
+  });
+
+  it('renders dynamic bands with RBJ coefficients under the matched design, like the live graph', () => {
+    const band = { frequency: 12000, gain: 6, Q: 1, type: 'peaking', dynamic: { threshold: 0 } };
+    const staticBand = { ...band, dynamic: undefined };
+    const [output] = renderPreset({ preamp: 0, design: 'matched', bands: [band] }, [sine(18000, SAMPLE_RATE / 4, 0.25)], {
+      sampleRate: SAMPLE_RATE
+    });
+
+    // RMS rather than peak, since samples of an 18 kHz tone miss its crests
+    const tail = output.subarray(SAMPLE_RATE / 8);
+    const rms = Math.sqrt(tail.reduce((sum, sample) => sum + sample * sample, 0) / tail.length);
+    const measuredDb = 20 * Math.log10(rms / (0.25 * Math.SQRT1_2));
+    const rbjDb = calculateBandResponse(18000, staticBand, { sampleRate: SAMPLE_RATE });
+    expect(measuredDb).toBeCloseTo(rbjDb, 1);
+    expect(calculateBandResponse(18000, band, { sampleRate: SAMPLE_RATE, design: 'matched' })).toBe(rbjDb);
+    expect(Math.abs(rbjDb - calculateBandResponse(18000, staticBand, { sampleRate: SAMPLE_RATE, design: 'matched' })))
+      .toBeGreaterThan(1);
+  });
+
+  it('only accepts dynamic settings on gain bands', () => {
+    expect(validateBand(deEsser)).toBe(true);
+    expect(() => validateBand({ frequency: 80, gain: 0, Q: 0.7, type: 'highpass', dynamic: {} })).toThrow(/cannot be dynamic/);
+    expect(() => validateBand({ ...deEsser, dynamic: { maxGain: -40 } })).toThrow(/invalid dynamic settings/);
+  });
+
+  it('keeps registerDynamicsWorklet as an alias of registerPeqWorklets', async () => {
+    await expect(registerDynamicsWorklet({})).rejects.toThrow(/AudioWorklet is not available/);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { fitFixedBands, fitPeqToTarget, reduceBands } from '../src/core/fitting.js';
+import { convertAutoEqToNative } from '../src/io/presetIO.js';
+import { FrequencyCurve } from '../src/core/frequencyCurve.js';
+import { analyzeHeadroom } from '../src/core/headroom.js';
+import { generateFrequencies, getResponseAtFrequencies } from '../src/core/frequencyResponse.js';
+
+const frequencies = Array.from(generateFrequencies(256, 20, 20000));
+const flatTarget = new FrequencyCurve([20, 20000], [0, 0]);
+
+function measurementOf(bands, ripple = 0) {
+  const response = getResponseAtFrequencies(bands, frequencies);
+  // Deterministic ripple standing in for measurement noise
+  return new FrequencyCurve(frequencies, response.map((db, i) => 75 + db + ripple * Math.sin(i * 1.7)));
+}
+
+describe('PEQ fitting', () => {
+  it('recovers the bands that explain a measurement', () => {
+    const coloration = [
+      { frequency: 100, gain: -5, Q: 0.7, type: 'lowshelf' },
+      { frequency: 800, gain: -3, Q: 1, type: 'peaking' },
+      { frequency: 3000, gain: 6, Q: 2, type: 'peaking' },
+      { frequency: 9000, gain: 4, Q: 0.7, type: 'highshelf' }
+    ];
+    const { preset, rmsDb, initialRmsDb } = fitPeqToTarget(measurementOf(coloration), flatTarget, { bandCount: 8 });
+
+    expect(initialRmsDb).toBeGreaterThan(2);
+    expect(rmsDb).toBeLessThan(0.05);
+    expect(preset.bands).toHaveLength(4);
+    const presence = preset.bands.find((band) => band.type === 'peaking' && band.frequency > 2000);
+    expect(presence).toMatchObject({ frequency: 3000, gain: -6 });
+    expect(presence.Q).toBeCloseTo(2, 1);
+    expect(preset.preamp).toBe(analyzeHeadroom(preset).recommendedPreamp);
+  });
+
+  it('respects allowed types, bounds and the boost limit', () => {
+    const measurement = measurementOf([
+      { frequency: 60, gain: -10, Q: 0.7, type: 'lowshelf' },
+      { frequency: 5000, gain: 5, Q: 4, type: 'peaking' }
+    ], 0.3);
+    const progress = [];
+    const options = {
+      bandCount: 5, types: ['peaking'], maxQ: 3, maxBoost: 4, onProgress: (update) => progress.push(update)
+    };
+    const result = fitPeqToTarget(measurement, flatTarget, options);
+
+    expect(result.rmsDb).toBeLessThan(result.initialRmsDb / 2);
+    result.preset.bands.forEach((band) => {
+      expect(band.type).toBe('peaking');
+      expect(band.Q).toBeLessThanOrEqual(3);
+    });
+    const eq = getResponseAtFrequencies(result.preset.bands, frequencies);
+    expect(Math.max(...eq)).toBeLessThan(4.5);
+    expect(progress.map(({ stage }) => stage)).toContain('add');
+    expect(progress.at(-1).rmsDb).toBeGreaterThan(0);
+
+    const again = fitPeqToTarget(measurement, flatTarget, { ...options, onProgress: undefined });
+    expect(again.preset).toEqual(result.preset);
+    expect(() => fitPeqToTarget(measurement, flatTarget, { types: ['notch'] })).toThrow(RangeError);
+  });
+
+  it('treats maxBoost as a soft limit that is only slightly exceeded', () => {
+    const measurement = measurementOf([
+      { frequency: 3000, gain: -10, Q: 2, type: 'peaking' },
+      { frequency: 100, gain: -6, Q: 0.7, type: 'lowshelf' }
+    ], 0.3);
+    const target = new FrequencyCurve([20, 20000], [75, 75]);
+    const maxBoostOf = (maxBoost) => {
+      const { preset } = fitPeqToTarget(measurement, target, { bandCount: 5, align: 'none', maxBoost });
+      return Math.max(...getResponseAtFrequencies(preset.bands, frequencies));
+    };
+
+    expect(maxBoostOf(12)).toBeGreaterThan(9);
+    [2, 4].forEach((maxBoost) => {
+      const boost = maxBoostOf(maxBoost);
+      expect(boost).toBeGreaterThan(maxBoost - 0.1);
+      expect(boost).toBeLessThan(maxBoost * 1.05);
+    });
+  });
+});
+
+describe('band reduction', () => {
+  const filters = [
+    { type: 'LSC', fc: 105, gain: 5.5, Q: 0.7 },
+    { type: 'PK', fc: 28, gain: -2.1, Q: 0.9 },
+    { type: 'PK', fc: 180, gain: -3.2, Q: 0.6 },
+    { type: 'PK', fc: 950, gain: 1.1, Q: 1.4 },
+    { type: 'PK', fc: 1100, gain: 0.9, Q: 1.6 },
+    { type: 'PK', fc: 2100, gain: -3.9, Q: 2.3 },
+    { type: 'PK', fc: 3200, gain: 2.5, Q: 3.1 },
+    { type: 'PK', fc: 5900, gain: 4.2, Q: 2 },
+    { type: 'PK', fc: 7000, gain: -0.3, Q: 5 },
+    { type: 'PK', fc: 8200, gain: -4.1, Q: 3 },
+    { type: 'HSC', fc: 10000, gain: -2, Q: 0.7 },
+    { type: 'PK', fc: 12000, gain: 3, Q: 2, enabled: false },
+    { type: 'PK', fc: 15000, gain: 1.2, Q: 1 }
+  ];
+
+  it('keeps the combined response closer than keeping the first filters', () => {
+    const native = convertAutoEqToNative({ name: 'Wide', preamp: -6, filters });
+    const full = getResponseAtFrequencies(native.bands, frequencies);
+    expect(native.bands).toHaveLength(10);
+    expect(native.conversion).toMatchObject({ filters: 13, bands: 10, dropped: 1 });
+    expect(native.description).toContain('13 filters reduced to 10');
+
+    const everything = getResponseAtFrequencies(convertAutoEqToNative({ filters }, { maxBands: 13 }).bands, frequencies);
+    const truncated = getResponseAtFrequencies(convertAutoEqToNative({ filters: filters.slice(0, 10) }).bands, frequencies);
+    const worst = (response) => Math.max(...response.map((db, i) => Math.abs(db - everything[i])));
+    expect(worst(full)).toBeLessThan(0.75);
+    expect(worst(full)).toBeLessThan(worst(truncated) / 2);
+    expect(native.conversion.maxDeviationDb).toBeCloseTo(worst(full), 0);
+  });
+
+  it('leaves sets that fit untouched', () => {
+    const bands = [{ frequency: 100, gain: 3, Q: 0.71, type: 'lowshelf', enabled: false }];
+    expect(reduceBands(bands, 2)).toEqual({ bands, dropped: 0, merged: 0, maxDeviationDb: 0, rmsDeviationDb: 0 });
+    expect(() => reduceBands(bands, 0)).toThrow(RangeError);
+  });
+});
+
+describe('fixed-frequency sliders', () => {
+  const sliders = [100, 1000, 10000];
+
+  it('reproduces slider presets and holds pinned sliders at their bounds', () => {
+    const bands = sliders.map((frequency, index) => ({ frequency, gain: [3, -2, 1][index], Q: 1, type: 'peaking' }));
+    expect(fitFixedBands(bands, sliders).bands.map((band) => band.gain.toFixed(3))).toEqual(['3.000', '-2.000', '1.000']);
+
+    const bounded = fitFixedBands([{ ...bands[0], gain: 9 }, bands[1]], sliders, { minGain: -6, maxGain: 6 });
+    expect(bounded.bands[0].gain).toBe(6);
+    bounded.bands.forEach((band) => expect(Math.abs(band.gain)).toBeLessThanOrEqual(6));
+    expect(bounded.maxDeviationDb).toBeGreaterThan(1);
+    expect(() => fitFixedBands(bands, sliders, { minGain: 1 })).toThrow(RangeError);
+  });
+});
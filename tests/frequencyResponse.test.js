@@ -1,14 +1,30 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
+import { computeBandSections } from '../src/core/biquad.js';
 import {
   calculateBandResponse,
+  calculateBandResponseCurve,
   calculateFrequencyResponse,
   calculateProcessorResponse,
   getResponseAtFrequencies,
+  calculateBandPhase,
+  calculatePhaseResponse,
+  calculateProcessorPhaseResponse,
+  generateFrequencies,
   MIN_GAIN_DB,
   MAX_GAIN_DB,
 } from '../src/core/frequencyResponse.js';
 import { DEFAULT_PRESET } from '../src/presets/presetManager.js';
 
+// Count filter designs, to check that a plot designs each band once
+vi.mock('../src/core/biquad.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, computeBandSections: vi.fn(actual.computeBandSections) };
+});
+
+const TEN_BANDS = Array.from({ length: 10 }, (_, index) => ({
+  frequency: 40 * 2 ** index, gain: index % 2 ? 3 : -3, Q: 1.4, type: 'peaking',
+}));
+
 describe('frequencyResponse utilities', () => {
   it('matches target gain at the center frequency for peaking filters', () => {
     const band = {
@@ -46,6 +62,24 @@ describe('frequencyResponse utilities', () => {
     expect(hiShelfLow).toBeGreaterThan(-3);
   });
 
+  it('models notch, bandpass and allpass filters', () => {
+    const sampleRate = 48000;
+    const notch = { frequency: 1000, gain: 0, Q: 5, type: 'notch' };
+    const bandpass = { frequency: 1000, gain: 0, Q: 2, type: 'bandpass' };
+    const allpass = { frequency: 1000, gain: 0, Q: 0.7, type: 'allpass' };
+
+    expect(calculateBandResponse(1000, notch, { sampleRate })).toBeLessThan(-40);
+    expect(calculateBandResponse(200, notch, { sampleRate })).toBeCloseTo(0, 1);
+
+    expect(calculateBandResponse(1000, bandpass, { sampleRate })).toBeCloseTo(0, 5);
+    expect(calculateBandResponse(100, bandpass, { sampleRate })).toBeLessThan(-20);
+
+    [50, 1000, 15000].forEach((frequency) => {
+      expect(calculateBandResponse(frequency, allpass, { sampleRate })).toBeCloseTo(0, 6);
+    });
+    expect(Math.abs(calculateBandPhase(1000, allpass, { sampleRate }).phase)).toBeCloseTo(Math.PI, 6);
+  });
+
   it('respects Nyquist when the target frequency exceeds half the sample rate', () => {
     const band = {
       frequency: 6000,
@@ -108,4 +142,84 @@ describe('frequencyResponse utilities', () => {
       expect(sampled[index]).toBeCloseTo(aggregate.magnitudeDb[closestIndex], 2);
     });
   });
+
+  it('designs each band once per magnitude or phase curve', () => {
+    computeBandSections.mockClear();
+    calculateFrequencyResponse(TEN_BANDS, { numPoints: 512 });
+    expect(computeBandSections).toHaveBeenCalledTimes(10);
+
+    computeBandSections.mockClear();
+    getResponseAtFrequencies(TEN_BANDS, Array.from(generateFrequencies(64)));
+    expect(computeBandSections).toHaveBeenCalledTimes(10);
+
+    computeBandSections.mockClear();
+    calculatePhaseResponse(TEN_BANDS, { numPoints: 512 });
+    expect(computeBandSections).toHaveBeenCalledTimes(10);
+  });
+
+  it('calculateBandResponseCurve matches calculateBandResponse point by point', () => {
+    const frequencies = [0, 20, 250, 1000, 9000, 30000];
+    const bands = [
+      { frequency: 250, gain: 4, Q: 0.8, type: 'lowshelf' },
+      { frequency: 9000, gain: 0, Q: 0.71, type: 'lowpass', alignment: 'linkwitz-riley', order: 4 },
+    ];
+    bands.forEach((band) => {
+      const curve = calculateBandResponseCurve(frequencies, band, { sampleRate: 48000 });
+      expect(curve).toBeInstanceOf(Float64Array);
+      frequencies.forEach((frequency, index) => {
+        expect(curve[index]).toBeCloseTo(calculateBandResponse(frequency, band, { sampleRate: 48000 }), 10);
+      });
+    });
+  });
+});
+
+describe('phase and group delay', () => {
+  it('has zero phase at the center of a peaking filter', () => {
+    const band = { frequency: 1000, gain: 6, Q: 1, type: 'peaking' };
+    const { phase } = calculateBandPhase(1000, band, { sampleRate: 48000 });
+    expect(phase).toBeCloseTo(0, 6);
+  });
+
+  it('lags by 90 degrees at the cutoff of a second-order lowpass', () => {
+    const band = { frequency: 1000, gain: 0, Q: Math.SQRT1_2, type: 'lowpass' };
+    const { phase } = calculateBandPhase(1000, band, { sampleRate: 48000 });
+    expect((phase * 180) / Math.PI).toBeCloseTo(-90, 4);
+  });
+
+  it('reports group delay as the negative derivative of phase', () => {
+    const band = { frequency: 200, gain: 9, Q: 2, type: 'peaking' };
+    const sampleRate = 48000;
+    const delta = 0.01;
+    const below = calculateBandPhase(180 - delta, band, { sampleRate }).phase;
+    const above = calculateBandPhase(180 + delta, band, { sampleRate }).phase;
+    const numericDelay = -(above - below) / (2 * Math.PI * 2 * delta);
+    const { groupDelay } = calculateBandPhase(180, band, { sampleRate });
+    expect(groupDelay).toBeCloseTo(numericDelay, 6);
+  });
+
+  it('returns wrapped, unwrapped and group delay arrays on the shared grid', () => {
+    const bands = [
+      { frequency: 80, gain: 0, Q: Math.SQRT1_2, type: 'highpass' },
+      { frequency: 80, gain: 0, Q: Math.SQRT1_2, type: 'highpass' },
+      { frequency: 3000, gain: -3, Q: 1.5, type: 'peaking' },
+    ];
+    const response = calculatePhaseResponse(bands, { numPoints: 256, sampleRate: 48000 });
+
+    expect(response.frequencies).toEqual(Array.from(generateFrequencies(256)));
+    expect(response.phaseDegrees).toHaveLength(256);
+    response.phaseDegrees.forEach((value) => {
+      expect(value).toBeLessThanOrEqual(180);
+      expect(value).toBeGreaterThanOrEqual(-180);
+    });
+    for (let i = 1; i < 256; i++) {
+      expect(Math.abs(response.unwrappedPhaseDegrees[i] - response.unwrappedPhaseDegrees[i - 1])).toBeLessThan(180);
+    }
+    expect(response.groupDelayMs[0]).toBeGreaterThan(response.groupDelayMs[255]);
+  });
+
+  it('is flat for the default processor preset', () => {
+    const response = calculateProcessorPhaseResponse(DEFAULT_PRESET, { numPoints: 16 });
+    response.phaseDegrees.forEach((value) => expect(value).toBeCloseTo(0, 6));
+    response.groupDelayMs.forEach((value) => expect(value).toBeCloseTo(0, 6));
+  });
 });
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { HeadlessAudioContext } from '../src/headless.js';
+import { calculateBandResponse } from '../src/core/frequencyResponse.js';
+
+const SAMPLE_RATE = 48000;
+
+function peakDb(data, from = data.length / 2) {
+  let peak = 0;
+  for (let i = from; i < data.length; i++) {
+    peak = Math.max(peak, Math.abs(data[i]));
+  }
+  return 20 * Math.log10(peak);
+}
+
+function sineSource(context, frequency, channels = 1) {
+  const buffer = context.createBuffer(channels, SAMPLE_RATE, SAMPLE_RATE);
+  for (let channel = 0; channel < channels; channel++) {
+    buffer.getChannelData(channel).forEach((_, i, data) => {
+      data[i] = Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+    });
+  }
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.start();
+  return source;
+}
+
+describe('headless audio context', () => {
+  it('follows AudioParam automation while rendering', () => {
+    const context = new HeadlessAudioContext({ sampleRate: SAMPLE_RATE, numberOfChannels: 1 });
+    const source = context.createConstantSource();
+    const gain = context.createGain();
+    source.start();
+    source.connect(gain).connect(context.destination);
+    gain.gain.setValueAtTime(0, 0);
+    gain.gain.linearRampToValueAtTime(1, 0.01);
+    gain.gain.setTargetAtTime(0.5, 0.02, 0.005);
+
+    const output = context.render(SAMPLE_RATE * 0.05).getChannelData(0);
+
+    expect(output[240]).toBeCloseTo(0.5, 2);
+    expect(output[720]).toBe(1);
+    expect(output[960 + 240]).toBeCloseTo(0.5 + 0.5 * Math.exp(-1), 3);
+    expect(gain.gain.value).toBeCloseTo(0.5, 2);
+    expect(context.currentTime).toBeCloseTo(0.05, 9);
+  });
+
+  it('filters like the library response math for peaking bands', () => {
+    const context = new HeadlessAudioContext({ sampleRate: SAMPLE_RATE, numberOfChannels: 1 });
+    const band = { frequency: 1000, gain: 6, Q: 2, type: 'peaking' };
+    const filter = context.createBiquadFilter();
+    filter.type = band.type;
+    filter.frequency.value = band.frequency;
+    filter.gain.value = band.gain;
+    filter.Q.value = band.Q;
+    sineSource(context, 700).connect(filter).connect(context.destination);
+
+    const output = context.render(SAMPLE_RATE / 4).getChannelData(0);
+
+    expect(peakDb(output)).toBeCloseTo(calculateBandResponse(700, band, { sampleRate: SAMPLE_RATE }), 1);
+  });
+
+  it('treats lowpass Q in dB like BiquadFilterNode', () => {
+    const context = new HeadlessAudioContext({ sampleRate: SAMPLE_RATE });
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 1000;
+    filter.Q.value = 6;
+    const magnitude = new Float32Array(1);
+    filter.getFrequencyResponse(new Float32Array([1000]), magnitude, new Float32Array(1));
+
+    expect(20 * Math.log10(magnitude[0])).toBeCloseTo(6, 1);
+  });
+
+  it('splits, merges and up-mixes channels', () => {
+    const context = new HeadlessAudioContext({ sampleRate: SAMPLE_RATE });
+    const left = context.createConstantSource();
+    const right = context.createConstantSource();
+    right.offset.value = -0.5;
+    const merger = context.createChannelMerger(2);
+    const splitter = context.createChannelSplitter(2);
+    const swap = context.createChannelMerger(2);
+    [left, right].forEach((source, index) => {
+      source.start();
+      source.connect(merger, 0, index);
+    });
+    merger.connect(splitter);
+    splitter.connect(swap, 0, 1);
+    splitter.connect(swap, 1, 0);
+    swap.connect(context.destination);
+
+    const output = context.render(128);
+    expect(output.getChannelData(0)[0]).toBe(-0.5);
+    expect(output.getChannelData(1)[0]).toBe(1);
+
+    swap.disconnect();
+    splitter.connect(context.destination, 1);
+    const upmixed = context.render(128);
+    expect(upmixed.getChannelData(0)[0]).toBe(-0.5);
+    expect(upmixed.getChannelData(1)[0]).toBe(-0.5);
+    expect(() => swap.disconnect(context.destination)).toThrow();
+  });
+
+  it('analyses what passes through an AnalyserNode', () => {
+    const context = new HeadlessAudioContext({ sampleRate: SAMPLE_RATE });
+    const analyser = context.createAnalyser();
+    analyser.smoothingTimeConstant = 0;
+    sineSource(context, 3000).connect(analyser);
+    context.render(analyser.fftSize);
+
+    const spectrum = new Float32Array(analyser.frequencyBinCount);
+    analyser.getFloatFrequencyData(spectrum);
+    const bin = Math.round((3000 / SAMPLE_RATE) * analyser.fftSize);
+    const loudest = spectrum.indexOf(Math.max(...spectrum));
+
+    expect(loudest).toBe(bin);
+    expect(spectrum[bin] - spectrum[bin * 2]).toBeGreaterThan(60);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeHeadroom } from '../src/core/headroom.js';
+import { getResponseAtFrequencies } from '../src/core/frequencyResponse.js';
+import { calculateRecommendedPreamp, normalizePreset } from '../src/presets/presetManager.js';
+
+describe('headroom analysis', () => {
+  it('finds stacked boosts above any single band gain', () => {
+    const bands = [
+      { frequency: 1000, gain: 6, Q: 0.7, type: 'peaking' },
+      { frequency: 1300, gain: 6, Q: 0.7, type: 'peaking' },
+    ];
+    const report = analyzeHeadroom(bands);
+
+    expect(calculateRecommendedPreamp(bands)).toBe(-6);
+    expect(report.peakGainDb).toBeGreaterThan(10);
+    expect(report.peakFrequency).toBeGreaterThan(1000);
+    expect(report.peakFrequency).toBeLessThan(1300);
+    expect(report.recommendedPreamp).toBeLessThanOrEqual(-report.peakGainDb);
+    expect(report.recommendedPreamp).toBeGreaterThan(-report.peakGainDb - 0.1);
+  });
+
+  it('reports the gain at the refined peak frequency', () => {
+    const bands = [
+      { frequency: 100, gain: 5, Q: 0.7, type: 'lowshelf' },
+      { frequency: 60, gain: 4, Q: 1.2, type: 'peaking' },
+    ];
+    const report = analyzeHeadroom(bands, { numPoints: 256 });
+    const [gainAtPeak] = getResponseAtFrequencies(bands, [report.peakFrequency]);
+    expect(report.peakGainDb).toBeCloseTo(gainAtPeak, 6);
+    expect(report.peakGainDb).toBeGreaterThan(5);
+  });
+
+  it('adds the safety margin and reports clipping for the current preamp', () => {
+    const preset = { preamp: -2, bands: [{ frequency: 3000, gain: 4, Q: 1, type: 'peaking' }] };
+    const report = analyzeHeadroom(preset, { safetyMargin: 1 });
+    expect(report.peakGainDb).toBeCloseTo(4, 3);
+    expect(report.recommendedPreamp).toBe(-5);
+    expect(report.outputPeakDb).toBeCloseTo(2, 3);
+    expect(report.clipping).toBe(true);
+  });
+
+  it('recommends only the safety margin for cut-only presets', () => {
+    const cut = [{ frequency: 500, gain: -6, Q: 1, type: 'peaking' }];
+    expect(analyzeHeadroom(cut).recommendedPreamp).toBe(0);
+    expect(analyzeHeadroom(cut, { safetyMargin: 1 }).recommendedPreamp).toBe(-1);
+  });
+
+  it('applies the safety margin on both sides of 0 dB', () => {
+    const bell = (gain) => [{ frequency: 1000, gain, Q: 1, type: 'peaking' }];
+    expect(analyzeHeadroom(bell(-0.2), { safetyMargin: 1 }).recommendedPreamp).toBe(-1);
+    expect(analyzeHeadroom(bell(0.2), { safetyMargin: 1 }).recommendedPreamp).toBe(-1.2);
+  });
+
+  it('lets normalizePreset replace the preamp in auto mode', () => {
+    const preset = {
+      name: 'Stacked',
+      preamp: 0,
+      bands: [
+        { frequency: 1000, gain: 6, Q: 0.7, type: 'peaking' },
+        { frequency: 1300, gain: 6, Q: 0.7, type: 'peaking' },
+      ],
+    };
+    expect(normalizePreset(preset).preamp).toBe(0);
+    expect(normalizePreset(preset, { autoPreamp: true }).preamp).toBe(analyzeHeadroom(preset).recommendedPreamp);
+  });
+});
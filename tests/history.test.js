@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { EditHistory, resolveHistoryOptions } from '../src/core/history.js';
+
+function createHistory(options) {
+  let time = 0;
+  const history = new EditHistory(options, () => time);
+  return { history, advance: (seconds) => { time += seconds; } };
+}
+
+describe('edit history', () => {
+  it('undoes and redoes recorded snapshots in order', () => {
+    const { history } = createHistory();
+    history.record({ gain: 0 });
+    history.record({ gain: 1 });
+
+    expect(history.undo({ gain: 2 })).toEqual({ gain: 1 });
+    expect(history.undo({ gain: 1 })).toEqual({ gain: 0 });
+    expect(history.canUndo).toBe(false);
+    expect(history.redo({ gain: 0 })).toEqual({ gain: 1 });
+    expect(history.redo({ gain: 1 })).toEqual({ gain: 2 });
+    expect(history.canRedo).toBe(false);
+  });
+
+  it('merges a drag into one step and splits after a pause', () => {
+    const { history, advance } = createHistory({ mergeWindow: 0.5 });
+    expect(history.record({ gain: 0 }, 'band:0')).toBe(true);
+    advance(0.1);
+    expect(history.record({ gain: 1 }, 'band:0')).toBe(false);
+    advance(0.1);
+    expect(history.record({ gain: 2 }, 'band:1')).toBe(true);
+    advance(1);
+    expect(history.record({ gain: 3 }, 'band:1')).toBe(true);
+
+    expect(history.undoStack).toEqual([{ gain: 0 }, { gain: 2 }, { gain: 3 }]);
+  });
+
+  it('drops the redo steps on a new edit and never merges across an undo', () => {
+    const { history } = createHistory();
+    history.record({ gain: 0 }, 'preamp');
+    history.undo({ gain: 1 });
+    expect(history.record({ gain: 0 }, 'preamp')).toBe(true);
+    expect(history.canRedo).toBe(false);
+  });
+
+  it('keeps at most `depth` steps', () => {
+    const { history } = createHistory({ depth: 2 });
+    [0, 1, 2].forEach((gain) => history.record({ gain }));
+    expect(history.undoStack).toEqual([{ gain: 1 }, { gain: 2 }]);
+
+    history.setDepth(1);
+    expect(history.undoStack).toEqual([{ gain: 2 }]);
+    expect(() => resolveHistoryOptions({ depth: 0 })).toThrow(RangeError);
+  });
+});
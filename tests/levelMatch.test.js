@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { computeWeightedGain, computeLevelOffsets } from '../src/core/levelMatch.js';
+
+const flat = { preamp: 0, bands: [{ frequency: 1000, gain: 0, Q: 1, type: 'peaking' }] };
+
+describe('level matching', () => {
+  it('measures a flat state at its preamp', () => {
+    expect(computeWeightedGain(flat)).toBeCloseTo(0, 6);
+    expect(computeWeightedGain({ ...flat, preamp: -3 })).toBeCloseTo(-3, 6);
+  });
+
+  it('weights presence boosts above sub-bass boosts of the same size', () => {
+    const presence = { preamp: 0, bands: [{ frequency: 3000, gain: 6, Q: 1, type: 'peaking' }] };
+    const subBass = { preamp: 0, bands: [{ frequency: 30, gain: 6, Q: 1, type: 'peaking' }] };
+
+    expect(computeWeightedGain(presence)).toBeGreaterThan(computeWeightedGain(subBass));
+    expect(computeWeightedGain(presence)).toBeLessThan(6);
+  });
+
+  it('brings every state down to the quietest one', () => {
+    const offsets = computeLevelOffsets({ A: flat, B: { ...flat, preamp: 2 }, C: { ...flat, preamp: -1 } });
+
+    expect(offsets.A).toBeCloseTo(-1, 6);
+    expect(offsets.B).toBeCloseTo(-3, 6);
+    expect(offsets.C).toBeCloseTo(0, 6);
+  });
+
+  it('averages the channels of a channel mode', () => {
+    const state = {
+      ...flat,
+      channelMode: 'left-right',
+      channels: { left: { preamp: -6, bands: [] }, right: { preamp: -6, bands: [] } }
+    };
+    expect(computeWeightedGain(state)).toBeCloseTo(-6, 6);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { LIMITER_PROCESSOR_SOURCE, resolveLimiterSettings } from '../src/core/limiterWorklet.js';
+
+const SAMPLE_RATE = 48000;
+const QUANTUM = 128;
+
+// Evaluate the worklet source with just enough of AudioWorkletGlobalScope
+function createLimiter(settings) {
+  let Processor;
+  const messages = [];
+  class AudioWorkletProcessor {
+    constructor() {
+      this.port = { postMessage: (message) => messages.push(message) };
+    }
+  }
+  const registerProcessor = (name, processorClass) => {
+    Processor = processorClass;
+  };
+  new Function('AudioWorkletProcessor', 'registerProcessor', 'sampleRate', 'currentTime', LIMITER_PROCESSOR_SOURCE)(
+    AudioWorkletProcessor,
+    registerProcessor,
+    SAMPLE_RATE,
+    0
+  );
+  const processor = new Processor({ processorOptions: { settings: resolveLimiterSettings(settings) } });
+  return { processor, messages };
+}
+
+function run(processor, samples) {
+  const output = new Float32Array(samples.length);
+  for (let start = 0; start < samples.length; start += QUANTUM) {
+    const block = [new Float32Array(QUANTUM)];
+    block[0].set(samples.subarray(start, start + QUANTUM));
+    const out = [new Float32Array(QUANTUM)];
+    processor.process([block], [out]);
+    output.set(out[0].subarray(0, Math.min(QUANTUM, samples.length - start)), start);
+  }
+  return output;
+}
+
+function sine(frequency, length, amplitude) {
+  return new Float32Array(length).map((_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE));
+}
+
+describe('output limiter', () => {
+  it('keeps every sample under the ceiling and counts input clips', () => {
+    const { processor, messages } = createLimiter({ ceiling: -1 });
+    const output = run(processor, sine(100, SAMPLE_RATE / 4, 2));
+    const ceiling = Math.pow(10, -1 / 20);
+
+    expect(Math.max(...output.map(Math.abs))).toBeLessThanOrEqual(ceiling + 1e-6);
+    const clipped = messages.reduce((total, message) => total + message.clipped, 0);
+    expect(clipped).toBeGreaterThan(0);
+    expect(messages[0].gainReductionDb).toBeGreaterThan(6);
+  });
+
+  it('passes quiet material unchanged apart from the look-ahead delay', () => {
+    const { processor, messages } = createLimiter({ lookahead: 0.001 });
+    const input = sine(1000, 4096, 0.5);
+    const output = run(processor, input);
+    const delay = Math.round(0.001 * SAMPLE_RATE);
+
+    expect(output[1000 + delay]).toBeCloseTo(input[1000], 6);
+    expect(messages).toHaveLength(0);
+  });
+
+  it('only meters when disabled', () => {
+    const { processor, messages } = createLimiter({ enabled: false });
+    const input = sine(100, SAMPLE_RATE / 8, 1.5);
+    const output = run(processor, input);
+
+    expect(output[500]).toBeCloseTo(input[500], 6);
+    expect(messages.some((message) => message.clipped > 0)).toBe(true);
+  });
+
+  it('rejects ceilings above full scale', () => {
+    expect(() => resolveLimiterSettings({ ceiling: 1 })).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ISO_226_FREQUENCIES,
+  computeLoudnessBands,
+  equalLoudnessContour,
+  loudnessCompensationCurve
+} from '../src/core/loudness.js';
+import { calculateProcessorResponse } from '../src/core/frequencyResponse.js';
+
+describe('loudness compensation', () => {
+  it('follows the ISO 226:2003 contours', () => {
+    const contour = equalLoudnessContour(40);
+    const at = (frequency) => contour[ISO_226_FREQUENCIES.indexOf(frequency)];
+
+    expect(at(1000)).toBeCloseTo(40, 1);
+    expect(at(100)).toBeCloseTo(64.4, 1);
+    expect(at(20)).toBeCloseTo(99.9, 1);
+    expect(() => equalLoudnessContour(10)).toThrow(RangeError);
+  });
+
+  it('boosts the extremes below the reference level and is flat at it', () => {
+    const curve = loudnessCompensationCurve(40, 80);
+    expect(curve[ISO_226_FREQUENCIES.indexOf(1000)]).toBe(0);
+    expect(curve[0]).toBeGreaterThan(15);
+    expect(loudnessCompensationCurve(80, 80).every((gain) => Math.abs(gain) < 1e-9)).toBe(true);
+  });
+
+  it('fits bass and treble shelves within maxGain', () => {
+    const [bass, treble] = computeLoudnessBands(60);
+    expect(bass).toMatchObject({ type: 'lowshelf', frequency: 150 });
+    expect(bass.gain).toBeCloseTo(9.3, 1);
+    expect(treble).toMatchObject({ type: 'highshelf', frequency: 8000 });
+    expect(treble.gain).toBeCloseTo(2.1, 1);
+
+    expect(computeLoudnessBands(30, { maxGain: 6 })[0].gain).toBe(6);
+    expect(computeLoudnessBands(90)[0].gain).toBeLessThan(0);
+    expect(computeLoudnessBands(null).map((band) => band.gain)).toEqual([0, 0]);
+  });
+
+  it('adds the shelves to the processor response', () => {
+    const bands = [{ frequency: 1000, gain: 0, Q: 1, type: 'peaking' }];
+    const loudness = { listeningLevel: 50, referenceLevel: 80, bands: computeLoudnessBands(50) };
+    const options = { numPoints: 1, minFreq: 30, maxFreq: 30 };
+
+    expect(calculateProcessorResponse({ bands }, options).magnitudeDb[0]).toBeCloseTo(0, 9);
+    expect(calculateProcessorResponse({ bands, loudness }, options).magnitudeDb[0]).toBeGreaterThan(10);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { detectMeasurementFormat, exportFrequencyCurve, parseFrequencyCurve } from '../src/io/measurementIO.js';
+import { FrequencyCurve, calculateCorrectedResponse, compareToTarget } from '../src/core/frequencyCurve.js';
+import { calculateBandResponse } from '../src/core/frequencyResponse.js';
+
+const AUTOEQ_CSV = `frequency,raw,error,smoothed
+20.00,-1.5,0.2,-1.4
+100.00,1.0,,0.9
+1000.00,0.0,0.0,0.0
+10000.00,-3.0,1.0,-2.8`;
+
+const REW_TXT = `* Measurement data measured by REW V5.20
+* Source: UMIK-1, 48 kHz
+* Freq(Hz) SPL(dB) Phase(degrees)
+20.000 70.0 -12.0
+200.000 75.0 -40.5
+2000.000 80.0 10.1`;
+
+describe('measurement import', () => {
+  it('reads AutoEQ CSV, REW exports and loose two-column text', () => {
+    const autoEq = parseFrequencyCurve(AUTOEQ_CSV, { filename: 'HD 600.csv' });
+    expect(detectMeasurementFormat(AUTOEQ_CSV)).toBe('autoeq');
+    expect(autoEq.name).toBe('HD 600');
+    expect(autoEq.frequencies).toEqual([20, 100, 1000, 10000]);
+    expect(autoEq.magnitudeDb).toEqual([-1.5, 1, 0, -3]);
+    expect(parseFrequencyCurve(AUTOEQ_CSV, { column: 'smoothed' }).valueAt(100)).toBe(0.9);
+
+    const rew = parseFrequencyCurve(REW_TXT);
+    expect(detectMeasurementFormat(REW_TXT)).toBe('rew');
+    expect(rew.magnitudeDb).toEqual([70, 75, 80]);
+
+    const loose = parseFrequencyCurve('Hz;dB\n2000,5;1,5\n20;-2\n\n200;0,25\n');
+    expect(detectMeasurementFormat('Hz;dB\n20;-2')).toBe('text');
+    expect(loose.frequencies).toEqual([20, 200, 2000.5]);
+    expect(loose.magnitudeDb).toEqual([-2, 0.25, 1.5]);
+
+    expect(() => parseFrequencyCurve('frequency,raw\n')).toThrow('No frequency response data');
+    expect(() => parseFrequencyCurve(AUTOEQ_CSV, { column: 'target' })).toThrow('Column "target" not found');
+  });
+
+  it('interpolates over log frequency and round-trips through CSV', () => {
+    const curve = new FrequencyCurve([100, 1000, 10000], [0, 10, 0]);
+    expect(curve.valueAt(Math.sqrt(100 * 1000))).toBeCloseTo(5, 9);
+    expect(curve.valueAt(10)).toBe(0);
+    expect(curve.normalize(1000).valueAt(100)).toBe(-10);
+
+    const response = curve.toResponse({ numPoints: 16 });
+    expect(response.frequencies).toHaveLength(16);
+    const reparsed = parseFrequencyCurve(exportFrequencyCurve(curve));
+    expect(reparsed.magnitudeDb).toEqual(curve.magnitudeDb);
+  });
+});
+
+describe('measurement + EQ', () => {
+  const measurement = new FrequencyCurve([20, 1000, 20000], [-6, 0, 0]);
+  const bands = [{ frequency: 60, gain: 6, Q: 0.7, type: 'lowshelf' }];
+
+  it('overlays the measurement, the EQ and the result', () => {
+    const { frequencies, measurementDb, eqDb, resultDb } = calculateCorrectedResponse(
+      measurement, { preamp: -3, bands }, { numPoints: 32 }
+    );
+    expect(frequencies).toHaveLength(32);
+    expect(eqDb[0]).toBeCloseTo(calculateBandResponse(20, bands[0]) - 3, 4);
+    expect(resultDb[0]).toBeCloseTo(measurementDb[0] + eqDb[0], 9);
+  });
+
+  it('measures the error against a target', () => {
+    const target = new FrequencyCurve([20, 20000], [3, 3]);
+    const corrected = calculateCorrectedResponse(measurement, bands);
+    const before = compareToTarget(measurement, target);
+    const after = compareToTarget({ frequencies: corrected.frequencies, magnitudeDb: corrected.resultDb }, target);
+
+    expect(after.rmsDb).toBeLessThan(before.rmsDb);
+    expect(compareToTarget(target, target.offset(-2), { align: 'none' }).maxDb).toBeCloseTo(2, 9);
+    expect(compareToTarget(measurement, target, { align: 1000 }).errorDb.at(-1)).toBeCloseTo(0, 9);
+    expect(() => compareToTarget(measurement, target, { align: 'peak' })).toThrow(RangeError);
+  });
+});
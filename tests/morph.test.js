@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { matchBands, morphBands, morphPresets } from '../src/core/morph.js';
+import { calculateFrequencyResponse } from '../src/core/frequencyResponse.js';
+
+const neutral = {
+  name: 'Neutral',
+  preamp: 0,
+  bands: [
+    { frequency: 100, gain: 0, Q: 1, type: 'peaking' },
+    { frequency: 3000, gain: 0, Q: 2, type: 'peaking' }
+  ]
+};
+const boost = {
+  name: 'Boost',
+  preamp: -6,
+  bands: [
+    { frequency: 400, gain: 6, Q: 4, type: 'peaking' },
+    { frequency: 2000, gain: -2, Q: 1, type: 'peaking' },
+    { frequency: 60, gain: 6, Q: 0.7, type: 'lowshelf' }
+  ]
+};
+
+describe('preset morphing', () => {
+  it('pairs bands of the same type by closest frequency', () => {
+    const pairs = matchBands(neutral.bands, boost.bands);
+
+    expect(pairs).toHaveLength(3);
+    expect(pairs[0][1].frequency).toBe(400);
+    expect(pairs[1][1].frequency).toBe(2000);
+    expect(pairs[2]).toEqual([null, boost.bands[2]]);
+  });
+
+  it('interpolates frequency logarithmically, gain linearly and Q geometrically', () => {
+    const { bands, preamp } = morphPresets(neutral, boost, 0.5);
+
+    expect(preamp).toBeCloseTo(-3, 6);
+    expect(bands[0].frequency).toBeCloseTo(200, 6);
+    expect(bands[0].gain).toBeCloseTo(3, 6);
+    expect(bands[0].Q).toBeCloseTo(2, 6);
+    expect(bands[2].type).toBe('lowshelf');
+    expect(bands[2].frequency).toBeCloseTo(60, 6);
+    expect(bands[2].gain).toBeCloseTo(3, 6);
+  });
+
+  it('reproduces the end points and keeps the band count', () => {
+    const start = morphBands(neutral.bands, boost.bands, 0);
+    const end = morphBands(neutral.bands, boost.bands, 1);
+
+    expect(start).toHaveLength(end.length);
+    expect(start.map((band) => band.gain)).toEqual([0, 0, 0]);
+    expect(end.map((band) => band.gain)).toEqual([6, -2, 6]);
+    expect(end[0].frequency).toBeCloseTo(400, 6);
+  });
+
+  it('slides an unmatched lowpass out of the audible range and switches it off at the end', () => {
+    const lowpass = { frequency: 8000, gain: 0, Q: 0.7, type: 'lowpass' };
+    const [halfway] = morphBands([lowpass], [], 0.5);
+    const [end] = morphBands([lowpass], [], 1);
+
+    expect(halfway.frequency).toBeCloseTo(Math.sqrt(8000 * 20000), 6);
+    expect(halfway.enabled).toBeUndefined();
+    expect(end.enabled).toBe(false);
+  });
+
+  it('previews the blended curve in calculateFrequencyResponse', () => {
+    const options = { numPoints: 1, minFreq: 2000, maxFreq: 2000 };
+    const preview = calculateFrequencyResponse(neutral.bands, { ...options, morph: { target: boost, amount: 0.5 } });
+    const blended = calculateFrequencyResponse(morphBands(neutral.bands, boost.bands, 0.5), options);
+
+    expect(preview.magnitudeDb[0]).toBeCloseTo(blended.magnitudeDb[0], 9);
+    expect(preview.magnitudeDb[0]).toBeLessThan(0);
+  });
+});
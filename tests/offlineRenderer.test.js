@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { OfflinePEQRenderer, renderPreset } from '../src/core/offlineRenderer.js';
+import { calculateBandResponse } from '../src/core/frequencyResponse.js';
+
+const SAMPLE_RATE = 48000;
+
+function sine(frequency, length, amplitude = 0.25) {
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    data[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+  }
+  return data;
+}
+
+function peakAmplitude(data, from = 0) {
+  let peak = 0;
+  for (let i = from; i < data.length; i++) {
+    peak = Math.max(peak, Math.abs(data[i]));
+  }
+  return peak;
+}
+
+describe('offline rendering', () => {
+  it('applies the same gain the response math predicts', () => {
+    const band = { frequency: 1000, gain: 6, Q: 1, type: 'peaking' };
+    const input = sine(1000, SAMPLE_RATE / 2);
+    const [output] = renderPreset({ preamp: 0, bands: [band] }, [input], { sampleRate: SAMPLE_RATE });
+
+    const measuredDb = 20 * Math.log10(peakAmplitude(output, SAMPLE_RATE / 4) / 0.25);
+    const expectedDb = calculateBandResponse(1000, band, { sampleRate: SAMPLE_RATE });
+    expect(measuredDb).toBeCloseTo(expectedDb, 1);
+  });
+
+  it('applies the preamp as a linear gain', () => {
+    const input = sine(440, 1024);
+    const [output] = renderPreset({ preamp: -6, bands: [] }, [input], { sampleRate: SAMPLE_RATE });
+    const ratio = output[100] / input[100];
+    expect(20 * Math.log10(ratio)).toBeCloseTo(-6, 4);
+  });
+
+  it('carries filter state across blocks', () => {
+    const preset = {
+      preamp: -3,
+      bands: [
+        { frequency: 120, gain: 8, Q: 0.7, type: 'lowshelf' },
+        { frequency: 3000, gain: -5, Q: 2, type: 'peaking' },
+      ],
+    };
+    const input = sine(150, 4096);
+    const [whole] = renderPreset(preset, [input], { sampleRate: SAMPLE_RATE });
+
+    const renderer = new OfflinePEQRenderer(preset, { sampleRate: SAMPLE_RATE, channels: 1 });
+    const [first] = renderer.process([input.subarray(0, 1000)]);
+    const [second] = renderer.process([input.subarray(1000)]);
+
+    expect(Array.from(first)).toEqual(Array.from(whole.subarray(0, 1000)));
+    expect(Array.from(second)).toEqual(Array.from(whole.subarray(1000)));
+  });
+
+  it('keeps each band\'s filter state when another band goes flat or comes back', () => {
+    const shelf = { frequency: 120, gain: 8, Q: 0.7, type: 'lowshelf' };
+    const peak = { frequency: 3000, gain: -5, Q: 2, type: 'peaking' };
+    const input = sine(150, 4096);
+    const renderer = new OfflinePEQRenderer({ preamp: 0, bands: [{ ...peak, gain: 0 }, shelf] }, { channels: 1 });
+    const shelfOnly = new OfflinePEQRenderer({ preamp: 0, bands: [shelf] }, { channels: 1 });
+    renderer.process([input.subarray(0, 1000)]);
+    shelfOnly.process([input.subarray(0, 1000)]);
+
+    renderer.setPreset({ preamp: 0, bands: [peak, shelf] });
+    const [output] = renderer.process([input.subarray(1000)]);
+
+    // The new peak starts from rest while the shelf carries on
+    const [peaked] = new OfflinePEQRenderer({ preamp: 0, bands: [peak] }, { channels: 1 }).process([input.subarray(1000)]);
+    const [expected] = shelfOnly.process([peaked]);
+    output.forEach((sample, i) => expect(sample).toBeCloseTo(expected[i], 6));
+  });
+
+  it('processes interleaved and planar layouts identically', () => {
+    const preset = { preamp: 0, bands: [{ frequency: 800, gain: 4, Q: 1.4, type: 'peaking' }] };
+    const left = sine(700, 512);
+    const right = sine(1200, 512, 0.5);
+    const interleaved = new Float32Array(1024);
+    for (let i = 0; i < 512; i++) {
+      interleaved[i * 2] = left[i];
+      interleaved[i * 2 + 1] = right[i];
+    }
+
+    const planarOut = renderPreset(preset, [left, right], { sampleRate: SAMPLE_RATE });
+    const interleavedOut = renderPreset(preset, interleaved, { sampleRate: SAMPLE_RATE, channels: 2 });
+
+    for (let i = 0; i < 512; i++) {
+      expect(interleavedOut[i * 2]).toBe(planarOut[0][i]);
+      expect(interleavedOut[i * 2 + 1]).toBe(planarOut[1][i]);
+    }
+  });
+
+  it('rejects interleaved input that does not divide into channels', () => {
+    const renderer = new OfflinePEQRenderer({ preamp: 0, bands: [] }, { channels: 2 });
+    expect(() => renderer.process(new Float32Array(3))).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,243 @@
+import { describe, it, expect } from 'vitest';
+import {
+  convertAutoEqToNative,
+  convertNativeToAutoEqText,
+  detectPresetFormat,
+  detectTextFormat,
+  exportPreset,
+  importPresetFromText,
+  parseAutoEqText,
+  parseEqualizerApoConfig,
+} from '../src/io/presetIO.js';
+import { validatePreset } from '../src/presets/presetManager.js';
+import { FILTER_TYPES } from '../src/core/biquad.js';
+import { getResponseAtFrequencies } from '../src/core/frequencyResponse.js';
+import { FILTER_TYPE_MAPPINGS, POWERAMP_FREQUENCIES, POWERAMP_GAIN_RANGE } from '../src/io/formatDefinitions.js';
+
+describe('AutoEq conversion', () => {
+  it('maps every supported filter type to and from AutoEq codes', () => {
+    FILTER_TYPES.forEach((type) => {
+      const code = FILTER_TYPE_MAPPINGS.sakuToAutoEq[type];
+      expect(code).toBeDefined();
+      expect(FILTER_TYPE_MAPPINGS.autoEqToSaku[code]).toBe(type);
+      expect(FILTER_TYPE_MAPPINGS.sakuToQudelix[type]).toBeDefined();
+      expect(FILTER_TYPE_MAPPINGS.qudelixToSaku[FILTER_TYPE_MAPPINGS.sakuToQudelix[type]]).toBe(type);
+    });
+  });
+
+  it('keeps gain-less filters when exporting and re-importing text', () => {
+    const preset = {
+      name: 'Types',
+      preamp: -2,
+      bands: [
+        { frequency: 25, type: 'highpass', gain: 0, Q: 0.71 },
+        { frequency: 1000, type: 'peaking', gain: 3, Q: 1.2 },
+        { frequency: 6000, type: 'notch', gain: 0, Q: 8 },
+      ],
+    };
+    const text = convertNativeToAutoEqText(preset);
+    expect(text).toContain('Filter 1: ON HPQ Fc 25 Hz Q 0.71');
+    expect(text).toContain('Filter 3: ON NO Fc 6000 Hz Q 8.00');
+
+    const imported = importPresetFromText(text);
+    expect(imported.bands.map((band) => band.type)).toEqual(['highpass', 'peaking', 'notch']);
+  });
+
+  it('accepts the legacy NOTCH code and validates every converted type', () => {
+    const parsed = parseAutoEqText('Preamp: -1 dB\nFilter 1: ON NOTCH Fc 3000 Hz Gain 0.0 dB Q 4.00\nFilter 2: ON AP Fc 500 Hz Q 0.70');
+    const native = convertAutoEqToNative(parsed);
+    expect(native.bands[0].type).toBe('notch');
+    expect(native.bands[1].type).toBe('allpass');
+    expect(native.bands).toHaveLength(2);
+    expect(validatePreset(native)).toBe(true);
+  });
+
+  it('writes gain-less filters to AutoEq JSON', () => {
+    const json = JSON.parse(exportPreset({
+      name: 'Pass',
+      preamp: 0,
+      bands: [{ frequency: 18000, type: 'lowpass', gain: 0, Q: 0.7 }],
+    }, 'autoeq'));
+    expect(json.filters).toEqual([{ type: 'LPQ', fc: 18000, Q: 0.7, gain: 0 }]);
+  });
+});
+
+const APO_CONFIG = `# Desk speakers
+Device: Speakers
+Preamp: -6 dB
+Include: room.txt
+Filter: ON PK Fc 100 Hz Gain 3 dB BW Oct 1
+Filter 2: ON HP Fc 20 Hz
+Filter 3: OFF LSC 6 dB Fc 105 Hz Gain 4 dB
+Filter 4: ON IIR Order 2 Coefficients 1 0 0 1 0 0
+Channel: L
+Preamp: -1 dB
+Filter: ON NO Fc 3000 Hz
+Channel: 2
+Filter: ON PK Fc 2000 Hz Gain -2 dB Q 2
+Channel: C SUB
+Filter: ON PK Fc 50 Hz Gain -3 dB Q 1
+Channel: all
+Delay: 10 ms`;
+
+describe('Equalizer APO conversion', () => {
+  it('imports filters and channels and reports what it cannot represent', () => {
+    expect(detectTextFormat(APO_CONFIG)).toBe('equalizer-apo');
+    expect(detectTextFormat('Preamp: -1 dB\nFilter 1: ON PK Fc 100 Hz Gain 1 dB Q 1')).toBe('autoeq-text');
+
+    const native = importPresetFromText(APO_CONFIG, 'Desk.txt');
+    expect(native.name).toBe('Desk');
+    expect(native.preamp).toBe(-6);
+    expect(native.bands).toEqual([
+      { frequency: 100, type: 'peaking', gain: 3, Q: Math.SQRT2 },
+      { frequency: 20, type: 'highpass', gain: 0, Q: Math.SQRT1_2 },
+      { frequency: 105, type: 'lowshelf', gain: 4, Q: 0.5, enabled: false },
+    ]);
+    expect(native.channelMode).toBe('left-right');
+    expect(native.channels.left).toEqual({ preamp: -1, bands: [{ frequency: 3000, type: 'notch', gain: 0, Q: 10 }] });
+    expect(native.channels.right.bands).toEqual([{ frequency: 2000, type: 'peaking', gain: -2, Q: 2 }]);
+    expect(native.conversion.unsupported.map(({ line }) => line)).toEqual([2, 4, 8, 14, 15, 17]);
+    expect(native.conversion.unsupported[2].reason).toBe('Filter type IIR is not supported');
+    expect(validatePreset(native)).toBe(true);
+    expect(() => parseEqualizerApoConfig('Preamp: -3 dB\nInclude: other.txt')).toThrow('No valid filters');
+  });
+
+  it('only reads text with an APO command as a config', () => {
+    const broken = '{\n  name: "Broken",\n  bands: []\n}';
+    expect(detectTextFormat(broken)).toBe('json');
+    expect(() => importPresetFromText(broken)).toThrow(SyntaxError);
+    expect(detectTextFormat('Stage: pre-mix\nCopy: L=R')).toBe('equalizer-apo');
+  });
+
+  it('approximates GraphicEQ curves with fitted bands', () => {
+    const native = importPresetFromText('GraphicEQ: 20 0; 300 0; 1000 -6; 3000 0; 20000 0', 'config.txt', { graphicEqBands: 3 });
+    expect(native.name).toBe('Equalizer APO Preset');
+    expect(native.bands.length).toBeLessThanOrEqual(3);
+    expect(native.conversion.approximated).toEqual([
+      { line: 1, bands: native.bands.length, maxDeviationDb: expect.any(Number) },
+    ]);
+    expect(native.conversion.approximated[0].maxDeviationDb).toBeLessThan(1);
+  });
+
+  it('round-trips shared and per-channel bands', () => {
+    const preset = {
+      name: 'Round trip',
+      preamp: -4,
+      bands: [
+        { frequency: 105, type: 'lowshelf', gain: 5, Q: 0.7 },
+        { frequency: 2500, type: 'peaking', gain: -3, Q: 1.5, enabled: false },
+      ],
+      channelMode: 'left-right',
+      channels: {
+        left: { preamp: -0.5, bands: [{ frequency: 8000, type: 'peaking', gain: 2, Q: 3 }] },
+        right: { preamp: 0, bands: [] },
+      },
+    };
+    const text = exportPreset(preset, 'equalizer-apo');
+    expect(text.split('\n')).toEqual([
+      '# Round trip',
+      'Preamp: -4.0 dB',
+      'Filter 1: ON LSC Fc 105 Hz Gain +5.0 dB Q 0.70',
+      'Filter 2: OFF PK Fc 2500 Hz Gain -3.0 dB Q 1.50',
+      'Channel: L',
+      'Preamp: -0.5 dB',
+      'Filter 3: ON PK Fc 8000 Hz Gain +2.0 dB Q 3.00',
+      'Channel: R',
+      'Channel: all',
+    ]);
+
+    const imported = importPresetFromText(text);
+    expect(imported.conversion.unsupported).toEqual([]);
+    expect(imported.bands).toEqual(preset.bands);
+    expect(imported.channels).toEqual(preset.channels);
+    expect(() => exportPreset({ ...preset, channelMode: 'mid-side' }, 'equalizer-apo')).toThrow('mid-side');
+  });
+});
+
+describe('PowerAmp and Qudelix conversion', () => {
+  const preset = {
+    name: 'Bass & Air',
+    preamp: -4,
+    bands: [
+      { frequency: 105, type: 'lowshelf', gain: 5, Q: 0.7 },
+      { frequency: 2500, type: 'peaking', gain: -3, Q: 1.5, enabled: false },
+      { frequency: 9000, type: 'highshelf', gain: 3, Q: 0.7 },
+      { frequency: 20, type: 'highpass', gain: 0, Q: 0.71 },
+    ],
+  };
+
+  it('round-trips PowerAmp XML sliders', () => {
+    const gains = [4, 2.5, 0, -1, 0, -3.5, 2, 1, 0.5, -2];
+    const xml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<PowerAmpPreset name="Bass &amp; Air">',
+      '  <EQSettings preamp="-5.0">',
+      ...POWERAMP_FREQUENCIES.map((frequency, index) => (
+        `    <band frequency="${frequency}" gain="${gains[index].toFixed(1)}" Q="1.00" type="peaking"/>`
+      )),
+      '  </EQSettings>',
+      '</PowerAmpPreset>',
+    ].join('\n');
+    expect(detectTextFormat(xml)).toBe('poweramp');
+
+    const native = importPresetFromText(xml);
+    expect(native.name).toBe('Bass & Air');
+    expect(native.preamp).toBe(-5);
+    expect(native.bands.map((band) => band.gain)).toEqual(gains);
+    expect(exportPreset(native, 'poweramp')).toBe(xml);
+  });
+
+  it('matches the preset response at the PowerAmp sliders', () => {
+    const native = importPresetFromText(exportPreset(preset, 'poweramp'));
+    const expected = getResponseAtFrequencies(preset.bands, POWERAMP_FREQUENCIES);
+    getResponseAtFrequencies(native.bands, POWERAMP_FREQUENCIES).forEach((db, index) => {
+      expect(db).toBeCloseTo(expected[index], 0);
+    });
+  });
+
+  it('keeps PowerAmp sliders within their range for filters they cannot represent', () => {
+    const steep = {
+      name: 'Steep',
+      preamp: 0,
+      bands: [
+        { frequency: 200, type: 'highpass', gain: 0, Q: 0.71 },
+        { frequency: 3000, type: 'peaking', gain: 12, Q: 4 },
+      ],
+    };
+    const native = importPresetFromText(exportPreset(steep, 'poweramp'));
+    const gains = native.bands.map((band) => band.gain);
+    expect(Math.min(...gains)).toBe(POWERAMP_GAIN_RANGE.min);
+    expect(Math.max(...gains)).toBeLessThanOrEqual(POWERAMP_GAIN_RANGE.max);
+    expect(validatePreset(native)).toBe(true);
+
+    // The free sliders still follow the preset at the bell
+    const [expected] = getResponseAtFrequencies(steep.bands, [3000]);
+    expect(getResponseAtFrequencies(native.bands, [3000])[0]).toBeCloseTo(expected, 0);
+  });
+
+  it('round-trips Qudelix JSON and fits the device band count', () => {
+    const qudelix = JSON.parse(exportPreset(preset, 'qudelix'));
+    expect(detectPresetFormat(qudelix)).toBe('qudelix');
+    expect(qudelix.preGain).toBe(-4);
+    expect(qudelix.filters.map((filter) => filter.type)).toEqual(['low_shelf', 'bell', 'high_shelf', 'high_pass']);
+    expect(qudelix.filters[1].enabled).toBe(false);
+
+    const native = importPresetFromText(JSON.stringify(qudelix));
+    expect(native.source).toBe('qudelix');
+    expect(native.bands).toEqual(preset.bands);
+
+    const crowded = {
+      name: 'Crowded',
+      bands: Array.from({ length: 14 }, (_, index) => ({ frequency: 100 * 2 ** (index / 2), type: 'peaking', gain: index % 2 ? 2 : -2, Q: 2 })),
+    };
+    expect(JSON.parse(exportPreset(crowded, 'qudelix')).filters).toHaveLength(10);
+
+    crowded.bands[3] = { ...crowded.bands[3], enabled: false };
+    expect(JSON.parse(exportPreset(crowded, 'qudelix')).filters.every((filter) => filter.enabled)).toBe(true);
+  });
+
+  it('rejects unknown Qudelix filter types', () => {
+    const qudelix = { name: 'Odd', preGain: 0, filters: [{ enabled: true, type: 'lowshelf', freq: 100, gain: 3, q: 0.7 }] };
+    expect(() => importPresetFromText(JSON.stringify(qudelix))).toThrow('Qudelix filter type lowshelf is not supported');
+  });
+});
@@ -0,0 +1,671 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { PEQProcessor } from '../src/peqProcessor.js';
+import { HeadlessAudioContext, HeadlessAudioNode, HeadlessAudioParam } from '../src/headless.js';
+import { registerPeqWorklets } from '../src/core/worklets.js';
+import { calculateBandResponse } from '../src/core/frequencyResponse.js';
+import { resolveAudibleBands } from '../src/core/bandActivity.js';
+
+const SAMPLE_RATE = 48000;
+const boost = { frequency: 1000, gain: 6, Q: 1, type: 'peaking' };
+
+function setup(options = {}) {
+  const context = new HeadlessAudioContext({ sampleRate: SAMPLE_RATE });
+  const buffer = context.createBuffer(2, SAMPLE_RATE * 2, SAMPLE_RATE);
+  [0, 1].forEach((channel) => {
+    buffer.getChannelData(channel).forEach((_, i, data) => {
+      data[i] = 0.25 * Math.sin((2 * Math.PI * 1000 * i) / SAMPLE_RATE + channel);
+    });
+  });
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.start();
+  const processor = new PEQProcessor(context, { bands: [boost], smoothing: false, ...options });
+  source.connect(processor.inputNode);
+  processor.connect(context.destination);
+  return { context, buffer, processor };
+}
+
+function peakDb(data, reference = 0.25) {
+  let peak = 0;
+  for (let i = data.length / 2; i < data.length; i++) {
+    peak = Math.max(peak, Math.abs(data[i]));
+  }
+  return 20 * Math.log10(peak / reference);
+}
+
+// Every node the processor's graph reaches from its input
+function reachableNodes(node, seen = new Set()) {
+  if (!seen.has(node)) {
+    seen.add(node);
+    node.connections.forEach(({ destination }) => reachableNodes(destination, seen));
+  }
+  return seen;
+}
+
+// The filters the chain's signal runs through, in order, from preamp to output
+function signalPath(chain) {
+  const path = [];
+  let node = chain.preampNode;
+  while (node !== chain.outputNode) {
+    const next = node.connections
+      .map(({ destination }) => destination)
+      .filter((destination) => chain.filters.includes(destination) || destination === chain.outputNode);
+    expect(next).toHaveLength(1);
+    [node] = next;
+    if (node !== chain.outputNode) path.push(node);
+  }
+  return path;
+}
+
+// Summed response of the bands at the 1 kHz test tone
+function responseDb(bands) {
+  return bands.reduce((sum, band) => sum + calculateBandResponse(1000, band, { sampleRate: SAMPLE_RATE }), 0);
+}
+
+// The headless context has no AudioWorklet; this stands in for the dynamics
+// and limiter nodes. It passes its input through and records the params its
+// outputs drive, so the processor's wiring of it can be checked.
+class StandInWorkletNode extends HeadlessAudioNode {
+  constructor(context, name, { numberOfOutputs }) {
+    super(context, { numberOfOutputs });
+    this.name = name;
+    this.params = [];
+    this.messages = [];
+    this.port = { postMessage: (message) => this.messages.push(message) };
+  }
+
+  connect(destination, ...rest) {
+    if (destination instanceof HeadlessAudioParam) {
+      this.params.push(destination);
+      return destination;
+    }
+    return super.connect(destination, ...rest);
+  }
+}
+
+// Let the processor's worklet stages run on StandInWorkletNode
+async function enableWorklets(context) {
+  vi.stubGlobal('AudioWorkletNode', StandInWorkletNode);
+  context.audioWorklet = { addModule: async () => {} };
+  await registerPeqWorklets(context);
+}
+
+describe('PEQProcessor in a headless context', () => {
+  it('renders the configured bands and follows edits', () => {
+    const { context, processor } = setup();
+    const changes = [];
+    processor.on(processor.events.BAND_CHANGE, (change) => changes.push(change));
+
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(6, 1);
+
+    processor.updateBand(0, { gain: -4 });
+    expect(changes).toHaveLength(1);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(1)))
+      .toBeCloseTo(calculateBandResponse(1000, { ...boost, gain: -4 }), 1);
+  });
+
+  it('plays scheduled band automation on the audio timeline', () => {
+    const { context, processor } = setup();
+    processor.scheduleBand(0, { gain: 0 }, 0.25);
+
+    const output = context.render(SAMPLE_RATE / 2).getChannelData(0);
+
+    expect(peakDb(output.subarray(0, SAMPLE_RATE / 4))).toBeCloseTo(6, 1);
+    expect(peakDb(output.subarray(SAMPLE_RATE / 4))).toBeCloseTo(0, 1);
+  });
+
+  it('passes the input through untouched when bypassed', () => {
+    const { context, buffer, processor } = setup();
+    const bypassed = [];
+    processor.on(processor.events.BYPASS_CHANGE, (enabled) => bypassed.push(enabled));
+    processor.setBypass(true);
+
+    const output = context.render(1024);
+
+    expect(bypassed).toEqual([true]);
+    expect(output.getChannelData(0)).toEqual(buffer.getChannelData(0).subarray(0, 1024));
+    expect(output.getChannelData(1)).toEqual(buffer.getChannelData(1).subarray(0, 1024));
+  });
+
+  it('disconnects its whole graph on destroy', () => {
+    const { context, processor } = setup({ loudness: true, analysers: true });
+    const nodes = reachableNodes(processor.inputNode);
+    nodes.delete(context.destination);
+    context.render(256);
+
+    processor.destroy();
+
+    expect(nodes.size).toBeGreaterThan(5);
+    nodes.forEach((node) => expect(node.connections).toEqual([]));
+    expect(context.render(256).getChannelData(0).every((sample) => sample === 0)).toBe(true);
+  });
+});
+
+describe('PEQProcessor band list edits', () => {
+  const low = { frequency: 300, gain: -3, Q: 0.7, type: 'peaking' };
+  const high = { frequency: 3000, gain: 4, Q: 1.4, type: 'peaking' };
+
+  it('inserts a band into the running chain without rebuilding the others', () => {
+    const { context, processor } = setup({ bands: [boost, high] });
+    const [first, second] = processor.chain.bandNodes.flat();
+    const added = [];
+    processor.on(processor.events.BAND_ADD, (change) => added.push(change));
+
+    expect(processor.addBand(low, 1)).toBe(1);
+
+    const [, inserted] = processor.chain.bandNodes.flat();
+    expect(added).toEqual([{ index: 1, band: low }]);
+    expect(processor.getState().bands).toEqual([boost, low, high]);
+    expect(signalPath(processor.chain)).toEqual([first, inserted, second]);
+    expect(inserted.frequency.value).toBe(300);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0)))
+      .toBeCloseTo(responseDb([boost, low, high]), 1);
+  });
+
+  it('removes a band and closes the gap in the chain', () => {
+    const { context, processor } = setup({ bands: [low, boost, high] });
+    const [first, removed, third] = processor.chain.bandNodes.flat();
+    const events = [];
+    processor.on(processor.events.BAND_REMOVE, (change) => events.push(change));
+
+    processor.removeBand(1);
+
+    expect(events).toEqual([{ index: 1, band: boost }]);
+    expect(removed.connections).toEqual([]);
+    expect(signalPath(processor.chain)).toEqual([first, third]);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0)))
+      .toBeCloseTo(responseDb([low, high]), 1);
+  });
+
+  it('reorders bands by rewiring their existing nodes', () => {
+    const { context, processor } = setup({ bands: [low, boost, high] });
+    const nodes = processor.chain.bandNodes.flat();
+    const orders = [];
+    processor.on(processor.events.BAND_REORDER, ({ order }) => orders.push(order));
+
+    processor.reorderBands([2, 0, 1]);
+
+    expect(orders).toEqual([[2, 0, 1]]);
+    expect(processor.getState().bands).toEqual([high, low, boost]);
+    expect(signalPath(processor.chain)).toEqual([nodes[2], nodes[0], nodes[1]]);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0)))
+      .toBeCloseTo(responseDb([low, boost, high]), 1);
+  });
+
+  it('silences the other bands when a soloed band is added, and restores them when it goes', () => {
+    const crossover = { frequency: 100, gain: 0, Q: 0.7071, type: 'highpass', alignment: 'linkwitz-riley', order: 4 };
+    const { context, processor } = setup({ bands: [crossover, high] });
+    const [highNode] = processor.chain.bandNodes[1];
+
+    processor.addBand({ ...boost, solo: true }, 1);
+
+    expect(processor.chain.bandNodes[0]).toHaveLength(1);
+    expect(processor.chain.bandNodes[2][0]).toBe(highNode);
+    expect(highNode.gain.valueAtTime(context.currentTime)).toBe(0);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(0, 1);
+
+    processor.removeBand(1);
+
+    expect(processor.chain.bandNodes[0]).toHaveLength(2);
+    expect(signalPath(processor.chain)).toEqual(processor.chain.bandNodes.flat());
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0)))
+      .toBeCloseTo(responseDb([crossover, high]), 1);
+  });
+
+  it('rejects edits past the band limits', () => {
+    const { processor } = setup({ bands: [boost] });
+
+    expect(() => processor.removeBand(0)).toThrow(RangeError);
+    expect(() => processor.addBand(low, 3)).toThrow(RangeError);
+    expect(() => processor.reorderBands([1])).toThrow(TypeError);
+    expect(signalPath(processor.chain)).toEqual(processor.chain.bandNodes.flat());
+  });
+});
+
+describe('PEQProcessor parameter smoothing', () => {
+  it('ramps edited band parameters over the smoothing time', () => {
+    const { context, processor } = setup({ smoothing: { mode: 'linear', time: 0.1 } });
+    context.render(1024);
+    const [filter] = processor.chain.bandNodes.flat();
+    const start = context.currentTime;
+
+    processor.updateBand(0, { gain: 0, frequency: 2000 });
+
+    expect(filter.gain.valueAtTime(start)).toBe(6);
+    expect(filter.gain.valueAtTime(start + 0.05)).toBeCloseTo(3, 5);
+    expect(filter.frequency.valueAtTime(start + 0.05)).toBeCloseTo(1500, 3);
+    context.render(SAMPLE_RATE / 8);
+    expect(filter.gain.value).toBe(0);
+    expect(filter.frequency.value).toBe(2000);
+  });
+
+  it('approaches the target with a time constant by default', () => {
+    const { context, processor } = setup({ smoothing: true });
+    context.render(1024);
+    const [filter] = processor.chain.bandNodes.flat();
+    const start = context.currentTime;
+
+    processor.setPreamp(-6);
+    processor.updateBand(0, { gain: 0 });
+
+    expect(filter.gain.valueAtTime(start + 0.015)).toBeCloseTo(6 * Math.exp(-1), 5);
+    expect(processor.chain.preampNode.gain.valueAtTime(start + 0.015))
+      .toBeCloseTo(1 - (1 - 0.5012) * (1 - Math.exp(-1)), 3);
+  });
+
+  it('sets values at once when the smoothing time is zero', () => {
+    const { context, processor } = setup({ smoothing: { mode: 'linear', time: 0 } });
+    context.render(1024);
+    const [filter] = processor.chain.bandNodes.flat();
+
+    processor.updateBand(0, { gain: -4 });
+
+    expect(filter.gain.valueAtTime(context.currentTime)).toBe(-4);
+    const output = context.render(SAMPLE_RATE / 4).getChannelData(0);
+    expect(filter.gain.value).toBe(-4);
+    expect(peakDb(output)).toBeCloseTo(responseDb([{ ...boost, gain: -4 }]), 1);
+  });
+});
+
+describe('PEQProcessor auto preamp', () => {
+  it('follows band edits until the preamp is set by hand', () => {
+    const { processor } = setup({ autoPreamp: true });
+    const toggles = [];
+    processor.on(processor.events.AUTO_PREAMP_CHANGE, ({ enabled }) => toggles.push(enabled));
+    expect(processor.getState().preamp).toBeLessThan(-5);
+
+    processor.updateBand(0, { gain: 3 });
+    const followed = processor.getState().preamp;
+    expect(followed).toBeGreaterThan(-5);
+    expect(followed).toBeLessThan(-2);
+
+    processor.setPreamp(-1);
+    processor.updateBand(0, { gain: 9 });
+    expect(toggles).toEqual([false]);
+    expect(processor.getState().preamp).toBe(-1);
+  });
+
+  it('treats a preamp passed to setState as a manual setting', () => {
+    const { processor } = setup({ autoPreamp: true });
+    const toggles = [];
+    processor.on(processor.events.AUTO_PREAMP_CHANGE, ({ enabled }) => toggles.push(enabled));
+
+    processor.setState({ preamp: -2, bands: [{ ...boost, gain: 10 }] });
+
+    expect(toggles).toEqual([false]);
+    expect(processor.autoPreamp).toBeNull();
+    expect(processor.getState().preamp).toBe(-2);
+    expect(processor.chain.preampNode.gain.valueAtTime(0)).toBeCloseTo(10 ** (-2 / 20), 6);
+  });
+});
+
+describe('PEQProcessor lowpass and highpass bands', () => {
+  it('renders a Linkwitz-Riley crossover like the response math', () => {
+    const crossover = { frequency: 1000, gain: 0, Q: 0.7071, type: 'highpass', alignment: 'linkwitz-riley', order: 4 };
+    const { context } = setup({ bands: [crossover] });
+
+    const measured = peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0));
+
+    expect(measured).toBeCloseTo(calculateBandResponse(1000, crossover, { sampleRate: SAMPLE_RATE }), 1);
+    expect(measured).toBeCloseTo(-6.02, 1);
+  });
+
+  it('keeps the resonance in step when Q is edited or scheduled', () => {
+    const lowpass = { frequency: 1000, gain: 0, Q: 0.7071, type: 'lowpass' };
+    const { context, processor } = setup({ bands: [lowpass] });
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(-3.01, 1);
+
+    processor.updateBand(0, { Q: 5 });
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(13.98, 1);
+
+    processor.scheduleBand(0, { Q: 2 }, context.currentTime);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(6.02, 1);
+  });
+});
+
+describe('PEQProcessor matched design', () => {
+  it('swaps in a new section on each edit instead of smoothing', () => {
+    const { context, processor } = setup({ design: 'matched', smoothing: { mode: 'linear', time: 0.1 } });
+    context.render(1024);
+    const [before] = processor.chain.bandNodes.flat();
+
+    processor.updateBand(0, { gain: -4 });
+
+    const [after] = processor.chain.bandNodes.flat();
+    expect(after).not.toBe(before);
+    expect(before.connections).toEqual([]);
+    expect(signalPath(processor.chain)).toEqual([after]);
+    // The new gain is heard from the first block after the edit, with no ramp
+    const output = context.render(SAMPLE_RATE / 4).getChannelData(0);
+    const matched = { ...boost, gain: -4 };
+    expect(peakDb(output.subarray(0, SAMPLE_RATE / 8)))
+      .toBeCloseTo(calculateBandResponse(1000, matched, { sampleRate: SAMPLE_RATE, design: 'matched' }), 1);
+  });
+});
+
+describe('PEQProcessor slots', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('stores and recalls slots, writing edits back to the slot being left', () => {
+    const { processor } = setup({ levelMatch: false });
+    const switches = [];
+    processor.on(processor.events.SLOT_CHANGE, ({ slot, previousSlot }) => switches.push([previousSlot, slot]));
+    processor.storeSlot('A');
+    processor.updateBand(0, { gain: -4 });
+    processor.storeSlot('B');
+
+    processor.recallSlot('A');
+    expect(processor.getState().bands[0].gain).toBe(6);
+    processor.updateBand(0, { gain: 3 });
+    processor.recallSlot('B');
+    expect(processor.getState().bands[0].gain).toBe(-4);
+    processor.recallSlot('A');
+
+    expect(processor.getState().bands[0].gain).toBe(3);
+    expect(switches).toEqual([['B', 'A'], ['A', 'B'], ['B', 'A']]);
+    expect(processor.getSlotNames()).toEqual(['A', 'B']);
+    expect(() => processor.recallSlot('C')).toThrow(RangeError);
+  });
+
+  it('level-matches slots and follows edits to the active one', () => {
+    const { context, processor } = setup();
+    processor.storeSlot('A');
+    processor.setState({ preamp: 0, bands: [{ ...boost, gain: 0 }] });
+    processor.storeSlot('B');
+    processor.recallSlot('A');
+    const { A, B } = processor.getLevelOffsets();
+    expect(A).toBeLessThan(-1);
+    expect(B).toBe(0);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(6 + A, 1);
+
+    const offsets = [];
+    processor.on(processor.events.LEVEL_OFFSET_CHANGE, (change) => offsets.push(change.offsets));
+    processor.updateBand(0, { gain: 0 });
+
+    expect(offsets).toHaveLength(1);
+    expect(offsets[0].A).toBeCloseTo(0, 6);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(0, 1);
+
+    processor.setLevelMatch(false);
+    processor.updateBand(0, { gain: 6 });
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(6, 1);
+  });
+
+  it('crossfades to a slot on a fresh chain and releases the old one', () => {
+    vi.useFakeTimers();
+    const { context, processor } = setup({ levelMatch: false });
+    processor.storeSlot('A');
+    processor.updateBand(0, { gain: -6 });
+    processor.storeSlot('B');
+    const outgoing = processor.chain;
+
+    processor.recallSlot('A', { crossfade: 0.1 });
+
+    expect(processor.chain).not.toBe(outgoing);
+    expect(processor.crossfades.size).toBe(1);
+    const output = context.render(SAMPLE_RATE / 2).getChannelData(0);
+    // Halfway through both curves play at half level
+    const halfway = output.subarray(SAMPLE_RATE * 0.045, SAMPLE_RATE * 0.055);
+    const expected = 20 * Math.log10((10 ** (6 / 20) + 10 ** (-6 / 20)) / 2);
+    expect(peakDb(halfway)).toBeCloseTo(expected, 0);
+    expect(peakDb(output.subarray(SAMPLE_RATE / 4))).toBeCloseTo(6, 1);
+
+    vi.runAllTimers();
+    expect(processor.crossfades.size).toBe(0);
+    outgoing.filters.forEach((filter) => expect(filter.connections).toEqual([]));
+  });
+
+  it('moves dynamic bands over to the new chain when crossfading', async () => {
+    vi.useFakeTimers();
+    const warn = vi.spyOn(console, 'warn');
+    const { context, processor } = setup({ levelMatch: false });
+    await enableWorklets(context);
+    processor.updateBand(0, { dynamic: { threshold: -30 } });
+    processor.storeSlot('A');
+    processor.storeSlot('B');
+    const outgoing = processor.chain;
+    const outgoingNode = processor.dynamics.node;
+
+    processor.recallSlot('A', { crossfade: 0.1 });
+
+    expect(warn).not.toHaveBeenCalled();
+    expect(outgoingNode.connections).toEqual([]);
+    expect(outgoing.preampNode.connections.map(({ destination }) => destination)).not.toContain(outgoingNode);
+    expect(processor.dynamics.node).not.toBe(outgoingNode);
+    expect(processor.chain.preampNode.connections.map(({ destination }) => destination)).toContain(processor.dynamics.node);
+    vi.runAllTimers();
+  });
+});
+
+describe('PEQProcessor undo history', () => {
+  const low = { frequency: 300, gain: -3, Q: 0.7, type: 'peaking' };
+
+  it('undoes and redoes band edits and band list changes', () => {
+    const { context, processor } = setup();
+    const steps = [];
+    processor.on(processor.events.HISTORY_CHANGE, ({ undoSteps }) => steps.push(undoSteps));
+
+    processor.updateBand(0, { gain: 3 });
+    processor.addBand(low);
+    processor.reorderBands([1, 0]);
+    processor.removeBand(0);
+    expect(steps).toEqual([1, 2, 3, 4]);
+
+    expect(processor.undo()).toBe(true);
+    expect(processor.getState().bands).toEqual([low, { ...boost, gain: 3 }]);
+    processor.undo();
+    expect(processor.getState().bands).toEqual([{ ...boost, gain: 3 }, low]);
+    processor.undo();
+    expect(processor.getState().bands).toEqual([{ ...boost, gain: 3 }]);
+    expect(signalPath(processor.chain)).toEqual(processor.chain.bandNodes.flat());
+    processor.undo();
+    expect(processor.getState().bands).toEqual([boost]);
+    expect(processor.undo()).toBe(false);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(6, 1);
+
+    processor.redo();
+    processor.redo();
+    expect(processor.getState().bands).toEqual([{ ...boost, gain: 3 }, low]);
+    expect(processor.canRedo).toBe(true);
+    processor.updateBand(1, { gain: 0 });
+    expect(processor.canRedo).toBe(false);
+  });
+
+  it('brings auto preamp back when a manual preamp is undone', () => {
+    const { processor } = setup({ autoPreamp: true });
+    const automatic = processor.getState().preamp;
+    const toggles = [];
+    processor.on(processor.events.AUTO_PREAMP_CHANGE, ({ enabled }) => toggles.push(enabled));
+
+    processor.setPreamp(-1);
+    processor.undo();
+
+    expect(toggles).toEqual([false, true]);
+    expect(processor.getState().preamp).toBe(automatic);
+    processor.updateBand(0, { gain: 3 });
+    expect(processor.getState().preamp).toBeGreaterThan(automatic);
+
+    processor.undo();
+    processor.redo();
+    expect(processor.autoPreamp).toEqual({});
+  });
+
+  it('restores the active slot, so later recalls write back to the right slot', () => {
+    const { processor } = setup({ levelMatch: false });
+    processor.storeSlot('A');
+    processor.updateBand(0, { gain: -4 });
+    processor.storeSlot('B');
+    const switches = [];
+    processor.on(processor.events.SLOT_CHANGE, ({ slot }) => switches.push(slot));
+
+    processor.recallSlot('A');
+    processor.undo();
+    expect(processor.activeSlot).toBe('B');
+    expect(processor.getState().bands[0].gain).toBe(-4);
+
+    processor.updateBand(0, { gain: 2 });
+    processor.recallSlot('A');
+
+    expect(switches).toEqual(['A', 'B', 'A']);
+    expect(processor.getSlot('A').bands[0].gain).toBe(6);
+    expect(processor.getSlot('B').bands[0].gain).toBe(2);
+  });
+});
+
+describe('PEQProcessor features end to end', () => {
+  const low = { frequency: 300, gain: -3, Q: 0.7, type: 'peaking' };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('loads presets and switches designs with their events', () => {
+    const { context, processor } = setup();
+    const events = [];
+    [processor.events.PRESET_LOAD, processor.events.DESIGN_CHANGE, processor.events.STATE_CHANGE].forEach((event) => {
+      processor.on(event, () => events.push(event));
+    });
+
+    processor.loadPreset({ name: 'Warm', preamp: -2, bands: [low, { ...boost, gain: 3 }] });
+    processor.setDesign('matched');
+
+    expect(events).toEqual(['presetload', 'statechange', 'designchange', 'statechange']);
+    expect(processor.getState()).toMatchObject({ name: 'Warm', preamp: -2, design: 'matched' });
+    const expected = -2 + [low, { ...boost, gain: 3 }]
+      .reduce((sum, band) => sum + calculateBandResponse(1000, band, { sampleRate: SAMPLE_RATE, design: 'matched' }), 0);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(expected, 1);
+  });
+
+  it('plays what the enable and solo flags leave audible', () => {
+    const { context, processor } = setup({ bands: [boost, low] });
+
+    processor.setBandEnabled(0, false);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(responseDb([low]), 1);
+
+    processor.setBandEnabled(0, true);
+    processor.setBandSolo(1, true);
+    const audible = resolveAudibleBands(processor.getState().bands);
+    expect(audible[1].type).toBe('bandpass');
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(responseDb(audible), 1);
+
+    processor.setBandSolo(1, false);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(responseDb([boost, low]), 1);
+  });
+
+  it('runs separate left and right corrections after the shared bands', () => {
+    const { context, processor } = setup();
+    const modes = [];
+    processor.on(processor.events.CHANNEL_MODE_CHANGE, ({ mode }) => modes.push(mode));
+
+    processor.setChannelMode('left-right', {
+      left: { preamp: 0, bands: [{ ...boost, gain: -6 }] },
+      right: { preamp: -3, bands: [] }
+    });
+
+    const output = context.render(SAMPLE_RATE / 4);
+    expect(modes).toEqual(['left-right']);
+    expect(peakDb(output.getChannelData(0))).toBeCloseTo(0, 1);
+    expect(peakDb(output.getChannelData(1))).toBeCloseTo(3, 1);
+  });
+
+  it('morphs towards a target preset', () => {
+    const { context, processor } = setup();
+    const amounts = [];
+    processor.on(processor.events.MORPH_CHANGE, ({ amount }) => amounts.push(amount));
+
+    processor.setMorphTarget({ name: 'Cut', preamp: 0, bands: [{ ...boost, gain: -6 }] });
+    processor.setMorph(0.5);
+
+    expect(amounts).toEqual([0, 0.5]);
+    expect(processor.getMorph()).toBe(0.5);
+    expect(processor.getState().bands[0].gain).toBeCloseTo(0, 9);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(0, 1);
+    expect(processor.canUndo).toBe(false);
+  });
+
+  it('adds loudness compensation shelves for quiet listening levels', () => {
+    const { context, processor } = setup();
+    const levels = [];
+    processor.on(processor.events.LOUDNESS_CHANGE, (loudness) => levels.push(loudness?.listeningLevel ?? null));
+
+    processor.setListeningLevel(40);
+    const { bands } = processor.getState().loudness;
+    const shelves = processor.loudnessChain.bandNodes.flat();
+    expect(bands[0].gain).toBeGreaterThan(3);
+    expect(shelves.map((shelf) => shelf.type)).toEqual(['lowshelf', 'highshelf']);
+    expect(shelves.map((shelf) => shelf.gain.valueAtTime(context.currentTime))).toEqual(bands.map(({ gain }) => gain));
+    expect(reachableNodes(processor.inputNode).has(shelves[0])).toBe(true);
+    // The shelves sit well away from the 1 kHz tone
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(6, 0);
+
+    processor.setListeningLevel(null);
+    expect(levels).toEqual([40, null]);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(6, 1);
+  });
+
+  it('taps the signal before and after processing for analysis', () => {
+    const { context, processor } = setup();
+    const { pre, post } = processor.setAnalysers({ fftSize: 2048, smoothingTimeConstant: 0 });
+    context.render(SAMPLE_RATE / 4);
+
+    const spectrum = (analyser) => {
+      const data = new Float32Array(analyser.frequencyBinCount);
+      analyser.getFloatFrequencyData(data);
+      return Math.max(...data);
+    };
+    expect(spectrum(post) - spectrum(pre)).toBeCloseTo(6, 0);
+
+    processor.setAnalysers(false);
+    expect(processor.getAnalysers()).toBeNull();
+    expect(pre.connections).toEqual([]);
+  });
+
+  it('drives dynamic bands from the dynamics worklet and reports its gain changes', async () => {
+    const { context, processor } = setup();
+    await enableWorklets(context);
+    const reports = [];
+    processor.on(processor.events.GAIN_REDUCTION, ({ bands }) => reports.push(bands));
+
+    processor.updateBand(0, { dynamic: { threshold: -30, maxGain: -6 } });
+    const { node } = processor.dynamics;
+    const [filter] = processor.chain.bandNodes[0];
+    expect(node.name).toBe('saku-peq-dynamics');
+    expect(node.params).toEqual([filter.gain]);
+    expect(processor.chain.preampNode.connections.map(({ destination }) => destination)).toContain(node);
+
+    node.port.onmessage({ data: { time: 0.1, gains: [-2.5] } });
+    expect(reports).toEqual([[{ index: 0, gainDb: -2.5 }]]);
+    expect(processor.getGainReduction()).toEqual([{ index: 0, gainDb: -2.5 }]);
+
+    processor.updateBand(0, { dynamic: undefined });
+    expect(processor.dynamics).toBeNull();
+    expect(node.connections).toEqual([]);
+  });
+
+  it('inserts the output limiter and reports clipping and limiting', async () => {
+    const { context, processor } = setup();
+    await enableWorklets(context);
+    const events = [];
+    processor.on(processor.events.CLIP, ({ clippedSamples }) => events.push(['clip', clippedSamples]));
+    processor.on(processor.events.LIMIT, ({ gainReductionDb }) => events.push(['limit', gainReductionDb]));
+
+    processor.setLimiter(true);
+    const limiter = processor.limiterNode;
+    expect(reachableNodes(processor.inputNode).has(limiter)).toBe(true);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(6, 1);
+
+    limiter.port.onmessage({ data: { time: 0.2, peak: 2, clipped: 12, gainReductionDb: 1.5 } });
+    expect(events).toEqual([['clip', 12], ['limit', 1.5]]);
+    expect(processor.getClipStats()).toEqual({ clippedSamples: 12, peakDb: 20 * Math.log10(2) });
+
+    processor.setLimiter(false);
+    expect(processor.limiterNode).toBeNull();
+    expect(reachableNodes(processor.inputNode).has(limiter)).toBe(false);
+    expect(peakDb(context.render(SAMPLE_RATE / 4).getChannelData(0))).toBeCloseTo(6, 1);
+  });
+});
+
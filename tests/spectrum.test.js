@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { SpectrumAnalyzer, binSpectrum, resolveSpectrumOptions } from '../src/core/spectrum.js';
+import { generateFrequencies } from '../src/core/frequencyResponse.js';
+
+// 4096 bins at 48 kHz: 5.859375 Hz apart
+function frame(db = -60) {
+  return new Float32Array(4096).fill(db);
+}
+
+describe('spectrum analysis', () => {
+  it('lines up with generateFrequencies', () => {
+    const { frequencies, magnitudeDb } = binSpectrum(frame(), { numPoints: 64 });
+    expect(frequencies).toEqual(generateFrequencies(64));
+    expect(magnitudeDb[0]).toBeCloseTo(-60, 4);
+    expect(magnitudeDb[63]).toBeCloseTo(-60, 4);
+  });
+
+  it('averages power over a fractional-octave window', () => {
+    const data = frame(-200);
+    data[512] = -20; // 3 kHz
+    const options = { numPoints: 1, minFreq: 3000, maxFreq: 3000 };
+
+    expect(binSpectrum(data, { ...options, smoothing: 0 }).magnitudeDb[0]).toBeCloseTo(-20, 4);
+    const smoothed = binSpectrum(data, { ...options, smoothing: 1 / 3 }).magnitudeDb[0];
+    const binsInWindow = Math.floor(3000 * Math.pow(2, 1 / 6) / 5.859375) - Math.ceil(3000 / Math.pow(2, 1 / 6) / 5.859375) + 1;
+    expect(smoothed).toBeCloseTo(-20 - 10 * Math.log10(binsInWindow), 4);
+  });
+
+  it('averages frames in the power domain', () => {
+    const analyzer = new SpectrumAnalyzer({ numPoints: 1, minFreq: 1000, maxFreq: 1000, averaging: 0.5 });
+    analyzer.update(frame(-20), 0);
+    expect(analyzer.update(frame(-200), 0.1).magnitudeDb[0]).toBeCloseTo(-20 - 10 * Math.log10(2), 4);
+  });
+
+  it('holds peaks before letting them fall', () => {
+    const analyzer = new SpectrumAnalyzer({ numPoints: 1, minFreq: 1000, maxFreq: 1000, averaging: 0, peakHold: 1, peakDecay: 10 });
+    analyzer.update(frame(-20), 0);
+
+    const held = analyzer.update(frame(-60), 0.5);
+    expect(held.magnitudeDb[0]).toBeCloseTo(-60, 4);
+    expect(held.peakDb[0]).toBeCloseTo(-20, 4);
+    expect(analyzer.update(frame(-60), 1.5).peakDb[0]).toBeCloseTo(-25, 4);
+    expect(analyzer.update(frame(-60), 2).peakDb[0]).toBeCloseTo(-30, 4);
+    expect(analyzer.update(frame(-60), 10).peakDb[0]).toBeCloseTo(-60, 4);
+  });
+
+  it('rejects invalid options', () => {
+    expect(() => resolveSpectrumOptions({ averaging: 1 })).toThrow(RangeError);
+    expect(() => resolveSpectrumOptions({ smoothing: -1 })).toThrow(RangeError);
+    expect(() => binSpectrum(new Float32Array(1))).toThrow('at least two bins');
+  });
+});